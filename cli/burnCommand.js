@@ -1,194 +1,304 @@
 /**
  * HDCP Key Burn Command
- * Orchestrates the file transfer protocol for key burning
+ * Runs a shared BurnSession on the CLI's serial port
  */
 
 import fs from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import { SerialClient } from './serialClient.js';
-import {
-  FILE_TYPE_NAMES,
-  fileCrc16,
-  buildStartSendFile,
-  buildSendFileData,
-  buildSendFileCrc,
-  parseRetStartSendFile,
-  parseDataAck,
-  parseAckFileStatus,
-  buildStartHdcp,
-  buildSendHdcpData,
-  buildSendHdcpCrc,
-  parseRetStartHdcp,
-  parseAckHdcpStatus,
-} from '../shared/fileTransfer.js';
-
-const MAX_RETRIES = 3;
-const INTER_PACKET_DELAY_MS = 20;
-
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+import { FILE_TYPE_NAMES, BurnSession, BURN_STATE, BURN_PROTOCOL, formatThroughput, benchmarkPacing } from '../shared/fileTransfer.js';
+import { ERROR_CODE, InvalidArgumentError, errorCodeOf, toErrorResult } from '../shared/protocolErrors.js';
+import { checkKeyFile, formatKeyIdentity } from '../shared/keyFile.js';
+import { allocateKey, consumeKey, releaseKey, assertKeyNotConsumed } from '../shared/keyInventory.js';
+import { unlockVault, lockVault, readVaultKey, zeroize } from '../shared/keyVault.js';
+import { readDeviceIdentity } from '../shared/deviceIdentity.js';
+import { burnAuditRecord, appendAuditEntry, AUDIT_BENCHMARK } from '../shared/burnAudit.js';
+
+// Resumes after a timeout (same file ID, from the last acknowledged packet) before giving up
+const MAX_RESUMES = 2;
+
+// Progress line on stderr; padded so a shorter line covers the previous one
+const writeProgress = (progress) => {
+  const { state, packet, totalPackets } = progress;
+  if (state !== BURN_STATE.SENDING || totalPackets === 0) return;
+  const pct = Math.round((packet / totalPackets) * 100);
+  const rate = formatThroughput(progress);
+  process.stderr.write(`\r  Sending: ${packet}/${totalPackets} (${pct}%)${rate ? `  ${rate}` : ''}`.padEnd(60));
+};
 
 /**
  * Execute HDCP key burn operation
+ * Every attempt, including rejected keys, is written to the burn audit log.
  * @param {string} portPath - serial port path
  * @param {number} baudRate - baud rate
- * @param {string} keyType - 'hdcp14' or 'hdcp22'
- * @param {string} filePath - path to key file
- * @param {object} options - {timeout, json, debug}
- * @returns {Promise<{success: boolean, error?: string, data?: object}>}
+ * @param {string} keyType - FILE_TYPE_NAMES key ('hdcp14', 'widevine', ...)
+ * @param {string|null} filePath - path to key file (null with options.inventory or options.vault)
+ * @param {object} options - {timeout, protocol, existing, pacing, validate, inventory, device, vault, passphrase,
+ *   operator, json, debug}; validate: false skips the key format check; inventory draws the next key for device
+ *   from that key inventory instead of filePath; vault decrypts that vault key with passphrase (zeroed again after
+ *   the burn); operator is recorded in the audit log
+ * @returns {Promise<{success: boolean, error?: string, code?: string, data?: object}>}
  */
 export async function executeBurnCommand(portPath, baudRate, keyType, filePath, options = {}) {
-  const { timeout = 5000, debug = false } = options;
+  const attempt = { origin: 'cli', operator: options.operator, keyType };
+  const result = await burnKey(portPath, baudRate, keyType, filePath, options, attempt);
+  await writeAuditEntry(attempt, result);
+  return result;
+}
 
-  const fileType = FILE_TYPE_NAMES[keyType];
-  if (fileType === undefined) {
-    return { success: false, error: `Unknown key type: ${keyType}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}` };
+async function writeAuditEntry(attempt, result) {
+  try {
+    await appendAuditEntry(burnAuditRecord({ ...attempt, failure: result.success ? null : result }));
+  } catch (err) {
+    process.stderr.write(`Warning: burn not written to the audit log: ${err.message}\n`);
   }
+}
 
-  const resolvedPath = path.resolve(filePath);
-  if (!fs.existsSync(resolvedPath)) {
-    return { success: false, error: `File not found: ${resolvedPath}` };
+// Update an inventory key's ledger entry (consumeKey / releaseKey); a failure (e.g. lock timeout) is
+// reported, the burn result stands
+async function updateInventory(update, allocation, options) {
+  try {
+    await update(allocation.inventory, allocation.index, options);
+  } catch (err) {
+    process.stderr.write(`Warning: key ${allocation.index} of inventory ${allocation.inventory} not updated: ${err.message}\n`);
   }
+}
 
-  const fileData = fs.readFileSync(resolvedPath);
-  if (fileData.length === 0) {
-    return { success: false, error: 'Key file is empty' };
-  }
+// The burn itself; fills attempt (sha256, identity, device, session) for the audit entry as it gets there
+async function burnKey(portPath, baudRate, keyType, filePath, options, attempt) {
+  const { timeout, protocol, existing, pacing, debug = false } = options;
 
-  const fileSize = fileData.length;
-  const crc = fileCrc16(fileData);
-  const fileId = (Math.random() * 0xFFFFFFFF) >>> 0;
+  const fileType = FILE_TYPE_NAMES[keyType];
+  if (fileType === undefined) {
+    return toErrorResult(new InvalidArgumentError(`Unknown key type: ${keyType}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`));
+  }
 
   const log = (msg) => { if (!options.json) process.stderr.write(msg + '\n'); };
-  const dbg = (msg) => { if (debug) process.stderr.write(`  [DBG] ${msg}\n`); };
-
-  log(`Burning ${keyType} key (${fileSize} bytes) to ${portPath}...`);
-  dbg(`File ID: 0x${fileId.toString(16).padStart(8, '0')}, CRC: 0x${crc.toString(16).padStart(4, '0')}`);
 
-  const client = new SerialClient(portPath, baudRate);
-
-  try {
-    await client.connect();
-
-    // Generic file transfer protocol (CMD 0x40-0x44)
-    const useHdcpProtocol = false;
-
-    let startResult;
-    if (useHdcpProtocol) {
-      // HDCP-specific protocol (CMD 0x00)
-      const startCmd = buildStartHdcp(fileId);
-      dbg(`TX START_HDCP: ${startCmd.map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-      await client.sendRaw(Buffer.from(startCmd));
-      const startResp = await client.waitForResponse(timeout);
-      dbg(`RX: ${Array.from(startResp).map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-      startResult = parseRetStartHdcp(startResp);
-    } else {
-      // Generic file transfer protocol (CMD 0x40)
-      const startCmd = buildStartSendFile(fileId, fileSize, fileType);
-      dbg(`TX START_SEND_FILE: ${startCmd.map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-      await client.sendRaw(Buffer.from(startCmd));
-      const startResp = await client.waitForResponse(timeout);
-      dbg(`RX: ${Array.from(startResp).map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-      startResult = parseRetStartSendFile(startResp);
+  let fileData;
+  let allocation = null;
+  if (options.inventory) {
+    try {
+      allocation = await allocateKey(options.inventory, options.device, { keyType });
+    } catch (err) {
+      return toErrorResult(err);
     }
-
-    if (!startResult.ok) {
-      return { success: false, error: startResult.error };
+    fileData = allocation.data;
+    log(`Drew key ${allocation.index} from inventory ${allocation.inventory} for device ${allocation.device} (${allocation.remaining} unused left)`);
+  } else if (options.vault) {
+    let vault = null;
+    try {
+      vault = await unlockVault(options.passphrase);
+      ({ data: fileData } = await readVaultKey(vault, options.vault, { keyType }));
+      await assertKeyNotConsumed(fileType, fileData);
+    } catch (err) {
+      zeroize(fileData);
+      return toErrorResult(err);
+    } finally {
+      lockVault(vault);
+    }
+    log(`Decrypted vault key ${options.vault}`);
+  } else {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      return toErrorResult(new InvalidArgumentError(`File not found: ${resolvedPath}`));
     }
 
-    const maxPacketLength = startResult.maxPacketLength;
-    // Data payload per packet = max protocol packet length - header overhead (5 bytes: FF 33 LEN 03 42) - index(4) - total(4) - checksum(1)
-    const dataPerPacket = maxPacketLength - 14;
-    if (dataPerPacket <= 0) {
-      return { success: false, error: `Invalid max packet length from device: ${maxPacketLength}` };
+    fileData = fs.readFileSync(resolvedPath);
+    if (fileData.length === 0) {
+      return toErrorResult(new InvalidArgumentError('Key file is empty'));
     }
+    try {
+      await assertKeyNotConsumed(fileType, fileData);
+    } catch (err) {
+      return toErrorResult(err);
+    }
+  }
 
-    const totalPackets = Math.ceil(fileSize / dataPerPacket);
-    log(`  Max packet: ${maxPacketLength} bytes, data/pkt: ${dataPerPacket}, total packets: ${totalPackets}`);
-
-    // Step 2: Send file data packets (1-based index per protocol)
-    for (let i = 0; i < totalPackets; i++) {
-      const offset = i * dataPerPacket;
-      const chunk = fileData.slice(offset, offset + dataPerPacket);
-      const packetIdx = i + 1;
-      const dataCmd = useHdcpProtocol
-        ? buildSendHdcpData(packetIdx, totalPackets, Array.from(chunk))
-        : buildSendFileData(packetIdx, totalPackets, Array.from(chunk));
-
-      let acked = false;
-      for (let retry = 0; retry < MAX_RETRIES; retry++) {
-        dbg(`TX SEND_FILE_DATA pkt ${i}/${totalPackets} (retry ${retry})`);
-        await client.sendRaw(Buffer.from(dataCmd));
-        try {
-          const ackResp = await client.waitForResponse(timeout);
-          dbg(`RX ACK: ${Array.from(ackResp).map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-          const ackResult = parseDataAck(ackResp);
-          if (ackResult.ok) {
-            acked = true;
-            break;
-          }
-          dbg(`ACK error: ${ackResult.error}, retrying...`);
-        } catch (e) {
-          dbg(`Timeout waiting for ACK, retrying...`);
-        }
-        await delay(50);
-      }
+  attempt.sha256 = crypto.createHash('sha256').update(fileData).digest('hex');
 
-      if (!acked) {
-        return { success: false, error: `Failed to send packet ${i + 1}/${totalPackets} after ${MAX_RETRIES} retries` };
-      }
+  let keyInfo = null;
+  if (options.validate !== false) {
+    try {
+      keyInfo = checkKeyFile(fileType, fileData);
+      attempt.identity = keyInfo.identity;
+    } catch (err) {
+      zeroize(fileData);
+      if (allocation) await updateInventory(releaseKey, allocation);
+      return { ...toErrorResult(err), problems: err.problems };
+    }
+  }
+  const showProgress = !options.json && !debug;
 
-      if (!options.json && !debug) {
-        const pct = Math.round(((i + 1) / totalPackets) * 100);
-        process.stderr.write(`\r  Sending: ${i + 1}/${totalPackets} (${pct}%)`);
-      }
+  const client = new SerialClient(portPath, baudRate);
+  let session;
+  try {
+    session = new BurnSession({
+      request: (packet, requestOptions) => client.request(packet, requestOptions),
+      fileType,
+      data: fileData,
+      protocol,
+      existing,
+      pacing,
+      timeout,
+      onDebug: debug ? (msg) => process.stderr.write(`  [DBG] ${msg}\n`) : null,
+      onProgress: showProgress ? writeProgress : null,
+    });
+    attempt.session = session;
+  } catch (err) {
+    if (allocation) await updateInventory(releaseKey, allocation);
+    return toErrorResult(err);
+  } finally {
+    // The session keeps its own copy
+    zeroize(fileData);
+  }
 
-      if (i < totalPackets - 1) {
-        await delay(INTER_PACKET_DELAY_MS);
-      }
-    }
+  log(`Burning ${keyType} key (${fileData.length} bytes) to ${portPath}...`);
+  if (keyInfo) log(`  ${keyInfo.format}, ${formatKeyIdentity(keyInfo)}`);
 
-    if (!options.json && !debug) {
-      process.stderr.write('\n');
-    }
+  const controller = new AbortController();
+  const onSigint = () => {
+    controller.abort();
+    session.cancel();
+  };
+  process.once('SIGINT', onSigint);
+
+  try {
+    await client.connect();
+    attempt.device = await readDeviceIdentity((packet, requestOptions) => client.request(packet, requestOptions), {
+      signal: controller.signal,
+    });
+    const { mac, dsn, barcode } = attempt.device;
+    if (mac || dsn || barcode) log(`  Device: ${[mac && `MAC ${mac}`, dsn && `DSN ${dsn}`, barcode && `barcode ${barcode}`].filter(Boolean).join(', ')}`);
 
-    // Step 3: Send CRC
-    const crcCmd = useHdcpProtocol ? buildSendHdcpCrc(crc) : buildSendFileCrc(crc);
-    dbg(`TX SEND_CRC: 0x${crc.toString(16).padStart(4, '0')}`);
-    await client.sendRaw(Buffer.from(crcCmd));
-
-    // Wait for ACK_FILE_STATUS (0x44). Device may send heartbeat ACKs (0x01 with pocketIdx=0xBBBBBBBB) while busy.
-    let finalResult = null;
-    for (let attempt = 0; attempt < 20; attempt++) {
-      const crcResp = await client.waitForResponse(timeout);
-      dbg(`RX: ${Array.from(crcResp).map(b => b.toString(16).padStart(2, '0')).join(' ')}`);
-
-      // Check if this is the final status response (0x44 or 0x05)
-      const expectedCmd = useHdcpProtocol ? 0x05 : 0x44;
-      if (crcResp[4] === expectedCmd) {
-        finalResult = useHdcpProtocol ? parseAckHdcpStatus(crcResp) : parseAckFileStatus(crcResp);
+    let data;
+    for (let resumes = 0; ; resumes++) {
+      try {
+        data = await (resumes === 0 ? session.run() : session.resume());
         break;
+      } catch (err) {
+        if (showProgress) process.stderr.write('\n');
+        if (!session.resumable || resumes >= MAX_RESUMES) throw err;
+        log(`  ${err.message} at packet ${session.ackedPackets + 1}/${session.totalPackets}, resuming...`);
       }
-      // Heartbeat ACK (0x01 with 0xBBBBBBBB) - device is busy, keep waiting
-      dbg(`Heartbeat received, waiting for final status...`);
     }
 
-    if (!finalResult) {
-      return { success: false, error: 'Timeout waiting for burn result' };
-    }
-    if (!finalResult.ok) {
-      return { success: false, error: finalResult.error };
+    if (showProgress) process.stderr.write('\n');
+    if (data.skipped) {
+      if (allocation) await updateInventory(releaseKey, allocation);
+      log(`  Key ${data.existingFileId} already on the device, skipped.`);
+    } else {
+      if (allocation) await updateInventory(consumeKey, allocation, { fileId: data.fileId });
+      log(`  Done! ${keyType} key burned successfully.`);
     }
-
-    log(`  Done! ${keyType} key burned successfully.`);
     return {
       success: true,
-      data: { keyType, fileSize, packets: totalPackets, crc: `0x${crc.toString(16).padStart(4, '0')}` },
+      data: {
+        keyType,
+        ...data,
+        key: keyInfo && { format: keyInfo.format, identity: keyInfo.identity },
+        inventory: allocation && !data.skipped ? { name: allocation.inventory, index: allocation.index, device: allocation.device } : null,
+      },
     };
   } catch (err) {
-    return { success: false, error: err.message };
+    // Keys nothing was sent of go back to the pool; partly sent ones stay reserved for this device, and
+    // one sent in full that the readback did not confirm is used up
+    if (allocation && errorCodeOf(err) === ERROR_CODE.VERIFY_MISMATCH) {
+      await updateInventory(consumeKey, allocation, { fileId: session.fileId, verification: session.verification.status });
+    } else if (allocation && session.ackedPackets === 0) {
+      await updateInventory(releaseKey, allocation);
+    }
+    return { ...toErrorResult(err), existingFileId: session.existingFileId, verification: session.verification };
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    attempt.status = session.state;
+    session.wipe();
+    await client.disconnect();
+  }
+}
+
+/**
+ * Compare the pacing strategies on a device
+ * Sends the key file once per strategy without its CRC (START and data packets), over the generic
+ * protocol only: the device is trusted to discard a transfer that never gets its CRC, which is not
+ * known for the legacy HDCP command set. The real key goes over the line, so the benchmark needs
+ * options.confirm, checks the key file like a burn (format, not yet consumed) and is written to the
+ * audit log with status 'benchmark' (rejected when the key was refused).
+ * @param {string} portPath - serial port path
+ * @param {number} baudRate - baud rate
+ * @param {string} keyType - FILE_TYPE_NAMES key
+ * @param {string} filePath - path to the file to send
+ * @param {object} options - {timeout, protocol, strategies, confirm, validate, operator, json, debug}
+ * @returns {Promise<{success: boolean, error?: string, code?: string, data?: object}>}
+ */
+export async function executeBurnBenchmark(portPath, baudRate, keyType, filePath, options = {}) {
+  if (!options.confirm) {
+    return toErrorResult(new InvalidArgumentError('The benchmark sends the key file to the device three times; confirm it with --confirm-benchmark'));
+  }
+  if (options.protocol === BURN_PROTOCOL.LEGACY) {
+    return toErrorResult(new InvalidArgumentError('The benchmark runs over the generic protocol only (legacy devices may keep a transfer without CRC)'));
+  }
+  const attempt = { origin: 'cli', operator: options.operator, keyType };
+  const result = await benchmarkKey(portPath, baudRate, keyType, filePath, options, attempt);
+  await writeAuditEntry(attempt, result);
+  return result;
+}
+
+// The benchmark itself; fills attempt (sha256, identity, device, status) for the audit entry
+async function benchmarkKey(portPath, baudRate, keyType, filePath, options, attempt) {
+  const { timeout, strategies, debug = false } = options;
+
+  const fileType = FILE_TYPE_NAMES[keyType];
+  if (fileType === undefined) {
+    return toErrorResult(new InvalidArgumentError(`Unknown key type: ${keyType}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`));
+  }
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    return toErrorResult(new InvalidArgumentError(`File not found: ${resolvedPath}`));
+  }
+  const fileData = fs.readFileSync(resolvedPath);
+  attempt.sha256 = crypto.createHash('sha256').update(fileData).digest('hex');
+
+  const log = (msg) => { if (!options.json) process.stderr.write(msg + '\n'); };
+  const showProgress = !options.json && !debug;
+  const client = new SerialClient(portPath, baudRate);
+  const controller = new AbortController();
+  const onSigint = () => controller.abort();
+  process.once('SIGINT', onSigint);
+  let lines = 0;
+
+  try {
+    await assertKeyNotConsumed(fileType, fileData);
+    if (options.validate !== false) attempt.identity = checkKeyFile(fileType, fileData).identity;
+
+    await client.connect();
+    const request = (packet, requestOptions) => client.request(packet, requestOptions);
+    attempt.device = await readDeviceIdentity(request, { signal: controller.signal });
+    attempt.status = AUDIT_BENCHMARK;
+    log(`Benchmarking ${keyType} transfer (${fileData.length} bytes) on ${portPath}, without CRC...`);
+    const results = await benchmarkPacing({
+      request,
+      fileType,
+      data: fileData,
+      protocol: BURN_PROTOCOL.GENERIC,
+      timeout,
+      onDebug: debug ? (msg) => process.stderr.write(`  [DBG] ${msg}\n`) : null,
+      // One progress line per strategy
+      onProgress: showProgress ? (progress) => {
+        if (progress.state === BURN_STATE.STARTING && lines++ > 0) process.stderr.write('\n');
+        writeProgress(progress);
+      } : null,
+    }, { strategies, signal: controller.signal });
+    if (showProgress) process.stderr.write('\n');
+    return { success: true, data: { keyType, fileSize: fileData.length, results } };
+  } catch (err) {
+    if (showProgress && lines > 0) process.stderr.write('\n');
+    return { ...toErrorResult(err), problems: err.problems };
   } finally {
+    process.removeListener('SIGINT', onSigint);
+    // The sessions kept their own copies and wiped them
+    zeroize(fileData);
     await client.disconnect();
   }
 }
@@ -3,229 +3,19 @@
  * Maps CLI commands to protocol builders and parsers
  */
 
-import {
-  CommandBuilder,
-  PROTOCOL,
-  SOURCE_IDS,
-  parseChecksumResponse,
-  parseIpResponse,
-  parseMacResponse,
-  parseSourceResponse,
-  parseWifiResponse,
-  parseBluetoothResponse,
-  parseUsbNumberResponse,
-  parseCpuTempResponse,
-  parseEthSpeedResponse,
-  parseDsnResponse,
-  parseBarcodeResponse,
-  parseKeyIdResponse,
-  parseAckResponse,
-  parseChannelListResponse,
-  parsePlayChannelResponse,
-} from '../shared/cvteProtocol.js';
-
+import { buildCliCommandMap, formatValue } from '../shared/commandSchema.js';
+import { SOURCE_IDS, SOURCE_NAMES } from '../shared/cvteProtocol.js';
+import { FILE_TYPE_NAMES } from '../shared/fileTransfer.js';
+import { isCommandSupported, isKeyTypeSupported, isSourceSupported } from '../shared/deviceProfile.js';
+import { toErrorResult } from '../shared/protocolErrors.js';
+import { runCommand, toJsonResult } from '../shared/commandRunner.js';
 import { SerialClient } from './serialClient.js';
 
 /**
  * Command configuration map
- * Maps CLI commands to their builder and parser functions
+ * Generated from the shared command schema: category -> action -> config
  */
-const COMMAND_MAP = {
-  get: {
-    checksum: {
-      builder: CommandBuilder.getChecksum,
-      parser: parseChecksumResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_CHECKSUM,
-      label: 'Checksum',
-      resultKey: 'checksum',
-    },
-    ip: {
-      builder: CommandBuilder.getIp,
-      parser: parseIpResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_IP_INFO,
-      label: 'IP Address',
-      resultKey: 'ip',
-    },
-    mac: {
-      builder: CommandBuilder.getMacAddress,
-      parser: parseMacResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_MAC_ADDR,
-      label: 'MAC Address',
-      resultKey: 'mac',
-    },
-    source: {
-      builder: CommandBuilder.getSource,
-      parser: parseSourceResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_SOURCE,
-      label: 'Source',
-      resultKey: 'source',
-    },
-    wifi: {
-      builder: CommandBuilder.getWifiStatus,
-      parser: parseWifiResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_WIFI_STATUS,
-      label: 'WiFi Status',
-      resultKey: 'status',
-    },
-    bluetooth: {
-      builder: CommandBuilder.getBluetoothStatus,
-      parser: parseBluetoothResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_BLUETOOTH_STATUS,
-      label: 'Bluetooth Status',
-      resultKey: 'status',
-    },
-    usb: {
-      builder: CommandBuilder.getUsbNumber,
-      parser: parseUsbNumberResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_USB_NUMBER,
-      label: 'USB Count',
-      resultKey: 'count',
-    },
-    cputemp: {
-      builder: CommandBuilder.getCpuTemp,
-      parser: parseCpuTempResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_CPU_TEMP,
-      label: 'CPU Temperature',
-      resultKey: 'temperature',
-    },
-    ethspeed: {
-      builder: CommandBuilder.getEthSpeed,
-      parser: parseEthSpeedResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_ETH_SPEED,
-      label: 'Ethernet Speed',
-      resultKey: 'speed',
-    },
-    dsn: {
-      builder: CommandBuilder.getDsn,
-      parser: parseDsnResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_CUS_CODE,
-      label: 'DSN',
-      resultKey: 'dsn',
-    },
-    barcode: {
-      builder: CommandBuilder.getBarcode,
-      parser: parseBarcodeResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_BARCODE,
-      label: 'Barcode',
-      resultKey: 'barcode',
-    },
-    hdcp14: {
-      builder: () => CommandBuilder.getKeyId(1),
-      parser: parseKeyIdResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_FILE_ID,
-      label: 'HDCP 1.4 Key',
-      resultKey: 'keyName',
-    },
-    hdcp22: {
-      builder: () => CommandBuilder.getKeyId(4),
-      parser: parseKeyIdResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_FILE_ID,
-      label: 'HDCP 2.2 Key',
-      resultKey: 'keyName',
-    },
-    channels: {
-      builder: CommandBuilder.getChannelList,
-      parser: parseChannelListResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_CH_LIST,
-      label: 'Channel List',
-      resultKey: 'channels',
-    },
-  },
-  set: {
-    source: {
-      builder: (value) => {
-        const sourceId = SOURCE_IDS[value.toLowerCase()];
-        if (sourceId === undefined) {
-          throw new Error(`Invalid source: ${value}. Valid sources: ${Object.keys(SOURCE_IDS).join(', ')}`);
-        }
-        return CommandBuilder.setSource(sourceId);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_SOURCE),
-      expectedCmdId: null,
-      label: 'Source',
-      isSetCommand: true,
-    },
-    volume: {
-      builder: (value) => {
-        const level = parseInt(value);
-        if (isNaN(level) || level < 0 || level > 100) {
-          throw new Error('Volume must be 0-100');
-        }
-        return CommandBuilder.setVolume(level);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_VOLUME),
-      expectedCmdId: null,
-      label: 'Volume',
-      isSetCommand: true,
-    },
-    channel: {
-      builder: (value) => {
-        const num = parseInt(value);
-        if (isNaN(num) || num < 0) {
-          throw new Error('Channel number must be >= 0');
-        }
-        return CommandBuilder.setChannelNumber(num);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_CHANNEL_NUMBER),
-      expectedCmdId: null,
-      label: 'Channel Number',
-      isSetCommand: true,
-    },
-    mac: {
-      builder: (value) => {
-        const parts = value.split(/[:\-]/);
-        if (parts.length !== 6 || parts.some(p => !/^[0-9a-fA-F]{2}$/.test(p))) {
-          throw new Error(`Invalid MAC: ${value}. Format: AA:BB:CC:DD:EE:FF`);
-        }
-        return CommandBuilder.setMac(value);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_MAC_ADDR),
-      expectedCmdId: null,
-      label: 'MAC Address',
-      isSetCommand: true,
-    },
-    dsn: {
-      builder: (value) => {
-        if (!value || value.length === 0) {
-          throw new Error('DSN cannot be empty');
-        }
-        return CommandBuilder.setDsn(value);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_CUS_CODE),
-      expectedCmdId: null,
-      label: 'DSN',
-      isSetCommand: true,
-    },
-    barcode: {
-      builder: (value) => {
-        if (!value || value.length === 0) {
-          throw new Error('Barcode cannot be empty');
-        }
-        return CommandBuilder.setBarcode(value);
-      },
-      parser: (data) => parseAckResponse(data, PROTOCOL.CMD.SET_BARCODE),
-      expectedCmdId: null,
-      label: 'Barcode',
-      isSetCommand: true,
-    },
-  },
-  test: {
-    wifi: {
-      builder: CommandBuilder.getWifiStatus,
-      parser: parseWifiResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_WIFI_STATUS,
-      label: 'WiFi Test',
-      resultKey: 'status',
-    },
-    bluetooth: {
-      builder: CommandBuilder.getBluetoothStatus,
-      parser: parseBluetoothResponse,
-      expectedCmdId: PROTOCOL.CMD.RET_BLUETOOTH_STATUS,
-      label: 'Bluetooth Test',
-      resultKey: 'status',
-    },
-  },
-};
+const COMMAND_MAP = buildCliCommandMap();
 
 /**
  * Get command configuration
@@ -237,29 +27,65 @@ export function getCommandConfig(category, action) {
   return COMMAND_MAP[category]?.[action] || null;
 }
 
+/**
+ * Check whether a command is offered by a device profile
+ * Also checks the key type of key ID queries and the value of `set source`.
+ *
+ * @param {object|null} profile - Device profile (null: everything is offered)
+ * @param {string} category - Command category
+ * @param {string} action - Command action
+ * @param {string} [value] - Value for set commands
+ * @returns {boolean}
+ */
+export function isCliCommandSupported(profile, category, action, value = null) {
+  const config = getCommandConfig(category, action);
+  if (!config || !profile) return true;
+  if (!isCommandSupported(profile, config.name)) return false;
+  if (config.name === 'getKeyId') {
+    const keyType = Object.keys(FILE_TYPE_NAMES).find((name) => FILE_TYPE_NAMES[name] === config.args[0]);
+    return isKeyTypeSupported(profile, keyType);
+  }
+  if (config.name === 'setSource' && value !== null) {
+    const sourceId = SOURCE_IDS[String(value).toLowerCase()];
+    return sourceId === undefined || isSourceSupported(profile, SOURCE_NAMES[sourceId]);
+  }
+  return true;
+}
+
 /**
  * Get all available commands
+ * @param {object|null} [profile] - Device profile; only commands it supports are listed
  * @returns {object} Available commands grouped by category
  */
-export function getAvailableCommands() {
+export function getAvailableCommands(profile = null) {
   const commands = {};
   for (const [category, actions] of Object.entries(COMMAND_MAP)) {
-    commands[category] = Object.keys(actions);
+    commands[category] = Object.keys(actions).filter((action) => isCliCommandSupported(profile, category, action));
   }
   return commands;
 }
 
+/**
+ * Get the help hint for a command (e.g., valid values)
+ * @param {string} category - Command category (get, set, test)
+ * @param {string} action - Command action
+ * @returns {string|undefined} Hint text
+ */
+export function getCommandHint(category, action) {
+  return COMMAND_MAP[category]?.[action]?.hint;
+}
+
 /**
  * Execute a command on the device
  * @param {string} portPath - Serial port path
  * @param {number} baudRate - Baud rate
  * @param {string} category - Command category (get, set, test)
  * @param {string} action - Command action
- * @param {string} [value] - Optional value for set commands
- * @param {number} [timeout] - Response timeout
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * @param {string|string[]} [value] - Optional value(s) for set commands
+ * @param {number} [timeout] - Response timeout (defaults to the command's schema timeout)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, code?: string}>} code is an ERROR_CODE on failure
  */
-export async function executeCommand(portPath, baudRate, category, action, value = null, timeout = 3000) {
+export async function executeCommand(portPath, baudRate, category, action, value = null, timeout = null) {
   const config = getCommandConfig(category, action);
   if (!config) {
     return { success: false, error: `Unknown command: ${category} ${action}` };
@@ -269,23 +95,9 @@ export async function executeCommand(portPath, baudRate, category, action, value
 
   try {
     await client.connect();
-
-    // Build command
-    const hexCommand = value ? config.builder(value) : config.builder();
-
-    // Send command and get response
-    const response = await client.sendCommand(hexCommand, timeout);
-
-    // Parse response
-    const result = config.parser(response);
-
-    return {
-      success: result.success,
-      data: result,
-      error: result.error,
-    };
+    return await runCommand((packet, options) => client.request(packet, options), config, { value, timeout });
   } catch (err) {
-    return { success: false, error: err.message };
+    return toErrorResult(err);
   } finally {
     await client.disconnect();
   }
@@ -299,20 +111,14 @@ export async function executeCommand(portPath, baudRate, category, action, value
  */
 export function formatResult(result, config) {
   if (config.isSetCommand) {
-    return result.success ? 'OK' : `Error: ${result.error}`;
+    return formatValue(config.name, result);
   }
 
   if (!result.success) {
     return `Error: ${result.error}`;
   }
 
-  const value = result[config.resultKey];
-  // Special formatting for channel list
-  if (Array.isArray(value)) {
-    const summary = value.map((ch, i) => `${i + 1}. ${ch.name} (ID:${ch.id})`).join('\n');
-    return `${config.label}: ${value.length}/${result.totalCount || value.length}\n${summary}`;
-  }
-  return `${config.label}: ${value}`;
+  return `${config.label}: ${formatValue(config.name, result)}`;
 }
 
 /**
@@ -321,14 +127,5 @@ export function formatResult(result, config) {
  * @returns {string} JSON string
  */
 export function formatResultJson(result) {
-  if (result.success) {
-    return JSON.stringify({
-      success: true,
-      ...result.data,
-    }, null, 2);
-  }
-  return JSON.stringify({
-    success: false,
-    error: result.error,
-  }, null, 2);
+  return JSON.stringify(toJsonResult(result), null, 2);
 }
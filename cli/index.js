@@ -8,25 +8,77 @@
  *   comtest-cli -p /dev/ttyUSB0 get checksum
  *   comtest-cli -p COM3 set source hdmi1
  *   comtest-cli -p /dev/ttyUSB0 test wifi
+ *   comtest-cli -p /dev/ttyUSB0 wb get gain warm
+ *   comtest-cli -p /dev/ttyUSB0 rf tune 474000
+ *   comtest-cli -g /dev/ttyUSB1 gen timing 1080p60
+ *   comtest-cli dissect FF 33 06 03 0C EB
+ *   comtest-cli -p /dev/ttyUSB0 keys
+ *   comtest-cli check-key hdcp14 key.bin
+ *   comtest-cli inventory import line1-hdcp14 hdcp14 ./keys/
+ *   comtest-cli -p /dev/ttyUSB0 burn hdcp14 --inventory line1-hdcp14 --device 00:11:22:33:44:55
+ *   comtest-cli -p /dev/ttyUSB0 burn widevine keybox.bin --benchmark --confirm-benchmark
+ *   comtest-cli vault import tv-0001 widevine keybox.bin
+ *   comtest-cli -p /dev/ttyUSB0 burn widevine --vault tv-0001
+ *   comtest-cli audit verify
+ *   comtest-cli audit export burns.csv
+ *   comtest-cli -p /dev/ttyUSB0 probe model-a
+ *   comtest-cli --profile model-a commands
  */
 
+import fs from 'fs';
 import { Command } from 'commander';
 import chalk from 'chalk';
 import { SerialClient } from './serialClient.js';
 import {
   executeCommand,
+  isCliCommandSupported,
   getAvailableCommands,
+  getCommandConfig,
+  getCommandHint,
   formatResult,
   formatResultJson,
 } from './commands.js';
-import { executeBurnCommand } from './burnCommand.js';
-import { FILE_TYPE_NAMES } from '../shared/fileTransfer.js';
+import { executeBurnCommand, executeBurnBenchmark } from './burnCommand.js';
+import { FILE_TYPE_NAMES, BURN_PROTOCOL, BURN_PACING, EXISTING_KEY_POLICY, VERIFY_STATUS, formatThroughput } from '../shared/fileTransfer.js';
+import { getCommandSchema, buildRequest, parseResponse } from '../shared/commandSchema.js';
+import { ERROR_CODE, toErrorResult } from '../shared/protocolErrors.js';
+import { dissectFrame, dissectStream, formatDissection } from '../shared/dissector.js';
+import { validateKeyFile, formatKeyIdentity } from '../shared/keyFile.js';
+import { KEY_SLOT_STATUS, resolveKeySlot, readKeyStatus } from '../shared/keyStatus.js';
+import { hexToPacket, SOURCE_IDS, SOURCE_NAMES } from '../shared/cvteProtocol.js';
 import {
-  CommandBuilder as _CB,
-  parsePlayChannelResponse,
-} from '../shared/cvteProtocol.js';
+  PROBE_STATUS,
+  probeDevice,
+  createProfile,
+  validateProfileName,
+  summarizeProfile,
+  isCommandSupported,
+  isKeyTypeSupported,
+  isSourceSupported,
+} from '../shared/deviceProfile.js';
+import { listProfiles, loadProfile, saveProfile } from '../shared/profileStore.js';
+import {
+  KEY_STATUS,
+  importKeys,
+  listInventories,
+  loadInventory,
+  summarizeInventory,
+  releaseKey,
+} from '../shared/keyInventory.js';
+import {
+  createVault,
+  unlockVault,
+  lockVault,
+  listVaultKeys,
+  importVaultKey,
+  removeVaultKey,
+  zeroize,
+} from '../shared/keyVault.js';
+import { readAuditLog, verifyAuditLog, toAuditCsv } from '../shared/burnAudit.js';
+import { readPassphrase } from './passphrase.js';
 
 const program = new Command();
+const availableCommands = getAvailableCommands();
 
 program
   .name('comtest-cli')
@@ -34,10 +86,50 @@ program
   .version('1.0.0')
   .option('-p, --port <path>', 'serial port path')
   .option('-b, --baud <rate>', 'baud rate', '115200')
-  .option('-t, --timeout <ms>', 'response timeout in milliseconds', '3000')
+  .option('-g, --gen-port <path>', 'signal generator serial port path')
+  .option('--gen-baud <rate>', 'signal generator baud rate', '115200')
+  .option('-t, --timeout <ms>', 'response timeout in milliseconds (default: per command)')
   .option('-j, --json', 'output in JSON format')
+  .option('--profile <name>', 'device profile; only commands it supports are offered')
   .option('--debug', 'enable debug output');
 
+/**
+ * Load the device profile selected with --profile
+ * @returns {Promise<object|null>} Profile, or null when none is selected (exits on unknown names)
+ */
+async function selectedProfile() {
+  const options = program.opts();
+  if (!options.profile) return null;
+  try {
+    return await loadProfile(options.profile);
+  } catch (err) {
+    if (options.json) {
+      console.log(JSON.stringify(toErrorResult(err), null, 2));
+    } else {
+      console.error(chalk.red(`Error: ${err.message}`));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Exit with an UNSUPPORTED error when the selected profile does not offer a command
+ * @param {string} what - Command as typed (for the message)
+ * @param {(profile: object) => boolean} check - Support check against the profile
+ */
+async function ensureSupported(what, check) {
+  const profile = await selectedProfile();
+  if (!profile || check(profile)) return;
+
+  const message = `${what} is not supported by device profile ${profile.name}`;
+  if (program.opts().json) {
+    console.log(JSON.stringify({ success: false, error: message, code: ERROR_CODE.UNSUPPORTED }, null, 2));
+  } else {
+    console.error(chalk.red(`Error: ${message}`));
+  }
+  process.exit(1);
+}
+
 // list-ports command
 program
   .command('list-ports')
@@ -79,7 +171,7 @@ program
 // get command
 program
   .command('get <item>')
-  .description('Get device info (checksum, ip, mac, source, wifi, bluetooth, usb, cputemp, ethspeed, dsn, barcode)')
+  .description(`Get device info (${availableCommands.get.join(', ')})`)
   .action(async (item) => {
     const options = program.opts();
 
@@ -88,20 +180,21 @@ program
       process.exit(1);
     }
 
+    await ensureSupported(`get ${item}`, (profile) => isCliCommandSupported(profile, 'get', item.toLowerCase()));
+
     const result = await executeCommand(
       options.port,
       parseInt(options.baud),
       'get',
       item.toLowerCase(),
       null,
-      parseInt(options.timeout)
+      options.timeout ? parseInt(options.timeout) : null
     );
 
     if (options.json) {
       console.log(formatResultJson(result));
     } else {
       if (result.success) {
-        const { getCommandConfig } = await import('./commands.js');
         const config = getCommandConfig('get', item.toLowerCase());
         console.log(`${chalk.green('✓')} ${formatResult(result.data, config)}`);
       } else {
@@ -124,13 +217,15 @@ program
       process.exit(1);
     }
 
+    await ensureSupported(`set ${type} ${value}`, (profile) => isCliCommandSupported(profile, 'set', type.toLowerCase(), value));
+
     const result = await executeCommand(
       options.port,
       parseInt(options.baud),
       'set',
       type.toLowerCase(),
       value,
-      parseInt(options.timeout)
+      options.timeout ? parseInt(options.timeout) : null
     );
 
     if (options.json) {
@@ -149,7 +244,7 @@ program
 // test command
 program
   .command('test <type>')
-  .description('Run device test (wifi, bluetooth)')
+  .description(`Run device test (${availableCommands.test.join(', ')})`)
   .action(async (type) => {
     const options = program.opts();
 
@@ -158,20 +253,21 @@ program
       process.exit(1);
     }
 
+    await ensureSupported(`test ${type}`, (profile) => isCliCommandSupported(profile, 'test', type.toLowerCase()));
+
     const result = await executeCommand(
       options.port,
       parseInt(options.baud),
       'test',
       type.toLowerCase(),
       null,
-      parseInt(options.timeout)
+      options.timeout ? parseInt(options.timeout) : null
     );
 
     if (options.json) {
       console.log(formatResultJson(result));
     } else {
       if (result.success) {
-        const { getCommandConfig } = await import('./commands.js');
         const config = getCommandConfig('test', type.toLowerCase());
         console.log(`${chalk.green('✓')} ${formatResult(result.data, config)}`);
       } else {
@@ -182,11 +278,138 @@ program
     process.exit(result.success ? 0 : 1);
   });
 
+// wb command — white balance gain/offset per colour temperature (protocol 0x02)
+program
+  .command('wb <op> <kind> <temp> [rgb...]')
+  .description('White balance: wb get <gain|offset> <temp>, wb set <gain|offset> <temp> <r> <g> <b>')
+  .action(async (op, kind, temp, rgb) => {
+    const options = program.opts();
+
+    if (!options.port) {
+      console.error(chalk.red('Error: Serial port is required. Use -p or --port option.'));
+      process.exit(1);
+    }
+
+    const action = `${op.toLowerCase()}-${kind.toLowerCase()}`;
+    const config = getCommandConfig('wb', action);
+    if (!config) {
+      console.error(chalk.red(`Error: Unknown white balance command: ${op} ${kind}. Valid: get|set gain|offset`));
+      process.exit(1);
+    }
+    if (config.isSetCommand && rgb.length !== 3) {
+      console.error(chalk.red('Error: wb set requires <r> <g> <b> values.'));
+      process.exit(1);
+    }
+
+    await ensureSupported(`wb ${op} ${kind}`, (profile) => isCliCommandSupported(profile, 'wb', action));
+
+    const result = await executeCommand(
+      options.port,
+      parseInt(options.baud),
+      'wb',
+      action,
+      [temp, ...rgb],
+      options.timeout ? parseInt(options.timeout) : null
+    );
+
+    if (options.json) {
+      console.log(formatResultJson(result));
+    } else {
+      if (result.success) {
+        const detail = config.isSetCommand ? `${temp} R=${rgb[0]} G=${rgb[1]} B=${rgb[2]}` : formatResult(result.data, config);
+        console.log(`${chalk.green('✓')} ${config.isSetCommand ? `${config.label} set: ${detail}` : detail}`);
+      } else {
+        console.log(`${chalk.red('✗')} Error: ${result.error}`);
+      }
+    }
+
+    process.exit(result.success ? 0 : 1);
+  });
+
+/**
+ * Run a `<category> <item> [value]` command (rf, gen) and exit with its status
+ * @param {string} category - Command category in the command map
+ * @param {string} item - Command action
+ * @param {string} [value] - Value for set commands
+ * @param {object} target - { port, baud, portOption } of the UART to use
+ */
+async function runItemCommand(category, item, value, { port, baud, portOption }) {
+  const options = program.opts();
+
+  if (!port) {
+    console.error(chalk.red(`Error: Serial port is required. Use ${portOption} option.`));
+    process.exit(1);
+  }
+
+  const action = item.toLowerCase();
+  const config = getCommandConfig(category, action);
+  if (!config) {
+    console.error(chalk.red(`Error: Unknown ${category} command: ${item}. Valid: ${availableCommands[category].join(', ')}`));
+    process.exit(1);
+  }
+  if (config.isSetCommand && value === undefined) {
+    console.error(chalk.red(`Error: ${category} ${action} requires a value. ${config.hint || ''}`));
+    process.exit(1);
+  }
+
+  await ensureSupported(`${category} ${item}`, (profile) => isCliCommandSupported(profile, category, action));
+
+  const result = await executeCommand(
+    port,
+    parseInt(baud),
+    category,
+    action,
+    config.isSetCommand ? value : null,
+    options.timeout ? parseInt(options.timeout) : null
+  );
+
+  if (options.json) {
+    console.log(formatResultJson(result));
+  } else {
+    if (result.success) {
+      const detail = config.isSetCommand ? `${config.label} set to ${value}` : formatResult(result.data, config);
+      console.log(`${chalk.green('✓')} ${detail}`);
+    } else {
+      console.log(`${chalk.red('✗')} Error: ${result.error}`);
+    }
+  }
+
+  process.exit(result.success ? 0 : 1);
+}
+
+// rf command — RF auto test (protocol 0x01)
+program
+  .command('rf <item> [value]')
+  .description(`RF test (${availableCommands.rf.join(', ')}), e.g. rf tune 474000`)
+  .action(async (item, value) => {
+    const options = program.opts();
+    await runItemCommand('rf', item, value, { port: options.port, baud: options.baud, portOption: '-p or --port' });
+  });
+
+// gen command — signal generator on a second UART (protocol 0x04)
+program
+  .command('gen <item> [value]')
+  .description(`Signal generator (${availableCommands.gen.join(', ')}), e.g. gen pattern colorbar`)
+  .action(async (item, value) => {
+    const options = program.opts();
+    await runItemCommand('gen', item, value, { port: options.genPort, baud: options.genBaud, portOption: '-g or --gen-port' });
+  });
+
 // burn command
 program
-  .command('burn <type> <file>')
-  .description('Burn key file to device (hdcp14, hdcp22)')
-  .action(async (type, file) => {
+  .command('burn <type> [file]')
+  .description(`Burn key file to device (${Object.keys(FILE_TYPE_NAMES).join(', ')}), or the next key of an inventory`)
+  .option('--protocol <mode>', `transfer protocol: ${Object.values(BURN_PROTOCOL).join(', ')} (auto: generic, legacy HDCP if unknown)`, BURN_PROTOCOL.AUTO)
+  .option('--existing <policy>', `when a key of the type is already burned: ${Object.values(EXISTING_KEY_POLICY).join(', ')}`, EXISTING_KEY_POLICY.ABORT)
+  .option('--no-validate', 'burn without checking the key file format')
+  .option('--inventory <name>', 'draw the next unused key from this key inventory instead of a file')
+  .option('--device <id>', 'receiving device (MAC, DSN or barcode), recorded in the inventory ledger')
+  .option('--vault <name>', 'burn this key of the encrypted key vault instead of a file (asks for the passphrase)')
+  .option('--pacing <strategy>', `pause between data packets: ${Object.values(BURN_PACING).join(', ')}`, BURN_PACING.ADAPTIVE)
+  .option('--benchmark', 'send the file once per pacing strategy without its CRC and compare the throughput')
+  .option('--confirm-benchmark', 'confirm that --benchmark sends the key file to the device (generic protocol only)')
+  .option('--operator <name>', 'operator recorded in the burn audit log (default: $COMTEST_OPERATOR or the OS user)')
+  .action(async (type, file, cmdOptions) => {
     const options = program.opts();
 
     if (!options.port) {
@@ -200,23 +423,77 @@ program
       process.exit(1);
     }
 
+    const pacing = cmdOptions.pacing.toLowerCase();
+    if (!Object.values(BURN_PACING).includes(pacing)) {
+      console.error(chalk.red(`Error: Unknown pacing: ${cmdOptions.pacing}. Valid: ${Object.values(BURN_PACING).join(', ')}`));
+      process.exit(1);
+    }
+
+    if (cmdOptions.benchmark) {
+      if (!file || cmdOptions.inventory) {
+        console.error(chalk.red('Error: --benchmark needs a key file (inventory keys are not drawn for it)'));
+        process.exit(1);
+      }
+      await ensureSupported(`burn ${type}`, (profile) => isKeyTypeSupported(profile, keyType));
+      await runBurnBenchmark(options, keyType, file, cmdOptions);
+      return;
+    }
+
+    if ([file, cmdOptions.inventory, cmdOptions.vault].filter(Boolean).length !== 1) {
+      console.error(chalk.red('Error: Give either a key file, --inventory <name> or --vault <name>'));
+      process.exit(1);
+    }
+    if (cmdOptions.inventory && !cmdOptions.device) {
+      console.error(chalk.red('Error: --device <id> is required with --inventory'));
+      process.exit(1);
+    }
+
+    await ensureSupported(`burn ${type}`, (profile) => isKeyTypeSupported(profile, keyType));
+
+    let passphrase;
+    if (cmdOptions.vault) {
+      try {
+        passphrase = await readPassphrase();
+      } catch (err) {
+        console.error(chalk.red(`Error: ${err.message}`));
+        process.exit(1);
+      }
+    }
+
     const result = await executeBurnCommand(
       options.port,
       parseInt(options.baud),
       keyType,
-      file,
+      file || null,
       {
-        timeout: parseInt(options.timeout),
+        timeout: options.timeout ? parseInt(options.timeout) : undefined,
+        protocol: cmdOptions.protocol.toLowerCase(),
+        existing: cmdOptions.existing.toLowerCase(),
+        pacing,
+        validate: cmdOptions.validate,
+        inventory: cmdOptions.inventory,
+        device: cmdOptions.device,
+        vault: cmdOptions.vault,
+        passphrase,
+        operator: cmdOptions.operator,
         json: options.json,
         debug: options.debug,
       }
     );
 
     if (options.json) {
-      console.log(JSON.stringify(result.success ? { success: true, ...result.data } : { success: false, error: result.error }, null, 2));
+      console.log(JSON.stringify(result.success ? { success: true, ...result.data } : result, null, 2));
     } else {
-      if (result.success) {
-        console.log(`${chalk.green('✓')} ${type} key burned successfully (${result.data.fileSize} bytes, ${result.data.packets} packets)`);
+      const { verification } = result.success ? result.data : result;
+      if (result.success && result.data.skipped) {
+        console.log(`${chalk.yellow('-')} ${type} key ${result.data.existingFileId} already on the device, ${verification.status === VERIFY_STATUS.VERIFIED ? 'same key file' : 'another key file'}; skipped`);
+      } else if (result.success) {
+        const identity = result.data.key && result.data.key.identity;
+        console.log(`${chalk.green('✓')} ${type} key${identity ? ` ${identity.label} ${identity.value}` : ''} burned successfully (${result.data.fileSize} bytes, ${result.data.packets} packets, ${result.data.protocol} protocol)`);
+        console.log(chalk.gray(`  file ID ${result.data.fileId}, readback ${verification.status}, ${formatThroughput(result.data) || 'rate n/a'} (${result.data.pacing} pacing, ${result.data.retransmissions} retransmissions)`));
+        if (result.data.inventory) {
+          console.log(chalk.gray(`  recorded as key ${result.data.inventory.index} of ${result.data.inventory.name} for device ${result.data.inventory.device}`));
+        }
       } else {
         console.log(`${chalk.red('✗')} Error: ${result.error}`);
       }
@@ -225,10 +502,109 @@ program
     process.exit(result.success ? 0 : 1);
   });
 
+/**
+ * Run `burn <type> <file> --benchmark` and exit: 0 when at least one strategy completed
+ * @param {object} options - Global program options
+ * @param {string} keyType - FILE_TYPE_NAMES key
+ * @param {string} file - File to send
+ * @param {object} cmdOptions - burn command options
+ */
+async function runBurnBenchmark(options, keyType, file, cmdOptions) {
+  const result = await executeBurnBenchmark(options.port, parseInt(options.baud), keyType, file, {
+    timeout: options.timeout ? parseInt(options.timeout) : undefined,
+    protocol: cmdOptions.protocol.toLowerCase(),
+    confirm: cmdOptions.confirmBenchmark,
+    validate: cmdOptions.validate,
+    operator: cmdOptions.operator,
+    json: options.json,
+    debug: options.debug,
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify(result.success ? { success: true, ...result.data } : result, null, 2));
+  } else if (!result.success) {
+    console.log(`${chalk.red('✗')} Error: ${result.error}`);
+    if (result.problems) result.problems.forEach((problem) => console.log(`  ${chalk.red('✗')} ${problem}`));
+  } else {
+    const fastest = result.data.results.filter((r) => r.success).sort((a, b) => a.elapsed - b.elapsed)[0];
+    console.log(chalk.cyan(`Pacing benchmark: ${keyType}, ${result.data.fileSize} bytes`));
+    for (const r of result.data.results) {
+      const mark = r === fastest ? chalk.green('*') : ' ';
+      const stats = r.success
+        ? `${(r.elapsed / 1000).toFixed(2)}s  ${formatThroughput(r) || 'rate n/a'}  ${r.packets} packets, ${r.retransmissions} retransmissions`
+        : chalk.red(`failed: ${r.error}`);
+      console.log(`${mark} ${r.pacing.padEnd(10)} ${stats}`);
+    }
+  }
+
+  process.exit(result.success && result.data.results.some((r) => r.success) ? 0 : 1);
+}
+
+// keys command — GET_FILE_ID of every key slot at once
+program
+  .command('keys [types...]')
+  .description('Show the key ID of every key type (or the given type names / type bytes 0-255)')
+  .action(async (types) => {
+    const options = program.opts();
+
+    if (!options.port) {
+      console.error(chalk.red('Error: Serial port is required. Use -p or --port option.'));
+      process.exit(1);
+    }
+
+    let slots;
+    try {
+      slots = types.length > 0 ? types : Object.keys(FILE_TYPE_NAMES);
+      slots.forEach(resolveKeySlot);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+
+    await ensureSupported('keys', (profile) => isCommandSupported(profile, 'getKeyId'));
+    if (types.length === 0) {
+      const profile = await selectedProfile();
+      slots = slots.filter((type) => isKeyTypeSupported(profile, type));
+    }
+
+    const client = new SerialClient(options.port, parseInt(options.baud));
+    try {
+      await client.connect();
+      const keys = await readKeyStatus((packet, requestOptions) => client.request(packet, requestOptions), {
+        slots,
+        timeout: options.timeout ? parseInt(options.timeout) : undefined,
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify({ success: true, keys }, null, 2));
+      } else {
+        const statusColor = {
+          [KEY_SLOT_STATUS.BURNED]: chalk.green,
+          [KEY_SLOT_STATUS.EMPTY]: chalk.gray,
+          [KEY_SLOT_STATUS.UNSUPPORTED]: chalk.yellow,
+          [KEY_SLOT_STATUS.NO_RESPONSE]: chalk.red,
+        };
+        keys.forEach((key) => {
+          console.log(`${key.label.padEnd(10)} ${statusColor[key.status](key.status.padEnd(12))} ${key.keyName}`);
+        });
+      }
+      process.exit(0);
+    } catch (err) {
+      if (options.json) {
+        console.log(JSON.stringify(toErrorResult(err), null, 2));
+      } else {
+        console.error(chalk.red(`Error: ${err.message}`));
+      }
+      process.exit(1);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
 // play command — play channel by ID
 program
   .command('play <channelId>')
-  .description('Play a channel by its channel ID')
+  .description('Play a channel by its channel ID (decimal or 0x hex, up to 64 bits)')
   .action(async (channelId) => {
     const options = program.opts();
 
@@ -237,70 +613,533 @@ program
       process.exit(1);
     }
 
-    const id = parseInt(channelId);
-    if (isNaN(id)) {
-      console.error(chalk.red('Error: Channel ID must be a number.'));
+    // Kept as a string: 64-bit IDs do not fit a Number
+    let hexCommand;
+    try {
+      hexCommand = buildRequest('playChannel', channelId);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}.`));
       process.exit(1);
     }
 
+    await ensureSupported('play', (profile) => isCommandSupported(profile, 'playChannel'));
+
     const client = new SerialClient(options.port, parseInt(options.baud));
     try {
       await client.connect();
-      const hexCommand = _CB.playChannel(id);
-      const response = await client.sendCommand(hexCommand, parseInt(options.timeout));
-      const parsed = parsePlayChannelResponse(response);
+      const timeout = options.timeout ? parseInt(options.timeout) : getCommandSchema('playChannel').timeout;
+      const response = await client.sendCommand(hexCommand, timeout);
+      const parsed = parseResponse('playChannel', response);
 
       if (options.json) {
-        console.log(JSON.stringify({ success: parsed.success, ...parsed }, null, 2));
+        console.log(JSON.stringify({ success: parsed.success, channelId, ...parsed }, null, 2));
       } else {
         if (parsed.success) {
           console.log(`${chalk.green('✓')} Playing channel ${channelId}`);
         } else {
-          console.log(`${chalk.red('✗')} Error: ${parsed.error || parsed.display}`);
+          console.log(`${chalk.red('✗')} Error: ${parsed.error}`);
         }
       }
       process.exit(parsed.success ? 0 : 1);
+    } catch (err) {
+      if (options.json) {
+        console.log(JSON.stringify(toErrorResult(err), null, 2));
+      } else {
+        console.error(chalk.red(`Error: ${err.message}`));
+      }
+      process.exit(1);
+    } finally {
+      await client.disconnect();
+    }
+  });
+
+// dissect command — annotate captured frames (no port needed)
+program
+  .command('dissect <hex...>')
+  .description('Decode CVTE frames field by field from HEX bytes')
+  .action((hex) => {
+    const options = program.opts();
+    const bytes = hexToPacket(hex.join('').replace(/0x|[^0-9a-fA-F]/g, ''));
+    // A single incomplete or garbled frame is still worth annotating
+    const found = dissectStream(bytes);
+    const frames = found.length > 0 || bytes.length === 0 ? found : [dissectFrame(bytes)];
+
+    if (options.json) {
+      console.log(JSON.stringify(frames, null, 2));
+    } else if (frames.length === 0) {
+      console.error(chalk.red('Error: No HEX bytes given.'));
+    } else {
+      frames.forEach((frame, i) => {
+        if (i > 0) console.log();
+        const [title, ...lines] = formatDissection(frame).split('\n');
+        console.log(frame.valid ? chalk.cyan(title) : chalk.red(title));
+        lines.forEach((line) => console.log(line.startsWith('!') ? chalk.red(line) : line));
+      });
+    }
+    process.exit(frames.length > 0 && frames.every((frame) => frame.valid) ? 0 : 1);
+  });
+
+// check-key command — validate a key file offline (no port needed)
+program
+  .command('check-key <type> <file>')
+  .description('Check a key file against the format of its key type and show its identity')
+  .action((type, file) => {
+    const options = program.opts();
+    const fileType = FILE_TYPE_NAMES[type.toLowerCase()];
+    if (fileType === undefined) {
+      console.error(chalk.red(`Error: Unknown key type: ${type}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`));
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = validateKeyFile(fileType, fs.readFileSync(file));
     } catch (err) {
       console.error(chalk.red(`Error: ${err.message}`));
       process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify({ success: result.valid, ...result }, null, 2));
+    } else {
+      if (result.format) console.log(`${result.format}${result.identity ? `, ${formatKeyIdentity(result)}` : ''}`);
+      if (result.valid) {
+        console.log(`${chalk.green('✓')} Valid ${type} key file`);
+      } else {
+        result.problems.forEach((problem) => console.log(`${chalk.red('✗')} ${problem}`));
+      }
+    }
+    process.exit(result.valid ? 0 : 1);
+  });
+
+// inventory commands — key pools for batch burning (no port needed)
+const inventory = program
+  .command('inventory')
+  .description('Key inventories: import keys, show what was burned to which device');
+
+inventory
+  .command('import <name> <type> <source>')
+  .description('Import a directory of key files, or a bundle file, into an inventory (created if new)')
+  .option('--record-size <bytes>', 'bytes per key in a bundle, when more than one key size fits')
+  .action(async (name, type, source, cmdOptions) => {
+    const options = program.opts();
+    try {
+      const { summary, imported } = await importKeys(name, type.toLowerCase(), source, {
+        recordSize: cmdOptions.recordSize ? parseInt(cmdOptions.recordSize) : undefined,
+      });
+      if (options.json) {
+        console.log(JSON.stringify({ success: true, imported, ...summary }, null, 2));
+      } else {
+        console.log(`${chalk.green('✓')} Imported ${imported} ${summary.keyType} keys into ${name} (${summary.unused} unused of ${summary.total})`);
+      }
+      process.exit(0);
+    } catch (err) {
+      if (options.json) {
+        console.log(JSON.stringify({ ...toErrorResult(err), problems: err.problems }, null, 2));
+      } else {
+        console.error(chalk.red(`Error: ${err.message}`));
+        (err.problems || []).forEach((problem) => console.error(`  ${chalk.red('✗')} ${problem}`));
+      }
+      process.exit(1);
+    }
+  });
+
+inventory
+  .command('list')
+  .description('List key inventories with their unused / reserved / consumed counts')
+  .action(async () => {
+    const options = program.opts();
+    const summaries = (await Promise.all((await listInventories()).map((name) => loadInventory(name))))
+      .map(summarizeInventory);
+
+    if (options.json) {
+      console.log(JSON.stringify(summaries, null, 2));
+      return;
+    }
+    if (summaries.length === 0) {
+      console.log('No key inventories. Create one with: comtest-cli inventory import <name> <type> <dir|bundle>');
+      return;
+    }
+    summaries.forEach((s) => {
+      console.log(`${chalk.cyan(s.name)} (${s.keyType}): ${s.unused} unused, ${s.reserved} reserved, ${s.consumed} consumed of ${s.total}`);
+    });
+  });
+
+inventory
+  .command('show <name>')
+  .description('Show every key of an inventory and the device it went to')
+  .action(async (name) => {
+    const options = program.opts();
+    let ledger;
+    try {
+      ledger = await loadInventory(name);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(ledger, null, 2));
+      return;
+    }
+    const statusColor = { [KEY_STATUS.UNUSED]: chalk.gray, [KEY_STATUS.RESERVED]: chalk.yellow, [KEY_STATUS.CONSUMED]: chalk.green };
+    ledger.keys.forEach((key) => {
+      const identity = key.identity ? `${key.identity.label} ${key.identity.value}` : key.source;
+      const consumed = key.consumedAt && [key.consumedAt, key.verification && `readback ${key.verification}`].filter(Boolean).join(', ');
+      const device = key.device ? ` -> ${key.device}${consumed ? ` (${consumed})` : ''}` : '';
+      console.log(`${String(key.index).padStart(5)}  ${statusColor[key.status](key.status.padEnd(8))}  ${identity}${device}`);
+    });
+  });
+
+inventory
+  .command('release <name> <index>')
+  .description('Return a reserved key to the unused pool (e.g. after an interrupted burn that left nothing on the device)')
+  .action(async (name, index) => {
+    const options = program.opts();
+    try {
+      const key = await releaseKey(name, parseInt(index));
+      if (options.json) {
+        console.log(JSON.stringify({ success: key.status === KEY_STATUS.UNUSED, ...key }, null, 2));
+      } else if (key.status === KEY_STATUS.UNUSED) {
+        console.log(`${chalk.green('✓')} Key ${key.index} of ${name} is unused again`);
+      } else {
+        console.log(`${chalk.red('✗')} Key ${key.index} of ${name} is ${key.status}, not reserved`);
+      }
+      process.exit(key.status === KEY_STATUS.UNUSED ? 0 : 1);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// vault commands — keys stored encrypted under an operator passphrase (no port needed)
+const vault = program
+  .command('vault')
+  .description('Encrypted key vault: import keys, list them, burn them with burn <type> --vault <name>');
+
+/**
+ * Print a vault command failure and exit
+ * @param {Error} err - Failure
+ */
+function vaultError(err) {
+  if (program.opts().json) {
+    console.log(JSON.stringify({ ...toErrorResult(err), problems: err.problems }, null, 2));
+  } else {
+    console.error(chalk.red(`Error: ${err.message}`));
+    (err.problems || []).forEach((problem) => console.error(`  ${chalk.red('✗')} ${problem}`));
+  }
+  process.exit(1);
+}
+
+vault
+  .command('init')
+  .description(`Create the key vault (${process.env.COMTEST_VAULT_DIR ? '$COMTEST_VAULT_DIR' : '~/.comtest/vault'}) under a new passphrase`)
+  .action(async () => {
+    try {
+      lockVault(await createVault(await readPassphrase({ prompt: 'New vault passphrase: ', confirm: true })));
+      console.log(program.opts().json ? JSON.stringify({ success: true }, null, 2) : `${chalk.green('✓')} Key vault created`);
+      process.exit(0);
+    } catch (err) {
+      vaultError(err);
+    }
+  });
+
+vault
+  .command('import <name> <type> <file>')
+  .description('Encrypt a key file into the vault under a name (delete the plain file afterwards)')
+  .action(async (name, type, file) => {
+    let unlocked = null;
+    let data = null;
+    let entry;
+    let failure = null;
+    try {
+      unlocked = await unlockVault(await readPassphrase());
+      data = fs.readFileSync(file);
+      entry = await importVaultKey(unlocked, name, type.toLowerCase(), data);
+    } catch (err) {
+      failure = err;
+    } finally {
+      zeroize(data);
+      lockVault(unlocked);
+    }
+    if (failure) vaultError(failure);
+
+    if (program.opts().json) {
+      console.log(JSON.stringify({ success: true, ...entry }, null, 2));
+    } else {
+      const identity = entry.identity ? ` ${entry.identity.label} ${entry.identity.value}` : '';
+      console.log(`${chalk.green('✓')} ${entry.keyType} key${identity} stored in the vault as ${entry.name}`);
+    }
+    process.exit(0);
+  });
+
+vault
+  .command('list')
+  .description('List the keys in the vault (no passphrase needed)')
+  .action(async () => {
+    let keys;
+    try {
+      keys = await listVaultKeys();
+    } catch (err) {
+      vaultError(err);
+    }
+    if (program.opts().json) {
+      console.log(JSON.stringify(keys, null, 2));
+      return;
+    }
+    if (keys.length === 0) {
+      console.log('The key vault is empty. Add keys with: comtest-cli vault import <name> <type> <file>');
+      return;
+    }
+    keys.forEach((key) => {
+      const identity = key.identity ? `${key.identity.label} ${key.identity.value}` : `${key.size} bytes`;
+      console.log(`${chalk.cyan(key.name)} (${key.keyType}): ${identity}, imported ${key.importedAt}`);
+    });
+  });
+
+vault
+  .command('remove <name>')
+  .description('Delete a key from the vault')
+  .action(async (name) => {
+    try {
+      const entry = await removeVaultKey(name);
+      console.log(program.opts().json ? JSON.stringify({ success: true, ...entry }, null, 2) : `${chalk.green('✓')} Removed ${entry.name} from the vault`);
+      process.exit(0);
+    } catch (err) {
+      vaultError(err);
+    }
+  });
+
+// audit commands — hash-chained log of every burn attempt (no port needed)
+const audit = program
+  .command('audit')
+  .description(`Burn audit log (${process.env.COMTEST_AUDIT_LOG ? '$COMTEST_AUDIT_LOG' : '~/.comtest/audit/burns.jsonl'}): verify its hash chain, export it`);
+
+audit
+  .command('verify')
+  .description('Check that no entry was changed, removed or reordered (exit 1 at the first broken entry)')
+  .action(async () => {
+    const options = program.opts();
+    let result;
+    try {
+      result = await verifyAuditLog();
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.valid) {
+      console.log(`${chalk.green('✓')} Audit log intact: ${result.entries} entries${result.entries > 0 ? `, last hash ${result.lastHash}` : ''}`);
+    } else {
+      const { line, seq, reason } = result.broken;
+      console.log(`${chalk.red('✗')} Audit log broken at line ${line}${seq !== null ? ` (entry ${seq})` : ''}: ${reason}`);
+    }
+    process.exit(result.valid ? 0 : 1);
+  });
+
+audit
+  .command('export [file]')
+  .description('Write the log as CSV to a file, or to stdout')
+  .action(async (file) => {
+    try {
+      const entries = await readAuditLog();
+      const csv = toAuditCsv(entries);
+      if (file) {
+        fs.writeFileSync(file, csv);
+        console.error(`${chalk.green('✓')} Exported ${entries.length} entries to ${file}`);
+      } else {
+        process.stdout.write(csv);
+      }
+      process.exit(0);
+    } catch (err) {
+      console.error(chalk.red(`Error: ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// probe command — record which commands the connected model supports as a device profile
+program
+  .command('probe <name>')
+  .description('Probe supported commands, key types and sources; save them as a device profile')
+  .option('--model <text>', 'model / chassis description stored with the profile')
+  .option('--sources', 'also probe every source (switches the TV input, restored afterwards)')
+  .action(async (name, cmdOptions) => {
+    const options = program.opts();
+
+    if (!options.port) {
+      console.error(chalk.red('Error: Serial port is required. Use -p or --port option.'));
+      process.exit(1);
+    }
+
+    const client = new SerialClient(options.port, parseInt(options.baud));
+    try {
+      validateProfileName(name);
+      await client.connect();
+      const probe = await probeDevice((packet, requestOptions) => client.request(packet, requestOptions), {
+        timeout: options.timeout ? parseInt(options.timeout) : undefined,
+        sources: cmdOptions.sources,
+        onProgress: options.json ? null : ({ done, total, step }) => {
+          process.stderr.write(`\r  [${done}/${total}] ${step}`.padEnd(70));
+        },
+      });
+      const profile = createProfile(name, probe, { model: cmdOptions.model });
+      const file = await saveProfile(profile);
+
+      if (options.json) {
+        console.log(JSON.stringify({ success: true, file, ...profile }, null, 2));
+      } else {
+        process.stderr.write('\n');
+        const summary = summarizeProfile(profile);
+        console.log(`${chalk.green('✓')} Saved device profile ${name} to ${file}`);
+        for (const [section, counts] of Object.entries(summary)) {
+          if (!counts) continue;
+          console.log(`  ${section}: ${counts[PROBE_STATUS.SUPPORTED]} supported, ${counts[PROBE_STATUS.UNSUPPORTED]} unsupported, ${counts[PROBE_STATUS.NO_RESPONSE]} no response`);
+          const unsupported = Object.keys(profile[section]).filter((key) => profile[section][key] === PROBE_STATUS.UNSUPPORTED);
+          if (unsupported.length > 0) {
+            console.log(chalk.gray(`    unsupported: ${unsupported.join(', ')}`));
+          }
+        }
+      }
+      process.exit(0);
+    } catch (err) {
+      if (options.json) {
+        console.log(JSON.stringify(toErrorResult(err), null, 2));
+      } else {
+        console.error(chalk.red(`\nError: ${err.message}`));
+      }
+      process.exit(1);
     } finally {
       await client.disconnect();
     }
   });
 
+// profiles command — list saved device profiles
+program
+  .command('profiles')
+  .description('List saved device profiles')
+  .action(async () => {
+    const options = program.opts();
+    const profiles = await Promise.all((await listProfiles()).map((name) => loadProfile(name)));
+
+    if (options.json) {
+      console.log(JSON.stringify(profiles.map(({ name, model, probedAt }) => ({ name, model, probedAt })), null, 2));
+      return;
+    }
+    if (profiles.length === 0) {
+      console.log('No device profiles saved. Create one with: comtest-cli -p <port> probe <name>');
+      return;
+    }
+    profiles.forEach((profile) => {
+      const counts = summarizeProfile(profile).commands;
+      console.log(`${chalk.cyan(profile.name)}${profile.model ? ` (${profile.model})` : ''}`);
+      console.log(chalk.gray(`  probed ${profile.probedAt}, ${counts[PROBE_STATUS.SUPPORTED]} supported / ${counts[PROBE_STATUS.UNSUPPORTED]} unsupported commands`));
+    });
+  });
+
 // help command to show available commands
 program
   .command('commands')
-  .description('Show available commands')
-  .action(() => {
-    const commands = getAvailableCommands();
-    console.log('Available commands:\n');
+  .description('Show available commands (with --profile: only those the device supports)')
+  .action(async () => {
+    const profile = await selectedProfile();
+    const available = getAvailableCommands(profile);
+    console.log(profile
+      ? `Available commands for ${profile.name}${profile.model ? ` (${profile.model})` : ''}:\n`
+      : 'Available commands:\n');
 
     console.log(chalk.cyan('Get commands:'));
-    commands.get.forEach((cmd) => console.log(`  get ${cmd}`));
+    available.get.forEach((cmd) => console.log(`  get ${cmd}`));
     console.log();
 
     console.log(chalk.cyan('Set commands:'));
-    console.log('  set source <name>');
-    console.log(chalk.gray('  Valid sources: atv, dtv, dvbs, hdmi1, hdmi2, vga, av1, av2, usb1, usb2'));
-    console.log('  set volume <0-100>');
-    console.log('  set channel <number>');
-    console.log('  set mac <address>');
-    console.log(chalk.gray('  Format: AA:BB:CC:DD:EE:FF'));
+    available.set.forEach((cmd) => {
+      console.log(`  set ${cmd} <value>`);
+      const hint = cmd === 'source' && profile && profile.sources
+        ? `Valid sources: ${Object.keys(SOURCE_IDS).filter((name) => isSourceSupported(profile, SOURCE_NAMES[SOURCE_IDS[name]])).join(', ')}`
+        : getCommandHint('set', cmd);
+      if (hint) {
+        console.log(chalk.gray(`  ${hint}`));
+      }
+    });
     console.log();
 
-    console.log(chalk.cyan('Play commands:'));
-    console.log('  play <channelId>');
-    console.log(chalk.gray('  Play channel by ID (from get channels)'));
-    console.log();
+    if (isCommandSupported(profile, 'playChannel')) {
+      console.log(chalk.cyan('Play commands:'));
+      console.log('  play <channelId>');
+      console.log(chalk.gray('  Play channel by ID (from get channels)'));
+      console.log();
+    }
 
     console.log(chalk.cyan('Test commands:'));
-    commands.test.forEach((cmd) => console.log(`  test ${cmd}`));
+    available.test.forEach((cmd) => console.log(`  test ${cmd}`));
+    console.log();
+
+    console.log(chalk.cyan('White balance commands:'));
+    available.wb.forEach((cmd) => {
+      const [op, kind] = cmd.split('-');
+      console.log(`  wb ${op} ${kind} <temp>${op === 'set' ? ' <r> <g> <b>' : ''}`);
+    });
+    console.log(chalk.gray(`  ${getCommandHint('wb', 'get-gain')}`));
+    console.log();
+
+    console.log(chalk.cyan('RF test commands:'));
+    available.rf.forEach((cmd) => {
+      const hint = getCommandHint('rf', cmd);
+      console.log(`  rf ${cmd}${hint ? ' <value>' : ''}`);
+      if (hint) {
+        console.log(chalk.gray(`  ${hint}`));
+      }
+    });
+    console.log();
+
+    console.log(chalk.cyan('Signal generator commands (-g <port>):'));
+    available.gen.forEach((cmd) => {
+      const hint = getCommandHint('gen', cmd);
+      console.log(`  gen ${cmd}${hint ? ' <value>' : ''}`);
+      if (hint) {
+        console.log(chalk.gray(`  ${hint}`));
+      }
+    });
     console.log();
 
     console.log(chalk.cyan('Burn commands:'));
-    console.log('  burn <type> <file>');
-    console.log(chalk.gray(`  Valid types: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`));
+    console.log('  burn <type> <file> [--protocol generic|legacy|auto] [--existing abort|skip|overwrite] [--no-validate]');
+    console.log('  burn <type> --inventory <name> --device <id>');
+    console.log('  burn <type> --vault <name>');
+    console.log('  burn <type> ... [--operator <name>]');
+    console.log(`  burn <type> <file> [--pacing ${Object.values(BURN_PACING).join('|')}] [--benchmark --confirm-benchmark]`);
+    console.log('  keys [types...]');
+    console.log(chalk.gray('  Key status: GET_FILE_ID of every key type, or of the given names / type bytes'));
+    console.log(chalk.gray(`  Valid types: ${Object.keys(FILE_TYPE_NAMES).filter((type) => isKeyTypeSupported(profile, type)).join(', ')}`));
+    console.log(chalk.gray('  legacy: HDCP command set (0x00-0x05) of older boards; auto falls back to it'));
+    console.log(chalk.gray('  GET_FILE_ID before (existing key policy) and after the burn (readback of the file ID)'));
+    console.log(chalk.gray('  --benchmark: send the file once per pacing strategy without its CRC (generic protocol) and compare bytes/s;'));
+    console.log(chalk.gray('    the key file is checked and the run logged like a burn'));
+    console.log(chalk.gray('  Every burn attempt is logged with station, operator, device MAC / DSN / barcode and key hash'));
+    console.log();
+
+    console.log(chalk.cyan('Dissect (no port needed):'));
+    console.log('  dissect <hex...>');
+    console.log(chalk.gray('  e.g. dissect FF 33 06 03 0C EB'));
+    console.log();
+
+    console.log(chalk.cyan('Key files (no port needed):'));
+    console.log('  check-key <type> <file>');
+    console.log(chalk.gray('  Format check and key identity (KSV, Receiver ID, keybox device ID, ...)'));
+    console.log('  inventory import <name> <type> <dir|bundle> [--record-size <bytes>]');
+    console.log('  inventory list | show <name> | release <name> <index>');
+    console.log(chalk.gray('  Key pools for batch burning: burn <type> --inventory <name> --device <id>'));
+    console.log('  vault init | import <name> <type> <file> | list | remove <name>');
+    console.log(chalk.gray('  Keys encrypted under a passphrase ($COMTEST_VAULT_PASSPHRASE or prompt): burn <type> --vault <name>'));
+    console.log('  audit verify | export [file]');
+    console.log(chalk.gray('  Burn audit log: check its hash chain, export it as CSV'));
+    console.log();
+
+    console.log(chalk.cyan('Device profiles:'));
+    console.log('  probe <name> [--model <text>] [--sources]');
+    console.log('  profiles');
   });
 
 // Parse arguments
@@ -0,0 +1,41 @@
+/**
+ * Key vault passphrase input
+ * Taken from $COMTEST_VAULT_PASSPHRASE (unattended stations), otherwise asked
+ * on the terminal without echo.
+ */
+
+import readline from 'readline';
+import { InvalidArgumentError } from '../shared/protocolErrors.js';
+
+export const PASSPHRASE_ENV = 'COMTEST_VAULT_PASSPHRASE';
+
+const ask = (prompt) => new Promise((resolve) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  process.stderr.write(prompt);
+  // Nothing typed is echoed
+  rl._writeToOutput = () => {};
+  rl.question('', (answer) => {
+    rl.close();
+    process.stderr.write('\n');
+    resolve(answer);
+  });
+});
+
+/**
+ * Read the vault passphrase
+ * @param {object} [options]
+ * @param {string} [options.prompt] - Terminal prompt
+ * @param {boolean} [options.confirm] - Ask twice (new vault)
+ * @returns {Promise<string>} Throws InvalidArgumentError without a terminal and without the variable
+ */
+export async function readPassphrase({ prompt = 'Vault passphrase: ', confirm = false } = {}) {
+  if (process.env[PASSPHRASE_ENV]) return process.env[PASSPHRASE_ENV];
+  if (!process.stdin.isTTY) {
+    throw new InvalidArgumentError(`No terminal to ask for the vault passphrase; set ${PASSPHRASE_ENV}`);
+  }
+  const passphrase = await ask(prompt);
+  if (confirm && await ask('Repeat passphrase: ') !== passphrase) {
+    throw new InvalidArgumentError('The passphrases do not match');
+  }
+  return passphrase;
+}
@@ -4,13 +4,16 @@
  */
 
 import { SerialPort } from 'serialport';
+import { TransactionQueue } from '../shared/transactionQueue.js';
+import { getRequestExpectation } from '../shared/commandSchema.js';
+import { ERROR_CODE, PortError } from '../shared/protocolErrors.js';
 
 export class SerialClient {
   constructor(portPath, baudRate = 115200) {
     this.portPath = portPath;
     this.baudRate = baudRate;
     this.port = null;
-    this.buffer = Buffer.alloc(0);
+    this.queue = null;
   }
 
   /**
@@ -25,9 +28,12 @@ export class SerialClient {
         autoOpen: false,
       });
 
+      this.queue = new TransactionQueue({ write: (bytes) => this._write(bytes) });
+      this.port.on('data', (data) => this.queue.push(data));
+
       this.port.open((err) => {
         if (err) {
-          reject(new Error(`Failed to open port ${this.portPath}: ${err.message}`));
+          reject(new PortError(`Failed to open port ${this.portPath}: ${err.message}`));
         } else {
           resolve();
         }
@@ -35,122 +41,74 @@ export class SerialClient {
     });
   }
 
-  /**
-   * Send command and wait for response
-   * @param {string} hexCommand - HEX command string (e.g., "FF 33 06 03 12 E5")
-   * @param {number} timeout - Response timeout in milliseconds
-   * @returns {Promise<Buffer>} Response data
-   */
-  async sendCommand(hexCommand, timeout = 3000) {
+  _write(bytes) {
     return new Promise((resolve, reject) => {
-      if (!this.port || !this.port.isOpen) {
-        reject(new Error('Port is not open'));
-        return;
-      }
-
-      // Parse hex command string to buffer
-      const hexBytes = hexCommand.replace(/\s+/g, '');
-      const buffer = Buffer.from(hexBytes, 'hex');
-
-      // Set timeout
-      const timer = setTimeout(() => {
-        reject(new Error(`Response timeout (${timeout}ms)`));
-      }, timeout);
-
-      // Clear previous buffer
-      this.buffer = Buffer.alloc(0);
-
-      // Listen for response
-      const onData = (data) => {
-        this.buffer = Buffer.concat([this.buffer, data]);
-
-        // Check if we have a complete packet
-        // Minimum packet length is 6, and byte[2] tells us the total length
-        if (this.buffer.length >= 6) {
-          const packetLength = this.buffer[2];
-          if (this.buffer.length >= packetLength) {
-            clearTimeout(timer);
-            this.port.off('data', onData);
-            // Return only the complete packet
-            resolve(this.buffer.slice(0, packetLength));
-          }
-        }
-      };
-
-      this.port.on('data', onData);
-
-      // Send command
+      // Data packets carry key bytes: zero the copy once it is written
+      const buffer = Buffer.from(bytes);
       this.port.write(buffer, (err) => {
+        buffer.fill(0);
         if (err) {
-          clearTimeout(timer);
-          this.port.off('data', onData);
-          reject(new Error(`Failed to send command: ${err.message}`));
+          reject(new PortError(`Failed to send: ${err.message}`));
+        } else {
+          resolve();
         }
       });
     });
   }
 
   /**
-   * Send raw buffer without waiting for response
-   * @param {Buffer} buffer - Data to send
-   * @returns {Promise<void>}
+   * Send a packet through the transaction queue and wait for its response
+   * @param {number[]|Uint8Array|Buffer} packet - Complete packet
+   * @param {object} [options] - TransactionQueue.request options (expect, timeout, retries, signal)
+   * @returns {Promise<Buffer>} Response frame
    */
-  async sendRaw(buffer) {
-    return new Promise((resolve, reject) => {
-      if (!this.port || !this.port.isOpen) {
-        reject(new Error('Port is not open'));
-        return;
-      }
-      this.port.write(buffer, (err) => {
-        if (err) {
-          reject(new Error(`Failed to send: ${err.message}`));
-        } else {
-          resolve();
-        }
-      });
-    });
+  async request(packet, options = {}) {
+    if (!this.isOpen()) {
+      throw new PortError('Port is not open', ERROR_CODE.PORT_CLOSED);
+    }
+    const frame = await this.queue.request(packet, options);
+    return Buffer.from(frame);
   }
 
   /**
-   * Wait for a complete protocol response packet
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<Buffer>} Complete packet
+   * Send command and wait for response
+   * The expected response, default timeout and retries come from the command schema.
+   *
+   * @param {string} hexCommand - HEX command string (e.g., "FF 33 06 03 12 E5")
+   * @param {number} [timeout] - Response timeout in milliseconds
+   * @param {object} [options] - Overrides: expect, retries
+   * @returns {Promise<Buffer>} Response data
    */
-  async waitForResponse(timeout = 3000) {
-    return new Promise((resolve, reject) => {
-      if (!this.port || !this.port.isOpen) {
-        reject(new Error('Port is not open'));
-        return;
-      }
-
-      const timer = setTimeout(() => {
-        this.port.off('data', onData);
-        reject(new Error(`Response timeout (${timeout}ms)`));
-      }, timeout);
-
-      this.buffer = Buffer.alloc(0);
-
-      const onData = (data) => {
-        this.buffer = Buffer.concat([this.buffer, data]);
-        if (this.buffer.length >= 3) {
-          const packetLength = this.buffer[2];
-          if (this.buffer.length >= packetLength) {
-            clearTimeout(timer);
-            this.port.off('data', onData);
-            resolve(this.buffer.slice(0, packetLength));
-          }
-        }
-      };
-
-      this.port.on('data', onData);
+  async sendCommand(hexCommand, timeout = null, options = {}) {
+    const packet = Buffer.from(hexCommand.replace(/\s+/g, ''), 'hex');
+    const defaults = getRequestExpectation(packet);
+    return this.request(packet, {
+      expect: options.expect ?? defaults.expect,
+      timeout: timeout ?? defaults.timeout ?? 3000,
+      retries: options.retries ?? defaults.retries,
     });
   }
 
+  /**
+   * Send raw buffer without waiting for response (queued behind pending requests)
+   * @param {Buffer} buffer - Data to send
+   * @returns {Promise<void>}
+   */
+  async sendRaw(buffer) {
+    if (!this.isOpen()) {
+      throw new PortError('Port is not open', ERROR_CODE.PORT_CLOSED);
+    }
+    await this.queue.write(buffer);
+  }
+
   /**
    * Disconnect from serial port
    * @returns {Promise<void>}
    */
   async disconnect() {
+    if (this.queue) {
+      this.queue.close();
+    }
     if (this.port && this.port.isOpen) {
       return new Promise((resolve, reject) => {
         this.port.close((err) => {
@@ -169,7 +127,7 @@ export class SerialClient {
    * @returns {boolean}
    */
   isOpen() {
-    return this.port && this.port.isOpen;
+    return Boolean(this.port && this.port.isOpen);
   }
 
   /**
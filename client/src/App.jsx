@@ -1,91 +1,139 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { clsx } from 'clsx';
 import { Sidebar } from './components/Sidebar';
 import { LogViewer } from './components/LogViewer';
 import { CommandPanel } from './components/CommandPanel';
 import { DeviceTestPage } from './components/DeviceTestPage';
+import { PortTabs } from './components/PortTabs';
+import { PortOwnerBar } from './components/PortOwnerBar';
 import { socket } from './socket';
+import { onFrameError } from './utils/frameStream';
+import { FRAME_ERROR } from './utils/cvteProtocol';
+import { PortContext, usePorts, useActivePort, setActivePort } from './utils/portSessions';
+
+const appendLog = (prev, type, processedData) => {
+  const last = prev[prev.length - 1];
+
+  // Merge condition: Same type, and previous data didn't end with newline
+  if (last && last.type === type && (type === 'rx' || type === 'tx')) {
+    const lastView = new Uint8Array(last.data);
+    const lastByte = lastView[lastView.length - 1];
+
+    // Check for \n (10) or \r (13)
+    // If it DOES NOT end in newline, we merge the new data into the old block
+    if (lastByte !== 10 && lastByte !== 13) {
+      const newChunk = new Uint8Array(processedData);
+      const mergedBuffer = new Uint8Array(lastView.length + newChunk.length);
+      mergedBuffer.set(lastView);
+      mergedBuffer.set(newChunk, lastView.length);
+
+      // Return all prev except last, plus updated last
+      return [...prev.slice(0, -1), { ...last, data: mergedBuffer.buffer }];
+    }
+  }
+
+  return [...prev, { type, data: processedData, timestamp: Date.now() }];
+};
 
 function App() {
-  const [isConnected, setIsConnected] = useState(false);
-  const [logs, setLogs] = useState([]);
+  const ports = usePorts();
+  const activePort = useActivePort();
+  const [logs, setLogs] = useState({}); // Port id -> log entries
   const [error, setError] = useState('');
   const [currentPage, setCurrentPage] = useState('terminal'); // 'terminal' | 'device-test'
+  const [layout, setLayout] = useState('tabs'); // 'tabs' (active port) | 'lanes' (all ports side by side)
+
+  const addLog = useCallback((port, type, data) => {
+    let processedData = data;
+    if (typeof data === 'string') {
+        processedData = new TextEncoder().encode(data).buffer;
+    }
+    
+    setLogs(all => ({ ...all, [port]: appendLog(all[port] || [], type, processedData) }));
+  }, []);
 
   useEffect(() => {
     // Listeners
-    socket.on('connect', () => {
+    // Named handlers: the socket is shared, so only these may be removed again
+    const onConnect = () => {
       console.log('Connected to backend');
-    });
+    };
+    socket.on('connect', onConnect);
 
-    socket.on('port-opened', (info) => {
-      setIsConnected(true);
+    const onPortOpened = (info) => {
       setError('');
-      addLog('sys', `Port ${info.path} opened at ${info.baudRate}`);
-    });
+      addLog(info.port, 'sys', `Port ${info.path} opened at ${info.baudRate}`);
+    };
+    socket.on('port-opened', onPortOpened);
 
-    socket.on('port-closed', () => {
-      setIsConnected(false);
-      addLog('sys', 'Port closed');
-    });
+    const onPortClosed = ({ port } = {}) => {
+      if (port) addLog(port, 'sys', 'Port closed');
+    };
+    socket.on('port-closed', onPortClosed);
 
-    socket.on('serial-data', (data) => {
-      addLog('rx', data);
-    });
+    const onSerialData = ({ port, data }) => {
+      addLog(port, 'rx', data);
+    };
+    socket.on('serial-data', onSerialData);
 
-    socket.on('port-error', (msg) => {
-      setError(msg);
-      addLog('err', msg);
+    // Debug text between frames is normal; only report broken frames
+    const offFrameError = onFrameError((err, port) => {
+      if (err.type !== FRAME_ERROR.GARBAGE) {
+        addLog(port, 'err', err.message);
+      }
     });
 
-    socket.on('error', (msg) => {
+    const onPortError = ({ port, error: msg }) => {
+      setError(`${port}: ${msg}`);
+      addLog(port, 'err', msg);
+    };
+    socket.on('port-error', onPortError);
+
+    const onError = (msg) => {
        setError(msg);
-    });
+    };
+    socket.on('error', onError);
 
     return () => {
-      socket.off('connect');
-      socket.off('port-opened');
-      socket.off('port-closed');
-      socket.off('serial-data');
-      socket.off('port-error');
-      socket.off('error');
+      socket.off('connect', onConnect);
+      socket.off('port-opened', onPortOpened);
+      socket.off('port-closed', onPortClosed);
+      socket.off('serial-data', onSerialData);
+      offFrameError();
+      socket.off('port-error', onPortError);
+      socket.off('error', onError);
     };
-  }, []);
+  }, [addLog]);
 
-  const addLog = (type, data) => {
-    let processedData = data;
-    if (typeof data === 'string') {
-        processedData = new TextEncoder().encode(data).buffer;
-    }
-    
-    setLogs(prev => {
-        const last = prev[prev.length - 1];
-        
-        // Merge condition: Same type, and previous data didn't end with newline
-        if (last && last.type === type && (type === 'rx' || type === 'tx')) {
-            const lastView = new Uint8Array(last.data);
-            const lastByte = lastView[lastView.length - 1];
-            
-            // Check for \n (10) or \r (13)
-            // If it DOES NOT end in newline, we merge the new data into the old block
-            if (lastByte !== 10 && lastByte !== 13) {
-                 const newChunk = new Uint8Array(processedData);
-                 const mergedBuffer = new Uint8Array(lastView.length + newChunk.length);
-                 mergedBuffer.set(lastView);
-                 mergedBuffer.set(newChunk, lastView.length);
-                 
-                 // Return all prev except last, plus updated last
-                 return [...prev.slice(0, -1), { ...last, data: mergedBuffer.buffer }];
-            }
-        }
-        
-        return [...prev, { type, data: processedData, timestamp: Date.now() }];
-    });
-  };
+  // One lane per open port (one without a port while none is open); tabs show only the active one
+  const lanes = ports.length > 0 ? ports : [null];
+  const renderLanes = (renderLane) => (
+    <div className="flex-1 flex gap-2 min-h-0 overflow-x-auto">
+      {lanes.map((port) => {
+        const id = port ? port.id : null;
+        const shown = !port || layout === 'lanes' || id === activePort;
+        return (
+          <PortContext.Provider key={id ?? ''} value={id}>
+            <div
+              className={clsx(
+                "flex-1 flex flex-col gap-2 min-h-0",
+                !shown && "hidden",
+                layout === 'lanes' ? "min-w-[28rem]" : "min-w-0"
+              )}
+              onClick={() => { if (id && id !== activePort) setActivePort(id); }}
+            >
+              {port && <PortOwnerBar port={port} />}
+              {renderLane(port)}
+            </div>
+          </PortContext.Provider>
+        );
+      })}
+    </div>
+  );
 
   return (
     <div className="flex h-screen w-screen overflow-hidden bg-gray-100">
       <Sidebar
-        isConnected={isConnected}
         currentPage={currentPage}
         onPageChange={setCurrentPage}
       />
@@ -101,31 +149,48 @@ function App() {
               </div>
            )}
 
-           {/* Logs - Takes up most space */}
-           <div className="flex-1 min-h-0">
-              <LogViewer logs={logs} onClear={() => setLogs([])} isConnected={isConnected} />
-           </div>
-
-           {/* Command Panel - Fixed height at bottom */}
-           <div className="h-64 shrink-0">
-              <CommandPanel isConnected={isConnected} onSend={(data, isHex) => {
-                   // For TX log, if isHex is true, data is "01 02" string.
-                   // We need to store it as buffer so LogViewer can toggle views.
-                   if (isHex) {
-                      const cleanHex = data.replace(/\s+/g, '');
-                      const buffer = new Uint8Array(cleanHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
-                      addLog('tx', buffer.buffer);
-                   } else {
-                      addLog('tx', data);
-                   }
-              }} />
-           </div>
+           <PortTabs layout={layout} onLayoutChange={setLayout} />
+
+           {renderLanes((port) => (
+             <>
+               {layout === 'lanes' && port && (
+                 <div className={clsx("text-sm font-mono", port.id === activePort ? "text-blue-600" : "text-gray-500")}>{port.path}</div>
+               )}
+
+               {/* Logs - Takes up most space */}
+               <div className="flex-1 min-h-0">
+                  <LogViewer
+                    logs={(port && logs[port.id]) || []}
+                    onClear={() => port && setLogs(all => ({ ...all, [port.id]: [] }))}
+                    isConnected={Boolean(port && port.controlling)}
+                  />
+               </div>
+
+               {/* Command Panel - Fixed height at bottom */}
+               <div className="h-64 shrink-0">
+                  <CommandPanel isConnected={Boolean(port && port.controlling)} onSend={(data, isHex) => {
+                       // For TX log, if isHex is true, data is "01 02" string.
+                       // We need to store it as buffer so LogViewer can toggle views.
+                       if (isHex) {
+                          const cleanHex = data.replace(/\s+/g, '');
+                          const buffer = new Uint8Array(cleanHex.match(/.{1,2}/g).map(byte => parseInt(byte, 16)));
+                          addLog(port.id, 'tx', buffer.buffer);
+                       } else {
+                          addLog(port.id, 'tx', data);
+                       }
+                  }} />
+               </div>
+             </>
+           ))}
         </div>
       )}
 
-      {/* Device Test Page */}
+      {/* Device Test Page: one per port, as tabs or station lanes */}
       {currentPage === 'device-test' && (
-        <DeviceTestPage isConnected={isConnected} />
+        <div className="flex-1 flex flex-col p-2 gap-2 overflow-hidden">
+          <PortTabs layout={layout} onLayoutChange={setLayout} />
+          {renderLanes((port) => <DeviceTestPage isConnected={Boolean(port && port.controlling)} />)}
+        </div>
       )}
     </div>
   );
@@ -1,9 +1,11 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { socket } from '../socket';
+import { usePort } from '../utils/portSessions';
 import { CheckCircle, XCircle, Loader2, Send, Download } from 'lucide-react';
 import { clsx } from 'clsx';
 
 export const BarcodeCard = ({ isConnected }) => {
+  const port = usePort();
   const [barcode, setBarcode] = useState('');
   const [status, setStatus] = useState('idle');
   const [message, setMessage] = useState('');
@@ -18,6 +20,7 @@ export const BarcodeCard = ({ isConnected }) => {
     setMessage('Writing...');
 
     const onResult = (data) => {
+      if (data.port !== port) return;
       cleanup();
       if (data.success) {
         setStatus('success');
@@ -29,7 +32,7 @@ export const BarcodeCard = ({ isConnected }) => {
     };
 
     socket.on('set-barcode-result', onResult);
-    socket.emit('set-barcode', { barcode: barcode.trim() });
+    socket.emit('set-barcode', { port, barcode: barcode.trim() });
 
     const timer = setTimeout(() => {
       setStatus('error');
@@ -43,7 +46,7 @@ export const BarcodeCard = ({ isConnected }) => {
       cleanupRef.current = null;
     };
     cleanupRef.current = cleanup;
-  }, [isConnected, barcode]);
+  }, [isConnected, port, barcode]);
 
   const handleGet = useCallback(() => {
     if (!isConnected) return;
@@ -54,6 +57,7 @@ export const BarcodeCard = ({ isConnected }) => {
     setMessage('Reading...');
 
     const onResult = (data) => {
+      if (data.port !== port) return;
       cleanup();
       if (data.success) {
         setStatus('success');
@@ -65,7 +69,7 @@ export const BarcodeCard = ({ isConnected }) => {
     };
 
     socket.on('get-barcode-result', onResult);
-    socket.emit('get-barcode');
+    socket.emit('get-barcode', { port });
 
     const timer = setTimeout(() => {
       setStatus('error');
@@ -79,7 +83,7 @@ export const BarcodeCard = ({ isConnected }) => {
       cleanupRef.current = null;
     };
     cleanupRef.current = cleanup;
-  }, [isConnected]);
+  }, [isConnected, port]);
 
   const statusIcon = {
     idle: null,
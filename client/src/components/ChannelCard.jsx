@@ -1,5 +1,6 @@
 import React, { useState, useRef, useCallback } from 'react';
-import { socket } from '../socket';
+import { transact, isTimeoutError, failureDisplay } from '../utils/transaction';
+import { usePort } from '../utils/portSessions';
 import { Tv, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { clsx } from 'clsx';
 import { CommandBuilder, PROTOCOL } from '../utils/cvteProtocol';
@@ -9,6 +10,7 @@ import { parsePlayChannelResponse } from '../utils/responseParsers';
  * Channel play card for switching to a specific channel by ID
  */
 export const ChannelPlayCard = ({ isConnected = false, timeout = 5000 }) => {
+  const port = usePort();
   const [channelId, setChannelId] = useState('');
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
@@ -24,16 +26,15 @@ export const ChannelPlayCard = ({ isConnected = false, timeout = 5000 }) => {
     setStatus('pending');
     setResult(null);
 
-    const id = parseInt(channelId);
-    if (isNaN(id)) {
+    // The ID stays a string: 64-bit service IDs do not fit a Number
+    let command;
+    try {
+      command = CommandBuilder.playChannel(channelId.trim());
+    } catch (err) {
       setStatus('error');
-      setResult({ display: 'Invalid channel ID', success: false });
+      setResult({ display: err.message, success: false });
       return;
     }
-
-    const command = CommandBuilder.playChannel(id);
-    socket.emit('send-data', { data: command, type: 'hex' });
-
     const handleResponse = (data) => {
       try {
         const parsed = parsePlayChannelResponse(data);
@@ -46,22 +47,26 @@ export const ChannelPlayCard = ({ isConnected = false, timeout = 5000 }) => {
       cleanup();
     };
 
-    socket.on('serial-data', handleResponse);
-
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, timeout);
+    // The server queues the request and answers with this command's own response
+    let cancelled = false;
+    transact(command, { port, timeout })
+      .then((data) => {
+        if (!cancelled) handleResponse(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+        cleanup();
+      });
 
     const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
+      cancelled = true;
       cleanupRef.current = null;
     };
 
     cleanupRef.current = cleanup;
-  }, [isConnected, channelId, timeout]);
+  }, [isConnected, port, channelId, timeout]);
 
   const getStatusIcon = () => {
     switch (status) {
@@ -85,10 +90,10 @@ export const ChannelPlayCard = ({ isConnected = false, timeout = 5000 }) => {
 
       <div className="flex gap-2 mb-2">
         <input
-          type="number"
+          type="text"
           value={channelId}
           onChange={(e) => setChannelId(e.target.value)}
-          placeholder="Channel ID"
+          placeholder="Channel ID (decimal or 0x hex)"
           disabled={!isConnected}
           className={
             "flex-1 px-2 py-1.5 text-sm border rounded font-mono " +
@@ -1,8 +1,10 @@
 import React, { useState } from 'react';
 import { Send, Plus, X } from 'lucide-react';
 import { socket } from '../socket';
+import { usePort } from '../utils/portSessions';
 
 export const CommandPanel = ({ isConnected, onSend }) => {
+  const port = usePort();
   const [macros, setMacros] = useState([
     { id: 1, label: 'Hello', data: 'hello', isHex: false },
     { id: 2, label: 'Ping', data: '01 02 03', isHex: true },
@@ -23,6 +25,7 @@ export const CommandPanel = ({ isConnected, onSend }) => {
   const sendData = (data, isHex) => {
     if (!isConnected) return;
     socket.emit('send-data', { 
+        port,
         data: isHex ? data : data + (false ? '\r\n' : ''), // simplified crlf
         type: isHex ? 'hex' : 'ascii' 
     });
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { socket } from '../socket';
+import { ScanSearch, Loader2 } from 'lucide-react';
+import { clsx } from 'clsx';
+import { PROBE_STATUS, summarizeProfile } from '../utils/cvteProtocol';
+import { useDeviceProfile, setActiveProfile } from '../utils/deviceProfile';
+import { usePort } from '../utils/portSessions';
+
+/**
+ * Device profile selector and capability probe (Device Test page header)
+ * Profiles are stored by the server, in the same directory the CLI uses.
+ */
+export const DeviceProfileBar = ({ isConnected }) => {
+  const profile = useDeviceProfile();
+  const port = usePort();
+  const [names, setNames] = useState([]);
+  const [showProbe, setShowProbe] = useState(false);
+  const [name, setName] = useState('');
+  const [model, setModel] = useState('');
+  const [probeSources, setProbeSources] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const onList = (list) => setNames(list);
+    const onLoaded = (res) => {
+      if (res.success) {
+        setActiveProfile(res.profile);
+        setMessage(null);
+      } else {
+        setMessage({ text: res.error, success: false });
+      }
+    };
+    const onProgress = (p) => {
+      if (p.port === port) setProgress(p);
+    };
+    const onResult = (res) => {
+      if (res.port !== port) return;
+      setProgress(null);
+      if (res.success) {
+        const counts = summarizeProfile(res.profile).commands;
+        setActiveProfile(res.profile);
+        setShowProbe(false);
+        setMessage({
+          text: `${res.profile.name}: ${counts[PROBE_STATUS.SUPPORTED]} supported, ${counts[PROBE_STATUS.UNSUPPORTED]} unsupported`,
+          success: true,
+        });
+        socket.emit('list-profiles');
+      } else {
+        setMessage({ text: res.error, success: false });
+      }
+    };
+
+    socket.on('profiles-list', onList);
+    socket.on('profile-loaded', onLoaded);
+    socket.on('probe-progress', onProgress);
+    socket.on('probe-result', onResult);
+    socket.emit('list-profiles');
+
+    return () => {
+      socket.off('profiles-list', onList);
+      socket.off('profile-loaded', onLoaded);
+      socket.off('probe-progress', onProgress);
+      socket.off('probe-result', onResult);
+    };
+  }, [port]);
+
+  const selectProfile = (value) => {
+    if (value) {
+      socket.emit('load-profile', { name: value });
+    } else {
+      setActiveProfile(null);
+    }
+  };
+
+  const startProbe = () => {
+    setMessage(null);
+    setProgress({ done: 0, total: 1, step: 'Starting...' });
+    socket.emit('probe-device', { port, name: name.trim(), model: model.trim(), sources: probeSources });
+  };
+
+  const probing = progress !== null;
+  const inputClass = "px-2 py-1 text-xs border border-gray-300 rounded focus:border-blue-500 focus:outline-none";
+
+  return (
+    <div className="relative flex items-center gap-1.5">
+      <select
+        value={profile ? profile.name : ''}
+        onChange={(e) => selectProfile(e.target.value)}
+        disabled={probing}
+        className="px-2 py-0.5 text-xs border border-gray-300 rounded bg-white focus:border-blue-500 focus:outline-none"
+        title="Device profile"
+      >
+        <option value="">All commands</option>
+        {names.map((n) => (
+          <option key={n} value={n}>{n}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => setShowProbe((v) => !v)}
+        disabled={!isConnected || probing}
+        className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:text-gray-300"
+        title="Probe the connected device"
+      >
+        {probing ? <Loader2 size={14} className="animate-spin text-blue-500" /> : <ScanSearch size={14} />}
+      </button>
+      {message && (
+        <span className={clsx("text-xs truncate max-w-xs", message.success ? "text-green-600" : "text-red-600")}>
+          {message.text}
+        </span>
+      )}
+
+      {(showProbe || probing) && (
+        <div className="absolute right-0 top-full mt-1 z-10 w-72 bg-white border border-gray-200 rounded shadow p-2 flex flex-col gap-1.5">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Profile name (e.g. model-a)"
+            disabled={probing}
+            className={inputClass}
+          />
+          <input
+            value={model}
+            onChange={(e) => setModel(e.target.value)}
+            placeholder="Model / chassis (optional)"
+            disabled={probing}
+            className={inputClass}
+          />
+          <label className="flex items-center gap-1.5 text-xs text-gray-600">
+            <input type="checkbox" checked={probeSources} onChange={(e) => setProbeSources(e.target.checked)} disabled={probing} />
+            Probe sources (switches the TV input)
+          </label>
+          {probing ? (
+            <div>
+              <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${(progress.done / progress.total) * 100}%` }} />
+              </div>
+              <div className="text-xs text-gray-500 mt-1 truncate">{progress.done}/{progress.total} {progress.step}</div>
+            </div>
+          ) : (
+            <button
+              onClick={startProbe}
+              disabled={!isConnected || !name.trim()}
+              className={clsx(
+                "py-1 px-2 rounded text-xs font-medium",
+                isConnected && name.trim() ? "bg-blue-500 hover:bg-blue-600 text-white" : "bg-gray-200 text-gray-400 cursor-not-allowed"
+              )}
+            >
+              Probe and save
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
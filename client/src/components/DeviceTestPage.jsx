@@ -1,25 +1,21 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { CompactCommandCard } from './CompactCommandCard';
 import { SourceSelector, GetCurrentSource } from './SourceSelector';
 import { KeyBurnCard } from './KeyBurnCard';
+import { KeyStatusCard } from './KeyStatusCard';
 import { MacBurnCard } from './MacBurnCard';
 import { DsnCard } from './DsnCard';
 import { BarcodeCard } from './BarcodeCard';
 import { ChannelPlayCard } from './ChannelCard';
-import { Cpu, Info, TestTube, Tv, Key, Volume2, Hash, Usb } from 'lucide-react';
-import { COMMANDS, CommandBuilder, parseKeyIdResponse as _parseKeyId, PROTOCOL } from '../utils/cvteProtocol';
-import {
-  parseChecksumResponse,
-  parseIpResponse,
-  parseWifiResponse,
-  parseBluetoothResponse,
-  parseMacResponse,
-  parseChannelListResponse,
-  parseUsbNumberResponse,
-  parseCpuTempResponse,
-  parseEthSpeedResponse,
-  parseDsnResponse,
-} from '../utils/responseParsers';
+import { WhiteBalanceCard } from './WhiteBalanceCard';
+import { SignalGeneratorCard } from './SignalGeneratorCard';
+import { DeviceProfileBar } from './DeviceProfileBar';
+import { Cpu, Info, TestTube, Tv, Key, Volume2, Hash, Usb, Palette, Radio, MonitorPlay } from 'lucide-react';
+import { CommandBuilder, buildUiCommandList, buildRequest, parseResponse, formatValue, getCommandSchema, isCommandSupported, isKeyTypeSupported } from '../utils/cvteProtocol';
+import { useDeviceProfile } from '../utils/deviceProfile';
+import { describeResponse } from '../utils/responseParsers';
+import { transact, isTimeoutError, failureDisplay } from '../utils/transaction';
+import { usePort, usePorts } from '../utils/portSessions';
 import { socket } from '../socket';
 import { clsx } from 'clsx';
 
@@ -30,110 +26,43 @@ import { clsx } from 'clsx';
  * - Info Query (信息查询): Checksum, IP, MAC
  * - Module Test (模块测试): WiFi, Bluetooth
  * - Source Control (信源控制): Switch source, Get current source
+ * - RF Test (射频测试): Tuner frequency, signal strength/quality/BER, lock status (protocol 0x01)
+ * - White Balance (白平衡): R/G/B gain and offset per colour temperature (protocol 0x02)
+ * - Signal Generator (信号发生器): Timing/pattern on a second UART (protocol 0x04)
+ *
+ * With a device profile selected, tabs and cards only offer the commands the
+ * model supports.
  *
  * Based on CVTE Factory Auto Test Serial Communication Protocol v2.1.51
  */
 export const DeviceTestPage = ({ isConnected }) => {
   const [activeTab, setActiveTab] = useState('info');
-
-  const parseKeyId = (data) => {
-    const r = _parseKeyId(data);
-    if (!r.success) return { success: false, display: r.error || 'Unknown error' };
-    return { success: true, display: r.keyName || '(empty)' };
-  };
-
+  const port = usePort();
+  // Open, but controlled by another client
+  const observing = usePorts().some((p) => p.id === port && !p.controlling);
+  const profile = useDeviceProfile();
+  const supported = (name) => isCommandSupported(profile, name);
+
+  // Info query and module test cards come from the command schema (key ID cards: one per key type)
+  const withParser = (cmd) => ({ ...cmd, parseResponse: (data) => describeResponse(cmd.name, data) });
+  const offered = (cmd) => supported(cmd.name) && (cmd.name !== 'getKeyId' || isKeyTypeSupported(profile, cmd.id));
+  const uiCommands = (tab) => buildUiCommandList(tab).filter(offered).map(withParser);
+  const infoCommands = uiCommands('info');
+  const testCommands = uiCommands('test');
+  const rfCommands = uiCommands('rf');
+
+  // commands: tab is hidden when the profile supports none of them
   const tabs = [
     { id: 'info', label: 'Info Query', labelCN: '信息查询', icon: Info },
-    { id: 'test', label: 'Module Test', labelCN: '模块测试', icon: TestTube },
-    { id: 'source', label: 'Source Control', labelCN: '信源控制', icon: Tv },
-    { id: 'channel', label: 'Channel', labelCN: '频道控制', icon: Hash },
+    { id: 'test', label: 'Module Test', labelCN: '模块测试', icon: TestTube, commands: ['getWifiStatus', 'getBluetoothStatus'] },
+    { id: 'source', label: 'Source Control', labelCN: '信源控制', icon: Tv, commands: ['setSource', 'getSource', 'setVolume'] },
+    { id: 'channel', label: 'Channel', labelCN: '频道控制', icon: Hash, commands: ['getChannelList', 'playChannel', 'setChannelNumber'] },
+    { id: 'rf', label: 'RF Test', labelCN: '射频测试', icon: Radio, commands: ['setTunerFreq', 'getSignalStrength', 'getSignalQuality', 'getBer', 'getLockStatus'] },
+    { id: 'wb', label: 'White Balance', labelCN: '白平衡', icon: Palette, commands: ['getWbGain', 'setWbGain', 'getWbOffset', 'setWbOffset'] },
+    { id: 'gen', label: 'Signal Generator', labelCN: '信号发生器', icon: MonitorPlay },
     { id: 'burn', label: 'Key Burn', labelCN: '密钥烧录', icon: Key },
-  ];
-
-  // Info query commands
-  const infoCommands = [
-    {
-      id: 'checksum',
-      title: 'Checksum',
-      command: COMMANDS.GET_CHECKSUM,
-      timeout: 3000,
-      parseResponse: parseChecksumResponse,
-    },
-    {
-      id: 'ip',
-      title: 'IP Address',
-      command: COMMANDS.GET_IP,
-      timeout: 3000,
-      parseResponse: parseIpResponse,
-    },
-    {
-      id: 'mac',
-      title: 'MAC Address',
-      command: COMMANDS.GET_MAC_ADDR,
-      timeout: 3000,
-      parseResponse: parseMacResponse,
-    },
-    {
-      id: 'usb',
-      title: 'USB Count',
-      command: CommandBuilder.getUsbNumber(),
-      timeout: 3000,
-      parseResponse: parseUsbNumberResponse,
-    },
-    {
-      id: 'cpu-temp',
-      title: 'CPU Temperature',
-      command: CommandBuilder.getCpuTemp(),
-      timeout: 3000,
-      parseResponse: parseCpuTempResponse,
-    },
-    {
-      id: 'eth-speed',
-      title: 'Ethernet Speed',
-      command: CommandBuilder.getEthSpeed(),
-      timeout: 3000,
-      parseResponse: parseEthSpeedResponse,
-    },
-    {
-      id: 'get-dsn',
-      title: 'Read DSN',
-      command: CommandBuilder.getDsn(),
-      timeout: 3000,
-      parseResponse: parseDsnResponse,
-    },
-    {
-      id: 'hdcp14',
-      title: 'HDCP 1.4 Key',
-      command: CommandBuilder.getKeyId(1),
-      timeout: 3000,
-      parseResponse: parseKeyId,
-    },
-    {
-      id: 'hdcp22',
-      title: 'HDCP 2.2 Key',
-      command: CommandBuilder.getKeyId(4),
-      timeout: 3000,
-      parseResponse: parseKeyId,
-    },
-  ];
-
-  // Module test commands
-  const testCommands = [
-    {
-      id: 'wifi',
-      title: 'WiFi Test',
-      command: COMMANDS.GET_WIFI_STATUS,
-      timeout: 5000,
-      parseResponse: parseWifiResponse,
-    },
-    {
-      id: 'bluetooth',
-      title: 'Bluetooth Test',
-      command: COMMANDS.GET_BLUETOOTH_STATUS,
-      timeout: 5000,
-      parseResponse: parseBluetoothResponse,
-    },
-  ];
+  ].filter((tab) => !tab.commands || tab.commands.some(supported));
+  const currentTab = tabs.some((tab) => tab.id === activeTab) ? activeTab : 'info';
 
   return (
     <div className="flex-1 flex flex-col p-2 gap-2 overflow-hidden">
@@ -141,12 +70,15 @@ export const DeviceTestPage = ({ isConnected }) => {
       <div className="flex items-center gap-2 pb-1.5 border-b border-gray-200">
         <Cpu size={20} className="text-blue-500" />
         <h1 className="text-lg font-semibold text-gray-800">Device Test</h1>
-        <span className={clsx(
-          "ml-auto px-2 py-0.5 rounded text-xs font-medium",
-          isConnected ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
-        )}>
-          {isConnected ? 'Connected' : 'Disconnected'}
-        </span>
+        <div className="ml-auto flex items-center gap-2">
+          <DeviceProfileBar isConnected={isConnected} />
+          <span className={clsx(
+            "px-2 py-0.5 rounded text-xs font-medium",
+            isConnected ? 'bg-green-100 text-green-700' : observing ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-500'
+          )}>
+            {isConnected ? `Connected${port ? ` · ${port}` : ''}` : observing ? `Observing · ${port}` : 'Disconnected'}
+          </span>
+        </div>
       </div>
 
       {/* Tab Navigation */}
@@ -159,7 +91,7 @@ export const DeviceTestPage = ({ isConnected }) => {
               onClick={() => setActiveTab(tab.id)}
               className={clsx(
                 "flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium transition border-b-2 -mb-px",
-                activeTab === tab.id
+                currentTab === tab.id
                   ? "border-blue-500 text-blue-600"
                   : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
               )}
@@ -174,7 +106,7 @@ export const DeviceTestPage = ({ isConnected }) => {
       {/* Tab Content */}
       <div className="flex-1 overflow-y-auto">
         {/* Info Query Tab */}
-        {activeTab === 'info' && (
+        {currentTab === 'info' && (
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-2">
             {infoCommands.map((cmd) => (
               <CompactCommandCard
@@ -186,14 +118,14 @@ export const DeviceTestPage = ({ isConnected }) => {
                 isConnected={isConnected}
               />
             ))}
-            <MacBurnCard isConnected={isConnected} />
-            <DsnCard isConnected={isConnected} />
-            <BarcodeCard isConnected={isConnected} />
+            {supported('setMac') && <MacBurnCard isConnected={isConnected} />}
+            {supported('setDsn') && <DsnCard isConnected={isConnected} />}
+            {(supported('setBarcode') || supported('getBarcode')) && <BarcodeCard isConnected={isConnected} />}
           </div>
         )}
 
         {/* Module Test Tab */}
-        {activeTab === 'test' && (
+        {currentTab === 'test' && (
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-2">
             {testCommands.map((cmd) => (
               <CompactCommandCard
@@ -209,26 +141,63 @@ export const DeviceTestPage = ({ isConnected }) => {
         )}
 
         {/* Source Control Tab */}
-        {activeTab === 'source' && (
+        {currentTab === 'source' && (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
-            <SourceSelector isConnected={isConnected} />
-            <GetCurrentSource isConnected={isConnected} />
-            <SetVolumeCard isConnected={isConnected} />
+            {supported('setSource') && <SourceSelector isConnected={isConnected} />}
+            {supported('getSource') && <GetCurrentSource isConnected={isConnected} />}
+            {supported('setVolume') && <SetVolumeCard isConnected={isConnected} />}
           </div>
         )}
 
         {/* Channel Tab */}
-        {activeTab === 'channel' && (
+        {currentTab === 'channel' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+            {supported('getChannelList') && <GetChannelListCard isConnected={isConnected} />}
+            {supported('playChannel') && <ChannelPlayCard isConnected={isConnected} />}
+            {supported('setChannelNumber') && <SetChannelNumberCard isConnected={isConnected} />}
+          </div>
+        )}
+
+        {/* RF Test Tab */}
+        {currentTab === 'rf' && (
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-2">
+            {supported('setTunerFreq') && <TunerFreqCard isConnected={isConnected} />}
+            {rfCommands.map((cmd) => (
+              <CompactCommandCard
+                key={cmd.id}
+                title={cmd.title}
+                command={cmd.command}
+                timeout={cmd.timeout}
+                parseResponse={cmd.parseResponse}
+                isConnected={isConnected}
+              />
+            ))}
+          </div>
+        )}
+
+        {/* White Balance Tab */}
+        {currentTab === 'wb' && (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
-            <GetChannelListCard isConnected={isConnected} />
-            <ChannelPlayCard isConnected={isConnected} />
-            <SetChannelNumberCard isConnected={isConnected} />
+            {(supported('getWbGain') || supported('setWbGain')) && (
+              <WhiteBalanceCard getCommand="getWbGain" setCommand="setWbGain" isConnected={isConnected} />
+            )}
+            {(supported('getWbOffset') || supported('setWbOffset')) && (
+              <WhiteBalanceCard getCommand="getWbOffset" setCommand="setWbOffset" isConnected={isConnected} />
+            )}
+          </div>
+        )}
+
+        {/* Signal Generator Tab (own port, independent of the TV connection) */}
+        {currentTab === 'gen' && (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2">
+            <SignalGeneratorCard />
           </div>
         )}
 
         {/* Key Burn Tab */}
-        {activeTab === 'burn' && (
+        {currentTab === 'burn' && (
           <div className="grid grid-cols-1 gap-2">
+            {supported('getKeyId') && <KeyStatusCard isConnected={isConnected} />}
             <KeyBurnCard isConnected={isConnected} />
           </div>
         )}
@@ -250,6 +219,7 @@ export const DeviceTestPage = ({ isConnected }) => {
  * Volume set card
  */
 const SetVolumeCard = ({ isConnected }) => {
+  const port = usePort();
   const [volume, setVolume] = useState(50);
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
@@ -259,34 +229,20 @@ const SetVolumeCard = ({ isConnected }) => {
     setStatus('pending');
     setResult(null);
 
-    const command = CommandBuilder.setVolume(volume);
-    socket.emit('send-data', { data: command, type: 'hex' });
-
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, 3000);
-
-    const handleResponse = (data) => {
-      const bytes = new Uint8Array(data);
-      if (bytes.length < 7 || bytes[4] !== 0x01) return; // Wait for ACK
-      const errorCode = bytes[5];
-      if (errorCode === 0) {
-        setResult({ display: `✓ Volume set to ${volume}`, success: true });
-        setStatus('success');
-      } else {
-        setResult({ display: '✗ Failed', success: false });
-        setStatus('error');
-      }
-      cleanup();
-    };
-
-    socket.on('serial-data', handleResponse);
-    const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
-    };
+    transact(CommandBuilder.setVolume(volume), { port })
+      .then((bytes) => {
+        if (bytes[5] === 0) {
+          setResult({ display: `✓ Volume set to ${volume}`, success: true });
+          setStatus('success');
+        } else {
+          setResult({ display: '✗ Failed', success: false });
+          setStatus('error');
+        }
+      })
+      .catch((err) => {
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+      });
   };
 
   return (
@@ -322,37 +278,45 @@ const SetVolumeCard = ({ isConnected }) => {
 
 /**
  * Channel list query card
+ * The server collects every RET_CH_LIST page; the count updates while they arrive.
  */
 const GetChannelListCard = ({ isConnected }) => {
+  const port = usePort();
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    const onProgress = (p) => {
+      if (p.port === port) setProgress(p);
+    };
+    const onResult = (res) => {
+      if (res.port !== port) return;
+      setProgress(null);
+      if (!res.success) {
+        setStatus(isTimeoutError(res) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay({ code: res.code, message: res.error }), success: false });
+        return;
+      }
+      const note = res.complete ? '' : `\n(incomplete: device stopped after ${res.pages} pages)`;
+      setResult({ display: `Channel List: ${formatValue('getChannelList', res)}${note}`, success: true });
+      setStatus('success');
+    };
+
+    socket.on('channel-list-progress', onProgress);
+    socket.on('channel-list-result', onResult);
+    return () => {
+      socket.off('channel-list-progress', onProgress);
+      socket.off('channel-list-result', onResult);
+    };
+  }, [port]);
 
   const handleGet = () => {
     if (!isConnected) return;
     setStatus('pending');
     setResult(null);
-
-    const command = CommandBuilder.getChannelList();
-    socket.emit('send-data', { data: command, type: 'hex' });
-
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, 5000);
-
-    const handleResponse = (data) => {
-      const parsed = parseChannelListResponse(data);
-      setResult(parsed);
-      setStatus(parsed.success ? 'success' : 'error');
-      cleanup();
-    };
-
-    socket.on('serial-data', handleResponse);
-    const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
-    };
+    setProgress(null);
+    socket.emit('get-channel-list', { port });
   };
 
   return (
@@ -366,6 +330,14 @@ const GetChannelListCard = ({ isConnected }) => {
           {result.display}
         </div>
       )}
+      {status === 'pending' && progress && (
+        <div className="mb-2">
+          <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+            <div className="h-full bg-blue-500 transition-all" style={{ width: `${progress.total ? (progress.received / progress.total) * 100 : 0}%` }} />
+          </div>
+          <div className="text-xs text-gray-500 mt-1">{progress.received}/{progress.total} channels ({progress.pages} pages)</div>
+        </div>
+      )}
       <button
         onClick={handleGet}
         disabled={!isConnected || status === 'pending'}
@@ -381,6 +353,7 @@ const GetChannelListCard = ({ isConnected }) => {
  * Channel number set card (0x19)
  */
 const SetChannelNumberCard = ({ isConnected }) => {
+  const port = usePort();
   const [channelNum, setChannelNum] = useState('');
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
@@ -393,34 +366,20 @@ const SetChannelNumberCard = ({ isConnected }) => {
     setStatus('pending');
     setResult(null);
 
-    const command = CommandBuilder.setChannelNumber(num);
-    socket.emit('send-data', { data: command, type: 'hex' });
-
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, 3000);
-
-    const handleResponse = (data) => {
-      const bytes = new Uint8Array(data);
-      if (bytes.length < 7 || bytes[4] !== 0x01) return;
-      const errorCode = bytes[5];
-      if (errorCode === 0) {
-        setResult({ display: `✓ Channel set to ${channelNum}`, success: true });
-        setStatus('success');
-      } else {
-        setResult({ display: '✗ Failed', success: false });
-        setStatus('error');
-      }
-      cleanup();
-    };
-
-    socket.on('serial-data', handleResponse);
-    const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
-    };
+    transact(CommandBuilder.setChannelNumber(num), { port })
+      .then((bytes) => {
+        if (bytes[5] === 0) {
+          setResult({ display: `✓ Channel set to ${channelNum}`, success: true });
+          setStatus('success');
+        } else {
+          setResult({ display: '✗ Failed', success: false });
+          setStatus('error');
+        }
+      })
+      .catch((err) => {
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+      });
   };
 
   return (
@@ -453,3 +412,74 @@ const SetChannelNumberCard = ({ isConnected }) => {
     </div>
   );
 };
+
+/**
+ * RF tuner frequency set card (protocol 0x01)
+ */
+const TunerFreqCard = ({ isConnected }) => {
+  const port = usePort();
+  const [frequency, setFrequency] = useState('');
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+  const { label, timeout } = getCommandSchema('setTunerFreq');
+
+  const handleSet = () => {
+    if (!isConnected || !frequency) return;
+
+    let command;
+    try {
+      command = buildRequest('setTunerFreq', frequency);
+    } catch (err) {
+      setResult({ display: err.message, success: false });
+      setStatus('error');
+      return;
+    }
+
+    setStatus('pending');
+    setResult(null);
+
+    transact(command, { port, timeout })
+      .then((data) => {
+        const parsed = parseResponse('setTunerFreq', data);
+        setResult({
+          display: parsed.success ? `✓ Tuned to ${frequency} kHz` : formatValue('setTunerFreq', parsed),
+          success: parsed.success,
+        });
+        setStatus(parsed.success ? 'success' : 'error');
+      })
+      .catch((err) => {
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+      });
+  };
+
+  return (
+    <div className="bg-white rounded border border-gray-200 p-2 shadow-sm">
+      <div className="flex items-center gap-1.5 mb-1">
+        <Radio size={14} className="text-gray-500" />
+        <h3 className="text-sm font-medium text-gray-700">{label}</h3>
+      </div>
+      <div className="flex gap-2 mb-2">
+        <input
+          type="number" value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          placeholder="kHz"
+          disabled={!isConnected}
+          className={"flex-1 px-2 py-1.5 text-sm border rounded font-mono " + (isConnected ? "border-gray-300 focus:border-blue-500 focus:outline-none" : "border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed")}
+        />
+      </div>
+      {result && (
+        <div className={"rounded px-2 py-1 mb-2 text-xs font-mono " + (result.success ? "bg-green-50 text-green-600" : "bg-red-50 text-red-600")}>
+          {result.display}
+        </div>
+      )}
+      <button
+        onClick={handleSet}
+        disabled={!isConnected || !frequency || status === 'pending'}
+        className={"w-full py-1.5 px-3 rounded text-sm font-medium " + (isConnected && frequency && status !== 'pending' ? "bg-blue-500 hover:bg-blue-600 text-white" : "bg-gray-200 text-gray-400 cursor-not-allowed")}
+      >
+        Tune
+      </button>
+    </div>
+  );
+};
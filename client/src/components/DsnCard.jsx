@@ -1,9 +1,11 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { socket } from '../socket';
+import { usePort } from '../utils/portSessions';
 import { CheckCircle, XCircle, Loader2, Send } from 'lucide-react';
 import { clsx } from 'clsx';
 
 export const DsnCard = ({ isConnected }) => {
+  const port = usePort();
   const [dsn, setDsn] = useState('');
   const [status, setStatus] = useState('idle');
   const [message, setMessage] = useState('');
@@ -18,6 +20,7 @@ export const DsnCard = ({ isConnected }) => {
     setMessage('Writing...');
 
     const onResult = (data) => {
+      if (data.port !== port) return;
       cleanup();
       if (data.success) {
         setStatus('success');
@@ -29,7 +32,7 @@ export const DsnCard = ({ isConnected }) => {
     };
 
     socket.on('set-dsn-result', onResult);
-    socket.emit('set-dsn', { dsn: dsn.trim() });
+    socket.emit('set-dsn', { port, dsn: dsn.trim() });
 
     const timer = setTimeout(() => {
       setStatus('error');
@@ -43,7 +46,7 @@ export const DsnCard = ({ isConnected }) => {
       cleanupRef.current = null;
     };
     cleanupRef.current = cleanup;
-  }, [isConnected, dsn]);
+  }, [isConnected, port, dsn]);
 
   const statusIcon = {
     idle: null,
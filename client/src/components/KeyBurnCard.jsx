@@ -1,67 +1,226 @@
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { Upload, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { socket } from '../socket';
 import { clsx } from 'clsx';
+import { isKeyTypeSupported, validateKeyFile, formatKeyIdentity } from '../utils/cvteProtocol';
+import { FILE_TYPE_NAMES, FILE_TYPE_LABELS, LEGACY_FILE_TYPES, formatThroughput } from '../../../shared/fileTransfer.js';
+import { useDeviceProfile } from '../utils/deviceProfile';
+import { uploadKeyFile } from '../utils/keyUpload';
+import { usePort } from '../utils/portSessions';
 
-const KEY_TYPES = [
-  { id: 'hdcp14', label: 'HDCP 1.4', fileTypeId: 1 },
-  { id: 'hdcp22', label: 'HDCP 2.2', fileTypeId: 4 },
+const KEY_TYPES = Object.entries(FILE_TYPE_NAMES).map(([id, fileTypeId]) => (
+  { id, label: FILE_TYPE_LABELS[fileTypeId], fileTypeId, legacy: LEGACY_FILE_TYPES.includes(fileTypeId) }
+));
+
+// Transfer protocol (BURN_PROTOCOL); auto falls back to legacy when the board does not know START_SEND_FILE
+const PROTOCOLS = [
+  { id: 'auto', label: 'Auto' },
+  { id: 'generic', label: 'Generic (0x40-0x44)' },
+  { id: 'legacy', label: 'Legacy HDCP (0x00-0x05)' },
+];
+
+// What to do when GET_FILE_ID reports a burned key before the burn (EXISTING_KEY_POLICY)
+const EXISTING_POLICIES = [
+  { id: 'abort', label: 'Abort' },
+  { id: 'skip', label: 'Skip' },
+  { id: 'overwrite', label: 'Overwrite' },
+];
+
+// Pause between data packets (BURN_PACING); adaptive follows the device's ACK latency
+const PACINGS = [
+  { id: 'adaptive', label: 'Adaptive' },
+  { id: 'fixed', label: 'Fixed (20 ms)' },
+  { id: 'none', label: 'None' },
+];
+
+// Where the key comes from: a picked file, the next unused key of a key inventory,
+// or a key of the encrypted vault (decrypted on the server only)
+const SOURCES = [
+  { id: 'file', label: 'Key file' },
+  { id: 'inventory', label: 'Inventory' },
+  { id: 'vault', label: 'Vault' },
 ];
 
 export const KeyBurnCard = ({ isConnected }) => {
-  const [selectedType, setSelectedType] = useState('hdcp14');
+  // Picked key type; falls back to the first one the device profile supports
+  const [typeChoice, setSelectedType] = useState('hdcp14');
+  const [protocolChoice, setProtocol] = useState('auto');
+  const [existing, setExisting] = useState('abort');
+  const [pacing, setPacing] = useState('adaptive');
+  // Recorded in the burn audit log (the server's OS user when empty)
+  const [operator, setOperator] = useState('');
   const [file, setFile] = useState(null);
+  // Server-side copy of the picked file ({ file, handle, sha256, ... }), reused for retries
+  const [upload, setUpload] = useState(null);
   const [status, setStatus] = useState('idle');
   const [progress, setProgress] = useState(0);
   const [message, setMessage] = useState('');
+  // Interrupted burn the server can continue with the same file ID
+  const [resumable, setResumable] = useState(false);
+  // Format check of a picked file ({ file, keyType, result }), only shown for the current file and key type
+  const [fileCheck, setFileCheck] = useState(null);
+  const [source, setSource] = useState('file');
+  const [inventories, setInventories] = useState([]);
+  // Picked inventory / vault key; the ones used fall back to the first holding the selected key type
+  const [inventoryChoice, setInventory] = useState('');
+  const [device, setDevice] = useState('');
+  const [vaultStatus, setVaultStatus] = useState({ exists: false, unlocked: false, keys: [] });
+  const [vaultKeyChoice, setVaultKey] = useState('');
+  const [passphrase, setPassphrase] = useState('');
   const fileInputRef = useRef(null);
+  const profile = useDeviceProfile();
+  const port = usePort();
+  const keyTypes = KEY_TYPES.filter((t) => isKeyTypeSupported(profile, t.id));
+  const selectedType = keyTypes.length === 0 || keyTypes.some((t) => t.id === typeChoice) ? typeChoice : keyTypes[0].id;
+  const keyType = KEY_TYPES.find((t) => t.id === selectedType);
+  // The legacy protocol only burns HDCP keys
+  const protocol = protocolChoice === 'legacy' && keyType && !keyType.legacy ? 'auto' : protocolChoice;
+  const typeInventories = inventories.filter((inv) => inv.keyType === selectedType);
+  const selectedInventory = typeInventories.find((inv) => inv.name === inventoryChoice) || typeInventories[0];
+  const inventory = selectedInventory ? selectedInventory.name : '';
+  const typeVaultKeys = vaultStatus.keys.filter((k) => k.keyType === selectedType);
+  const keyCheck = fileCheck && fileCheck.file === file && fileCheck.keyType === keyType ? fileCheck.result : null;
+  const vaultKey = typeVaultKeys.some((k) => k.name === vaultKeyChoice) ? vaultKeyChoice : (typeVaultKeys[0]?.name ?? '');
+
+  useEffect(() => {
+    if (!file || !keyType) return undefined;
+    let current = true;
+    file.arrayBuffer().then((buffer) => {
+      if (current) setFileCheck({ file, keyType, result: validateKeyFile(keyType.fileTypeId, new Uint8Array(buffer)) });
+    });
+    return () => { current = false; };
+  }, [file, keyType]);
+
+  useEffect(() => {
+    const onProgress = (data) => {
+      if (data.port !== port) return;
+      // Also a burn this page did not start: one running when the port was taken over, or observed
+      setStatus('burning');
+      setProgress(data.percent);
+      setMessage(data.message);
+    };
+    const onResult = (data) => {
+      if (data.port !== port) return;
+      setResumable(Boolean(data.resumable));
+      // Results without an upload did not find it (e.g. after a server restart): upload again next time
+      if (!data.upload) setUpload(null);
+      if (data.success && data.skipped) {
+        setStatus('success');
+        const same = data.verification && data.verification.status === 'verified';
+        setMessage(`Key ${data.existingFileId} already on the device (${same ? 'same key file' : 'another key file'}), skipped`);
+      } else if (data.success) {
+        setStatus('success');
+        const recorded = data.inventory ? `, key ${data.inventory.index} of ${data.inventory.name} -> ${data.inventory.device}` : '';
+        const rate = formatThroughput(data);
+        setMessage(`Burned successfully (${data.packets} packets, CRC: ${data.crc}, ${data.protocol} protocol${recorded}); `
+          + `file ID ${data.fileId}, readback ${data.verification.status}${rate ? `, ${rate}` : ''}`);
+      } else if (data.resumable) {
+        setStatus('error');
+        setMessage(`${data.error} after packet ${data.packet}/${data.totalPackets}`);
+      } else {
+        setStatus('error');
+        setMessage(data.error);
+      }
+      socket.emit('list-inventories');
+    };
+    const onInventories = (list) => setInventories(list);
+    const onVaultStatus = (data) => {
+      setVaultStatus(data);
+      if (!data.success) {
+        setStatus('error');
+        setMessage(data.error);
+      }
+    };
+
+    socket.on('burn-progress', onProgress);
+    socket.on('burn-result', onResult);
+    socket.on('inventories-list', onInventories);
+    socket.on('vault-status', onVaultStatus);
+    socket.emit('list-inventories');
+    socket.emit('get-vault-status');
+    return () => {
+      socket.off('burn-progress', onProgress);
+      socket.off('burn-result', onResult);
+      socket.off('inventories-list', onInventories);
+      socket.off('vault-status', onVaultStatus);
+    };
+  }, [port]);
 
   const handleFileSelect = (e) => {
     const f = e.target.files[0];
     if (f) {
       setFile(f);
       setStatus('idle');
+      setResumable(false);
       setMessage(`${f.name} (${f.size} bytes)`);
     }
   };
 
   const handleBurn = async () => {
-    if (!file || !isConnected) return;
+    if (!canBurn) return;
 
     setStatus('burning');
+    setResumable(false);
     setProgress(0);
-    setMessage('Reading file...');
-
-    const arrayBuffer = await file.arrayBuffer();
-    const fileData = Array.from(new Uint8Array(arrayBuffer));
 
-    const onProgress = (data) => {
-      setProgress(data.percent);
-      setMessage(data.message);
-    };
+    if (source === 'inventory') {
+      setMessage(`Drawing a key from ${inventory}...`);
+      socket.emit('burn-key', { port, keyType: selectedType, protocol, existing, pacing, operator: operator.trim(), inventory, device: device.trim() });
+      return;
+    }
+    if (source === 'vault') {
+      setMessage(`Decrypting ${vaultKey}...`);
+      socket.emit('burn-key', { port, keyType: selectedType, protocol, existing, pacing, operator: operator.trim(), vault: vaultKey });
+      return;
+    }
 
-    const onResult = (data) => {
-      socket.off('burn-progress', onProgress);
-      socket.off('burn-result', onResult);
-      if (data.success) {
-        setStatus('success');
-        setMessage(`Burned successfully (${data.packets} packets, CRC: ${data.crc})`);
-      } else {
+    let current = upload && upload.file === file ? upload : null;
+    if (!current) {
+      setMessage('Uploading file...');
+      try {
+        current = { file, ...await uploadKeyFile(file) };
+      } catch (err) {
         setStatus('error');
-        setMessage(data.error);
+        setMessage(err.message);
+        return;
       }
-    };
-
-    socket.on('burn-progress', onProgress);
-    socket.on('burn-result', onResult);
+      setUpload(current);
+    }
 
     socket.emit('burn-key', {
+      port,
       keyType: selectedType,
-      fileData,
-      fileName: file.name,
+      protocol,
+      existing,
+      pacing,
+      operator: operator.trim(),
+      upload: current.handle,
     });
   };
 
+  const handleUnlock = () => {
+    socket.emit('unlock-vault', { passphrase });
+    setPassphrase('');
+  };
+
+  const handleResume = () => {
+    setStatus('burning');
+    setResumable(false);
+    socket.emit('resume-burn', { port });
+  };
+
+  const handleCancel = () => {
+    setResumable(false);
+    socket.emit('cancel-burn', { port });
+  };
+
+  const keyReady = {
+    file: Boolean(file && !(keyCheck && !keyCheck.valid)),
+    inventory: Boolean(selectedInventory && selectedInventory.unused + selectedInventory.reserved > 0 && device.trim()),
+    vault: Boolean(vaultStatus.unlocked && vaultKey),
+  }[source];
+  const canBurn = keyReady && isConnected && status !== 'burning';
+
   const statusIcon = {
     idle: null,
     burning: <Loader2 size={16} className="animate-spin text-blue-500" />,
@@ -87,38 +246,216 @@ export const KeyBurnCard = ({ isConnected }) => {
             disabled={status === 'burning'}
             className="text-sm border border-gray-300 rounded px-2 py-1.5"
           >
-            {KEY_TYPES.map((t) => (
+            {keyTypes.map((t) => (
               <option key={t.id} value={t.id}>{t.label}</option>
             ))}
           </select>
         </div>
 
-        {/* File Select */}
+        {/* Transfer Protocol */}
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Protocol</label>
+          <select
+            value={protocol}
+            onChange={(e) => setProtocol(e.target.value)}
+            disabled={status === 'burning'}
+            className="text-sm border border-gray-300 rounded px-2 py-1.5"
+          >
+            {PROTOCOLS.map((p) => (
+              <option key={p.id} value={p.id} disabled={p.id === 'legacy' && keyType && !keyType.legacy}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Existing Key Policy */}
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">If Key Present</label>
+          <select
+            value={existing}
+            onChange={(e) => setExisting(e.target.value)}
+            disabled={status === 'burning'}
+            className="text-sm border border-gray-300 rounded px-2 py-1.5"
+            title="GET_FILE_ID is read before the burn"
+          >
+            {EXISTING_POLICIES.map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Pacing */}
         <div>
-          <label className="block text-xs text-gray-500 mb-1">Key File</label>
+          <label className="block text-xs text-gray-500 mb-1">Pacing</label>
+          <select
+            value={pacing}
+            onChange={(e) => setPacing(e.target.value)}
+            disabled={status === 'burning'}
+            className="text-sm border border-gray-300 rounded px-2 py-1.5"
+            title="Pause between data packets"
+          >
+            {PACINGS.map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {/* Operator */}
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Operator</label>
           <input
-            ref={fileInputRef}
-            type="file"
-            accept=".bin,.key"
-            onChange={handleFileSelect}
+            value={operator}
+            onChange={(e) => setOperator(e.target.value)}
+            placeholder="Name or badge"
             disabled={status === 'burning'}
-            className="text-sm file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+            className="text-sm border border-gray-300 rounded px-2 py-1.5 w-32"
+            title="Recorded in the burn audit log"
           />
         </div>
 
+        {/* Key Source */}
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Source</label>
+          <select
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            disabled={status === 'burning'}
+            className="text-sm border border-gray-300 rounded px-2 py-1.5"
+          >
+            {SOURCES.map((s) => (
+              <option key={s.id} value={s.id}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {source === 'file' ? (
+          /* File Select */
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Key File</label>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".bin,.key,.dat,.der,.txt"
+              onChange={handleFileSelect}
+              disabled={status === 'burning'}
+              className="text-sm file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:text-xs file:bg-gray-100 file:text-gray-700 hover:file:bg-gray-200"
+            />
+          </div>
+        ) : source === 'vault' ? (
+          !vaultStatus.exists ? (
+            <div className="text-xs text-gray-500 py-1.5">No key vault; create one with comtest-cli vault init</div>
+          ) : !vaultStatus.unlocked ? (
+            /* Vault Passphrase */
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Vault Passphrase</label>
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter' && passphrase && isConnected) handleUnlock(); }}
+                  autoComplete="off"
+                  className="text-sm border border-gray-300 rounded px-2 py-1.5 w-48"
+                />
+                <button
+                  onClick={handleUnlock}
+                  disabled={!passphrase || !isConnected}
+                  className="px-3 py-1.5 rounded text-sm border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:text-gray-400"
+                >
+                  Unlock
+                </button>
+              </div>
+            </div>
+          ) : (
+            /* Vault Key Select */
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Vault Key</label>
+              <div className="flex gap-2">
+                <select
+                  value={vaultKey}
+                  onChange={(e) => setVaultKey(e.target.value)}
+                  disabled={status === 'burning' || typeVaultKeys.length === 0}
+                  className="text-sm border border-gray-300 rounded px-2 py-1.5"
+                >
+                  {typeVaultKeys.length === 0 && <option value="">No {selectedType} key in the vault</option>}
+                  {typeVaultKeys.map((k) => (
+                    <option key={k.name} value={k.name}>{k.name}{k.identity ? ` (${k.identity.label} ${k.identity.value})` : ''}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => socket.emit('lock-vault')}
+                  disabled={status === 'burning' || !isConnected}
+                  className="px-3 py-1.5 rounded text-sm border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:text-gray-400"
+                >
+                  Lock
+                </button>
+              </div>
+            </div>
+          )
+        ) : (
+          <>
+            {/* Inventory Select */}
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Inventory</label>
+              <select
+                value={inventory}
+                onChange={(e) => setInventory(e.target.value)}
+                disabled={status === 'burning' || typeInventories.length === 0}
+                className="text-sm border border-gray-300 rounded px-2 py-1.5"
+              >
+                {typeInventories.length === 0 && <option value="">No {selectedType} inventory</option>}
+                {typeInventories.map((inv) => (
+                  <option key={inv.name} value={inv.name}>{inv.name} ({inv.unused}/{inv.total} unused)</option>
+                ))}
+              </select>
+            </div>
+
+            {/* Receiving Device */}
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Device</label>
+              <input
+                value={device}
+                onChange={(e) => setDevice(e.target.value)}
+                placeholder="MAC, DSN or barcode"
+                disabled={status === 'burning'}
+                className="text-sm border border-gray-300 rounded px-2 py-1.5 w-48"
+              />
+            </div>
+          </>
+        )}
+
         {/* Burn Button */}
         <button
           onClick={handleBurn}
-          disabled={!file || !isConnected || status === 'burning'}
+          disabled={!canBurn}
           className={clsx(
             "px-4 py-1.5 rounded text-sm font-medium transition",
-            (!file || !isConnected || status === 'burning')
+            !canBurn
               ? "bg-gray-200 text-gray-400 cursor-not-allowed"
               : "bg-purple-500 text-white hover:bg-purple-600"
           )}
         >
           {status === 'burning' ? 'Burning...' : 'Burn'}
         </button>
+
+        {resumable && status !== 'burning' && (
+          <button
+            onClick={handleResume}
+            disabled={!isConnected}
+            className="px-4 py-1.5 rounded text-sm font-medium border border-purple-300 text-purple-600 hover:bg-purple-50 disabled:text-gray-400 disabled:border-gray-200"
+            title="Continue after the last acknowledged packet (same file ID)"
+          >
+            Resume
+          </button>
+        )}
+        {(status === 'burning' || resumable) && (
+          <button
+            onClick={handleCancel}
+            disabled={!isConnected}
+            className="px-4 py-1.5 rounded text-sm font-medium border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:text-gray-400 disabled:border-gray-200"
+          >
+            Cancel
+          </button>
+        )}
       </div>
 
       {/* Progress */}
@@ -133,6 +470,30 @@ export const KeyBurnCard = ({ isConnected }) => {
         </div>
       )}
 
+      {/* Key File Check */}
+      {source === 'file' && keyCheck && (
+        <div className={clsx("mt-2 text-xs", keyCheck.valid ? "text-gray-600" : "text-red-600")}>
+          {keyCheck.format && (
+            <div>
+              {keyCheck.format}
+              {keyCheck.identity && <span className="ml-1 font-mono">{formatKeyIdentity(keyCheck)}</span>}
+            </div>
+          )}
+          {keyCheck.problems.map((problem, i) => (
+            <div key={i}>{problem}</div>
+          ))}
+          {upload && upload.file === file && (
+            <div className="text-gray-500">SHA-256 <span className="font-mono">{upload.sha256}</span></div>
+          )}
+        </div>
+      )}
+
+      {source === 'inventory' && typeInventories.length === 0 && (
+        <p className="mt-2 text-xs text-gray-500">
+          Import keys with: comtest-cli inventory import &lt;name&gt; {selectedType} &lt;dir|bundle&gt;
+        </p>
+      )}
+
       {/* Status Message */}
       {message && (
         <p className={clsx("mt-2 text-xs", {
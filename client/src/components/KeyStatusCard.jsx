@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { socket } from '../socket';
+import { KeyRound, Loader2, RefreshCw } from 'lucide-react';
+import { clsx } from 'clsx';
+import { KEY_SLOT_STATUS, isKeyTypeSupported } from '../utils/cvteProtocol';
+import { FILE_TYPE_NAMES } from '../../../shared/fileTransfer.js';
+import { useDeviceProfile } from '../utils/deviceProfile';
+import { usePort } from '../utils/portSessions';
+
+const STATUS_CLASS = {
+  [KEY_SLOT_STATUS.BURNED]: 'text-green-600',
+  [KEY_SLOT_STATUS.EMPTY]: 'text-gray-400',
+  [KEY_SLOT_STATUS.UNSUPPORTED]: 'text-yellow-600',
+  [KEY_SLOT_STATUS.NO_RESPONSE]: 'text-red-500',
+};
+
+/**
+ * Key status: GET_FILE_ID of every key slot at once (refreshed after each successful burn)
+ */
+export const KeyStatusCard = ({ isConnected }) => {
+  const profile = useDeviceProfile();
+  const port = usePort();
+  const [keys, setKeys] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const read = useCallback(() => {
+    setError(null);
+    setProgress({ done: 0, total: 1 });
+    socket.emit('get-key-status', {
+      port,
+      slots: Object.keys(FILE_TYPE_NAMES).filter((type) => isKeyTypeSupported(profile, type)),
+    });
+  }, [port, profile]);
+
+  useEffect(() => {
+    const onProgress = (p) => {
+      if (p.port === port) setProgress(p);
+    };
+    const onResult = (res) => {
+      if (res.port !== port) return;
+      setProgress(null);
+      if (res.success) {
+        setKeys(res.keys);
+      } else {
+        setError(res.error);
+      }
+    };
+    socket.on('key-status-progress', onProgress);
+    socket.on('key-status-result', onResult);
+    return () => {
+      socket.off('key-status-progress', onProgress);
+      socket.off('key-status-result', onResult);
+    };
+  }, [port]);
+
+  // A burn changes one slot; re-read once the table is shown
+  useEffect(() => {
+    if (!keys) return undefined;
+    const onBurn = (res) => {
+      if (res.port === port && res.success && isConnected) read();
+    };
+    socket.on('burn-result', onBurn);
+    return () => socket.off('burn-result', onBurn);
+  }, [keys, isConnected, port, read]);
+
+  const reading = progress !== null;
+
+  return (
+    <div className="col-span-full border border-gray-200 rounded-lg p-3 bg-white">
+      <div className="flex items-center gap-2 mb-2">
+        <KeyRound size={16} className="text-purple-500" />
+        <span className="text-sm font-medium">Key Status</span>
+        <button
+          onClick={read}
+          disabled={!isConnected || reading}
+          className="ml-auto flex items-center gap-1 px-2 py-1 rounded text-xs text-gray-600 border border-gray-300 hover:bg-gray-50 disabled:text-gray-300"
+        >
+          {reading ? <Loader2 size={12} className="animate-spin" /> : <RefreshCw size={12} />}
+          {reading ? `${progress.done}/${progress.total}` : 'Read all'}
+        </button>
+      </div>
+
+      {keys && (
+        <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-2">
+          {keys.map((key) => (
+            <div key={key.fileType} className="border border-gray-100 rounded px-2 py-1.5">
+              <div className="text-xs text-gray-500">{key.label}</div>
+              <div className={clsx("text-sm font-mono truncate", STATUS_CLASS[key.status])} title={key.keyName || key.status}>
+                {key.status === KEY_SLOT_STATUS.BURNED ? key.keyName : key.status}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
@@ -1,11 +1,15 @@
 import React, { useRef, useEffect, useState } from 'react';
-import { Trash2, Keyboard } from 'lucide-react';
+import { Trash2, Keyboard, ChevronRight, ChevronDown } from 'lucide-react';
 import { clsx } from 'clsx';
 import { socket } from '../socket';
+import { usePort } from '../utils/portSessions';
+import { PacketDissection } from './PacketDissection';
 
 export const LogViewer = ({ logs, onClear, isConnected }) => {
+  const port = usePort();
   const [viewMode, setViewMode] = useState('ascii'); // 'ascii' or 'hex'
   const [isFocused, setIsFocused] = useState(false);
+  const [expanded, setExpanded] = useState(() => new Set()); // Log indexes showing their dissection
   const endRef = useRef(null);
   const containerRef = useRef(null);
 
@@ -13,6 +17,21 @@ export const LogViewer = ({ logs, onClear, isConnected }) => {
     endRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [logs]);
 
+  // Indexes refer to the old entries once the log is cleared
+  const handleClear = () => {
+    setExpanded(new Set());
+    onClear();
+  };
+
+  const toggleExpanded = (index) => {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) next.delete(index);
+      else next.add(index);
+      return next;
+    });
+  };
+
   const formatData = (data) => {
     const buffer = new Uint8Array(data);
     
@@ -47,6 +66,7 @@ export const LogViewer = ({ logs, onClear, isConnected }) => {
     }
 
     socket.emit('send-data', { 
+        port,
         data: charToSend,
         type: 'ascii' 
     });
@@ -97,7 +117,7 @@ export const LogViewer = ({ logs, onClear, isConnected }) => {
             </button>
           </div>
           <button 
-            onClick={onClear}
+            onClick={handleClear}
             className="p-1.5 text-gray-500 hover:text-red-500 hover:bg-red-50 rounded transition"
             title="Clear Log"
           >
@@ -115,6 +135,15 @@ export const LogViewer = ({ logs, onClear, isConnected }) => {
         )}
         {logs.map((log, index) => (
           <div key={index} className="flex gap-2 items-start break-all">
+            {viewMode === 'hex' && (
+              <button
+                onClick={() => toggleExpanded(index)}
+                className="shrink-0 mt-0.5 text-gray-400 hover:text-blue-600"
+                title="Dissect frames"
+              >
+                {expanded.has(index) ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+              </button>
+            )}
             <span className="text-gray-400 text-xs mt-0.5 select-none shrink-0 w-20">
               {new Date(log.timestamp).toLocaleTimeString()}
             </span>
@@ -129,6 +158,11 @@ export const LogViewer = ({ logs, onClear, isConnected }) => {
               log.type === 'rx' ? "text-gray-800" : "text-blue-800"
             )}>
               {formatData(log.data)}
+              {viewMode === 'hex' && expanded.has(index) && (
+                <div className="mt-1">
+                  <PacketDissection data={log.data} />
+                </div>
+              )}
             </span>
           </div>
         ))}
@@ -1,9 +1,11 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { socket } from '../socket';
+import { usePort } from '../utils/portSessions';
 import { CheckCircle, XCircle, Loader2, Send } from 'lucide-react';
 import { clsx } from 'clsx';
 
 export const MacBurnCard = ({ isConnected }) => {
+  const port = usePort();
   const [mac, setMac] = useState('');
   const [status, setStatus] = useState('idle');
   const [message, setMessage] = useState('');
@@ -20,6 +22,7 @@ export const MacBurnCard = ({ isConnected }) => {
     setMessage('Writing...');
 
     const onResult = (data) => {
+      if (data.port !== port) return;
       cleanup();
       if (data.success) {
         setStatus('success');
@@ -31,7 +34,7 @@ export const MacBurnCard = ({ isConnected }) => {
     };
 
     socket.on('set-mac-result', onResult);
-    socket.emit('set-mac', { mac });
+    socket.emit('set-mac', { port, mac });
 
     const timer = setTimeout(() => {
       setStatus('error');
@@ -45,7 +48,7 @@ export const MacBurnCard = ({ isConnected }) => {
       cleanupRef.current = null;
     };
     cleanupRef.current = cleanup;
-  }, [isConnected, mac]);
+  }, [isConnected, port, mac]);
 
   const statusIcon = {
     idle: null,
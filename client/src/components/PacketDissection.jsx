@@ -0,0 +1,65 @@
+import React, { useMemo, useState } from 'react';
+import { Copy, Check } from 'lucide-react';
+import { clsx } from 'clsx';
+import { dissectStream, formatDissection } from '../utils/cvteProtocol';
+
+const FieldRows = ({ fields, depth = 0 }) => fields.map((field, i) => (
+  <React.Fragment key={`${depth}-${i}-${field.offset}`}>
+    <tr className={clsx(field.name === 'checksum' && field.display !== 'OK' && "text-red-600")}>
+      <td className="pr-3 text-gray-400 text-right align-top">{field.offset}</td>
+      <td className="pr-3 align-top whitespace-nowrap" style={{ paddingLeft: `${depth}rem` }}>{field.label || field.name}</td>
+      <td className="pr-3 align-top text-gray-500 break-all">{field.raw}</td>
+      <td className="align-top whitespace-pre-wrap">{field.display}</td>
+    </tr>
+    {field.children && <FieldRows fields={field.children} depth={depth + 1} />}
+  </React.Fragment>
+));
+
+/**
+ * Field-by-field view of the CVTE frames in one log entry (HEX mode)
+ * The copy button puts the plain-text dissection on the clipboard for bug reports.
+ */
+export const PacketDissection = ({ data }) => {
+  const frames = useMemo(() => dissectStream(new Uint8Array(data)), [data]);
+  const [copied, setCopied] = useState(false);
+
+  if (frames.length === 0) {
+    return <div className="text-xs text-gray-400 select-none">No CVTE frame in this entry</div>;
+  }
+
+  const copy = (e) => {
+    e.stopPropagation();
+    navigator.clipboard?.writeText(frames.map(formatDissection).join('\n\n')).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    });
+  };
+
+  return (
+    <div className="relative bg-white border border-gray-200 rounded p-2 text-xs cursor-default">
+      <button
+        onClick={copy}
+        className="absolute top-1 right-1 p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded"
+        title="Copy as text"
+      >
+        {copied ? <Check size={12} /> : <Copy size={12} />}
+      </button>
+      {frames.map((frame, i) => (
+        <div key={i} className={clsx(i > 0 && "mt-2 pt-2 border-t border-gray-100")}>
+          <div className={clsx("font-semibold mb-1 pr-6", frame.valid ? "text-gray-700" : "text-red-600")}>
+            {frame.command ? `${frame.command.name} (${frame.protocol.name})` : 'Incomplete frame'}
+            {frame.summary && <span className="ml-2 font-normal text-green-700 whitespace-pre-wrap">{frame.summary}</span>}
+          </div>
+          <table>
+            <tbody>
+              <FieldRows fields={frame.fields} />
+            </tbody>
+          </table>
+          {frame.errors.map((err, j) => (
+            <div key={j} className="text-red-600">{err}</div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,66 @@
+import React, { useEffect, useState } from 'react';
+import { Eye } from 'lucide-react';
+import { socket } from '../socket';
+import { takePort } from '../utils/portSessions';
+
+/**
+ * Observer notice of a port another client controls, with a confirmed takeover
+ * onTake: takes the port over (default: takePort(port.id)); its outcome is 'take-port-result' { port: port.id }
+ */
+export const PortOwnerBar = ({ port, onTake = () => takePort(port.id) }) => {
+  const [confirming, setConfirming] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const onResult = (res) => {
+      if (res.port !== port.id) return;
+      setConfirming(false);
+      setError(res.success ? '' : res.error);
+    };
+    socket.on('take-port-result', onResult);
+    return () => socket.off('take-port-result', onResult);
+  }, [port.id]);
+
+  if (port.controlling) return null;
+
+  const owner = port.ownerAddress || 'another client';
+
+  return (
+    <div className="flex items-center gap-2 px-3 py-1.5 rounded border border-yellow-300 bg-yellow-50 text-sm text-yellow-800">
+      <Eye size={14} className="shrink-0" />
+      {confirming ? (
+        <span className="flex-1">
+          Take {port.path} over from {owner}? A burn or write in progress keeps running.
+        </span>
+      ) : (
+        <span className="flex-1">
+          Observing: {port.path} is controlled by {owner}{port.ownerConnected ? '' : ' (disconnected)'}. Read-only.
+          {error && <span className="ml-2 text-red-600">{error}</span>}
+        </span>
+      )}
+      {confirming ? (
+        <>
+          <button
+            onClick={onTake}
+            className="px-2 py-0.5 rounded bg-yellow-500 text-white hover:bg-yellow-600"
+          >
+            Take over
+          </button>
+          <button
+            onClick={() => setConfirming(false)}
+            className="px-2 py-0.5 rounded border border-yellow-300 hover:bg-yellow-100"
+          >
+            Cancel
+          </button>
+        </>
+      ) : (
+        <button
+          onClick={() => setConfirming(true)}
+          className="px-2 py-0.5 rounded border border-yellow-400 hover:bg-yellow-100"
+        >
+          Take control
+        </button>
+      )}
+    </div>
+  );
+};
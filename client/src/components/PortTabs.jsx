@@ -0,0 +1,51 @@
+import React from 'react';
+import { Square, Columns, Eye } from 'lucide-react';
+import { clsx } from 'clsx';
+import { usePorts, useActivePort, setActivePort } from '../utils/portSessions';
+
+/**
+ * Open ports as tabs (the active port is shown), or all of them side by side as station lanes
+ */
+export const PortTabs = ({ layout, onLayoutChange }) => {
+  const ports = usePorts();
+  const activePort = useActivePort();
+
+  if (ports.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-1 border-b border-gray-200">
+      {ports.map((p) => (
+        <button
+          key={p.id}
+          onClick={() => setActivePort(p.id)}
+          className={clsx(
+            "px-3 py-1.5 text-sm font-mono transition border-b-2 -mb-px",
+            p.id === activePort
+              ? "border-blue-500 text-blue-600"
+              : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+          )}
+          title={`${p.baudRate} baud${p.controlling ? '' : `, observing (controlled by ${p.ownerAddress || 'another client'})`}`}
+        >
+          {!p.controlling && <Eye size={12} className="inline mr-1 -mt-0.5" />}
+          {p.path}
+        </button>
+      ))}
+      <div className="ml-auto flex gap-1 pb-1">
+        <button
+          onClick={() => onLayoutChange('tabs')}
+          className={clsx("p-1 rounded", layout === 'tabs' ? "bg-blue-100 text-blue-600" : "text-gray-400 hover:bg-gray-100")}
+          title="One port at a time"
+        >
+          <Square size={14} />
+        </button>
+        <button
+          onClick={() => onLayoutChange('lanes')}
+          className={clsx("p-1 rounded", layout === 'lanes' ? "bg-blue-100 text-blue-600" : "text-gray-400 hover:bg-gray-100")}
+          title="All ports side by side (station lanes)"
+        >
+          <Columns size={14} />
+        </button>
+      </div>
+    </div>
+  );
+};
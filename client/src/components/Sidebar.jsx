@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { socket } from '../socket';
-import { RefreshCw, Power, Terminal, Cpu } from 'lucide-react';
+import { RefreshCw, Power, Terminal, Cpu, X } from 'lucide-react';
 import { clsx } from 'clsx';
+import { usePorts, useActivePort, setActivePort } from '../utils/portSessions';
 
-export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
+export const Sidebar = ({ currentPage, onPageChange }) => {
   const [ports, setPorts] = useState([]);
+  const openPorts = usePorts();
+  const activePort = useActivePort();
   const [config, setConfig] = useState({
     path: '',
     baudRate: '115200',
@@ -20,12 +23,13 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
   };
 
   useEffect(() => {
-    socket.on('ports-list', (list) => {
+    const onPorts = (list) => {
       setPorts(list);
       if (list.length > 0 && !config.path) {
         setConfig(prev => ({ ...prev, path: list[0].path }));
       }
-    });
+    };
+    socket.on('ports-list', onPorts);
 
     // Request port list on connect (and immediately if already connected).
     // Without this, list-ports may be emitted before the socket finishes
@@ -37,7 +41,7 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
     socket.on('connect', requestPorts);
 
     return () => {
-      socket.off('ports-list');
+      socket.off('ports-list', onPorts);
       socket.off('connect', requestPorts);
     };
   }, []);
@@ -48,17 +52,25 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
 
   const [resetting, setResetting] = useState(false);
 
+  // The selected port; several ports can be open at once, the port path is its id
+  const isConnected = openPorts.some((p) => p.id === config.path);
+  // Reset works on the selected port when it is open, else on the active one
+  const resetTarget = isConnected ? config.path : activePort;
+
   const toggleConnection = () => {
     if (isConnected) {
-      socket.emit('close-port');
+      socket.emit('close-port', { port: config.path });
     } else {
       socket.emit('open-port', config);
     }
   };
 
   const handleReset = () => {
+    const port = resetTarget;
+    if (!port) return;
     setResetting(true);
     const onReady = (info) => {
+      if (info.port !== port) return;
       socket.off('port-reset-ready', onReady);
       socket.off('port-closed', onClosed);
       // Auto-reopen with previous config
@@ -67,7 +79,8 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
         setResetting(false);
       }, 200);
     };
-    const onClosed = () => {
+    const onClosed = (info) => {
+      if (!info || info.port !== port) return;
       // If no port-reset-ready comes (port wasn't open), just finish
       setTimeout(() => {
         socket.off('port-reset-ready', onReady);
@@ -76,7 +89,7 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
     };
     socket.on('port-reset-ready', onReady);
     socket.on('port-closed', onClosed);
-    socket.emit('reset-port');
+    socket.emit('reset-port', { port });
   };
 
   return (
@@ -120,7 +133,6 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
               name="path" 
               value={config.path} 
               onChange={handleChange}
-              disabled={isConnected}
               className="flex-1 p-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none text-sm bg-white"
             >
               {ports.length === 0 && <option value="">未检测到串口</option>}
@@ -130,7 +142,6 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
             </select>
             <button 
               onClick={refreshPorts}
-              disabled={isConnected}
               className="p-2 bg-gray-200 rounded hover:bg-gray-300 transition disabled:opacity-50"
               title="刷新列表"
             >
@@ -170,7 +181,7 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
             </button>
             <button
             onClick={handleReset}
-            disabled={resetting}
+            disabled={resetting || !resetTarget}
             className={clsx(
                 "w-full py-2 px-4 rounded text-sm font-medium flex items-center justify-center gap-2 transition border",
                 resetting
@@ -183,6 +194,38 @@ export const Sidebar = ({ isConnected, currentPage, onPageChange }) => {
             </button>
         </div>
 
+        {/* Open Ports */}
+        {openPorts.length > 0 && (
+          <div className="flex flex-col">
+            <label className="text-sm font-medium text-gray-600 mb-1">已打开串口 ({openPorts.length})</label>
+            <div className="space-y-1">
+              {openPorts.map((p) => (
+                <div
+                  key={p.id}
+                  onClick={() => setActivePort(p.id)}
+                  className={clsx(
+                    "flex items-center gap-2 px-2 py-1.5 rounded border text-sm cursor-pointer transition",
+                    p.id === activePort
+                      ? "bg-blue-50 border-blue-300 text-blue-700"
+                      : "bg-white border-gray-200 text-gray-600 hover:bg-gray-100"
+                  )}
+                >
+                  <span className="w-2 h-2 rounded-full bg-green-500 shrink-0" />
+                  <span className="flex-1 font-mono truncate">{p.path}</span>
+                  <span className="text-xs text-gray-400">{p.baudRate}</span>
+                  <button
+                    onClick={(e) => { e.stopPropagation(); socket.emit('close-port', { port: p.id }); }}
+                    className="p-0.5 rounded text-gray-400 hover:text-red-500 hover:bg-red-50"
+                    title="关闭串口"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="mt-8 pt-8 border-t border-gray-200">
             <p className="text-xs text-gray-400">
                 默认配置: 8 Data Bits, None Parity, 1 Stop Bit, No Flow Control
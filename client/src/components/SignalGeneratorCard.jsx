@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { socket } from '../socket';
+import { MonitorPlay, Power, RefreshCw, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { clsx } from 'clsx';
+import { PortOwnerBar } from './PortOwnerBar';
+import {
+  GEN_TIMING_IDS,
+  GEN_TIMING_NAMES,
+  GEN_PATTERN_IDS,
+  GEN_PATTERN_NAMES,
+  formatValue,
+} from '../utils/cvteProtocol';
+
+// gen-command action -> schema command name (for result formatting)
+const GEN_ACTIONS = {
+  timing: 'setGenTiming',
+  pattern: 'setGenPattern',
+  status: 'getGenStatus',
+};
+
+/**
+ * Signal generator card (protocol 0x04 on a second UART)
+ * The server owns the generator port; this card opens it and sends gen-command events.
+ * The client that opened the port controls it; other clients observe it read-only until they take it over.
+ */
+export const SignalGeneratorCard = () => {
+  const [ports, setPorts] = useState([]);
+  const [path, setPath] = useState('');
+  const [genConnected, setGenConnected] = useState(false);
+  const [owner, setOwner] = useState({ controlling: true, ownerAddress: null, ownerConnected: true });
+  const [timing, setTiming] = useState('1080p60');
+  const [pattern, setPattern] = useState('colorbar');
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    const onPorts = (list) => {
+      setPorts(list);
+      setPath((prev) => prev || (list.length > 1 ? list[1].path : list[0]?.path) || '');
+    };
+    const onOpened = (info) => {
+      setGenConnected(true);
+      setPath(info.path);
+      setOwner({ controlling: info.controlling, ownerAddress: info.ownerAddress, ownerConnected: info.ownerConnected });
+    };
+    const onOwner = (info) => {
+      setOwner({ controlling: info.controlling, ownerAddress: info.ownerAddress, ownerConnected: info.ownerConnected });
+    };
+    const onClosed = () => {
+      setGenConnected(false);
+      setOwner({ controlling: true, ownerAddress: null, ownerConnected: true });
+    };
+    const onError = (message) => {
+      setStatus('error');
+      setResult({ display: message, success: false });
+    };
+    const onResult = (res) => {
+      if (res.success) {
+        setResult({ display: formatValue(GEN_ACTIONS[res.action], res.data), success: true });
+        setStatus('success');
+      } else {
+        setResult({ display: `Error: ${res.error}`, success: false });
+        setStatus('error');
+      }
+    };
+
+    socket.on('ports-list', onPorts);
+    socket.on('gen-port-opened', onOpened);
+    socket.on('gen-port-owner', onOwner);
+    socket.on('gen-port-closed', onClosed);
+    socket.on('gen-port-error', onError);
+    socket.on('gen-result', onResult);
+    socket.emit('list-ports');
+
+    return () => {
+      socket.off('ports-list', onPorts);
+      socket.off('gen-port-opened', onOpened);
+      socket.off('gen-port-owner', onOwner);
+      socket.off('gen-port-closed', onClosed);
+      socket.off('gen-port-error', onError);
+      socket.off('gen-result', onResult);
+    };
+  }, []);
+
+  const togglePort = () => {
+    if (genConnected) {
+      socket.emit('close-gen-port');
+    } else if (path) {
+      socket.emit('open-gen-port', { path, baudRate: 115200 });
+    }
+  };
+
+  const sendCommand = (action, value = null) => {
+    setStatus('pending');
+    setResult(null);
+    socket.emit('gen-command', { action, value });
+  };
+
+  const busy = status === 'pending';
+  // Commands need the port open and controlled by this client
+  const canSend = genConnected && owner.controlling && !busy;
+  const selectClass = "flex-1 px-2 py-1.5 text-sm border border-gray-300 rounded focus:border-blue-500 focus:outline-none disabled:bg-gray-100 disabled:text-gray-400";
+  const buttonClass = (enabled) => clsx(
+    "py-1.5 px-3 rounded text-sm font-medium transition",
+    enabled ? "bg-blue-500 hover:bg-blue-600 text-white" : "bg-gray-200 text-gray-400 cursor-not-allowed"
+  );
+
+  const getStatusIcon = () => {
+    switch (status) {
+      case 'pending': return <Loader2 size={14} className="animate-spin text-blue-500" />;
+      case 'success': return <CheckCircle size={14} className="text-green-500" />;
+      case 'error': return <XCircle size={14} className="text-red-500" />;
+      default: return null;
+    }
+  };
+
+  return (
+    <div className="bg-white rounded border border-gray-200 p-2 shadow-sm">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center gap-1.5">
+          <MonitorPlay size={14} className="text-gray-500" />
+          <h3 className="text-sm font-medium text-gray-700">Signal Generator</h3>
+        </div>
+        {getStatusIcon()}
+      </div>
+
+      {/* Generator port */}
+      <div className="flex gap-2 mb-2">
+        <select value={path} onChange={(e) => setPath(e.target.value)} disabled={genConnected} className={selectClass}>
+          {ports.map((p) => (
+            <option key={p.path} value={p.path}>{p.path}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => socket.emit('list-ports')}
+          disabled={genConnected}
+          className="p-1.5 rounded text-gray-500 hover:bg-gray-100 disabled:text-gray-300"
+          title="Refresh"
+        >
+          <RefreshCw size={14} />
+        </button>
+        <button
+          onClick={togglePort}
+          disabled={!path || !owner.controlling}
+          className={clsx(
+            "py-1.5 px-2 rounded text-sm font-medium flex items-center gap-1",
+            genConnected ? "bg-red-100 text-red-600 hover:bg-red-200" : "bg-green-100 text-green-700 hover:bg-green-200"
+          )}
+        >
+          <Power size={14} />
+          <span>{genConnected ? 'Close' : 'Open'}</span>
+        </button>
+      </div>
+
+      {genConnected && !owner.controlling && (
+        <div className="mb-2">
+          <PortOwnerBar
+            port={{ id: 'generator', path, ...owner }}
+            onTake={() => socket.emit('take-gen-port', { confirm: true })}
+          />
+        </div>
+      )}
+
+      {/* Timing */}
+      <div className="flex gap-2 mb-2">
+        <select value={timing} onChange={(e) => setTiming(e.target.value)} disabled={!genConnected} className={selectClass}>
+          {Object.entries(GEN_TIMING_IDS).map(([key, id]) => (
+            <option key={key} value={key}>{GEN_TIMING_NAMES[id]}</option>
+          ))}
+        </select>
+        <button onClick={() => sendCommand('timing', timing)} disabled={!canSend} className={buttonClass(canSend)}>
+          Timing
+        </button>
+      </div>
+
+      {/* Pattern */}
+      <div className="flex gap-2 mb-2">
+        <select value={pattern} onChange={(e) => setPattern(e.target.value)} disabled={!genConnected} className={selectClass}>
+          {Object.entries(GEN_PATTERN_IDS).map(([key, id]) => (
+            <option key={key} value={key}>{GEN_PATTERN_NAMES[id]}</option>
+          ))}
+        </select>
+        <button onClick={() => sendCommand('pattern', pattern)} disabled={!canSend} className={buttonClass(canSend)}>
+          Pattern
+        </button>
+      </div>
+
+      {result && (
+        <div className={
+          "rounded px-2 py-1 mb-2 text-xs font-mono truncate " +
+          (result.success === false ? "bg-red-50 text-red-600" : "bg-green-50 text-green-600")
+        }>
+          {result.display}
+        </div>
+      )}
+
+      <button
+        onClick={() => sendCommand('status')}
+        disabled={!canSend}
+        className={clsx("w-full", buttonClass(canSend))}
+      >
+        Read Status
+      </button>
+    </div>
+  );
+};
@@ -1,8 +1,10 @@
 import React, { useState, useRef, useCallback } from 'react';
-import { socket } from '../socket';
+import { transact, isTimeoutError, failureDisplay } from '../utils/transaction';
+import { usePort } from '../utils/portSessions';
 import { Tv, CheckCircle, XCircle, Loader2, ChevronDown } from 'lucide-react';
 import { clsx } from 'clsx';
-import { PROTOCOL, SOURCE_NAMES, buildCommandHex } from '../utils/cvteProtocol';
+import { PROTOCOL, SOURCE_NAMES, SOURCE_GROUPS, buildCommandHex, isSourceSupported } from '../utils/cvteProtocol';
+import { useDeviceProfile } from '../utils/deviceProfile';
 import { parseSetSourceResponse, parseSourceResponse } from '../utils/responseParsers';
 
 /**
@@ -13,36 +15,20 @@ export const SourceSelector = ({
   isConnected = false,
   timeout = 3000,
 }) => {
-  const [selectedSource, setSelectedSource] = useState('HDMI1');
+  const port = usePort();
+  // Picked source; falls back to the first one the device profile supports
+  const [sourceChoice, setSelectedSource] = useState('HDMI1');
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
   const cleanupRef = useRef(null);
 
-  // Available sources from PROTOCOL.SOURCE
-  const sources = [
-    { id: PROTOCOL.SOURCE.ATV, name: 'ATV', group: 'TV' },
-    { id: PROTOCOL.SOURCE.DTV, name: 'DTV', group: 'TV' },
-    { id: PROTOCOL.SOURCE.DVBS, name: 'DVBS', group: 'TV' },
-    { id: PROTOCOL.SOURCE.VGA, name: 'VGA', group: 'PC' },
-    { id: PROTOCOL.SOURCE.HDMI1, name: 'HDMI1', group: 'HDMI' },
-    { id: PROTOCOL.SOURCE.HDMI2, name: 'HDMI2', group: 'HDMI' },
-    { id: PROTOCOL.SOURCE.HDMI3, name: 'HDMI3', group: 'HDMI' },
-    { id: PROTOCOL.SOURCE.HDMI4, name: 'HDMI4', group: 'HDMI' },
-    { id: PROTOCOL.SOURCE.HDMI5, name: 'HDMI5', group: 'HDMI' },
-    { id: PROTOCOL.SOURCE.AV1, name: 'AV1', group: 'AV' },
-    { id: PROTOCOL.SOURCE.AV2, name: 'AV2', group: 'AV' },
-    { id: PROTOCOL.SOURCE.USB1, name: 'USB1', group: 'USB' },
-    { id: PROTOCOL.SOURCE.USB2, name: 'USB2', group: 'USB' },
-  ];
-
-  // Group sources for organized display
-  const groupedSources = sources.reduce((acc, source) => {
-    if (!acc[source.group]) {
-      acc[source.group] = [];
-    }
-    acc[source.group].push(source);
-    return acc;
-  }, {});
+  // Sources grouped for display; a device profile with probed sources hides the unsupported ones
+  const profile = useDeviceProfile();
+  const groupedSources = SOURCE_GROUPS
+    .map((group) => ({ ...group, sources: group.sources.filter((name) => isSourceSupported(profile, name)) }))
+    .filter((group) => group.sources.length > 0);
+  const available = groupedSources.flatMap((group) => group.sources);
+  const selectedSource = available.length === 0 || available.includes(sourceChoice) ? sourceChoice : available[0];
 
   const executeCommand = useCallback(() => {
     if (!isConnected) return;
@@ -56,17 +42,15 @@ export const SourceSelector = ({
     setResult(null);
 
     // Find the source ID
-    const source = sources.find(s => s.name === selectedSource);
-    if (!source) {
+    const sourceId = PROTOCOL.SOURCE[selectedSource];
+    if (sourceId === undefined) {
       setStatus('error');
       setResult({ display: 'Invalid source', success: false });
       return;
     }
 
-    // Build and send the command
-    const command = buildCommandHex(PROTOCOL.CMD.SET_SOURCE, [source.id]);
-    socket.emit('send-data', { data: command, type: 'hex' });
-
+    // Build the command
+    const command = buildCommandHex(PROTOCOL.CMD.SET_SOURCE, [sourceId]);
     // Listen for response
     const handleResponse = (data) => {
       try {
@@ -80,23 +64,26 @@ export const SourceSelector = ({
       cleanup();
     };
 
-    socket.on('serial-data', handleResponse);
-
-    // Timeout handler
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, timeout);
+    // The server queues the request and answers with this command's own response
+    let cancelled = false;
+    transact(command, { port, timeout })
+      .then((data) => {
+        if (!cancelled) handleResponse(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+        cleanup();
+      });
 
     const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
+      cancelled = true;
       cleanupRef.current = null;
     };
 
     cleanupRef.current = cleanup;
-  }, [isConnected, selectedSource, timeout]);
+  }, [isConnected, port, selectedSource, timeout]);
 
   // Status icon
   const getStatusIcon = () => {
@@ -136,11 +123,11 @@ export const SourceSelector = ({
             : "border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed"
         )}
       >
-        {Object.entries(groupedSources).map(([group, groupSources]) => (
-          <optgroup key={group} label={group}>
-            {groupSources.map((source) => (
-              <option key={source.id} value={source.name}>
-                {source.name}
+        {groupedSources.map((group) => (
+          <optgroup key={group.name} label={group.name}>
+            {group.sources.map((name) => (
+              <option key={name} value={name}>
+                {name}
               </option>
             ))}
           </optgroup>
@@ -192,6 +179,7 @@ export const GetCurrentSource = ({
   isConnected = false,
   timeout = 3000,
 }) => {
+  const port = usePort();
   const [status, setStatus] = useState('idle');
   const [result, setResult] = useState(null);
   const cleanupRef = useRef(null);
@@ -208,8 +196,6 @@ export const GetCurrentSource = ({
     setStatus('pending');
     setResult(null);
 
-    socket.emit('send-data', { data: command, type: 'hex' });
-
     const handleResponse = (data) => {
       try {
         const parsed = parseSourceResponse(data);
@@ -222,22 +208,26 @@ export const GetCurrentSource = ({
       cleanup();
     };
 
-    socket.on('serial-data', handleResponse);
-
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult({ display: 'Timeout', success: false });
-      cleanup();
-    }, timeout);
+    // The server queues the request and answers with this command's own response
+    let cancelled = false;
+    transact(command, { port, timeout })
+      .then((data) => {
+        if (!cancelled) handleResponse(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+        cleanup();
+      });
 
     const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
+      cancelled = true;
       cleanupRef.current = null;
     };
 
     cleanupRef.current = cleanup;
-  }, [isConnected, command, timeout]);
+  }, [isConnected, port, command, timeout]);
 
   const getStatusIcon = () => {
     switch (status) {
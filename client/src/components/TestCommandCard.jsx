@@ -1,5 +1,6 @@
 import React, { useState, useRef, useCallback } from 'react';
-import { socket } from '../socket';
+import { transact, isTimeoutError } from '../utils/transaction';
+import { usePort } from '../utils/portSessions';
 import { Play, Clock, CheckCircle, XCircle, Loader2 } from 'lucide-react';
 import { clsx } from 'clsx';
 
@@ -16,6 +17,7 @@ export const TestCommandCard = ({
   enabled = true,
   isConnected = false,
 }) => {
+  const port = usePort();
   const [status, setStatus] = useState('idle'); // 'idle' | 'pending' | 'success' | 'timeout' | 'error'
   const [result, setResult] = useState(null);
   const [rawData, setRawData] = useState(null);
@@ -42,10 +44,7 @@ export const TestCommandCard = ({
     setResult(null);
     setRawData(null);
 
-    // Send the HEX command
-    socket.emit('send-data', { data: command, type: 'hex' });
-
-    // Listen for response
+    // Handle the response to this command
     const handleResponse = (data) => {
       setRawData(data);
       const parser = parseResponse || defaultParser;
@@ -65,23 +64,26 @@ export const TestCommandCard = ({
       cleanup();
     };
 
-    socket.on('serial-data', handleResponse);
-
-    // Timeout handler
-    const timer = setTimeout(() => {
-      setStatus('timeout');
-      setResult('No response within timeout period');
-      cleanup();
-    }, timeout);
+    // The server queues the request and answers with this command's own response
+    let cancelled = false;
+    transact(command, { port, timeout })
+      .then((data) => {
+        if (!cancelled) handleResponse(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult(isTimeoutError(err) ? 'No response within timeout period' : { display: `Error: ${err.message}`, success: false });
+        cleanup();
+      });
 
     const cleanup = () => {
-      socket.off('serial-data', handleResponse);
-      clearTimeout(timer);
+      cancelled = true;
       cleanupRef.current = null;
     };
 
     cleanupRef.current = cleanup;
-  }, [isConnected, enabled, command, parseResponse, defaultParser, timeout]);
+  }, [isConnected, port, enabled, command, parseResponse, defaultParser, timeout]);
 
   // Status icon and color
   const getStatusDisplay = () => {
@@ -0,0 +1,189 @@
+import React, { useState, useRef, useCallback } from 'react';
+import { transact, isTimeoutError, failureDisplay } from '../utils/transaction';
+import { usePort } from '../utils/portSessions';
+import { Palette, CheckCircle, XCircle, Loader2, Download, Send } from 'lucide-react';
+import { clsx } from 'clsx';
+import {
+  COLOR_TEMP_IDS,
+  COLOR_TEMP_NAMES,
+  buildRequest,
+  parseResponse,
+  formatValue,
+  getCommandSchema,
+} from '../utils/cvteProtocol';
+
+const CHANNELS = [
+  { key: 'red', label: 'R', className: 'text-red-600' },
+  { key: 'green', label: 'G', className: 'text-green-600' },
+  { key: 'blue', label: 'B', className: 'text-blue-600' },
+];
+
+/**
+ * White balance card (protocol 0x02): read/write R/G/B for one colour temperature
+ *
+ * @param {string} getCommand - Schema name of the read command (e.g., 'getWbGain')
+ * @param {string} setCommand - Schema name of the write command (e.g., 'setWbGain')
+ */
+export const WhiteBalanceCard = ({ getCommand, setCommand, isConnected = false }) => {
+  const port = usePort();
+  const [colorTemp, setColorTemp] = useState('standard');
+  const [values, setValues] = useState({ red: '', green: '', blue: '' });
+  const [status, setStatus] = useState('idle');
+  const [result, setResult] = useState(null);
+  const cleanupRef = useRef(null);
+  const { label, timeout } = getCommandSchema(getCommand);
+
+  const runCommand = useCallback((name, args, onResult) => {
+    if (!isConnected) return;
+
+    if (cleanupRef.current) {
+      cleanupRef.current();
+    }
+
+    let command;
+    try {
+      command = buildRequest(name, ...args);
+    } catch (err) {
+      setStatus('error');
+      setResult({ display: err.message, success: false });
+      return;
+    }
+
+    setStatus('pending');
+    setResult(null);
+
+    const handleResponse = (data) => {
+      const parsed = parseResponse(name, data);
+      if (parsed.success) {
+        onResult(parsed);
+      }
+      setResult({ display: formatValue(name, parsed), success: parsed.success });
+      setStatus(parsed.success ? 'success' : 'error');
+      cleanup();
+    };
+
+    // The server queues the request and answers with this command's own response
+    let cancelled = false;
+    transact(command, { port, timeout })
+      .then((data) => {
+        if (!cancelled) handleResponse(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setStatus(isTimeoutError(err) ? 'timeout' : 'error');
+        setResult({ display: failureDisplay(err), success: false });
+        cleanup();
+      });
+
+    const cleanup = () => {
+      cancelled = true;
+      cleanupRef.current = null;
+    };
+
+    cleanupRef.current = cleanup;
+  }, [isConnected, port, timeout]);
+
+  const handleRead = () => {
+    runCommand(getCommand, [colorTemp], (parsed) => {
+      setValues({ red: String(parsed.red), green: String(parsed.green), blue: String(parsed.blue) });
+    });
+  };
+
+  const handleWrite = () => {
+    runCommand(setCommand, [colorTemp, values.red, values.green, values.blue], () => {});
+  };
+
+  const canWrite = isConnected && status !== 'pending' && CHANNELS.every(({ key }) => values[key] !== '');
+
+  const getStatusIcon = () => {
+    switch (status) {
+      case 'pending': return <Loader2 size={14} className="animate-spin text-blue-500" />;
+      case 'success': return <CheckCircle size={14} className="text-green-500" />;
+      case 'timeout':
+      case 'error': return <XCircle size={14} className="text-red-500" />;
+      default: return null;
+    }
+  };
+
+  return (
+    <div className="bg-white rounded border border-gray-200 p-2 shadow-sm">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center gap-1.5">
+          <Palette size={14} className="text-gray-500" />
+          <h3 className="text-sm font-medium text-gray-700">{label}</h3>
+        </div>
+        {getStatusIcon()}
+      </div>
+
+      <select
+        value={colorTemp}
+        onChange={(e) => setColorTemp(e.target.value)}
+        disabled={!isConnected}
+        className="w-full mb-2 px-2 py-1.5 text-sm border border-gray-300 rounded focus:border-blue-500 focus:outline-none disabled:bg-gray-100 disabled:text-gray-400"
+      >
+        {Object.entries(COLOR_TEMP_IDS).map(([key, id]) => (
+          <option key={key} value={key}>{COLOR_TEMP_NAMES[id]}</option>
+        ))}
+      </select>
+
+      <div className="grid grid-cols-3 gap-1 mb-2">
+        {CHANNELS.map(({ key, label: channelLabel, className }) => (
+          <label key={key} className="flex items-center gap-1">
+            <span className={clsx('text-xs font-semibold w-3', className)}>{channelLabel}</span>
+            <input
+              type="number"
+              min="0"
+              value={values[key]}
+              onChange={(e) => setValues((prev) => ({ ...prev, [key]: e.target.value }))}
+              disabled={!isConnected}
+              className={
+                "w-full px-1 py-1 text-sm border rounded font-mono " +
+                (isConnected
+                  ? "border-gray-300 focus:border-blue-500 focus:outline-none"
+                  : "border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed")
+              }
+            />
+          </label>
+        ))}
+      </div>
+
+      {result && (
+        <div className={
+          "rounded px-2 py-1 mb-2 text-xs font-mono truncate " +
+          (result.success === false ? "bg-red-50 text-red-600" : "bg-green-50 text-green-600")
+        }>
+          {result.display}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleRead}
+          disabled={!isConnected || status === 'pending'}
+          className={
+            "flex-1 py-1.5 px-3 rounded text-sm font-medium flex items-center justify-center gap-1 transition " +
+            (isConnected && status !== 'pending'
+              ? "bg-gray-100 hover:bg-gray-200 text-gray-700"
+              : "bg-gray-200 text-gray-400 cursor-not-allowed")
+          }
+        >
+          <Download size={14} />
+          <span>Read</span>
+        </button>
+        <button
+          onClick={handleWrite}
+          disabled={!canWrite}
+          className={
+            "flex-1 py-1.5 px-3 rounded text-sm font-medium flex items-center justify-center gap-1 transition " +
+            (canWrite
+              ? "bg-blue-500 hover:bg-blue-600 text-white"
+              : "bg-gray-200 text-gray-400 cursor-not-allowed")
+          }
+        >
+          <Send size={14} />
+          <span>Write</span>
+        </button>
+      </div>
+    </div>
+  );
+};
@@ -8,6 +8,17 @@ import { io } from "socket.io-client";
 const isDev = location.port !== '3000';
 const URL = isDev ? "http://localhost:3000" : undefined;
 
+// Base of the backend's HTTP API ('' on the same origin)
+export const SERVER_URL = URL || '';
+
+// Identifies this browser tab to the server, which gives port control to clients, not sockets:
+// kept in sessionStorage, a reload keeps control of the ports the tab opened
+const CLIENT_ID_KEY = 'comtest-client-id';
+const clientId = sessionStorage.getItem(CLIENT_ID_KEY)
+    || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+sessionStorage.setItem(CLIENT_ID_KEY, clientId);
+
 export const socket = io(URL, {
-    autoConnect: true
+    autoConnect: true,
+    auth: { clientId }
 });
\ No newline at end of file
@@ -1,9 +1,18 @@
 /**
  * CVTE Factory Auto Test Serial Protocol Utilities
  *
- * This file re-exports from the shared protocol module for backward compatibility.
- * New code should import directly from '../../../shared/cvteProtocol.js'
+ * This file re-exports from the shared protocol modules for backward compatibility.
+ * New code should import directly from '../../../shared/cvteProtocol.js',
+ * '../../../shared/commandSchema.js', '../../../shared/protocolErrors.js',
+ * '../../../shared/dissector.js', '../../../shared/deviceProfile.js',
+ * '../../../shared/keyFile.js' and '../../../shared/keyStatus.js'
  */
 
-// Re-export everything from the shared module
+// Re-export everything from the shared modules
 export * from '../../../shared/cvteProtocol.js';
+export * from '../../../shared/commandSchema.js';
+export * from '../../../shared/protocolErrors.js';
+export * from '../../../shared/dissector.js';
+export * from '../../../shared/deviceProfile.js';
+export * from '../../../shared/keyFile.js';
+export * from '../../../shared/keyStatus.js';
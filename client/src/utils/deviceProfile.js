@@ -0,0 +1,37 @@
+/**
+ * Active device profile
+ *
+ * The Device Test page loads a saved profile (or probes the connected model);
+ * cards read it with useDeviceProfile() and only offer what it supports.
+ * No profile means everything is offered.
+ */
+
+import { useSyncExternalStore } from 'react';
+
+let activeProfile = null;
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * @returns {object|null} Active device profile
+ */
+export const getActiveProfile = () => activeProfile;
+
+/**
+ * Make a profile active (null: no profile, offer everything)
+ * @param {object|null} profile - Device profile
+ */
+export const setActiveProfile = (profile) => {
+  activeProfile = profile;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * React hook: the active device profile, re-rendering when it changes
+ * @returns {object|null}
+ */
+export const useDeviceProfile = () => useSyncExternalStore(subscribe, getActiveProfile);
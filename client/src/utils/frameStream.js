@@ -0,0 +1,54 @@
+/**
+ * CVTE frame stream for the WebUI
+ *
+ * Feeds raw 'serial-data' chunks through the shared FrameDecoder and hands
+ * complete, checksum-valid frames to subscribers. Cards subscribe here instead
+ * of parsing raw socket chunks, so debug text and back-to-back frames on the
+ * UART do not break them. Each port has its own decoder; handlers get the port id.
+ */
+
+import { socket } from '../socket';
+import { FrameDecoder } from './cvteProtocol';
+
+const frameHandlers = new Set();
+const errorHandlers = new Set();
+
+const decoders = new Map();
+
+const decoderFor = (port) => {
+  if (!decoders.has(port)) {
+    decoders.set(port, new FrameDecoder({
+      onError: (err) => errorHandlers.forEach((handler) => handler(err, port)),
+    }));
+  }
+  return decoders.get(port);
+};
+
+socket.on('serial-data', ({ port, data }) => {
+  const frames = decoderFor(port).push(new Uint8Array(data));
+  frames.forEach((frame) => [...frameHandlers].forEach((handler) => handler(frame, port)));
+});
+
+// A new port session never continues a partial frame from the previous one
+socket.on('port-opened', ({ port }) => decoders.delete(port));
+socket.on('port-closed', ({ port } = {}) => decoders.delete(port));
+
+/**
+ * Subscribe to decoded frames
+ * @param {(frame: Uint8Array, port: string) => void} handler - Called once per valid frame, with its port id
+ * @returns {() => void} Unsubscribe function
+ */
+export const onFrame = (handler) => {
+  frameHandlers.add(handler);
+  return () => frameHandlers.delete(handler);
+};
+
+/**
+ * Subscribe to framing errors (garbage, bad length, checksum mismatch)
+ * @param {(error: {type: string, message: string, bytes: Uint8Array}, port: string) => void} handler
+ * @returns {() => void} Unsubscribe function
+ */
+export const onFrameError = (handler) => {
+  errorHandlers.add(handler);
+  return () => errorHandlers.delete(handler);
+};
@@ -0,0 +1,30 @@
+/**
+ * Key file upload
+ *
+ * Key files go to the backend as raw bytes (POST /api/keys) rather than as
+ * JSON number arrays inside 'burn-key'. The server answers with a handle and
+ * the file's SHA-256; 'burn-key' refers to the handle, so a retry of the same
+ * file does not upload it again.
+ */
+
+import { SERVER_URL } from '../socket';
+
+/**
+ * Upload a key file
+ * @param {File} file - Picked file
+ * @returns {Promise<{handle: string, name: string, size: number, sha256: string}>} Throws on failure
+ */
+export const uploadKeyFile = async (file) => {
+  const response = await fetch(`${SERVER_URL}/api/keys`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'X-File-Name': encodeURIComponent(file.name),
+    },
+    body: file,
+  });
+  const result = await response.json().catch(() => ({ success: false, error: `Upload failed: HTTP ${response.status}` }));
+  if (!result.success) throw new Error(result.error);
+  const { handle, name, size, sha256 } = result;
+  return { handle, name, size, sha256 };
+};
@@ -0,0 +1,116 @@
+/**
+ * Open device ports
+ *
+ * The server keeps one session per serial port; its path is the port id that
+ * every port event carries ({ port }). This store tracks the open ports and
+ * the active one the pages work on. A card sends to the port of the lane it
+ * sits in (PortContext), or to the active port outside of lanes: usePort().
+ *
+ * One client controls a port (it opened it or took it over); the others
+ * observe it: they see its traffic, but the server rejects their commands
+ * (code PORT_OWNED). takePort() takes control once the user confirmed it.
+ */
+
+import { createContext, useContext, useSyncExternalStore } from 'react';
+import { socket } from '../socket';
+
+let ports = [];
+let activePort = null;
+const listeners = new Set();
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const ownershipOf = (info) => ({
+  controlling: Boolean(info.controlling),
+  ownerAddress: info.ownerAddress || null,
+  ownerConnected: Boolean(info.ownerConnected),
+});
+
+socket.on('port-opened', (info) => {
+  const entry = { id: info.port, path: info.path, baudRate: info.baudRate, ...ownershipOf(info) };
+  ports = ports.some((p) => p.id === entry.id)
+    ? ports.map((p) => (p.id === entry.id ? entry : p))
+    : [...ports, entry];
+  // A port another client opens does not pull this page away from its own
+  if (entry.controlling || !activePort) activePort = entry.id;
+  notify();
+});
+
+socket.on('port-owner', (info) => {
+  ports = ports.map((p) => (p.id === info.port ? { ...p, ...ownershipOf(info) } : p));
+  notify();
+});
+
+socket.on('port-closed', ({ port } = {}) => {
+  ports = ports.filter((p) => p.id !== port);
+  if (activePort === port) activePort = ports.length > 0 ? ports[0].id : null;
+  notify();
+});
+
+// The server announces the ports still open when the socket reconnects
+socket.on('disconnect', () => {
+  ports = [];
+  activePort = null;
+  notify();
+});
+
+/**
+ * @returns {Array<{id: string, path: string, baudRate: number, controlling: boolean, ownerAddress: string|null,
+ *   ownerConnected: boolean}>} Open ports, in the order they were opened
+ */
+export const getPorts = () => ports;
+
+/**
+ * @returns {string|null} Id of the active port
+ */
+export const getActivePort = () => activePort;
+
+/**
+ * Make an open port the active one
+ * @param {string} id - Port id
+ */
+export const setActivePort = (id) => {
+  if (!ports.some((p) => p.id === id)) return;
+  activePort = id;
+  notify();
+};
+
+/**
+ * Take control of a port from the client that controls it (the user confirmed); the outcome
+ * arrives as 'take-port-result' { port, success, error? } and, for every client, 'port-owner'
+ * @param {string} id - Port id
+ */
+export const takePort = (id) => socket.emit('take-port', { port: id, confirm: true });
+
+/**
+ * React hook: the open ports, re-rendering when one opens, closes or changes owner
+ * @returns {Array<{id: string, path: string, baudRate: number, controlling: boolean, ownerAddress: string|null,
+ *   ownerConnected: boolean}>}
+ */
+export const usePorts = () => useSyncExternalStore(subscribe, getPorts);
+
+/**
+ * React hook: id of the active port
+ * @returns {string|null}
+ */
+export const useActivePort = () => useSyncExternalStore(subscribe, getActivePort);
+
+/**
+ * Port of a station lane; components outside a lane work on the active port
+ */
+export const PortContext = createContext(null);
+
+/**
+ * React hook: id of the port this component works on (its lane's, or the active port)
+ * @returns {string|null}
+ */
+export const usePort = () => {
+  const lanePort = useContext(PortContext);
+  const active = useActivePort();
+  return lanePort ?? active;
+};
@@ -0,0 +1,69 @@
+/**
+ * CVTE request/response over the server's transaction queue
+ *
+ * The server serializes every request on the port and matches each response
+ * to the request that caused it (RET command ID or ACK of the request), so a
+ * card only ever sees its own response — not a frame meant for another card,
+ * a heartbeat ACK, or unsolicited traffic. Requests go to the port given in
+ * options.port (see usePort()).
+ */
+
+import { socket } from '../socket';
+import { ERROR_CODE, ProtocolError, PortError } from './cvteProtocol';
+
+const pending = new Map();
+let nextId = 1;
+
+socket.on('transact-result', (result) => {
+  const request = pending.get(result.id);
+  if (!request) return;
+  pending.delete(result.id);
+  if (result.success) {
+    request.resolve(Uint8Array.from(result.frame));
+  } else {
+    request.reject(new ProtocolError(result.error, result.code));
+  }
+});
+
+// The server drops its queue with the connection; nothing in flight will be answered
+socket.on('disconnect', () => {
+  pending.forEach((request) => request.reject(new PortError('Disconnected', ERROR_CODE.PORT_CLOSED)));
+  pending.clear();
+});
+
+/**
+ * Send a command and wait for its response
+ *
+ * @param {string} command - HEX command string
+ * @param {object} [options] - Defaults come from the command schema on the server
+ * @param {string} [options.port] - Port id (may be omitted while only one port is open)
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds
+ * @param {number} [options.retries] - Resends after a timeout
+ * @param {object} [options.expect] - Response match ({ cmd, ack }, see TransactionQueue.request)
+ * @returns {Promise<Uint8Array>} Response frame; rejects with a ProtocolError carrying the server's code
+ */
+export const transact = (command, { port, timeout, retries, expect } = {}) => (
+  new Promise((resolve, reject) => {
+    if (!socket.connected) {
+      reject(new PortError('Disconnected', ERROR_CODE.PORT_CLOSED));
+      return;
+    }
+    const id = nextId++;
+    pending.set(id, { resolve, reject });
+    socket.emit('transact', { id, port, command, timeout, retries, expect });
+  })
+);
+
+/**
+ * Check whether a transaction failed because the device did not answer in time
+ * @param {Error} err - Rejection from transact()
+ * @returns {boolean}
+ */
+export const isTimeoutError = (err) => err.code === ERROR_CODE.TIMEOUT;
+
+/**
+ * Result text for a failed transaction
+ * @param {Error} err - Rejection from transact()
+ * @returns {string}
+ */
+export const failureDisplay = (err) => (isTimeoutError(err) ? 'Timeout' : `Error: ${err.message}`);
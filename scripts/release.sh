@@ -12,9 +12,10 @@ echo "[1/4] Building frontend..."
 # Clean and create release dir
 echo "[2/4] Copying files..."
 rm -rf release
-mkdir -p "$DIST/server" "$DIST/client"
+mkdir -p "$DIST/server" "$DIST/client" "$DIST/shared"
 
-cp server/index.js server/burnProtocol.js "$DIST/server/"
+cp server/index.js "$DIST/server/"
+cp shared/*.js shared/package.json "$DIST/shared/"
 cp -r client/dist "$DIST/client/"
 
 # package.json for npm install
@@ -5,7 +5,8 @@ const { SerialPort } = require('serialport');
 const cors = require('cors');
 
 const path = require('path');
-const { fileCrc16, calculateChecksum, buildStartSendFile, buildSendFileData, buildSendFileCrc } = require('./burnProtocol.js');
+const crypto = require('crypto');
+const { version } = require('./package.json');
 
 const app = express();
 app.use(cors());
@@ -13,6 +14,258 @@ app.use(cors());
 // Serve static files from client/dist
 app.use(express.static(path.join(__dirname, '../client/dist')));
 
+// Key files uploaded with POST /api/keys, by handle. An upload is dropped (content zeroed) beyond
+// MAX_UPLOADS (oldest first), UPLOAD_TTL after it was last uploaded or burned, and once a burn of it succeeds.
+const uploads = new Map();
+const MAX_UPLOADS = 32;
+const MAX_UPLOAD_SIZE = '1mb';
+const UPLOAD_TTL = 10 * 60 * 1000;
+
+// Forget an upload and zero its content (a burn session keeps its own copy)
+function dropUpload(upload) {
+  clearTimeout(upload.expiry);
+  uploads.delete(upload.handle);
+  keyVault.zeroize(upload.data);
+}
+
+// (Re)start an upload's UPLOAD_TTL
+function touchUpload(upload) {
+  clearTimeout(upload.expiry);
+  upload.expiry = setTimeout(() => dropUpload(upload), UPLOAD_TTL).unref();
+}
+
+/**
+ * Keep an uploaded key file; the same content uploaded again keeps its handle
+ * @param {Buffer} data - File content (copied; the caller zeroes it)
+ * @param {string|null} name - File name as picked on the client
+ * @returns {{handle: string, name: string|null, size: number, sha256: string, data: Uint8Array, uploadedAt: string}}
+ */
+function storeUpload(data, name) {
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  for (const upload of uploads.values()) {
+    if (upload.sha256 === sha256) {
+      if (name) upload.name = name;
+      touchUpload(upload);
+      return upload;
+    }
+  }
+  const upload = {
+    handle: crypto.randomUUID(),
+    name,
+    size: data.length,
+    sha256,
+    data: Uint8Array.from(data),
+    uploadedAt: new Date().toISOString(),
+  };
+  uploads.set(upload.handle, upload);
+  touchUpload(upload);
+  if (uploads.size > MAX_UPLOADS) dropUpload(uploads.values().next().value);
+  return upload;
+}
+
+// Upload without its content, as sent to clients
+const describeUpload = ({ handle, name, size, sha256 }) => ({ handle, name, size, sha256 });
+
+// X-File-Name is URI-encoded; only the base name is kept
+function uploadFileName(header) {
+  if (!header) return null;
+  try {
+    return path.basename(decodeURIComponent(header)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Upload a key file as raw bytes (Content-Type: application/octet-stream, name in X-File-Name).
+// Answers { success, handle, name, size, sha256 }; 'burn-key' takes the handle, so a retry
+// reuses the upload instead of sending the file again (until the burn succeeds or the upload expires).
+app.post('/api/keys', express.raw({ type: 'application/octet-stream', limit: MAX_UPLOAD_SIZE }), (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json(errors.toErrorResult(new errors.InvalidArgumentError('Send the key file as a non-empty application/octet-stream body')));
+    return;
+  }
+  const upload = storeUpload(req.body, uploadFileName(req.get('X-File-Name')));
+  req.body.fill(0);
+  console.log(`Key file ${upload.name || upload.handle} uploaded (${upload.size} bytes, SHA-256 ${upload.sha256})`);
+  res.status(201).json({ success: true, ...describeUpload(upload) });
+});
+
+// ---- REST API (shared/httpApi.js): the CLI's commands for clients without Socket.IO ----
+// Results have the JSON shape of `comtest-cli --json`; the HTTP status follows the error code.
+
+const sendResult = (res, result, status = httpApi.httpStatusOf(result)) => res.status(status).json(result);
+
+/**
+ * Port session an API request drives (port from the body, else the query); answers the
+ * request itself when the port is not open or another client controls it
+ * @returns {object|null} Port session, or null when answered
+ */
+function apiPortSession(req, res) {
+  const payload = { port: (req.body && req.body.port) || req.query.port };
+  const portSession = findPortSession(payload);
+  if (!isPortOpen(portSession)) {
+    sendResult(res, { port: portIdOf(portSession, payload), ...portNotOpen() });
+    return null;
+  }
+  if (!controls(portSession, httpClient(req))) {
+    sendResult(res, { port: portSession.id, ...notOwner(portSession) });
+    return null;
+  }
+  return portSession;
+}
+
+/**
+ * Response timeout from a request
+ * @param {string|number|undefined} value - Milliseconds (query strings arrive as text)
+ * @returns {number|null} null: the command's default; throws InvalidArgumentError unless a positive integer
+ */
+function apiTimeout(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const timeout = Number(value);
+  if (!Number.isInteger(timeout) || timeout <= 0) {
+    throw new errors.InvalidArgumentError(`Invalid timeout: ${value} (milliseconds, a positive integer)`);
+  }
+  return timeout;
+}
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(httpApi.buildOpenApiDocument({ version }));
+});
+
+app.get('/api/ports', async (req, res) => {
+  try {
+    res.json(await SerialPort.list());
+  } catch (err) {
+    sendResult(res, errors.toErrorResult(err));
+  }
+});
+
+// Open a device port (body: openDevicePort() config with port: path)
+app.post('/api/ports/open', express.json(), async (req, res) => {
+  try {
+    const portSession = await openDevicePort({ ...req.body, path: req.body.port }, httpClient(req));
+    res.json({ success: true, port: portSession.id, path: portSession.port.path, baudRate: portSession.port.baudRate });
+  } catch (err) {
+    sendResult(res, { port: req.body.port || null, ...errors.toErrorResult(err) });
+  }
+});
+
+app.post('/api/ports/close', express.json(), async (req, res) => {
+  const portSession = apiPortSession(req, res);
+  if (!portSession) return;
+  await closePortSession(portSession);
+  io.emit('port-closed', { port: portSession.id });
+  res.json({ success: true, port: portSession.id });
+});
+
+// Take a port over (body { port, confirm: true } when another client controls it); a closed port
+// kept for its interrupted burn can be taken too, to reopen it and resume
+app.post('/api/ports/take', express.json(), (req, res) => {
+  const payload = { port: req.body.port };
+  const portSession = findPortSession(payload);
+  if (!portSession) {
+    sendResult(res, { port: portIdOf(portSession, payload), ...portNotOpen() });
+    return;
+  }
+  const client = httpClient(req);
+  if (!controls(portSession, client) && req.body.confirm !== true) {
+    sendResult(res, { port: portSession.id, ...notOwner(portSession) });
+    return;
+  }
+  takePort(portSession, client);
+  res.json({ success: true, port: portSession.id });
+});
+
+// Command map entries: GET (query: port, value, timeout) for queries, POST (body) for set commands
+app.all('/api/commands/:category/:action', express.json(), async (req, res) => {
+  const route = httpApi.findCommandRoute(req.params.category, req.params.action.toLowerCase());
+  if (!route) {
+    sendResult(res, errors.toErrorResult(new errors.InvalidArgumentError(`Unknown command: ${req.params.category} ${req.params.action}`)), 404);
+    return;
+  }
+  if (req.method.toLowerCase() !== route.method) {
+    res.set('Allow', route.method.toUpperCase());
+    sendResult(res, errors.toErrorResult(new errors.InvalidArgumentError(`Use ${route.method.toUpperCase()} for ${route.category} ${route.action}`)), 405);
+    return;
+  }
+  const input = route.method === 'get' ? req.query : req.body;
+  if (route.config.isSetCommand && (input.value === undefined || input.value === null)) {
+    sendResult(res, errors.toErrorResult(new errors.InvalidArgumentError(`${route.category} ${route.action} requires a value. ${route.config.hint || ''}`.trim())));
+    return;
+  }
+  let timeout;
+  try {
+    timeout = apiTimeout(input.timeout);
+  } catch (err) {
+    sendResult(res, errors.toErrorResult(err));
+    return;
+  }
+  const portSession = apiPortSession(req, res);
+  if (!portSession) return;
+  const result = await commandRunner.runCommand(portSession.request, route.config, { value: input.value ?? null, timeout });
+  sendResult(res, commandRunner.toJsonResult(result));
+});
+
+// Play a channel (body { port, channelId, timeout? }; channelId as a string for 64-bit IDs)
+app.post('/api/play', express.json(), async (req, res) => {
+  const { channelId } = req.body;
+  try {
+    const packet = protocol.hexToPacket(schema.buildRequest('playChannel', channelId));
+    const portSession = apiPortSession(req, res);
+    if (!portSession) return;
+    const response = await portSession.request(packet, {
+      ...schema.getRequestExpectation(packet),
+      timeout: apiTimeout(req.body.timeout) ?? schema.getCommandSchema('playChannel').timeout,
+    });
+    const parsed = schema.parseResponse('playChannel', response);
+    sendResult(res, { success: parsed.success, channelId, ...parsed });
+  } catch (err) {
+    sendResult(res, errors.toErrorResult(err));
+  }
+});
+
+// Start a burn (body: prepareBurn() payload) and answer 202 right away; GET /api/burn polls it.
+// A port whose burn is still running answers 409 (BURN_IN_PROGRESS) with the burn's state, so a
+// retried POST does not abort the transfer.
+app.post('/api/burn', express.json(), async (req, res) => {
+  const portSession = apiPortSession(req, res);
+  if (!portSession) return;
+  let session;
+  try {
+    session = await prepareBurn(portSession, req.body);
+  } catch (err) {
+    sendResult(res, { port: portSession.id, ...errors.toErrorResult(err), problems: err.problems, state: err.details && err.details.state });
+    return;
+  }
+  startBurn(portSession, session);
+  res.status(202).json({ success: true, port: portSession.id, state: session.state });
+});
+
+// Burn status (query: port): burnStatus()
+app.get('/api/burn', (req, res) => {
+  const payload = { port: req.query.port };
+  const portSession = findPortSession(payload);
+  const status = portSession && burnStatus(portSession);
+  if (!status) {
+    sendResult(res, { port: portIdOf(portSession, payload), ...errors.toErrorResult(new errors.InvalidArgumentError('No burn on this port')) }, 404);
+    return;
+  }
+  res.json(status);
+});
+
+// Body parser failures (e.g. file over MAX_UPLOAD_SIZE, malformed JSON) as error results
+const BODY_ERRORS = {
+  'entity.too.large': () => `Key file larger than ${MAX_UPLOAD_SIZE}`,
+  'entity.parse.failed': (err) => `Malformed JSON body: ${err.message}`,
+};
+
+app.use('/api', (err, req, res, next) => {
+  const error = BODY_ERRORS[err.type]
+    ? new errors.InvalidArgumentError(BODY_ERRORS[err.type](err))
+    : err;
+  res.status(err.status || 500).json(errors.toErrorResult(error));
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -21,82 +274,569 @@ const io = new Server(server, {
   }
 });
 
-let activePort = null;
-let activeSocket = null;
-let burnAbortController = null;
+// Device ports by path, which is the port id in socket events (payload.port). Each port session
+// has its own transaction queue and key burn, so one server drives several TVs at once:
+//   { id, port, queue, request, burnSession, preparingBurn, burnProgress, lastBurn, owner, ownerAddress, ownerViaSocket }
+// burnSession: key burn in progress, or interrupted and waiting for 'resume-burn'. A port that
+// closes by itself (cable pulled) keeps its session, so an interrupted burn resumes once reopened.
+// owner: client ID of the client that controls the port (opened it or took it over); every other
+// client observes it: it sees the port's traffic and burn progress, and its commands are rejected.
+const portSessions = new Map();
+
+// Signal generator on a second UART (protocol 0x04). Like a device port it has one controlling
+// client; genSession holds its owner so the port ownership helpers apply to it.
+let genPort = null;
+const genSession = { id: 'generator', owner: null, ownerAddress: null, ownerViaSocket: false };
+
+// shared/ holds ES modules; they are loaded with import() before the server starts listening
+let protocol = null;
+let schema = null;
+let transactions = null;
+let transfer = null;
+let errors = null;
+let profiles = null;
+let profileStore = null;
+let channelList = null;
+let keyFile = null;
+let keyInventory = null;
+let keyStatus = null;
+let keyVault = null;
+let deviceIdentity = null;
+let burnAudit = null;
+let commandRunner = null;
+let httpApi = null;
+
+// Key vault unlocked by 'unlock-vault' (derived key only; the passphrase is not kept)
+let unlockedVault = null;
+
+// One transaction queue per open port: requests are serialized and matched to their responses
+let genQueue = null;
+
+/**
+ * Create the transaction queue for a freshly opened port
+ * @param {SerialPort} port - Open serial port
+ * @returns {TransactionQueue}
+ */
+function createPortQueue(port) {
+  return new transactions.TransactionQueue({
+    write: (bytes) => new Promise((resolve, reject) => {
+      if (!port.isOpen) return reject(new errors.PortError('Port closed', errors.ERROR_CODE.PORT_CLOSED));
+      // Data packets carry key bytes: zero the copy once it is written
+      const buffer = Buffer.from(bytes);
+      port.write(buffer, (err) => {
+        buffer.fill(0);
+        if (err) reject(new errors.PortError(err.message));
+        else resolve();
+      });
+    }),
+    onFramingError: (err) => {
+      if (err.type !== protocol.FRAME_ERROR.GARBAGE) console.warn(`[FRAME] ${port.path}: ${err.message}`);
+    },
+  });
+}
+
+/**
+ * Port session for a device port path (created closed if new)
+ * @param {string} id - Port path
+ * @returns {object} Port session
+ */
+function getPortSession(id) {
+  let portSession = portSessions.get(id);
+  if (!portSession) {
+    portSession = { id, port: null, queue: null, burnSession: null, owner: null, ownerAddress: null, ownerViaSocket: false };
+    // Send a packet on this port and wait for its response (Buffer); fails while the port is closed
+    portSession.request = async (packet, options) => {
+      if (!portSession.queue) throw new errors.PortError('Port closed', errors.ERROR_CODE.PORT_CLOSED);
+      return Buffer.from(await portSession.queue.request(packet, options));
+    };
+    portSessions.set(id, portSession);
+  }
+  return portSession;
+}
+
+const isPortOpen = (portSession) => Boolean(portSession && portSession.port && portSession.port.isOpen);
+
+/**
+ * Port session a socket event refers to: payload.port, or the only open port when the
+ * payload names none (clients that drive a single port)
+ * @param {object} [payload] - Event payload
+ * @returns {object|null}
+ */
+function findPortSession(payload) {
+  if (payload && payload.port) return portSessions.get(payload.port) || null;
+  const open = [...portSessions.values()].filter(isPortOpen);
+  return open.length === 1 ? open[0] : null;
+}
+
+// Port id for a result: the session's, or the one the payload asked for
+const portIdOf = (portSession, payload) => (portSession ? portSession.id : (payload && payload.port) || null);
+
+const portNotOpen = () => errors.toErrorResult(new errors.PortError('Port not open', errors.ERROR_CODE.PORT_CLOSED));
+
+// Client ID from the handshake (kept by the browser tab across reloads), else the socket ID
+const clientIdOf = (sock) => (sock.handshake.auth && sock.handshake.auth.clientId) || sock.id;
+
+// Clients that drive ports: { id, address, viaSocket }. HTTP API clients are told apart by their
+// X-Client-Id header, else their address, and never count as disconnected.
+const socketClient = (sock) => ({ id: clientIdOf(sock), address: sock.handshake.address, viaSocket: true });
+const httpClient = (req) => ({ id: req.get('X-Client-Id') || `http:${req.ip}`, address: req.ip, viaSocket: false });
+
+const isOwnerConnected = (portSession) => (
+  !portSession.ownerViaSocket || [...io.sockets.sockets.values()].some((sock) => clientIdOf(sock) === portSession.owner)
+);
+
+/**
+ * Whether a client may drive a port (a port nobody controls yet goes to whoever opens it)
+ * @param {object|null} portSession - Port session
+ * @param {{id: string}} client - socketClient() / httpClient()
+ * @returns {boolean}
+ */
+const controls = (portSession, client) => !portSession || !portSession.owner || portSession.owner === client.id;
+
+const ownedError = (portSession) => new errors.PortError(
+  `${portSession === genSession ? 'Generator port' : `Port ${portSession.id}`} is controlled by another client (${portSession.ownerAddress || 'unknown'}); take it over first`,
+  errors.ERROR_CODE.PORT_OWNED,
+);
+
+const notOwner = (portSession) => errors.toErrorResult(ownedError(portSession));
+
+/**
+ * Port ownership as one client sees it: { controlling, ownerAddress, ownerConnected }
+ * @param {object} portSession - Port session
+ * @param {Socket} sock - Client socket
+ */
+const ownership = (portSession, sock) => ({
+  controlling: portSession.owner === clientIdOf(sock),
+  ownerAddress: portSession.ownerAddress,
+  ownerConnected: isOwnerConnected(portSession),
+});
+
+function setOwner(portSession, client) {
+  portSession.owner = client.id;
+  portSession.ownerAddress = client.address;
+  portSession.ownerViaSocket = client.viaSocket;
+}
+
+// Tell every client who controls a port now ('port-owner', 'gen-port-owner' for the generator)
+function announceOwner(portSession) {
+  const event = portSession === genSession ? 'gen-port-owner' : 'port-owner';
+  io.sockets.sockets.forEach((sock) => sock.emit(event, { port: portSession.id, ...ownership(portSession, sock) }));
+}
+
+// 'port-opened' for one client: { port, path, baudRate, controlling, ownerAddress, ownerConnected }
+const portOpened = (portSession, sock, baudRate = portSession.port.baudRate) => (
+  { port: portSession.id, path: portSession.port.path, baudRate, ...ownership(portSession, sock) }
+);
+
+/**
+ * Give a port to a client; whatever runs on it (burn, write) carries on
+ * @param {object} portSession - Port session (open, or closed and kept for its interrupted burn)
+ * @param {object} client - socketClient() / httpClient()
+ */
+function takePort(portSession, client) {
+  const previous = portSession.ownerAddress;
+  setOwner(portSession, client);
+  console.log(`Port ${portSession.id} taken over by ${client.address} (was ${previous || 'nobody'})`);
+  announceOwner(portSession);
+}
+
+/**
+ * Map burn session progress to the KeyBurnCard's { percent, message, bytesPerSecond, eta }
+ * Start 0-5%, data packets 5-85%, CRC check and flash write 90%, done 100%.
+ */
+function burnProgress(progress) {
+  const { state, packet, totalPackets, bytesPerSecond, eta } = progress;
+  return { ...burnStep(state, packet, totalPackets, transfer.formatThroughput(progress)), bytesPerSecond, eta };
+}
+
+function burnStep(state, packet, totalPackets, rate) {
+  const { BURN_STATE } = transfer;
+  switch (state) {
+    case BURN_STATE.CHECKING:
+      return { percent: 0, message: 'Checking for a burned key...' };
+    case BURN_STATE.STARTING:
+      return { percent: packet ? Math.round(5 + (packet / totalPackets) * 80) : 0, message: 'Starting...' };
+    case BURN_STATE.SENDING:
+      return { percent: Math.round(5 + (packet / totalPackets) * 80), message: `Packet ${packet}/${totalPackets}${rate ? ` (${rate})` : ''}` };
+    case BURN_STATE.VERIFYING:
+      return { percent: 90, message: 'Verifying CRC and reading back the file ID...' };
+    case BURN_STATE.DONE:
+      return { percent: 100, message: 'Done!' };
+    case BURN_STATE.SKIPPED:
+      return { percent: 100, message: 'Key already burned, skipped' };
+    default:
+      return { percent: totalPackets ? Math.round(5 + (packet / totalPackets) * 80) : 0, message: state };
+  }
+}
+
+/**
+ * Write a burn attempt to the burn audit log (a failed write is logged, the burn result stands)
+ * @param {object} attempt - burnAuditRecord() input
+ */
+async function auditBurn(attempt) {
+  try {
+    await burnAudit.appendAuditEntry(burnAudit.burnAuditRecord({ origin: 'server', ...attempt }));
+  } catch (err) {
+    console.error('Burn not written to the audit log:', err.message);
+  }
+}
+
+/**
+ * Cancel the key burn in progress on a port (or discard an interrupted one)
+ * @param {object} portSession - Port session
+ */
+function cancelBurn(portSession) {
+  const { burnSession } = portSession;
+  if (burnSession) {
+    burnSession.wipe();
+    releaseAllocation(burnSession);
+  }
+  portSession.burnSession = null;
+}
 
-function bindPortToSocket(port, sock) {
+/**
+ * Return an inventory key to the pool when none of it reached the device
+ * (partly sent keys stay reserved for that device)
+ */
+function releaseAllocation(session) {
+  const { allocation } = session;
+  if (!allocation || session.ackedPackets > 0) return;
+  keyInventory.releaseKey(allocation.inventory, allocation.index)
+    .catch((err) => console.error('Key inventory:', err.message));
+}
+
+/**
+ * Record an inventory key as burned; a ledger failure (e.g. lock timeout) is logged, the burn result stands
+ * @param {object} session - Burn session with its allocation
+ * @param {object} options - consumeKey() options ({ fileId, verification })
+ */
+function consumeAllocation(session, options) {
+  const { allocation } = session;
+  return keyInventory.consumeKey(allocation.inventory, allocation.index, options)
+    .catch((err) => console.error('Key inventory:', err.message));
+}
+
+// Port traffic goes to every client: the owner and its observers
+function bindPort(portSession) {
+  const { id, port } = portSession;
   port.removeAllListeners('data');
   port.removeAllListeners('error');
   port.removeAllListeners('close');
 
+  // Key bytes never reach the browser, even when the line echoes the data packets
+  const redactor = new transfer.DataPacketRedactor();
   port.on('data', (data) => {
-    sock.emit('serial-data', data);
+    io.emit('serial-data', { port: id, data: redactor.redact(data) });
+    if (portSession.queue) portSession.queue.push(data);
   });
   port.on('error', (err) => {
-    console.error('Serial port error:', err.message);
-    sock.emit('port-error', err.message);
+    console.error(`Serial port ${id} error:`, err.message);
+    io.emit('port-error', { port: id, error: err.message });
   });
   port.on('close', () => {
-    console.log('Port closed');
-    sock.emit('port-closed');
-    activePort = null;
+    console.log(`Port ${id} closed`);
+    io.emit('port-closed', { port: id });
+    portSession.port = null;
+    if (portSession.queue) portSession.queue.close();
+    portSession.queue = null;
+    // A port that vanished (cable pull, device reset) is free to reopen; one with an interrupted burn
+    // stays with its owner, and other clients take it over to reopen it and resume
+    if (!portSession.burnSession) portSession.owner = null;
   });
 }
 
-function closePortAsync() {
+function closePortAsync(portSession) {
+  if (portSession.queue) portSession.queue.close();
+  portSession.queue = null;
+  const { port } = portSession;
   return new Promise((resolve) => {
-    if (activePort && activePort.isOpen) {
-      activePort.removeAllListeners('data');
-      activePort.removeAllListeners('error');
-      activePort.removeAllListeners('close');
-      activePort.close((err) => {
-        if (err) console.error('Error closing port:', err.message);
-        activePort = null;
+    if (port && port.isOpen) {
+      port.removeAllListeners('data');
+      port.removeAllListeners('error');
+      port.removeAllListeners('close');
+      port.close((err) => {
+        if (err) console.error(`Error closing port ${portSession.id}:`, err.message);
+        portSession.port = null;
         resolve();
       });
     } else {
-      activePort = null;
+      portSession.port = null;
       resolve();
     }
   });
 }
 
-io.on('connection', (socket) => {
-  console.log(`[SOCKET] Client connected: id=${socket.id}, origin=${socket.handshake.headers.origin || '?'}`);
+/**
+ * Close a device port for good: its burn is cancelled and its session dropped
+ * @param {object} portSession - Port session
+ */
+async function closePortSession(portSession) {
+  cancelBurn(portSession);
+  await closePortAsync(portSession);
+  portSessions.delete(portSession.id);
+}
 
-  // Abort any in-progress burn when a new client connects
-  if (burnAbortController) {
-    burnAbortController.abort();
-    burnAbortController = null;
-  }
+// 'gen-port-opened' for one client: { path, baudRate, controlling, ownerAddress, ownerConnected }
+const genPortOpened = (sock) => ({ path: genPort.path, baudRate: genPort.baudRate, ...ownership(genSession, sock) });
+
+// Generator port events go to every client: the owner and its observers
+function bindGenPort(port) {
+  port.removeAllListeners('data');
+  port.removeAllListeners('error');
+  port.removeAllListeners('close');
 
-  activeSocket = socket;
+  port.on('data', (data) => {
+    if (genQueue) genQueue.push(data);
+  });
+  port.on('error', (err) => {
+    console.error('Generator port error:', err.message);
+    io.emit('gen-port-error', err.message);
+  });
+  port.on('close', () => {
+    console.log('Generator port closed');
+    io.emit('gen-port-closed');
+    genPort = null;
+    genSession.owner = null;
+    if (genQueue) genQueue.close();
+    genQueue = null;
+  });
+}
 
-  // If port is already open from a previous session, rebind to new socket
-  if (activePort && activePort.isOpen) {
-    bindPortToSocket(activePort, socket);
-    socket.emit('port-opened', { path: activePort.path, baudRate: activePort.baudRate });
+function closeGenPortAsync() {
+  if (genQueue) genQueue.close();
+  genQueue = null;
+  genSession.owner = null;
+  return new Promise((resolve) => {
+    if (genPort && genPort.isOpen) {
+      genPort.removeAllListeners('close');
+      genPort.close((err) => {
+        if (err) console.error('Error closing generator port:', err.message);
+        genPort = null;
+        resolve();
+      });
+    } else {
+      genPort = null;
+      resolve();
+    }
+  });
+}
+
+// Key burns, one per port. Progress goes out as 'burn-progress', the outcome as 'burn-result' (both
+// carry port and go to every client, so a burn keeps reporting after its port was taken over). The
+// port session also keeps the last progress (burnProgress) and, once a run is over, the session with
+// its final state and result (lastBurn) for GET /api/burn.
+
+// Whether a burn is being prepared or running on a port (an interrupted one is over until resumed)
+const isBurnRunning = (portSession) => Boolean(portSession.preparingBurn || (portSession.burnSession
+  && !(portSession.lastBurn && portSession.lastBurn.session === portSession.burnSession)));
+
+/**
+ * Prepare a key burn: draw, decrypt or look up the key file and check it against the key type
+ * Payload ('burn-key', POST /api/burn): { port, keyType, upload, protocol?, existing?, pacing?, operator? } (upload: handle
+ * from POST /api/keys, or vault: name of a key in the unlocked key vault; BURN_PROTOCOL, default auto;
+ * EXISTING_KEY_POLICY, default abort; BURN_PACING, default adaptive), or { keyType, inventory, device, ... } to burn the
+ * next key of a key inventory. A key that cannot be burned goes to the burn audit log as rejected.
+ * @param {object} portSession - Open port session (an interrupted burn on it is discarded)
+ * @param {object} payload - See above
+ * @returns {Promise<BurnSession>} Session ready for startBurn(); throws (KeyFileError with problems,
+ *   BURN_IN_PROGRESS with details.state while the port's burn is running, ...)
+ */
+async function prepareBurn(portSession, payload) {
+  const port = portSession.id;
+  const {
+    keyType,
+    upload: handle,
+    vault,
+    inventory,
+    device,
+    operator,
+    protocol = transfer.BURN_PROTOCOL.AUTO,
+    existing = transfer.EXISTING_KEY_POLICY.ABORT,
+    pacing = transfer.BURN_PACING.ADAPTIVE,
+  } = payload;
+  const fileType = transfer.FILE_TYPE_NAMES[keyType];
+  if (!fileType) throw new errors.InvalidArgumentError(`Unknown key type: ${keyType}`);
+  if (isBurnRunning(portSession)) {
+    const state = portSession.burnSession ? portSession.burnSession.state : transfer.BURN_STATE.IDLE;
+    throw new errors.ProtocolError(
+      `A burn is running on ${port} (${state}); wait for its result or cancel it first`,
+      errors.ERROR_CODE.BURN_IN_PROGRESS,
+      { state },
+    );
   }
 
-  // List available ports
-  socket.on('list-ports', async () => {
-    try {
-      const ports = await SerialPort.list();
-      socket.emit('ports-list', ports);
-    } catch (err) {
-      socket.emit('error', err.message);
+  cancelBurn(portSession);
+  const attempt = { operator, keyType };
+  let allocation = null;
+  let upload = null;
+  let fileData;
+  portSession.preparingBurn = true;
+  try {
+    if (inventory) {
+      allocation = await keyInventory.allocateKey(inventory, device, { keyType });
+      fileData = allocation.data;
+      console.log(`${port}: key ${allocation.index} of inventory ${inventory} drawn for device ${allocation.device}`);
+    } else if (vault) {
+      if (!unlockedVault) throw new errors.KeyVaultError('Key vault is locked: unlock it first');
+      ({ data: fileData } = await keyVault.readVaultKey(unlockedVault, vault, { keyType }));
+      await keyInventory.assertKeyNotConsumed(fileType, fileData);
+      console.log(`${port}: burning vault key ${vault}`);
+    } else {
+      upload = uploads.get(handle);
+      if (!upload) {
+        throw new errors.InvalidArgumentError(handle ? `Unknown upload handle: ${handle}` : 'No key file: upload it with POST /api/keys first');
+      }
+      touchUpload(upload);
+      fileData = upload.data;
+      await keyInventory.assertKeyNotConsumed(fileType, fileData);
+      console.log(`${port}: burning ${upload.name || upload.handle} (${upload.size} bytes, SHA-256 ${upload.sha256})`);
+    }
+    attempt.sha256 = crypto.createHash('sha256').update(fileData).digest('hex');
+    // Reject files that do not match the key type before START is sent
+    const { format, identity } = keyFile.checkKeyFile(fileType, fileData);
+    attempt.identity = identity;
+    const session = new transfer.BurnSession({
+      request: portSession.request,
+      fileType,
+      data: fileData,
+      protocol,
+      existing,
+      pacing,
+      onProgress: (progress) => {
+        portSession.burnProgress = burnProgress(progress);
+        io.emit('burn-progress', { port, ...portSession.burnProgress });
+      },
+    });
+    session.keyType = keyType;
+    session.key = { format, identity };
+    session.allocation = allocation;
+    session.upload = upload;
+    session.audit = attempt;
+    return session;
+  } catch (err) {
+    if (allocation) releaseAllocation({ allocation, ackedPackets: 0 });
+    await auditBurn({ ...attempt, failure: err });
+    throw err;
+  } finally {
+    portSession.preparingBurn = false;
+    // The session keeps its own copy; decrypted vault keys go right away
+    if (vault) keyVault.zeroize(fileData);
+  }
+}
+
+/**
+ * Run a burn session (first run or resume) and report its outcome
+ * Results carry existingFileId and the readback verification. A result with resumable: true can be
+ * continued with 'resume-burn' { port } (same file ID). Each run and resume goes to the burn audit log. A
+ * successful burn drops its upload, so its result carries none.
+ * @param {object} portSession - Port session
+ * @param {BurnSession} session - Its burn session
+ * @param {() => Promise<object>} run - Runs or resumes the session
+ * @returns {Promise<object>} 'burn-result' payload (a cancelled run is not emitted: 'cancel-burn' answered it)
+ */
+async function runBurn(portSession, session, run) {
+  const port = portSession.id;
+  let failure = null;
+  let result;
+  portSession.lastBurn = null;
+  portSession.burnProgress = null;
+  try {
+    const outcome = await run();
+    const { allocation } = session;
+    if (allocation && outcome.skipped) {
+      releaseAllocation(session);
+    } else if (allocation) {
+      await consumeAllocation(session, { fileId: outcome.fileId });
+    }
+    if (session.upload) dropUpload(session.upload);
+    result = {
+      port,
+      success: true,
+      keyType: session.keyType,
+      ...outcome,
+      key: session.key,
+      inventory: allocation && { name: allocation.inventory, index: allocation.index, device: allocation.device },
+    };
+  } catch (err) {
+    failure = err;
+    // A key sent in full that the readback did not confirm is used up
+    if (session.allocation && errors.errorCodeOf(err) === errors.ERROR_CODE.VERIFY_MISMATCH) {
+      await consumeAllocation(session, { fileId: session.fileId, verification: session.verification.status });
+    } else if (!session.resumable) {
+      releaseAllocation(session);
     }
+    result = {
+      port,
+      ...errors.toErrorResult(err),
+      resumable: session.resumable,
+      packet: session.ackedPackets,
+      totalPackets: session.totalPackets,
+      existingFileId: session.existingFileId,
+      verification: session.verification,
+      upload: session.upload && describeUpload(session.upload),
+    };
+  } finally {
+    await auditBurn({ ...session.audit, session, status: session.state, failure });
+    // wipe() cancels the session: keep the state it ended in. A cancelled run may end after the
+    // next burn started; lastBurn.session tells its result apart from the running burn.
+    portSession.lastBurn = { session, state: session.state, result };
+    if (!session.resumable) {
+      session.wipe();
+      if (portSession.burnSession === session) portSession.burnSession = null;
+    }
+  }
+  if (errors.errorCodeOf(failure) !== errors.ERROR_CODE.ABORTED) io.emit('burn-result', result);
+  return result;
+}
+
+/**
+ * Start a prepared burn on its port; the device identity for the audit log is read first
+ * @param {object} portSession - Port session
+ * @param {BurnSession} session - From prepareBurn()
+ * @returns {Promise<object>} 'burn-result' payload
+ */
+function startBurn(portSession, session) {
+  portSession.burnSession = session;
+  return runBurn(portSession, session, async () => {
+    session.audit.device = await deviceIdentity.readDeviceIdentity(portSession.request);
+    // 'cancel-burn' while the identity was read
+    if (session.state === transfer.BURN_STATE.CANCELLED) throw new errors.AbortedError();
+    return session.run();
   });
+}
 
-  // Open a port
-  socket.on('open-port', async (config) => {
-    await closePortAsync();
+/**
+ * Burn status of a port for GET /api/burn
+ * @param {object} portSession - Port session
+ * @returns {object|null} Running: { success, done: false, port, state, percent, message, ... }; over: the
+ *   'burn-result' payload with done: true and the final state; null when the port had no burn
+ */
+function burnStatus(portSession) {
+  const { burnSession, lastBurn } = portSession;
+  if (burnSession && isBurnRunning(portSession)) {
+    return { success: true, done: false, port: portSession.id, state: burnSession.state, ...portSession.burnProgress };
+  }
+  return lastBurn ? { ...lastBurn.result, done: true, state: lastBurn.state } : null;
+}
 
-    const { path, baudRate, dataBits, stopBits, parity, flowControl } = config;
+/**
+ * Open a device port; the client opening it controls it. Other open ports stay open. Reopening a
+ * path applies the new settings (its interrupted burn, if any, can still be resumed).
+ * @param {object} config - { path, baudRate, dataBits?, stopBits?, parity?, flowControl? } (default 8N1, no flow control)
+ * @param {object} client - socketClient() / httpClient()
+ * @returns {Promise<object>} Port session; rejects with a PortError (PORT_OWNED: another client controls the port)
+ */
+async function openDevicePort(config, client) {
+  const { path, baudRate = 115200, dataBits = 8, stopBits = 1, parity = 'none', flowControl = 'none' } = config;
+  if (!path) throw new errors.InvalidArgumentError('No port path given');
+  if (!controls(portSessions.get(path), client)) throw ownedError(portSessions.get(path));
+  const portSession = getPortSession(path);
+  await closePortAsync(portSession);
 
-    try {
-      activePort = new SerialPort({
+  let port;
+  try {
+    port = await new Promise((resolve, reject) => {
+      const serialPort = new SerialPort({
         path,
         baudRate: parseInt(baudRate),
         dataBits: parseInt(dataBits),
@@ -107,57 +847,113 @@ io.on('connection', (socket) => {
         xoff: flowControl === 'xoff',
         autoOpen: false
       });
+      serialPort.open((err) => (err ? reject(err) : resolve(serialPort)));
+    });
+  } catch (err) {
+    console.error(`Error opening port ${path}:`, err.message);
+    if (!portSession.burnSession) portSessions.delete(path);
+    throw new errors.PortError(err.message);
+  }
 
-      activePort.open((err) => {
-        if (err) {
-          console.error('Error opening port:', err.message);
-          socket.emit('port-error', err.message);
-          return;
-        }
-        console.log(`Port ${path} opened`);
-        bindPortToSocket(activePort, socket);
-        socket.emit('port-opened', { path, baudRate });
-      });
+  console.log(`Port ${path} opened`);
+  portSession.port = port;
+  portSession.queue = createPortQueue(port);
+  setOwner(portSession, client);
+  bindPort(portSession);
+  io.sockets.sockets.forEach((sock) => sock.emit('port-opened', portOpened(portSession, sock, baudRate)));
+  return portSession;
+}
+
+io.on('connection', (socket) => {
+  const client = socketClient(socket);
+  console.log(`[SOCKET] Client connected: id=${socket.id}, client=${client.id}, origin=${socket.handshake.headers.origin || '?'}`);
+
+  // A new client observes the open ports; nothing running on them is touched. A reloaded page
+  // keeps its client ID and so the ports it controlled.
+  portSessions.forEach((portSession) => {
+    if (!isPortOpen(portSession)) return;
+    if (portSession.owner === client.id) announceOwner(portSession);
+    socket.emit('port-opened', portOpened(portSession, socket));
+  });
+  if (genPort && genPort.isOpen) socket.emit('gen-port-opened', genPortOpened(socket));
 
+  // List available ports
+  socket.on('list-ports', async () => {
+    try {
+      const ports = await SerialPort.list();
+      socket.emit('ports-list', ports);
     } catch (err) {
-      console.error('Setup error:', err.message);
-      socket.emit('port-error', err.message);
+      socket.emit('error', err.message);
     }
   });
 
-  // Close port
-  socket.on('close-port', async () => {
-    if (burnAbortController) {
-      burnAbortController.abort();
-      burnAbortController = null;
+  // Open a device port (config: openDevicePort()); events about the port carry port: path
+  socket.on('open-port', async (config) => {
+    try {
+      await openDevicePort(config, client);
+    } catch (err) {
+      socket.emit('port-error', { port: config.path, error: err.message });
     }
-    await closePortAsync();
-    socket.emit('port-closed');
   });
 
-  // Reset port - force close and reopen
-  socket.on('reset-port', async () => {
-    console.log('Reset port requested');
-    if (burnAbortController) {
-      burnAbortController.abort();
-      burnAbortController = null;
+  // Reject a port command from a client that does not control the port; true when rejected
+  const rejectObserver = (portSession, event, result = {}) => {
+    if (controls(portSession, client)) return false;
+    socket.emit(event, { ...result, port: portSession.id, ...notOwner(portSession) });
+    return true;
+  };
+
+  // Take control of a port (payload { port, confirm }). A port another client controls is only
+  // taken with confirm: true; without it the result (code PORT_OWNED) names the owner so the
+  // client can ask first. Nothing running on the port is stopped: a burn or write in flight
+  // finishes, and its progress and result reach every client. A closed port kept for its
+  // interrupted burn can be taken too, so another station can reopen it and resume.
+  socket.on('take-port', (payload = {}) => {
+    const portSession = findPortSession(payload);
+    const port = portIdOf(portSession, payload);
+    if (!portSession) {
+      socket.emit('take-port-result', { port, ...portNotOpen() });
+      return;
+    }
+    if (!controls(portSession, client) && !payload.confirm) {
+      socket.emit('take-port-result', { port, ...notOwner(portSession), ...ownership(portSession, socket) });
+      return;
     }
-    const prevPath = activePort ? activePort.path : null;
-    const prevBaud = activePort ? activePort.baudRate : null;
-    await closePortAsync();
-    socket.emit('port-closed');
+    takePort(portSession, client);
+    socket.emit('take-port-result', { port, success: true });
+  });
 
-    if (prevPath) {
+  // Close port (payload { port })
+  socket.on('close-port', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'port-error')) return;
+    if (portSession) await closePortSession(portSession);
+    io.emit('port-closed', { port: portIdOf(portSession, payload) });
+  });
+
+  // Reset port - force close and reopen (payload { port })
+  socket.on('reset-port', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'port-error')) return;
+    const id = portIdOf(portSession, payload);
+    console.log(`Reset port ${id} requested`);
+    const prevBaud = isPortOpen(portSession) ? portSession.port.baudRate : null;
+    if (portSession) await closePortSession(portSession);
+    io.emit('port-closed', { port: id });
+
+    if (prevBaud) {
       // Small delay to let OS release the port
       await new Promise(r => setTimeout(r, 300));
-      socket.emit('port-reset-ready', { path: prevPath, baudRate: prevBaud });
+      socket.emit('port-reset-ready', { port: id, path: id, baudRate: prevBaud });
     }
   });
 
-  // Send data
+  // Send data (queued behind any request waiting for its response). Payload { port, type, data }
   socket.on('send-data', (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'port-error')) return;
     // payload can be string or buffer (array of numbers)
-    if (activePort && activePort.isOpen) {
+    if (isPortOpen(portSession) && portSession.queue) {
       // If payload.type is 'hex', convert to Buffer
       let dataToWrite;
       if (payload.type === 'hex') {
@@ -167,363 +963,459 @@ io.on('connection', (socket) => {
          dataToWrite = Buffer.from(cleanHex, 'hex');
       } else {
          // ASCII/Text
-         dataToWrite = payload.data;
-         // Handle Line endings if requested (frontend logic usually, but we can do it here if needed)
-         // But let's assume frontend sends exact characters including \r\n if needed
+         // Frontend sends exact characters including \r\n if needed
+         dataToWrite = Buffer.from(payload.data);
       }
 
-      activePort.write(dataToWrite, (err) => {
-        if (err) {
-          socket.emit('port-error', err.message);
-        } else {
-            // Optional: Echo back what was sent if we want local echo
-            // socket.emit('data-sent', dataToWrite);
-        }
+      portSession.queue.write(dataToWrite).catch((err) => {
+        socket.emit('port-error', { port: portSession.id, error: err.message });
       });
     } else {
       socket.emit('error', "Port not open");
     }
   });
 
-  // Set MAC address with server-side response handling
-  socket.on('set-mac', async (payload) => {
-    if (!activePort || !activePort.isOpen) {
-      socket.emit('set-mac-result', { success: false, error: 'Port not open' });
+  // Send a CVTE packet through the port's queue and return its own response.
+  // Payload: { id, port, command (hex), timeout?, retries?, expect? }; defaults come from the command schema.
+  socket.on('transact', async (payload) => {
+    const { id, command } = payload;
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'transact-result', { id })) return;
+    const port = portIdOf(portSession, payload);
+    try {
+      if (!isPortOpen(portSession)) throw new errors.PortError('Port not open', errors.ERROR_CODE.PORT_CLOSED);
+      const packet = protocol.hexToPacket(command);
+      const defaults = schema.getRequestExpectation(packet);
+      const frame = await portSession.request(packet, {
+        expect: payload.expect ?? defaults.expect,
+        timeout: payload.timeout ?? defaults.timeout ?? 3000,
+        retries: payload.retries ?? defaults.retries,
+      });
+      socket.emit('transact-result', { id, port, success: true, frame: Array.from(frame) });
+    } catch (err) {
+      socket.emit('transact-result', { id, port, ...errors.toErrorResult(err) });
+    }
+  });
+
+  // Probe which commands the device supports and save the result as a named profile.
+  // Payload: { port, name, model?, sources? }; progress on 'probe-progress', outcome on 'probe-result'.
+  socket.on('probe-device', async (payload) => {
+    const { name, model = '', sources = false } = payload;
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'probe-result')) return;
+    const port = portIdOf(portSession, payload);
+    try {
+      profiles.validateProfileName(name);
+      if (!isPortOpen(portSession)) throw new errors.PortError('Port not open', errors.ERROR_CODE.PORT_CLOSED);
+      const probe = await profiles.probeDevice(portSession.request, {
+        sources,
+        onProgress: (progress) => socket.emit('probe-progress', { port, ...progress }),
+      });
+      const profile = profiles.createProfile(name, probe, { model });
+      await profileStore.saveProfile(profile);
+      console.log(`Device profile ${name} saved`);
+      socket.emit('probe-result', { port, success: true, profile });
+    } catch (err) {
+      socket.emit('probe-result', { port, ...errors.toErrorResult(err) });
+    }
+  });
+
+  // Collect every RET_CH_LIST page until totalCount channels have arrived (payload { port }).
+  // Progress on 'channel-list-progress', the full list on 'channel-list-result'.
+  socket.on('get-channel-list', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'channel-list-result')) return;
+    const port = portIdOf(portSession, payload);
+    try {
+      if (!isPortOpen(portSession)) throw new errors.PortError('Port not open', errors.ERROR_CODE.PORT_CLOSED);
+      const result = await channelList.fetchChannelList(portSession.request, {
+        onProgress: (progress) => socket.emit('channel-list-progress', { port, ...progress }),
+      });
+      socket.emit('channel-list-result', { port, ...result });
+    } catch (err) {
+      socket.emit('channel-list-result', { port, ...errors.toErrorResult(err) });
+    }
+  });
+
+  // Key inventories (shared with comtest-cli; keys are imported with 'comtest-cli inventory import')
+  socket.on('list-inventories', async () => {
+    try {
+      const names = await keyInventory.listInventories();
+      const ledgers = await Promise.all(names.map((name) => keyInventory.loadInventory(name)));
+      socket.emit('inventories-list', ledgers.map(keyInventory.summarizeInventory));
+    } catch (err) {
+      socket.emit('error', err.message);
+    }
+  });
+
+  // Encrypted key vault (shared with comtest-cli; keys are imported with 'comtest-cli vault import').
+  // 'vault-status': { success, exists, unlocked, keys } with key metadata only
+  const emitVaultStatus = async (failure = null) => {
+    try {
+      const exists = await keyVault.vaultExists();
+      socket.emit('vault-status', {
+        ...(failure ? errors.toErrorResult(failure) : { success: true }),
+        exists,
+        unlocked: Boolean(unlockedVault),
+        keys: exists ? await keyVault.listVaultKeys() : [],
+      });
+    } catch (err) {
+      socket.emit('vault-status', { ...errors.toErrorResult(err), exists: false, unlocked: false, keys: [] });
+    }
+  };
+
+  socket.on('get-vault-status', () => emitVaultStatus());
+
+  // The vault is server-wide: only a client that controls a device port may lock or unlock it
+  const vaultNotAllowed = () => {
+    const controlsPort = [...portSessions.values()].some((portSession) => isPortOpen(portSession) && portSession.owner === client.id);
+    return controlsPort ? null : new errors.PortError('Only a client that controls a port can lock or unlock the key vault', errors.ERROR_CODE.PORT_OWNED);
+  };
+
+  socket.on('unlock-vault', async (payload) => {
+    try {
+      const notAllowed = vaultNotAllowed();
+      if (notAllowed) throw notAllowed;
+      const vault = await keyVault.unlockVault(payload && payload.passphrase);
+      keyVault.lockVault(unlockedVault);
+      unlockedVault = vault;
+      console.log('Key vault unlocked');
+      await emitVaultStatus();
+    } catch (err) {
+      await emitVaultStatus(err);
+    }
+  });
+
+  socket.on('lock-vault', async () => {
+    const notAllowed = vaultNotAllowed();
+    if (notAllowed) {
+      await emitVaultStatus(notAllowed);
       return;
     }
+    keyVault.lockVault(unlockedVault);
+    unlockedVault = null;
+    console.log('Key vault locked');
+    await emitVaultStatus();
+  });
+
+  // Saved device profiles (shared with comtest-cli)
+  socket.on('list-profiles', async () => {
+    try {
+      socket.emit('profiles-list', await profileStore.listProfiles());
+    } catch (err) {
+      socket.emit('error', err.message);
+    }
+  });
+
+  socket.on('load-profile', async (payload) => {
+    try {
+      socket.emit('profile-loaded', { success: true, profile: await profileStore.loadProfile(payload.name) });
+    } catch (err) {
+      socket.emit('profile-loaded', errors.toErrorResult(err));
+    }
+  });
 
-    const { mac } = payload;
-    const parts = mac.split(/[:\-]/).map(s => parseInt(s, 16));
-    if (parts.length !== 6 || parts.some(v => isNaN(v))) {
-      socket.emit('set-mac-result', { success: false, error: 'Invalid MAC format' });
+  // Open the signal generator port (second UART, protocol 0x04); the client opening it controls it
+  socket.on('open-gen-port', async (config) => {
+    if (genPort && genPort.isOpen && !controls(genSession, client)) {
+      socket.emit('gen-port-error', ownedError(genSession).message);
       return;
     }
+    await closeGenPortAsync();
 
-    const pkt = [0xFF, 0x33, 0x0C, 0x03, 0x0B, ...parts];
-    pkt.push(calculateChecksum(pkt.slice(2)));
+    const { path, baudRate = 115200 } = config;
 
     try {
-      let buf = Buffer.alloc(0);
-      const result = await new Promise((resolve, reject) => {
-        const timer = setTimeout(() => {
-          activePort.off('data', onData);
-          reject(new Error('Timeout'));
-        }, 5000);
-        const onData = (chunk) => {
-          buf = Buffer.concat([buf, chunk]);
-          if (buf.length >= 3 && buf.length >= buf[2]) {
-            clearTimeout(timer);
-            activePort.off('data', onData);
-            resolve(buf.slice(0, buf[2]));
-          }
-        };
-        activePort.on('data', onData);
-        activePort.write(Buffer.from(pkt));
+      genPort = new SerialPort({ path, baudRate: parseInt(baudRate), autoOpen: false });
+
+      genPort.open((err) => {
+        if (err) {
+          console.error('Error opening generator port:', err.message);
+          genPort = null;
+          socket.emit('gen-port-error', err.message);
+          return;
+        }
+        console.log(`Generator port ${path} opened`);
+        genQueue = createPortQueue(genPort);
+        setOwner(genSession, client);
+        bindGenPort(genPort);
+        io.sockets.sockets.forEach((sock) => sock.emit('gen-port-opened', genPortOpened(sock)));
       });
+    } catch (err) {
+      console.error('Generator setup error:', err.message);
+      socket.emit('gen-port-error', err.message);
+    }
+  });
 
-      // ACK: byte[4]=0x01, byte[5]=errorCode, byte[6]=ackedCmd
-      if (result[4] === 0x01 && result[5] === 0x00) {
-        socket.emit('set-mac-result', { success: true });
-      } else {
-        socket.emit('set-mac-result', { success: false, error: `ACK error code: ${result[5]}` });
-      }
+  socket.on('close-gen-port', async () => {
+    if (!controls(genSession, client)) {
+      socket.emit('gen-port-error', ownedError(genSession).message);
+      return;
+    }
+    await closeGenPortAsync();
+    io.emit('gen-port-closed');
+  });
+
+  // Take control of the generator port (payload { confirm }), as 'take-port' does for device ports
+  socket.on('take-gen-port', (payload = {}) => {
+    if (!genPort || !genPort.isOpen) {
+      socket.emit('take-port-result', { port: genSession.id, ...errors.toErrorResult(new errors.PortError('Generator port not open', errors.ERROR_CODE.PORT_CLOSED)) });
+      return;
+    }
+    if (!controls(genSession, client) && !payload.confirm) {
+      socket.emit('take-port-result', { port: genSession.id, ...notOwner(genSession), ...ownership(genSession, socket) });
+      return;
+    }
+    takePort(genSession, client);
+    socket.emit('take-port-result', { port: genSession.id, success: true });
+  });
+
+  // Drive the signal generator: same actions as `comtest-cli gen <action> [value]`
+  socket.on('gen-command', async (payload) => {
+    const { action, value = null } = payload;
+    if (rejectObserver(genSession, 'gen-result', { action })) return;
+    const config = schema.buildCliCommandMap().gen[action];
+    if (!config) {
+      socket.emit('gen-result', { action, ...errors.toErrorResult(new errors.InvalidArgumentError(`Unknown generator command: ${action}`)) });
+      return;
+    }
+    if (!genPort || !genPort.isOpen || !genQueue) {
+      socket.emit('gen-result', { action, ...errors.toErrorResult(new errors.PortError('Generator port not open', errors.ERROR_CODE.PORT_CLOSED)) });
+      return;
+    }
+
+    try {
+      const packet = protocol.hexToPacket(config.builder(value));
+      const frame = await genQueue.request(packet, {
+        expect: { cmd: config.expectedCmdId },
+        timeout: config.timeout,
+        retries: config.retries,
+      });
+      const result = config.parser(Buffer.from(frame));
+      socket.emit('gen-result', { action, success: result.success, data: result, error: result.error, code: result.code });
     } catch (err) {
-      socket.emit('set-mac-result', { success: false, error: err.message });
+      socket.emit('gen-result', { action, ...errors.toErrorResult(err) });
+    }
+  });
+
+  // Set MAC address with server-side response handling
+  socket.on('set-mac', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'set-mac-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('set-mac-result', { port, ...portNotOpen() });
+      return;
+    }
+
+    try {
+      // Malformed MACs (missing, bytes out of range) are rejected before anything is sent
+      const pkt = protocol.hexToPacket(schema.buildRequest('setMac', payload.mac));
+      const result = await portSession.request(pkt, schema.getRequestExpectation(pkt));
+      const ack = schema.parseAckResponse(result, pkt[4]);
+      socket.emit('set-mac-result', ack.success ? { port, success: true } : { port, success: false, error: ack.error, code: ack.code });
+    } catch (err) {
+      socket.emit('set-mac-result', { port, ...errors.toErrorResult(err) });
     }
   });
 
   // Set DSN (customer serial number) with server-side response handling
   socket.on('set-dsn', async (payload) => {
-    if (!activePort || !activePort.isOpen) {
-      socket.emit('set-dsn-result', { success: false, error: 'Port not open' });
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'set-dsn-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('set-dsn-result', { port, ...portNotOpen() });
       return;
     }
 
     const { dsn } = payload;
     if (!dsn || dsn.length === 0) {
-      socket.emit('set-dsn-result', { success: false, error: 'DSN cannot be empty' });
+      socket.emit('set-dsn-result', { port, ...errors.toErrorResult(new errors.InvalidArgumentError('DSN cannot be empty')) });
       return;
     }
 
-    const dsnBytes = [0x00, ...Array.from(dsn).map(c => c.charCodeAt(0))];
-    const packetLen = 6 + dsnBytes.length;
-    const pkt = [0xFF, 0x33, packetLen, 0x03, 0x5C, ...dsnBytes];
-    pkt.push(calculateChecksum(pkt.slice(2)));
-
     try {
-      let buf = Buffer.alloc(0);
-      const result = await new Promise((resolve, reject) => {
-        const timer = setTimeout(() => { activePort.off('data', onData); reject(new Error('Timeout')); }, 10000);
-        const onData = (chunk) => {
-          buf = Buffer.concat([buf, chunk]);
-          if (buf.length >= 3 && buf.length >= buf[2]) {
-            clearTimeout(timer);
-            activePort.off('data', onData);
-            resolve(buf.slice(0, buf[2]));
-          }
-        };
-        activePort.on('data', onData);
-        activePort.write(Buffer.from(pkt));
-      });
-
-      if (result[4] === 0x01 && result[5] === 0x00) {
-        socket.emit('set-dsn-result', { success: true });
-      } else {
-        socket.emit('set-dsn-result', { success: false, error: `ACK error code: ${result[5]}` });
-      }
+      // UTF-8 encoded; oversized values are rejected before anything is sent
+      const pkt = protocol.hexToPacket(schema.buildRequest('setDsn', dsn));
+      const result = await portSession.request(pkt, schema.getRequestExpectation(pkt));
+      const ack = schema.parseAckResponse(result, pkt[4]);
+      socket.emit('set-dsn-result', ack.success ? { port, success: true } : { port, success: false, error: ack.error, code: ack.code });
     } catch (err) {
-      socket.emit('set-dsn-result', { success: false, error: err.message });
+      socket.emit('set-dsn-result', { port, ...errors.toErrorResult(err) });
     }
   });
 
   // Set barcode (factory station pass, in-memory). No 0x00 prefix (unlike DSN).
   socket.on('set-barcode', async (payload) => {
-    if (!activePort || !activePort.isOpen) {
-      socket.emit('set-barcode-result', { success: false, error: 'Port not open' });
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'set-barcode-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('set-barcode-result', { port, ...portNotOpen() });
       return;
     }
     const { barcode } = payload;
     if (!barcode || barcode.length === 0) {
-      socket.emit('set-barcode-result', { success: false, error: 'Barcode cannot be empty' });
+      socket.emit('set-barcode-result', { port, ...errors.toErrorResult(new errors.InvalidArgumentError('Barcode cannot be empty')) });
       return;
     }
-    const bytes = Array.from(barcode).map(c => c.charCodeAt(0));
-    const packetLen = 6 + bytes.length;
-    const pkt = [0xFF, 0x33, packetLen, 0x03, 0x1F, ...bytes];
-    pkt.push(calculateChecksum(pkt.slice(2)));
     try {
-      let buf = Buffer.alloc(0);
-      const result = await new Promise((resolve, reject) => {
-        const timer = setTimeout(() => { activePort.off('data', onData); reject(new Error('Timeout')); }, 10000);
-        const onData = (chunk) => {
-          buf = Buffer.concat([buf, chunk]);
-          if (buf.length >= 3 && buf.length >= buf[2]) {
-            clearTimeout(timer);
-            activePort.off('data', onData);
-            resolve(buf.slice(0, buf[2]));
-          }
-        };
-        activePort.on('data', onData);
-        activePort.write(Buffer.from(pkt));
-      });
-      if (result[4] === 0x01 && result[5] === 0x00) {
-        socket.emit('set-barcode-result', { success: true });
-      } else {
-        socket.emit('set-barcode-result', { success: false, error: `ACK error code: ${result[5]}` });
-      }
+      const pkt = protocol.hexToPacket(schema.buildRequest('setBarcode', barcode));
+      const result = await portSession.request(pkt, schema.getRequestExpectation(pkt));
+      const ack = schema.parseAckResponse(result, pkt[4]);
+      socket.emit('set-barcode-result', ack.success ? { port, success: true } : { port, success: false, error: ack.error, code: ack.code });
     } catch (err) {
-      socket.emit('set-barcode-result', { success: false, error: err.message });
+      socket.emit('set-barcode-result', { port, ...errors.toErrorResult(err) });
     }
   });
 
   // Get barcode (returns RET_BARCODE 0x21)
-  socket.on('get-barcode', async () => {
-    if (!activePort || !activePort.isOpen) {
-      socket.emit('get-barcode-result', { success: false, error: 'Port not open' });
+  socket.on('get-barcode', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'get-barcode-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('get-barcode-result', { port, ...portNotOpen() });
       return;
     }
-    const pkt = [0xFF, 0x33, 6, 0x03, 0x20];
-    pkt.push(calculateChecksum(pkt.slice(2)));
     try {
-      let buf = Buffer.alloc(0);
-      const result = await new Promise((resolve, reject) => {
-        const timer = setTimeout(() => { activePort.off('data', onData); reject(new Error('Timeout')); }, 10000);
-        const onData = (chunk) => {
-          buf = Buffer.concat([buf, chunk]);
-          if (buf.length >= 3 && buf.length >= buf[2]) {
-            clearTimeout(timer);
-            activePort.off('data', onData);
-            resolve(buf.slice(0, buf[2]));
-          }
-        };
-        activePort.on('data', onData);
-        activePort.write(Buffer.from(pkt));
-      });
-      if (result[4] === 0x21) {
-        const barcode = result.slice(5, result.length - 1).toString('ascii');
-        socket.emit('get-barcode-result', { success: true, barcode });
+      const pkt = protocol.hexToPacket(schema.buildRequest('getBarcode'));
+      const result = await portSession.request(pkt, schema.getRequestExpectation(pkt));
+      const parsed = schema.parseResponse('getBarcode', result);
+      if (parsed.success) {
+        socket.emit('get-barcode-result', { port, success: true, barcode: parsed.barcode });
       } else {
-        socket.emit('get-barcode-result', { success: false, error: `Unexpected cmd: 0x${result[4].toString(16)}` });
+        socket.emit('get-barcode-result', { port, success: false, error: parsed.error, code: parsed.code });
       }
     } catch (err) {
-      socket.emit('get-barcode-result', { success: false, error: err.message });
+      socket.emit('get-barcode-result', { port, ...errors.toErrorResult(err) });
     }
   });
 
-  // Burn key via file transfer protocol
-  socket.on('burn-key', async (payload) => {
-    if (!activePort || !activePort.isOpen) {
-      socket.emit('burn-result', { success: false, error: 'Port not open' });
+  // Key status: GET_FILE_ID of every key slot. Payload { port, slots? } (type names or type bytes,
+  // default every FILE_TYPE); one 'key-status-progress' per slot, then 'key-status-result'.
+  socket.on('get-key-status', async (payload = {}) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'key-status-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('key-status-result', { port, ...portNotOpen() });
       return;
     }
+    try {
+      const keys = await keyStatus.readKeyStatus(portSession.request, {
+        slots: payload.slots,
+        onProgress: (progress) => socket.emit('key-status-progress', { port, ...progress }),
+      });
+      socket.emit('key-status-result', { port, success: true, keys });
+    } catch (err) {
+      socket.emit('key-status-result', { port, ...errors.toErrorResult(err) });
+    }
+  });
 
-    const { keyType, fileData, fileName } = payload;
-    const FILE_TYPE_MAP = { hdcp14: 1, hdcp22: 4, ciplus: 2, widevine: 5, esn: 6 };
-    const fileType = FILE_TYPE_MAP[keyType];
-    if (!fileType) {
-      socket.emit('burn-result', { success: false, error: `Unknown key type: ${keyType}` });
+  // Burn a key (payload: prepareBurn()); progress and outcome: runBurn()
+  socket.on('burn-key', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'burn-result')) return;
+    const port = portIdOf(portSession, payload);
+    if (!isPortOpen(portSession)) {
+      socket.emit('burn-result', { port, ...portNotOpen() });
       return;
     }
 
-    if (burnAbortController) {
-      burnAbortController.abort();
-    }
-    const ac = new AbortController();
-    burnAbortController = ac;
-
-    const fileBuf = Buffer.from(fileData);
-    const fileSize = fileBuf.length;
-    const crc = fileCrc16(fileBuf);
-    const fileId = (Math.random() * 0xFFFFFFFF) >>> 0;
-
-    socket.emit('burn-progress', { percent: 0, message: 'Starting...' });
-
-    const sendAndWait = (data, timeout = 10000) => {
-      return new Promise((resolve, reject) => {
-        if (ac.signal.aborted) return reject(new Error('Aborted'));
-        if (!activePort || !activePort.isOpen) return reject(new Error('Port closed'));
-
-        let buf = Buffer.alloc(0);
-        const timer = setTimeout(() => { cleanup(); reject(new Error('Timeout')); }, timeout);
-        const onAbort = () => { cleanup(); reject(new Error('Aborted')); };
-        const onData = (chunk) => {
-          buf = Buffer.concat([buf, chunk]);
-          if (buf.length >= 3 && buf.length >= buf[2]) {
-            cleanup();
-            resolve(buf.slice(0, buf[2]));
-          }
-        };
-        const cleanup = () => {
-          clearTimeout(timer);
-          activePort.off('data', onData);
-          ac.signal.removeEventListener('abort', onAbort);
-        };
-        ac.signal.addEventListener('abort', onAbort);
-        activePort.on('data', onData);
-        activePort.write(Buffer.from(data));
-      });
-    };
-
+    let session;
     try {
-      const startCmd = buildStartSendFile(fileId, fileSize, fileType);
-      const startResp = await sendAndWait(startCmd);
-      if (startResp[4] !== 0x41) {
-        socket.emit('burn-result', { success: false, error: 'Device rejected start command' });
-        return;
-      }
-      if (startResp[5] !== 0) {
-        socket.emit('burn-result', { success: false, error: startResp[5] === 1 ? 'Key already exists' : 'Device rejected file type' });
-        return;
-      }
-      const maxPacketLength = (startResp[6] << 8) | startResp[7];
-      const dataPerPacket = maxPacketLength - 14;
-      const totalPackets = Math.ceil(fileSize / dataPerPacket);
-
-      socket.emit('burn-progress', { percent: 5, message: `Sending ${totalPackets} packets...` });
-
-      for (let i = 0; i < totalPackets; i++) {
-        const offset = i * dataPerPacket;
-        const chunk = fileBuf.slice(offset, offset + dataPerPacket);
-        const pktCmd = buildSendFileData(i + 1, totalPackets, Array.from(chunk));
-        const ackResp = await sendAndWait(pktCmd);
-        if (ackResp[5] !== 0) {
-          socket.emit('burn-result', { success: false, error: `Packet ${i + 1} ACK error` });
-          return;
-        }
-        const pct = Math.round(5 + ((i + 1) / totalPackets) * 80);
-        socket.emit('burn-progress', { percent: pct, message: `Packet ${i + 1}/${totalPackets}` });
-      }
-
-      socket.emit('burn-progress', { percent: 90, message: 'Verifying CRC...' });
-      const crcCmd = buildSendFileCrc(crc);
-
-      const waitForPacket = (timeout = 15000) => {
-        return new Promise((resolve, reject) => {
-          if (ac.signal.aborted) return reject(new Error('Aborted'));
-          if (!activePort || !activePort.isOpen) return reject(new Error('Port closed'));
-
-          let buf = Buffer.alloc(0);
-          const timer = setTimeout(() => { cleanup(); reject(new Error('Timeout')); }, timeout);
-          const onAbort = () => { cleanup(); reject(new Error('Aborted')); };
-          const onData = (chunk) => {
-            buf = Buffer.concat([buf, chunk]);
-            if (buf.length >= 3 && buf.length >= buf[2]) {
-              cleanup();
-              resolve(buf.slice(0, buf[2]));
-            }
-          };
-          const cleanup = () => {
-            clearTimeout(timer);
-            activePort.off('data', onData);
-            ac.signal.removeEventListener('abort', onAbort);
-          };
-          ac.signal.addEventListener('abort', onAbort);
-          activePort.on('data', onData);
-        });
-      };
-
-      activePort.write(Buffer.from(crcCmd));
-
-      let finalStatus = null;
-      for (let attempt = 0; attempt < 20; attempt++) {
-        const resp = await waitForPacket(15000);
-        if (resp[4] === 0x44) {
-          finalStatus = resp[5];
-          break;
-        }
-      }
-
-      if (finalStatus === null) {
-        socket.emit('burn-result', { success: false, error: 'Timeout waiting for result' });
-      } else if (finalStatus === 0) {
-        socket.emit('burn-progress', { percent: 100, message: 'Done!' });
-        socket.emit('burn-result', { success: true, packets: totalPackets, crc: '0x' + crc.toString(16).padStart(4, '0') });
-      } else {
-        socket.emit('burn-result', { success: false, error: finalStatus === 1 ? 'CRC error' : 'Flash write error' });
-      }
+      session = await prepareBurn(portSession, payload);
     } catch (err) {
-      if (err.message !== 'Aborted') {
-        socket.emit('burn-result', { success: false, error: err.message });
-      }
-    } finally {
-      if (burnAbortController === ac) burnAbortController = null;
+      socket.emit('burn-result', { port, ...errors.toErrorResult(err), problems: err.problems, state: err.details && err.details.state });
+      return;
+    }
+    await startBurn(portSession, session);
+  });
+
+  socket.on('resume-burn', async (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'burn-result')) return;
+    const session = portSession && portSession.burnSession;
+    if (!session || !session.resumable) {
+      socket.emit('burn-result', { port: portIdOf(portSession, payload), ...errors.toErrorResult(new errors.InvalidArgumentError('No interrupted burn to resume')) });
+      return;
     }
+    await runBurn(portSession, session, () => session.resume());
+  });
+
+  socket.on('cancel-burn', (payload) => {
+    const portSession = findPortSession(payload);
+    if (rejectObserver(portSession, 'burn-result')) return;
+    if (portSession) cancelBurn(portSession);
+    io.emit('burn-result', { port: portIdOf(portSession, payload), ...errors.toErrorResult(new errors.AbortedError()) });
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected');
-    // Optional: Close port on client disconnect? 
-    // Usually better to keep it open for persistence unless explicit close, 
-    // but for a single-user tool, closing might be safer.
-    // Let's leave it open for now to allow page refresh without losing connection.
+    // Ports stay open and keep their owner, so a page refresh does not lose the connection or its
+    // control; observers are told the owner went away (they may take the port over)
+    portSessions.forEach((portSession) => {
+      if (isPortOpen(portSession) && portSession.owner === client.id) announceOwner(portSession);
+    });
+    if (genPort && genPort.isOpen && genSession.owner === client.id) announceOwner(genSession);
   });
 });
 
-const cleanup = () => {
-  if (burnAbortController) burnAbortController.abort();
-  if (activePort && activePort.isOpen) {
-    console.log('Closing port on exit...');
-    activePort.close((err) => {
-      if (err) console.error('Error closing port:', err);
-      process.exit(0);
+// Close every open device port, then call done
+function closeAllPorts(done) {
+  const open = [...portSessions.values()].filter(isPortOpen);
+  let pending = open.length;
+  if (pending === 0) return done();
+  open.forEach(({ id, port }) => {
+    port.close((err) => {
+      if (err) console.error(`Error closing port ${id}:`, err);
+      if (--pending === 0) done();
     });
-  } else {
-    process.exit(0);
-  }
+  });
+}
+
+const cleanup = () => {
+  portSessions.forEach(cancelBurn);
+  if (keyVault) keyVault.lockVault(unlockedVault);
+  if (genPort && genPort.isOpen) genPort.close();
+  if ([...portSessions.values()].some(isPortOpen)) console.log('Closing ports on exit...');
+  closeAllPorts(() => process.exit(0));
 };
 
 process.on('SIGINT', cleanup);
 process.on('SIGTERM', cleanup);
 // Nodemon restart signal
 process.on('SIGUSR2', () => {
-  if (activePort && activePort.isOpen) {
-    activePort.close(() => process.kill(process.pid, 'SIGUSR2'));
-  } else {
-    process.kill(process.pid, 'SIGUSR2');
-  }
+  closeAllPorts(() => process.kill(process.pid, 'SIGUSR2'));
 });
 
 const PORT = 3000;
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
+
+async function start() {
+  protocol = await import('../shared/cvteProtocol.js');
+  schema = await import('../shared/commandSchema.js');
+  transactions = await import('../shared/transactionQueue.js');
+  transfer = await import('../shared/fileTransfer.js');
+  errors = await import('../shared/protocolErrors.js');
+  profiles = await import('../shared/deviceProfile.js');
+  profileStore = await import('../shared/profileStore.js');
+  channelList = await import('../shared/channelList.js');
+  keyFile = await import('../shared/keyFile.js');
+  keyInventory = await import('../shared/keyInventory.js');
+  keyStatus = await import('../shared/keyStatus.js');
+  keyVault = await import('../shared/keyVault.js');
+  deviceIdentity = await import('../shared/deviceIdentity.js');
+  burnAudit = await import('../shared/burnAudit.js');
+  commandRunner = await import('../shared/commandRunner.js');
+  httpApi = await import('../shared/httpApi.js');
+  server.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  console.error('Failed to start server:', err);
+  process.exit(1);
 });
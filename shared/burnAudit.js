@@ -0,0 +1,215 @@
+/**
+ * Burn Audit Log (Node.js only)
+ * Every burn attempt of the CLI and the server, appended to one JSON Lines
+ * file. Each entry carries the hash of the entry before it (prevHash) and its
+ * own hash over all its fields, so editing, removing or reordering entries
+ * breaks the chain and verifyAuditLog() points at the first broken entry.
+ *
+ *   hash = SHA-256(prevHash + '\n' + JSON of the AUDIT_FIELDS values before prevHash)
+ *
+ * Entries cut off the end leave a valid chain; compare the last hash with one
+ * noted earlier (audit verify prints it) to see those.
+ *
+ * The first entry links to GENESIS_HASH. Station and operator default to
+ * $COMTEST_STATION / the host name and $COMTEST_OPERATOR / the OS user.
+ * File: $COMTEST_AUDIT_LOG, or ~/.comtest/audit/burns.jsonl.
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { BURN_STATE } from './fileTransfer.js';
+import { ERROR_CODE, ProtocolError, errorCodeOf } from './protocolErrors.js';
+import { withLock } from './fileLock.js';
+
+export const DEFAULT_AUDIT_LOG = process.env.COMTEST_AUDIT_LOG || path.join(os.homedir(), '.comtest', 'audit', 'burns.jsonl');
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Burn never started (invalid or consumed key, locked vault, ...); otherwise the final BURN_STATE
+export const AUDIT_REJECTED = 'rejected';
+
+// Key file sent without its CRC by the pacing benchmark (burn --benchmark)
+export const AUDIT_BENCHMARK = 'benchmark';
+
+// Entry fields in hash and CSV column order
+export const AUDIT_FIELDS = [
+  'seq', 'timestamp', 'station', 'operator', 'origin',
+  'mac', 'dsn', 'barcode',
+  'keyType', 'identity', 'fileId', 'sha256', 'crc', 'packets',
+  'status', 'error', 'code',
+  'prevHash', 'hash',
+];
+
+const HASHED_FIELDS = AUDIT_FIELDS.slice(0, AUDIT_FIELDS.indexOf('prevHash'));
+// Enough for the last entry; entries are a few hundred bytes
+const TAIL_SIZE = 16384;
+
+const entryHash = (entry, prevHash) => crypto.createHash('sha256')
+  .update(`${prevHash}\n${JSON.stringify(HASHED_FIELDS.map((field) => entry[field] ?? null))}`)
+  .digest('hex');
+
+/**
+ * @returns {string} $COMTEST_STATION, or the host name
+ */
+export const defaultStation = () => process.env.COMTEST_STATION || os.hostname();
+
+/**
+ * @returns {string} $COMTEST_OPERATOR, or the OS user name
+ */
+export const defaultOperator = () => {
+  if (process.env.COMTEST_OPERATOR) return process.env.COMTEST_OPERATOR;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Audit record of a burn attempt
+ * @param {object} attempt
+ * @param {string} attempt.origin - 'cli' or 'server'
+ * @param {string} [attempt.operator] - Operator name (default: defaultOperator())
+ * @param {{mac?: string|null, dsn?: string|null, barcode?: string|null}} [attempt.device] - From readDeviceIdentity()
+ * @param {string} attempt.keyType - FILE_TYPE_NAMES key
+ * @param {{label: string, value: string}|null} [attempt.identity] - Key identity (KSV, Receiver ID, ...)
+ * @param {string|null} [attempt.sha256] - SHA-256 of the key file (hex)
+ * @param {BurnSession|null} [attempt.session] - Session after its run; null when the burn never started
+ * @param {string} [attempt.status] - Final state when the session was wiped since (wipe() cancels it)
+ * @param {{error?: string, code?: string}|Error|null} [attempt.failure] - Failed result or error
+ * @returns {object} Fields of AUDIT_FIELDS up to status, error and code
+ */
+export const burnAuditRecord = ({ origin, operator, device = {}, keyType, identity = null, sha256 = null, session = null, status, failure = null }) => {
+  const state = status ?? (session ? session.state : AUDIT_REJECTED);
+  return {
+    station: defaultStation(),
+    operator: operator || defaultOperator(),
+    origin,
+    mac: (device && device.mac) || null,
+    dsn: (device && device.dsn) || null,
+    barcode: (device && device.barcode) || null,
+    keyType,
+    identity: identity ? `${identity.label} ${identity.value}` : null,
+    fileId: session ? session.fileId : null,
+    sha256,
+    crc: session ? `0x${session.crc.toString(16).padStart(4, '0')}` : null,
+    packets: session && session.totalPackets ? session.totalPackets : null,
+    // A session that failed before it started (port not opened) never left IDLE
+    status: state === BURN_STATE.IDLE && failure ? BURN_STATE.FAILED : state,
+    error: failure ? (failure.error ?? failure.message) : null,
+    code: failure ? errorCodeOf(failure) : null,
+  };
+};
+
+// Last entry of the log, or null for a new log
+const readLastEntry = async (file) => {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    const { size } = await handle.stat();
+    const length = Math.min(size, TAIL_SIZE);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+    const lines = buffer.toString('utf8').split('\n').filter((line) => line.trim());
+    return lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : null;
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Append a burn attempt to the log
+ * @param {object} record - From burnAuditRecord()
+ * @param {object} [options] - { file }
+ * @returns {Promise<object>} The entry as written (seq, timestamp, prevHash and hash added)
+ */
+export const appendAuditEntry = (record, { file = DEFAULT_AUDIT_LOG } = {}) => withLock(path.dirname(file), async () => {
+  const last = await readLastEntry(file);
+  const entry = { seq: last ? last.seq + 1 : 1, timestamp: new Date().toISOString() };
+  HASHED_FIELDS.slice(2).forEach((field) => { entry[field] = record[field] ?? null; });
+  entry.prevHash = last ? last.hash : GENESIS_HASH;
+  entry.hash = entryHash(entry, entry.prevHash);
+  await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+  return entry;
+}, {
+  onTimeout: (lock) => new ProtocolError(`Burn audit log is locked (${lock})`, ERROR_CODE.UNKNOWN),
+});
+
+/**
+ * Read all entries
+ * @param {object} [options] - { file }
+ * @returns {Promise<object[]>} Entries in file order (empty for a missing log); throws on a line that is not JSON
+ */
+export const readAuditLog = async ({ file = DEFAULT_AUDIT_LOG } = {}) => {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter((line) => line.trim()).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new ProtocolError(`Line ${i + 1} of ${file} is not a JSON entry`, ERROR_CODE.UNKNOWN);
+    }
+  });
+};
+
+/**
+ * Check the hash chain
+ * @param {object} [options] - { file }
+ * @returns {Promise<{valid: boolean, entries: number, lastHash: string,
+ *   broken: {line: number, seq: number|null, reason: string}|null}>} broken: first entry that fails
+ */
+export const verifyAuditLog = async ({ file = DEFAULT_AUDIT_LOG } = {}) => {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    text = '';
+  }
+  const lines = text.split('\n').filter((line) => line.trim());
+  let prevHash = GENESIS_HASH;
+  let seq = 0;
+  const fail = (line, entrySeq, reason) => ({ valid: false, entries: lines.length, lastHash: prevHash, broken: { line, seq: entrySeq, reason } });
+
+  for (let i = 0; i < lines.length; i++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      return fail(i + 1, null, 'not a JSON entry');
+    }
+    if (entry.seq !== seq + 1) return fail(i + 1, entry.seq ?? null, `sequence ${entry.seq} after ${seq}`);
+    if (entry.prevHash !== prevHash) return fail(i + 1, entry.seq, 'does not link to the previous entry');
+    if (entry.hash !== entryHash(entry, prevHash)) return fail(i + 1, entry.seq, 'content does not match its hash');
+    prevHash = entry.hash;
+    seq = entry.seq;
+  }
+  return { valid: true, entries: lines.length, lastHash: prevHash, broken: null };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Entries as CSV (RFC 4180), one column per AUDIT_FIELDS field
+ * @param {object[]} entries - From readAuditLog()
+ * @returns {string}
+ */
+export const toAuditCsv = (entries) => [AUDIT_FIELDS, ...entries.map((entry) => AUDIT_FIELDS.map((field) => entry[field]))]
+  .map((row) => row.map(csvCell).join(','))
+  .join('\r\n') + '\r\n';
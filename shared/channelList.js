@@ -0,0 +1,99 @@
+/**
+ * Channel List Retrieval
+ *
+ * A RET_CH_LIST frame carries at most 249 payload bytes, so a TV with hundreds
+ * of DVB services answers GET_CHANNEL_LIST with several frames ("pages"). Every
+ * page repeats totalCount and holds entryCount entries. The port is kept for
+ * the whole stream; if it stops before totalCount entries have arrived, the
+ * list is requested again with the number of entries received so far as start
+ * index ([start (2 BE)]). Firmware that ignores the start index sends the list
+ * from the beginning again; entries are de-duplicated by channel ID.
+ */
+
+import { PROTOCOL, hexToPacket } from './cvteProtocol.js';
+import { getCommandSchema, getRequestExpectation, buildRequest, parseResponse } from './commandSchema.js';
+import { ERROR_CODE, NakError, UnexpectedResponseError, errorCodeOf } from './protocolErrors.js';
+
+/**
+ * Build a GET_CHANNEL_LIST request
+ * @param {number} [start] - Index of the first entry wanted (0: plain request without payload)
+ * @returns {number[]} Request packet
+ */
+export const buildChannelListRequest = (start = 0) => hexToPacket(buildRequest('getChannelList', start > 0 ? start : null));
+
+/**
+ * Fetch the complete channel list
+ *
+ * @param {(packet: number[], options: object) => Promise<Uint8Array>} request - Sends a packet through the
+ *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Timeout for the first page and between pages in milliseconds
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {(progress: {received: number, total: number, pages: number}) => void} [options.onProgress]
+ * @returns {Promise<{success: true, totalCount: number, entryCount: number, channels: Array<{id, name}>,
+ *   complete: boolean, pages: number}>} Same fields as parseResponse('getChannelList'), so formatValue()
+ *   applies; complete is false when the device stopped sending before totalCount entries.
+ *   Throws ProtocolError when no page arrives.
+ */
+export const fetchChannelList = async (request, { timeout, signal = null, onProgress = null } = {}) => {
+  const entry = getCommandSchema('getChannelList');
+  const channels = new Map();
+  let totalCount = null;
+  let pages = 0;
+  let pageError = null;
+
+  // Called by the queue for every RET_CH_LIST frame; true keeps the request open for more pages
+  const onPage = (frame) => {
+    const page = parseResponse('getChannelList', frame);
+    if (!page.success) {
+      pageError = new UnexpectedResponseError(`Invalid channel list page: ${page.error}`);
+      return false;
+    }
+    pages++;
+    totalCount = page.totalCount;
+    for (const ch of page.channels) {
+      const key = String(ch.id);
+      if (!channels.has(key)) channels.set(key, ch);
+    }
+    if (onProgress) onProgress({ received: channels.size, total: totalCount, pages });
+    return channels.size < totalCount;
+  };
+
+  // Resend only while nothing has arrived; afterwards a timeout means the stream stalled
+  let retriesLeft = getRequestExpectation(buildChannelListRequest()).retries;
+  let stalled = false;
+  while (!stalled && (totalCount === null || channels.size < totalCount)) {
+    const before = channels.size;
+    try {
+      const frame = await request(buildChannelListRequest(channels.size), {
+        expect: { cmd: entry.response.cmd, more: onPage },
+        timeout: timeout ?? entry.timeout,
+        retries: 0,
+        signal,
+      });
+      if (frame[4] === PROTOCOL.CMD.ACK) {
+        // A follow-up request the firmware rejects (no start index support) ends with what we have
+        if (pages === 0) throw new NakError(frame[5], frame[6]);
+        break;
+      }
+    } catch (err) {
+      if (errorCodeOf(err) !== ERROR_CODE.TIMEOUT) throw err;
+      if (pages === 0) {
+        if (retriesLeft-- > 0) continue;
+        throw err;
+      }
+    }
+    if (pageError) throw pageError;
+    // A round without new entries: the device has nothing more to send
+    stalled = channels.size === before;
+  }
+
+  return {
+    success: true,
+    totalCount,
+    entryCount: channels.size,
+    channels: [...channels.values()],
+    complete: channels.size >= totalCount,
+    pages,
+  };
+};
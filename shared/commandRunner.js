@@ -0,0 +1,63 @@
+/**
+ * Command Runner
+ * Runs one entry of the CLI command map (buildCliCommandMap) over a port's
+ * transaction queue. comtest-cli and the server's HTTP API both go through it,
+ * so `comtest-cli --json` and the API answer with the same JSON.
+ */
+
+import { hexToPacket } from './cvteProtocol.js';
+import { getRequestExpectation } from './commandSchema.js';
+import { toErrorResult } from './protocolErrors.js';
+import { fetchChannelList } from './channelList.js';
+
+/**
+ * Run a command map entry
+ *
+ * @param {(packet: number[], options: object) => Promise<Uint8Array>} request - Sends a packet through the
+ *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+ * @param {object} config - Command map entry (buildCliCommandMap()[category][action])
+ * @param {object} [options]
+ * @param {string|string[]|null} [options.value] - Value(s) for set commands (wb: [temp, r, g, b])
+ * @param {number|null} [options.timeout] - Response timeout (defaults to the command's schema timeout)
+ * @returns {Promise<{success: boolean, data?: object, error?: string, code?: string}>} code is an ERROR_CODE on failure
+ */
+export const runCommand = async (request, config, { value = null, timeout = null } = {}) => {
+  try {
+    let result;
+    if (config.name === 'getChannelList') {
+      // The list arrives in several RET_CH_LIST pages
+      result = await fetchChannelList(request, { timeout });
+    } else {
+      // Wait for the command's RET packet (or the ACK of a set command)
+      const packet = hexToPacket(config.builder(...[].concat(value)));
+      const defaults = getRequestExpectation(packet);
+      const response = await request(packet, {
+        expect: { cmd: config.expectedCmdId },
+        timeout: (timeout || config.timeout) ?? defaults.timeout ?? 3000,
+        retries: config.retries,
+      });
+      result = config.parser(response);
+    }
+
+    return {
+      success: result.success,
+      data: result,
+      error: result.error,
+      code: result.code,
+    };
+  } catch (err) {
+    return toErrorResult(err);
+  }
+};
+
+/**
+ * JSON output of a command result (`comtest-cli --json`, HTTP API)
+ * @param {object} result - From runCommand()
+ * @returns {object} { success: true, ...parsed fields } or { success: false, error, code }
+ */
+export const toJsonResult = (result) => {
+  if (result.success) {
+    return { success: true, ...result.data };
+  }
+  return { success: false, error: result.error, code: result.code };
+};
@@ -0,0 +1,992 @@
+/**
+ * CVTE Command Schema
+ * One table entry per command. Builders, parsers, CLI entries and UI display
+ * strings are all derived from COMMAND_SCHEMA, so adding a command from the
+ * CVTE spec means adding one entry here.
+ *
+ * Entry format:
+ *   protocol - Protocol type byte (default PROTOCOL.PROTOCOL_TYPE, Factory Auto Test)
+ *   cmd      - Request command ID
+ *   request  - Request payload fields (see FIELD); fields with `value` are constants,
+ *              fields with `enum` also accept a name from that { name: id } map
+ *   response - ACK_RESPONSE for set commands, or { cmd, fields } for the RET packet
+ *   timeout  - Default response timeout in milliseconds
+ *   retries  - Resends after a timeout (default: 1 for queries, 0 for set commands)
+ *   label    - Display label (CLI output and UI cards)
+ *   resultKey - Result field shown as the command's value
+ *   derive   - Optional (result) => extra result fields
+ *   format   - Optional (result) => display string for the value
+ *   passed   - Optional (result) => whether a test result counts as a pass (UI colouring)
+ *   cli      - CLI entries: { category, name, args?, label?, parseArg?, hint? }
+ *   ui       - Device Test page cards: { tab, id, args?, label? }
+ */
+
+import {
+  PROTOCOL,
+  SOURCE_NAMES,
+  SOURCE_IDS,
+  STATUS_NAMES,
+  COLOR_TEMP_IDS,
+  COLOR_TEMP_NAMES,
+  GEN_TIMING_IDS,
+  GEN_TIMING_NAMES,
+  GEN_PATTERN_IDS,
+  GEN_PATTERN_NAMES,
+  MAX_PAYLOAD_LENGTH,
+  buildCommandHex,
+  buildSetSourceCommand,
+  validateResponse,
+  formatMacAddress,
+  encodeUtf8,
+  decodeUtf8,
+} from './cvteProtocol.js';
+import { FILE_TYPE_NAMES, FILE_TYPE_LABELS } from './fileTransfer.js';
+import {
+  ERROR_CODE,
+  NakError,
+  UnexpectedResponseError,
+  InvalidArgumentError,
+  errorFields,
+} from './protocolErrors.js';
+
+// Field types for request/response payloads
+// A trailing field marked optional: true is left out of a request when no value is given
+export const FIELD = {
+  U8: 'u8',
+  U16BE: 'u16be',
+  U32BE: 'u32be',
+  U64BE: 'u64be',
+  STRING: 'string',  // UTF-8; rest of payload, or length-prefixed with lengthPrefix: 'u8'
+  MAC: 'mac',      // 6 bytes, "AA:BB:CC:DD:EE:FF"
+  LIST: 'list',    // Repeated struct: { count: <earlier field name>, fields: [...] }
+};
+
+// Marker for set commands answered by a plain ACK for the request command
+export const ACK_RESPONSE = 'ack';
+
+const statusFormat = (r) => {
+  const emoji = r.statusCode === PROTOCOL.STATUS.OK ? '✓' : r.statusCode === PROTOCOL.STATUS.CHECKING ? '⏳' : '✗';
+  return `${emoji} ${r.status}`;
+};
+
+const statusDerive = (r) => ({ status: STATUS_NAMES[r.statusCode] || `Unknown(${r.statusCode})` });
+
+// White balance payloads: [colorTemp (1)][R (2 BE)][G (2 BE)][B (2 BE)]
+const WB_COLOR_TEMP = { name: 'colorTemp', type: FIELD.U8, enum: COLOR_TEMP_IDS, label: 'Colour temperature' };
+const WB_RGB = [
+  { name: 'red', type: FIELD.U16BE, label: 'Red' },
+  { name: 'green', type: FIELD.U16BE, label: 'Green' },
+  { name: 'blue', type: FIELD.U16BE, label: 'Blue' },
+];
+const wbDerive = (r) => ({ colorTempName: COLOR_TEMP_NAMES[r.colorTemp] || `Unknown(${r.colorTemp})` });
+const wbFormat = (r) => `${r.colorTempName} R=${r.red} G=${r.green} B=${r.blue}`;
+const WB_TEMP_HINT = `Colour temperatures: ${Object.keys(COLOR_TEMP_IDS).join(', ')}`;
+
+export const COMMAND_SCHEMA = {
+  // ---- Query commands ----
+  getChecksum: {
+    cmd: PROTOCOL.CMD.GET_CHECKSUM,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_CHECKSUM, fields: [{ name: 'checksum', type: FIELD.STRING }] },
+    timeout: 3000,
+    label: 'Checksum',
+    resultKey: 'checksum',
+    cli: [{ category: 'get', name: 'checksum' }],
+    ui: [{ tab: 'info', id: 'checksum' }],
+  },
+  getIp: {
+    cmd: PROTOCOL.CMD.GET_IP_INFO,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_IP_INFO, fields: [{ name: 'ip', type: FIELD.STRING }] },
+    timeout: 3000,
+    label: 'IP Address',
+    resultKey: 'ip',
+    cli: [{ category: 'get', name: 'ip' }],
+    ui: [{ tab: 'info', id: 'ip' }],
+  },
+  getMacAddress: {
+    cmd: PROTOCOL.CMD.GET_MAC_ADDR,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_MAC_ADDR, fields: [{ name: 'mac', type: FIELD.MAC }] },
+    timeout: 3000,
+    label: 'MAC Address',
+    resultKey: 'mac',
+    cli: [{ category: 'get', name: 'mac' }],
+    ui: [{ tab: 'info', id: 'mac' }],
+  },
+  getSource: {
+    cmd: PROTOCOL.CMD.GET_SOURCE,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_SOURCE, fields: [{ name: 'sourceId', type: FIELD.U8 }] },
+    timeout: 3000,
+    label: 'Source',
+    resultKey: 'source',
+    derive: (r) => ({ source: SOURCE_NAMES[r.sourceId] || `Unknown(0x${r.sourceId.toString(16)})` }),
+    cli: [{ category: 'get', name: 'source' }],
+    ui: [],
+  },
+  getWifiStatus: {
+    cmd: PROTOCOL.CMD.GET_WIFI_STATUS,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_WIFI_STATUS, fields: [{ name: 'statusCode', type: FIELD.U8 }] },
+    timeout: 5000,
+    label: 'WiFi Status',
+    resultKey: 'status',
+    derive: statusDerive,
+    format: statusFormat,
+    passed: (r) => r.statusCode === PROTOCOL.STATUS.OK,
+    cli: [
+      { category: 'get', name: 'wifi' },
+      { category: 'test', name: 'wifi', label: 'WiFi Test' },
+    ],
+    ui: [{ tab: 'test', id: 'wifi', label: 'WiFi Test' }],
+  },
+  getBluetoothStatus: {
+    cmd: PROTOCOL.CMD.CHECK_BLUETOOTH,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_BLUETOOTH_STATUS, fields: [{ name: 'statusCode', type: FIELD.U8 }] },
+    timeout: 5000,
+    label: 'Bluetooth Status',
+    resultKey: 'status',
+    derive: statusDerive,
+    format: statusFormat,
+    passed: (r) => r.statusCode === PROTOCOL.STATUS.OK,
+    cli: [
+      { category: 'get', name: 'bluetooth' },
+      { category: 'test', name: 'bluetooth', label: 'Bluetooth Test' },
+    ],
+    ui: [{ tab: 'test', id: 'bluetooth', label: 'Bluetooth Test' }],
+  },
+  getUsbNumber: {
+    cmd: PROTOCOL.CMD.GET_USB_NUMBER,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_USB_NUMBER, fields: [{ name: 'count', type: FIELD.U8 }] },
+    timeout: 3000,
+    label: 'USB Count',
+    resultKey: 'count',
+    cli: [{ category: 'get', name: 'usb' }],
+    ui: [{ tab: 'info', id: 'usb' }],
+  },
+  getCpuTemp: {
+    cmd: PROTOCOL.CMD.GET_CPU_TEMP,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_CPU_TEMP, fields: [{ name: 'temperature', type: FIELD.U16BE }] },
+    timeout: 3000,
+    label: 'CPU Temperature',
+    resultKey: 'temperature',
+    format: (r) => `${r.temperature} °C`,
+    cli: [{ category: 'get', name: 'cputemp' }],
+    ui: [{ tab: 'info', id: 'cpu-temp' }],
+  },
+  getEthSpeed: {
+    cmd: PROTOCOL.CMD.GET_ETH_SPEED,
+    request: [],
+    response: { cmd: PROTOCOL.CMD.RET_ETH_SPEED, fields: [{ name: 'speed', type: FIELD.U16BE }] },
+    timeout: 3000,
+    label: 'Ethernet Speed',
+    resultKey: 'speed',
+    format: (r) => `${r.speed} Mbps`,
+    cli: [{ category: 'get', name: 'ethspeed' }],
+    ui: [{ tab: 'info', id: 'eth-speed' }],
+  },
+  getDsn: {
+    cmd: PROTOCOL.CMD.GET_CUS_CODE,
+    request: [],
+    response: {
+      cmd: PROTOCOL.CMD.RET_CUS_CODE,
+      // [type=0x00] [DSN...]; an empty DSN returns only the type byte
+      fields: [{ type: FIELD.U8, value: 0x00 }, { name: 'dsn', type: FIELD.STRING }],
+    },
+    timeout: 3000,
+    label: 'DSN',
+    resultKey: 'dsn',
+    format: (r) => r.dsn || '(empty)',
+    cli: [{ category: 'get', name: 'dsn' }],
+    ui: [{ tab: 'info', id: 'get-dsn', label: 'Read DSN' }],
+  },
+  getBarcode: {
+    cmd: PROTOCOL.CMD.GET_BARCODE,
+    request: [],
+    // No type byte, per CVTE spec
+    response: { cmd: PROTOCOL.CMD.RET_BARCODE, fields: [{ name: 'barcode', type: FIELD.STRING }] },
+    timeout: 10000,
+    label: 'Barcode',
+    resultKey: 'barcode',
+    format: (r) => r.barcode || '(empty)',
+    cli: [{ category: 'get', name: 'barcode' }],
+    ui: [],
+  },
+  getKeyId: {
+    cmd: PROTOCOL.CMD.GET_FILE_ID,
+    request: [{ name: 'keyType', type: FIELD.U8 }],
+    // FILE_ID is the numeric key name (e.g., 579772666), 0 when no key is burned
+    response: { cmd: PROTOCOL.CMD.RET_FILE_ID, fields: [{ name: 'fileId', type: FIELD.U32BE }] },
+    timeout: 3000,
+    label: 'Key ID',
+    resultKey: 'keyName',
+    derive: (r) => ({ keyName: r.fileId === 0 ? '' : r.fileId.toString() }),
+    format: (r) => r.keyName || '(empty)',
+    // One entry per FILE_TYPE; all of them at once: readKeyStatus() (keyStatus.js)
+    cli: Object.entries(FILE_TYPE_NAMES).map(([name, fileType]) => (
+      { category: 'get', name, args: [fileType], label: `${FILE_TYPE_LABELS[fileType]} Key` }
+    )),
+    ui: Object.entries(FILE_TYPE_NAMES).map(([name, fileType]) => (
+      { tab: 'info', id: name, args: [fileType], label: `${FILE_TYPE_LABELS[fileType]} Key` }
+    )),
+  },
+  getChannelList: {
+    cmd: PROTOCOL.CMD.GET_CHANNEL_LIST,
+    // Start index for follow-up requests when the RET_CH_LIST pages stop early (see channelList.js)
+    request: [{ name: 'start', type: FIELD.U16BE, optional: true, label: 'Start index' }],
+    response: {
+      cmd: PROTOCOL.CMD.RET_CH_LIST,
+      fields: [
+        { name: 'totalCount', type: FIELD.U16BE },
+        { name: 'entryCount', type: FIELD.U8 },
+        {
+          name: 'channels',
+          type: FIELD.LIST,
+          count: 'entryCount',
+          fields: [
+            { name: 'id', type: FIELD.U64BE },
+            { name: 'name', type: FIELD.STRING, lengthPrefix: FIELD.U8 },
+          ],
+        },
+      ],
+    },
+    timeout: 5000,
+    label: 'Channel List',
+    resultKey: 'channels',
+    derive: (r) => ({
+      entryCount: r.channels.length,
+      // Decimal strings: packed DVB service IDs exceed Number precision, and strings survive JSON
+      channels: r.channels.map(ch => ({ id: ch.id.toString(), name: ch.name })),
+    }),
+    format: (r) => {
+      const summary = r.channels.length > 0
+        ? r.channels.map((ch, i) => `${i + 1}. ${ch.name} (ID:${ch.id})`).join('\n')
+        : '(no channels)';
+      return `${r.channels.length}/${r.totalCount}\n${summary}`;
+    },
+    cli: [{ category: 'get', name: 'channels' }],
+    ui: [],
+  },
+
+  // ---- Set commands ----
+  setSource: {
+    cmd: PROTOCOL.CMD.SET_SOURCE,
+    request: [{ name: 'sourceId', type: FIELD.U8 }],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'Source',
+    cli: [{
+      category: 'set',
+      name: 'source',
+      hint: `Valid sources: ${Object.keys(SOURCE_IDS).join(', ')}`,
+      parseArg: (value) => {
+        const sourceId = SOURCE_IDS[value.toLowerCase()];
+        if (sourceId === undefined) {
+          throw new InvalidArgumentError(`Invalid source: ${value}. Valid sources: ${Object.keys(SOURCE_IDS).join(', ')}`);
+        }
+        return sourceId;
+      },
+    }],
+    ui: [],
+  },
+  setVolume: {
+    cmd: PROTOCOL.CMD.SET_VOLUME,
+    request: [{ name: 'level', type: FIELD.U8, min: 0, max: 100 }],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'Volume',
+    cli: [{ category: 'set', name: 'volume', hint: 'Range: 0-100' }],
+    ui: [],
+  },
+  setChannelNumber: {
+    cmd: PROTOCOL.CMD.SET_CHANNEL_NUMBER,
+    request: [{ name: 'number', type: FIELD.U16BE }],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'Channel Number',
+    cli: [{ category: 'set', name: 'channel' }],
+    ui: [],
+  },
+  setMac: {
+    cmd: PROTOCOL.CMD.SET_MAC_ADDR,
+    request: [{ name: 'mac', type: FIELD.MAC }],
+    response: ACK_RESPONSE,
+    timeout: 5000,
+    label: 'MAC Address',
+    cli: [{ category: 'set', name: 'mac', hint: 'Format: AA:BB:CC:DD:EE:FF' }],
+    ui: [],
+  },
+  setDsn: {
+    cmd: PROTOCOL.CMD.SET_CUS_CODE,
+    request: [{ type: FIELD.U8, value: 0x00 }, { name: 'dsn', type: FIELD.STRING, minLength: 1 }],
+    response: ACK_RESPONSE,
+    timeout: 10000,
+    label: 'DSN',
+    cli: [{ category: 'set', name: 'dsn' }],
+    ui: [],
+  },
+  setBarcode: {
+    cmd: PROTOCOL.CMD.SET_BARCODE,
+    // No 0x00 prefix (unlike DSN)
+    request: [{ name: 'barcode', type: FIELD.STRING, minLength: 1 }],
+    response: ACK_RESPONSE,
+    timeout: 10000,
+    label: 'Barcode',
+    cli: [{ category: 'set', name: 'barcode' }],
+    ui: [],
+  },
+  playChannel: {
+    cmd: PROTOCOL.CMD.PLAY_CHANNEL,
+    request: [{ name: 'channelId', type: FIELD.U64BE, label: 'Channel ID' }],
+    // [status (1)] — 0=OK, 2=FAILED
+    response: { cmd: PROTOCOL.CMD.RET_PLAY_CH, fields: [{ name: 'status', type: FIELD.U8 }] },
+    timeout: 5000,
+    label: 'Play Channel',
+    resultKey: 'display',
+    derive: (r) => (r.status === 0
+      ? { display: 'OK' }
+      : { success: false, display: 'Failed', error: `Play failed (status ${r.status})`, code: ERROR_CODE.DEVICE_STATUS }),
+    cli: [],
+    ui: [],
+  },
+
+  // ---- RF test (protocol 0x01) ----
+  setTunerFreq: {
+    protocol: PROTOCOL.TYPE.RF_TEST,
+    cmd: PROTOCOL.RF_CMD.SET_TUNER_FREQ,
+    request: [{ name: 'frequency', type: FIELD.U32BE, label: 'Frequency (kHz)', min: 1 }],
+    response: ACK_RESPONSE,
+    timeout: 5000,
+    label: 'Tuner Frequency',
+    cli: [{ category: 'rf', name: 'tune', hint: 'Frequency in kHz (e.g., 474000)' }],
+    ui: [],
+  },
+  getSignalStrength: {
+    protocol: PROTOCOL.TYPE.RF_TEST,
+    cmd: PROTOCOL.RF_CMD.GET_SIGNAL_STRENGTH,
+    request: [],
+    // [strength (1)] — percent
+    response: { cmd: PROTOCOL.RF_CMD.RET_SIGNAL_STRENGTH, fields: [{ name: 'strength', type: FIELD.U8 }] },
+    timeout: 3000,
+    label: 'Signal Strength',
+    resultKey: 'strength',
+    format: (r) => `${r.strength}%`,
+    cli: [{ category: 'rf', name: 'strength' }],
+    ui: [{ tab: 'rf', id: 'rf-strength' }],
+  },
+  getSignalQuality: {
+    protocol: PROTOCOL.TYPE.RF_TEST,
+    cmd: PROTOCOL.RF_CMD.GET_SIGNAL_QUALITY,
+    request: [],
+    // [quality (1)] — percent
+    response: { cmd: PROTOCOL.RF_CMD.RET_SIGNAL_QUALITY, fields: [{ name: 'quality', type: FIELD.U8 }] },
+    timeout: 3000,
+    label: 'Signal Quality',
+    resultKey: 'quality',
+    format: (r) => `${r.quality}%`,
+    cli: [{ category: 'rf', name: 'quality' }],
+    ui: [{ tab: 'rf', id: 'rf-quality' }],
+  },
+  getBer: {
+    protocol: PROTOCOL.TYPE.RF_TEST,
+    cmd: PROTOCOL.RF_CMD.GET_BER,
+    request: [],
+    // [mantissa (2 BE)][exponent (1)] — BER = mantissa x 10^-exponent
+    response: {
+      cmd: PROTOCOL.RF_CMD.RET_BER,
+      fields: [{ name: 'mantissa', type: FIELD.U16BE }, { name: 'exponent', type: FIELD.U8 }],
+    },
+    timeout: 3000,
+    label: 'BER',
+    resultKey: 'ber',
+    derive: (r) => ({ ber: r.mantissa * 10 ** -r.exponent }),
+    format: (r) => r.ber.toExponential(2),
+    cli: [{ category: 'rf', name: 'ber' }],
+    ui: [{ tab: 'rf', id: 'rf-ber' }],
+  },
+  getLockStatus: {
+    protocol: PROTOCOL.TYPE.RF_TEST,
+    cmd: PROTOCOL.RF_CMD.GET_LOCK_STATUS,
+    request: [],
+    // [locked (1)] — 0=unlocked, 1=locked
+    response: { cmd: PROTOCOL.RF_CMD.RET_LOCK_STATUS, fields: [{ name: 'lockCode', type: FIELD.U8 }] },
+    timeout: 3000,
+    label: 'Lock Status',
+    resultKey: 'locked',
+    derive: (r) => ({ locked: r.lockCode === 1 }),
+    format: (r) => (r.locked ? '✓ Locked' : '✗ Unlocked'),
+    passed: (r) => r.locked,
+    cli: [{ category: 'rf', name: 'lock' }],
+    ui: [{ tab: 'rf', id: 'rf-lock' }],
+  },
+
+  // ---- White balance (protocol 0x02) ----
+  getWbGain: {
+    protocol: PROTOCOL.TYPE.WHITE_BALANCE,
+    cmd: PROTOCOL.WB_CMD.GET_GAIN,
+    request: [WB_COLOR_TEMP],
+    response: { cmd: PROTOCOL.WB_CMD.RET_GAIN, fields: [WB_COLOR_TEMP, ...WB_RGB] },
+    timeout: 3000,
+    label: 'WB Gain',
+    resultKey: 'colorTempName',
+    derive: wbDerive,
+    format: wbFormat,
+    cli: [{ category: 'wb', name: 'get-gain', hint: WB_TEMP_HINT }],
+    ui: [],
+  },
+  setWbGain: {
+    protocol: PROTOCOL.TYPE.WHITE_BALANCE,
+    cmd: PROTOCOL.WB_CMD.SET_GAIN,
+    request: [WB_COLOR_TEMP, ...WB_RGB],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'WB Gain',
+    cli: [{ category: 'wb', name: 'set-gain', hint: WB_TEMP_HINT }],
+    ui: [],
+  },
+  getWbOffset: {
+    protocol: PROTOCOL.TYPE.WHITE_BALANCE,
+    cmd: PROTOCOL.WB_CMD.GET_OFFSET,
+    request: [WB_COLOR_TEMP],
+    response: { cmd: PROTOCOL.WB_CMD.RET_OFFSET, fields: [WB_COLOR_TEMP, ...WB_RGB] },
+    timeout: 3000,
+    label: 'WB Offset',
+    resultKey: 'colorTempName',
+    derive: wbDerive,
+    format: wbFormat,
+    cli: [{ category: 'wb', name: 'get-offset', hint: WB_TEMP_HINT }],
+    ui: [],
+  },
+  setWbOffset: {
+    protocol: PROTOCOL.TYPE.WHITE_BALANCE,
+    cmd: PROTOCOL.WB_CMD.SET_OFFSET,
+    request: [WB_COLOR_TEMP, ...WB_RGB],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'WB Offset',
+    cli: [{ category: 'wb', name: 'set-offset', hint: WB_TEMP_HINT }],
+    ui: [],
+  },
+
+  // ---- Signal generator (protocol 0x04, second UART) ----
+  setGenTiming: {
+    protocol: PROTOCOL.TYPE.SIGNAL_GENERATOR,
+    cmd: PROTOCOL.SG_CMD.SET_TIMING,
+    request: [{ name: 'timing', type: FIELD.U8, enum: GEN_TIMING_IDS, label: 'Timing' }],
+    response: ACK_RESPONSE,
+    timeout: 5000,
+    label: 'Generator Timing',
+    cli: [{ category: 'gen', name: 'timing', hint: `Timings: ${Object.keys(GEN_TIMING_IDS).join(', ')}` }],
+    ui: [],
+  },
+  setGenPattern: {
+    protocol: PROTOCOL.TYPE.SIGNAL_GENERATOR,
+    cmd: PROTOCOL.SG_CMD.SET_PATTERN,
+    request: [{ name: 'pattern', type: FIELD.U8, enum: GEN_PATTERN_IDS, label: 'Pattern' }],
+    response: ACK_RESPONSE,
+    timeout: 3000,
+    label: 'Generator Pattern',
+    cli: [{ category: 'gen', name: 'pattern', hint: `Patterns: ${Object.keys(GEN_PATTERN_IDS).join(', ')}` }],
+    ui: [],
+  },
+  getGenStatus: {
+    protocol: PROTOCOL.TYPE.SIGNAL_GENERATOR,
+    cmd: PROTOCOL.SG_CMD.GET_STATUS,
+    request: [],
+    // [timing (1)][pattern (1)][output (1)] — output 0=off, 1=on
+    response: {
+      cmd: PROTOCOL.SG_CMD.RET_STATUS,
+      fields: [
+        { name: 'timingId', type: FIELD.U8 },
+        { name: 'patternId', type: FIELD.U8 },
+        { name: 'outputCode', type: FIELD.U8 },
+      ],
+    },
+    timeout: 3000,
+    label: 'Generator Status',
+    resultKey: 'timing',
+    derive: (r) => ({
+      timing: GEN_TIMING_NAMES[r.timingId] || `Unknown(${r.timingId})`,
+      pattern: GEN_PATTERN_NAMES[r.patternId] || `Unknown(${r.patternId})`,
+      output: r.outputCode === 1,
+    }),
+    format: (r) => `${r.timing} / ${r.pattern}, output ${r.output ? 'on' : 'off'}`,
+    cli: [{ category: 'gen', name: 'status' }],
+    ui: [],
+  },
+};
+
+// ============================================================
+// Field encoding / decoding
+// ============================================================
+
+const FIXED_SIZES = { u8: 1, u16be: 2, u32be: 4, u64be: 8, mac: 6 };
+
+const toInteger = (value, field, entry) => {
+  const label = field.label || entry.label;
+  if (field.enum && typeof value === 'string' && !/^\d+$/.test(value)) {
+    const id = field.enum[value.toLowerCase()];
+    if (id === undefined) {
+      throw new InvalidArgumentError(`Invalid ${label.toLowerCase()}: ${value}. Valid: ${Object.keys(field.enum).join(', ')}`);
+    }
+    return id;
+  }
+  // Number() rather than parseInt(): '12abc' or '1.5' is rejected, not sent as 12 or 1
+  const num = (typeof value === 'string' && value.trim() !== '') || typeof value === 'number' ? Number(value) : NaN;
+  if (!Number.isInteger(num)) {
+    throw new InvalidArgumentError(`${label} must be an integer`);
+  }
+  const min = field.min ?? 0;
+  const max = field.max ?? (2 ** (8 * FIXED_SIZES[field.type])) - 1;
+  if (num < min || num > max) {
+    throw new InvalidArgumentError(`${label} must be ${min}-${max}`);
+  }
+  return num;
+};
+
+// 64-bit values (channel IDs) must stay exact: BigInt, safe integer, or decimal / 0x hex string
+const toBigInt = (value, field, entry) => {
+  const label = field.label || entry.label;
+  let num = null;
+  if (typeof value === 'bigint') {
+    num = value;
+  } else if (typeof value === 'number' && Number.isSafeInteger(value)) {
+    num = BigInt(value);
+  } else if (typeof value === 'string' && /^(\d+|0x[0-9a-f]+)$/i.test(value.trim())) {
+    num = BigInt(value.trim());
+  }
+  if (num === null) {
+    throw new InvalidArgumentError(`${label} must be a decimal or 0x hex integer`);
+  }
+  if (num < 0n || num > 0xFFFFFFFFFFFFFFFFn) {
+    throw new InvalidArgumentError(`${label} must be 0-18446744073709551615`);
+  }
+  return num;
+};
+
+const encodeField = (field, value, entry) => {
+  switch (field.type) {
+    case FIELD.U8:
+      return [toInteger(value, field, entry)];
+    case FIELD.U16BE: {
+      const v = toInteger(value, field, entry);
+      return [(v >> 8) & 0xFF, v & 0xFF];
+    }
+    case FIELD.U32BE: {
+      const v = toInteger(value, field, entry);
+      return [(v >>> 24) & 0xFF, (v >>> 16) & 0xFF, (v >>> 8) & 0xFF, v & 0xFF];
+    }
+    case FIELD.U64BE: {
+      const v = toBigInt(value, field, entry);
+      const bytes = [];
+      for (let i = 7; i >= 0; i--) {
+        bytes.push(Number((v >> BigInt(i * 8)) & 0xFFn));
+      }
+      return bytes;
+    }
+    case FIELD.MAC: {
+      const parts = String(value).split(/[:-]/);
+      if (parts.length !== 6 || parts.some(p => !/^[0-9a-fA-F]{2}$/.test(p))) {
+        throw new InvalidArgumentError(`Invalid MAC: ${value}. Format: AA:BB:CC:DD:EE:FF`);
+      }
+      return parts.map(p => parseInt(p, 16));
+    }
+    case FIELD.STRING: {
+      const str = value === undefined || value === null ? '' : String(value);
+      if (str.length < (field.minLength || 0)) {
+        throw new InvalidArgumentError(`${entry.label} cannot be empty`);
+      }
+      const bytes = encodeUtf8(str);
+      if (field.lengthPrefix && bytes.length > 0xFF) {
+        throw new InvalidArgumentError(`${field.label || entry.label} too long: ${bytes.length} bytes UTF-8 (max 255)`);
+      }
+      return field.lengthPrefix ? [bytes.length, ...bytes] : bytes;
+    }
+    default:
+      throw new Error(`Unsupported request field type: ${field.type}`);
+  }
+};
+
+/**
+ * Encode request payload from positional arguments (constant fields take no argument)
+ * @param {object} entry - Schema entry
+ * @param {Array} args - Field values in order
+ * @returns {number[]} Payload bytes
+ */
+const encodeRequest = (entry, args) => {
+  const payload = [];
+  let stringBytes = 0;
+  let argIndex = 0;
+  for (const field of entry.request) {
+    const value = field.value !== undefined ? field.value : args[argIndex++];
+    if (field.optional && value == null) break;
+    const bytes = encodeField(field, value, entry);
+    if (field.type === FIELD.STRING) stringBytes += bytes.length;
+    payload.push(...bytes);
+  }
+  // Reject oversized strings here, with the field's own limit, before anything is sent
+  if (payload.length > MAX_PAYLOAD_LENGTH) {
+    const max = MAX_PAYLOAD_LENGTH - (payload.length - stringBytes);
+    throw new InvalidArgumentError(`${entry.label} too long: ${stringBytes} bytes UTF-8 (max ${max})`);
+  }
+  return payload;
+};
+
+/**
+ * Decode a list of fields from bytes starting at offset
+ * @returns {{values: object, offset: number}}
+ */
+const decodeFields = (fields, bytes, offset, entry) => {
+  const values = {};
+  const need = (count) => {
+    if (offset + count > bytes.length) {
+      throw new RangeError(`${entry.label} payload too short (${bytes.length} bytes)`);
+    }
+  };
+
+  for (const field of fields) {
+    // Constant fields (type bytes) are skipped, and may be absent from short replies
+    if (field.value !== undefined) {
+      offset = Math.min(offset + FIXED_SIZES[field.type], bytes.length);
+      continue;
+    }
+    let value;
+    switch (field.type) {
+      case FIELD.U8:
+        need(1);
+        value = bytes[offset];
+        offset += 1;
+        break;
+      case FIELD.U16BE:
+        need(2);
+        value = (bytes[offset] << 8) | bytes[offset + 1];
+        offset += 2;
+        break;
+      case FIELD.U32BE:
+        need(4);
+        value = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+        offset += 4;
+        break;
+      case FIELD.U64BE:
+        need(8);
+        value = 0n;
+        for (let j = 0; j < 8; j++) {
+          value = (value << 8n) | BigInt(bytes[offset + j]);
+        }
+        offset += 8;
+        break;
+      case FIELD.MAC:
+        need(6);
+        value = formatMacAddress(bytes.slice(offset, offset + 6));
+        offset += 6;
+        break;
+      case FIELD.STRING: {
+        let length = bytes.length - offset;
+        if (field.lengthPrefix) {
+          need(1);
+          length = bytes[offset];
+          offset += 1;
+        }
+        need(length);
+        value = decodeUtf8(bytes.slice(offset, offset + length));
+        offset += length;
+        break;
+      }
+      case FIELD.LIST: {
+        // Lenient: stop at the first entry that does not fit in the payload
+        value = [];
+        for (let i = 0; i < values[field.count]; i++) {
+          try {
+            const item = decodeFields(field.fields, bytes, offset, entry);
+            value.push(item.values);
+            offset = item.offset;
+          } catch (err) {
+            if (err instanceof RangeError) break;
+            throw err;
+          }
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unsupported response field type: ${field.type}`);
+    }
+    if (field.name) {
+      values[field.name] = value;
+    }
+  }
+  return { values, offset };
+};
+
+// ============================================================
+// Derived builders and parsers
+// ============================================================
+
+/**
+ * Get a schema entry by name
+ * @param {string} name - Command name (e.g., 'getMacAddress')
+ * @returns {object} Schema entry
+ */
+export const getCommandSchema = (name) => {
+  const entry = COMMAND_SCHEMA[name];
+  if (!entry) {
+    throw new Error(`Unknown command: ${name}`);
+  }
+  return entry;
+};
+
+/**
+ * Get the protocol type byte used by a schema entry
+ * @param {object} entry - Schema entry
+ * @returns {number} Protocol type
+ */
+const protocolOf = (entry) => entry.protocol ?? PROTOCOL.PROTOCOL_TYPE;
+
+/**
+ * Find the schema entry whose RET packet has the given command ID
+ * @param {number} cmdId - Response command ID
+ * @param {number} protocolType - Protocol type of the response packet
+ * @returns {{name: string, entry: object}|null}
+ */
+export const findCommandByResponse = (cmdId, protocolType = PROTOCOL.PROTOCOL_TYPE) => {
+  for (const [name, entry] of Object.entries(COMMAND_SCHEMA)) {
+    if (entry.response !== ACK_RESPONSE && entry.response.cmd === cmdId && protocolOf(entry) === protocolType) {
+      return { name, entry };
+    }
+  }
+  return null;
+};
+
+/**
+ * Find the schema entry for a request packet's command ID
+ * @param {number} cmdId - Request command ID
+ * @param {number} protocolType - Protocol type of the request packet
+ * @returns {{name: string, entry: object}|null}
+ */
+export const findCommandByRequest = (cmdId, protocolType = PROTOCOL.PROTOCOL_TYPE) => {
+  for (const [name, entry] of Object.entries(COMMAND_SCHEMA)) {
+    if (entry.cmd === cmdId && protocolOf(entry) === protocolType) {
+      return { name, entry };
+    }
+  }
+  return null;
+};
+
+/**
+ * Default resend count of a schema entry
+ * @param {object} entry - Schema entry
+ * @returns {number}
+ */
+const retriesOf = (entry) => entry.retries ?? (entry.response === ACK_RESPONSE ? 0 : 1);
+
+/**
+ * Describe how the transaction queue recognises the response to a request packet
+ * Unknown commands wait for an ACK of the request command only.
+ *
+ * @param {number[]|Uint8Array} packet - Request packet
+ * @returns {{expect: {cmd: number|null}, timeout?: number, retries: number}}
+ */
+export const getRequestExpectation = (packet) => {
+  const match = findCommandByRequest(packet[4], packet[3]);
+  if (!match) {
+    return { expect: { cmd: null }, retries: 0 };
+  }
+  const { entry } = match;
+  return {
+    expect: { cmd: entry.response === ACK_RESPONSE ? null : entry.response.cmd },
+    timeout: entry.timeout,
+    retries: retriesOf(entry),
+  };
+};
+
+/**
+ * Build a request packet from the schema
+ * @param {string} name - Command name
+ * @param {...*} args - Request field values in order
+ * @returns {string} HEX command string
+ */
+export const buildRequest = (name, ...args) => {
+  const entry = getCommandSchema(name);
+  return buildCommandHex(entry.cmd, encodeRequest(entry, args), protocolOf(entry));
+};
+
+/**
+ * Parse ACK response (for set commands)
+ * @param {Buffer|Uint8Array} data - Raw response data
+ * @param {number} expectedCmdId - Expected acknowledged command ID
+ * @param {number} protocolType - Expected protocol type
+ * @returns {{success: boolean, error?: string, code?: string}} code is an ERROR_CODE on failure
+ */
+export const parseAckResponse = (data, expectedCmdId = null, protocolType = PROTOCOL.PROTOCOL_TYPE) => {
+  const validation = validateResponse(data, null, protocolType);
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: validation.code };
+  }
+  if (!validation.isAck) {
+    return { success: false, ...errorFields(new UnexpectedResponseError('Expected ACK response')) };
+  }
+  if (expectedCmdId !== null && validation.ackCmdId !== expectedCmdId) {
+    const message = `Unexpected ACK command: expected 0x${expectedCmdId.toString(16)}, got 0x${validation.ackCmdId?.toString(16)}`;
+    return { success: false, ...errorFields(new UnexpectedResponseError(message)) };
+  }
+  if (validation.ackError !== 0) {
+    return { success: false, ackError: validation.ackError, ...errorFields(new NakError(validation.ackError, validation.ackCmdId)) };
+  }
+  return { success: true };
+};
+
+/**
+ * Parse a device response with the schema of the given command
+ * @param {string} name - Command name
+ * @param {Buffer|Uint8Array|ArrayBuffer} data - Raw response frame
+ * @returns {{success: boolean, error?: string, code?: string}} Decoded response fields on success
+ */
+export const parseResponse = (name, data) => {
+  const entry = getCommandSchema(name);
+  if (entry.response === ACK_RESPONSE) {
+    return parseAckResponse(data, entry.cmd, protocolOf(entry));
+  }
+
+  const validation = validateResponse(data, entry.response.cmd, protocolOf(entry));
+  if (!validation.valid) {
+    return { success: false, error: validation.error, code: validation.code };
+  }
+  if (validation.isAck) {
+    if (validation.ackError !== 0) {
+      return { success: false, ackError: validation.ackError, ...errorFields(new NakError(validation.ackError, validation.ackCmdId)) };
+    }
+    return { success: false, ...errorFields(new UnexpectedResponseError(`Unexpected ACK for 0x${validation.ackCmdId?.toString(16)}`)) };
+  }
+
+  try {
+    const { values } = decodeFields(entry.response.fields, validation.payload, 0, entry);
+    const result = { success: true, ...values };
+    return entry.derive ? { ...result, ...entry.derive(result) } : result;
+  } catch (err) {
+    return { success: false, error: err.message, code: ERROR_CODE.UNEXPECTED_RESPONSE };
+  }
+};
+
+/**
+ * Format a parsed result's value for display (without the label)
+ * @param {string} name - Command name
+ * @param {object} result - Result of parseResponse
+ * @returns {string}
+ */
+export const formatValue = (name, result) => {
+  const entry = getCommandSchema(name);
+  if (!result.success) {
+    return `Error: ${result.error}`;
+  }
+  if (entry.response === ACK_RESPONSE) {
+    return 'OK';
+  }
+  return entry.format ? entry.format(result) : String(result[entry.resultKey]);
+};
+
+/**
+ * Build the CLI command map ({get, set, test} -> action -> config) from the schema
+ * @returns {object} Command map
+ */
+export const buildCliCommandMap = () => {
+  const map = {};
+  for (const [name, entry] of Object.entries(COMMAND_SCHEMA)) {
+    for (const cli of entry.cli) {
+      map[cli.category] = map[cli.category] || {};
+      map[cli.category][cli.name] = {
+        name,
+        builder: (...values) => {
+          if (cli.args) return buildRequest(name, ...cli.args);
+          const args = values.filter(v => v !== null && v !== undefined);
+          return buildRequest(name, ...(cli.parseArg ? args.map(cli.parseArg) : args));
+        },
+        parser: (data) => parseResponse(name, data),
+        expectedCmdId: entry.response === ACK_RESPONSE ? null : entry.response.cmd,
+        timeout: entry.timeout,
+        retries: retriesOf(entry),
+        label: cli.label || entry.label,
+        resultKey: entry.resultKey,
+        hint: cli.hint,
+        args: cli.args,
+        isSetCommand: entry.response === ACK_RESPONSE,
+      };
+    }
+  }
+  return map;
+};
+
+/**
+ * Build the Device Test card list for a tab from the schema
+ * @param {string} tab - Tab ID ('info', 'test', 'rf')
+ * @returns {Array<{id: string, name: string, title: string, command: string, timeout: number, retries: number}>}
+ */
+export const buildUiCommandList = (tab) => {
+  const list = [];
+  for (const [name, entry] of Object.entries(COMMAND_SCHEMA)) {
+    for (const ui of entry.ui) {
+      if (ui.tab !== tab) continue;
+      list.push({
+        id: ui.id,
+        name,
+        title: ui.label || entry.label,
+        command: buildRequest(name, ...(ui.args || [])),
+        timeout: entry.timeout,
+        retries: retriesOf(entry),
+      });
+    }
+  }
+  return list;
+};
+
+/**
+ * Command generators - use these instead of hardcoded strings
+ * Each function returns a HEX command string with dynamically calculated checksum
+ */
+export const CommandBuilder = {
+  ...Object.fromEntries(Object.keys(COMMAND_SCHEMA).map(name => [name, (...args) => buildRequest(name, ...args)])),
+  setAtv: () => buildSetSourceCommand(PROTOCOL.SOURCE.ATV),
+  setDtv: () => buildSetSourceCommand(PROTOCOL.SOURCE.DTV),
+  setDvbs: () => buildSetSourceCommand(PROTOCOL.SOURCE.DVBS),
+  setHdmi1: () => buildSetSourceCommand(PROTOCOL.SOURCE.HDMI1),
+  setHdmi2: () => buildSetSourceCommand(PROTOCOL.SOURCE.HDMI2),
+};
+
+/**
+ * Pre-built command HEX strings (DEPRECATED - use CommandBuilder instead)
+ * These are kept for backward compatibility but checksum is calculated dynamically.
+ */
+export const COMMANDS = {
+  get GET_CHECKSUM() { return CommandBuilder.getChecksum(); },
+  get GET_IP() { return CommandBuilder.getIp(); },
+  get GET_WIFI_STATUS() { return CommandBuilder.getWifiStatus(); },
+  get GET_BLUETOOTH_STATUS() { return CommandBuilder.getBluetoothStatus(); },
+  get GET_MAC_ADDR() { return CommandBuilder.getMacAddress(); },
+  get GET_SOURCE() { return CommandBuilder.getSource(); },
+  get SET_ATV() { return CommandBuilder.setAtv(); },
+  get SET_DTV() { return CommandBuilder.setDtv(); },
+  get SET_DVBS() { return CommandBuilder.setDvbs(); },
+  get SET_HDMI1() { return CommandBuilder.setHdmi1(); },
+  get SET_HDMI2() { return CommandBuilder.setHdmi2(); },
+};
+
+// ============================================================
+// Response Parsers - Parse device responses
+// ============================================================
+
+export const parseChecksumResponse = (data) => parseResponse('getChecksum', data);
+export const parseIpResponse = (data) => parseResponse('getIp', data);
+export const parseMacResponse = (data) => parseResponse('getMacAddress', data);
+export const parseSourceResponse = (data) => parseResponse('getSource', data);
+export const parseWifiResponse = (data) => parseResponse('getWifiStatus', data);
+export const parseBluetoothResponse = (data) => parseResponse('getBluetoothStatus', data);
+export const parseUsbNumberResponse = (data) => parseResponse('getUsbNumber', data);
+export const parseCpuTempResponse = (data) => parseResponse('getCpuTemp', data);
+export const parseEthSpeedResponse = (data) => parseResponse('getEthSpeed', data);
+export const parseKeyIdResponse = (data) => parseResponse('getKeyId', data);
+export const parseDsnResponse = (data) => parseResponse('getDsn', data);
+export const parseBarcodeResponse = (data) => parseResponse('getBarcode', data);
+export const parseChannelListResponse = (data) => parseResponse('getChannelList', data);
+export const parsePlayChannelResponse = (data) => parseResponse('playChannel', data);
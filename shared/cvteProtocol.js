@@ -6,17 +6,30 @@
  * [0x00] 0xFF - Sync byte
  * [0x01] 0x33 - Start byte
  * [0x02] 0xNN - Packet length (>= 6)
- * [0x03] 0x03 - Protocol type (Factory Auto Test)
+ * [0x03] TYPE - Protocol type (0x01 RF, 0x02 White Balance, 0x03 Factory Auto Test, 0x04 Signal Generator)
  * [0x04] CMD  - Command ID
  * [0x05..NN-2] - Payload data
  * [0xNN-1] - Checksum
+ *
+ * Command builders and response parsers are generated from the command table
+ * in commandSchema.js.
  */
 
+import { ERROR_CODE, InvalidArgumentError } from './protocolErrors.js';
+
 // Protocol constants
 export const PROTOCOL = {
   SYNC_BYTE: 0xFF,
   START_BYTE: 0x33,
-  PROTOCOL_TYPE: 0x03,  // Factory Auto Test
+  PROTOCOL_TYPE: 0x03,  // Factory Auto Test (default for buildCommand/validateResponse)
+
+  // Protocol types (packet byte 3)
+  TYPE: {
+    RF_TEST: 0x01,
+    WHITE_BALANCE: 0x02,
+    FACTORY_TEST: 0x03,
+    SIGNAL_GENERATOR: 0x04,
+  },
 
   // Command IDs
   CMD: {
@@ -62,6 +75,63 @@ export const PROTOCOL = {
     ACK: 0x01,
   },
 
+  // Legacy HDCP key transfer (Factory Auto Test), used by firmware without
+  // the generic file transfer commands (0x40-0x44)
+  HDCP_CMD: {
+    START_HDCP: 0x00,
+    RET_START_HDCP: 0x02,
+    SEND_HDCP_DATA: 0x03,
+    SEND_HDCP_CRC: 0x04,
+    ACK_HDCP_STATUS: 0x05,
+  },
+
+  // Command IDs for protocol 0x01 (RF Auto Test).
+  // The spec lists the protocol type but not its command table; keep these
+  // in sync with the TV firmware's RF test handler.
+  RF_CMD: {
+    SET_TUNER_FREQ: 0x10,
+    GET_SIGNAL_STRENGTH: 0x11,
+    RET_SIGNAL_STRENGTH: 0x12,
+    GET_SIGNAL_QUALITY: 0x13,
+    RET_SIGNAL_QUALITY: 0x14,
+    GET_BER: 0x15,
+    RET_BER: 0x16,
+    GET_LOCK_STATUS: 0x17,
+    RET_LOCK_STATUS: 0x18,
+    ACK: 0x01,
+  },
+
+  // Command IDs for protocol 0x02 (Auto White Balance).
+  // The spec lists the protocol type but not its command table; keep these
+  // in sync with the TV firmware's white balance handler.
+  WB_CMD: {
+    GET_GAIN: 0x10,
+    RET_GAIN: 0x11,
+    SET_GAIN: 0x12,
+    GET_OFFSET: 0x13,
+    RET_OFFSET: 0x14,
+    SET_OFFSET: 0x15,
+    ACK: 0x01,
+  },
+
+  // Command IDs for protocol 0x04 (Auto Test Signal Generator).
+  // The spec reserves the protocol type without a command table; keep these
+  // in sync with the pattern generator firmware.
+  SG_CMD: {
+    SET_TIMING: 0x10,
+    SET_PATTERN: 0x11,
+    GET_STATUS: 0x12,
+    RET_STATUS: 0x13,
+    ACK: 0x01,
+  },
+
+  // Colour temperature presets for white balance commands
+  COLOR_TEMP: {
+    COOL: 0x00,
+    STANDARD: 0x01,
+    WARM: 0x02,
+  },
+
   // Source IDs for SET_SOURCE command
   SOURCE: {
     ATV: 0x00,
@@ -71,15 +141,26 @@ export const PROTOCOL = {
     DVBT: 4,
     DVBT2: 5,
     VGA: 6,
+    VGA2: 7,
     HDMI1: 8,
     HDMI2: 9,
     HDMI3: 10,
     HDMI4: 11,
     HDMI5: 12,
+    SCART1: 13,
+    SCART2: 14,
     AV1: 15,
     AV2: 16,
+    AV3: 17,
+    AV4: 18,
+    YPBPR1: 19,
+    YPBPR2: 20,
+    YPBPR3: 21,
+    YPBPR4: 22,
     USB1: 23,
     USB2: 24,
+    USB3: 25,
+    USB4: 26,
   },
 
   // Status codes for WiFi/Bluetooth
@@ -122,24 +203,20 @@ export const SOURCE_NAMES = {
 };
 
 // Source name to ID mapping (for CLI)
-export const SOURCE_IDS = {
-  'atv': PROTOCOL.SOURCE.ATV,
-  'dtv': PROTOCOL.SOURCE.DTV,
-  'dvbs': PROTOCOL.SOURCE.DVBS,
-  'dvbc': PROTOCOL.SOURCE.DVBC,
-  'dvbt': PROTOCOL.SOURCE.DVBT,
-  'dvbt2': PROTOCOL.SOURCE.DVBT2,
-  'vga': PROTOCOL.SOURCE.VGA,
-  'hdmi1': PROTOCOL.SOURCE.HDMI1,
-  'hdmi2': PROTOCOL.SOURCE.HDMI2,
-  'hdmi3': PROTOCOL.SOURCE.HDMI3,
-  'hdmi4': PROTOCOL.SOURCE.HDMI4,
-  'hdmi5': PROTOCOL.SOURCE.HDMI5,
-  'av1': PROTOCOL.SOURCE.AV1,
-  'av2': PROTOCOL.SOURCE.AV2,
-  'usb1': PROTOCOL.SOURCE.USB1,
-  'usb2': PROTOCOL.SOURCE.USB2,
-};
+export const SOURCE_IDS = Object.fromEntries(
+  Object.entries(PROTOCOL.SOURCE).map(([name, id]) => [name.toLowerCase(), id])
+);
+
+// Source groups for selectors, in display order
+export const SOURCE_GROUPS = [
+  { name: 'TV', sources: ['ATV', 'DTV', 'DVBS', 'DVBC', 'DVBT', 'DVBT2'] },
+  { name: 'PC', sources: ['VGA', 'VGA2'] },
+  { name: 'HDMI', sources: ['HDMI1', 'HDMI2', 'HDMI3', 'HDMI4', 'HDMI5'] },
+  { name: 'SCART', sources: ['SCART1', 'SCART2'] },
+  { name: 'AV', sources: ['AV1', 'AV2', 'AV3', 'AV4'] },
+  { name: 'YPbPr', sources: ['YPBPR1', 'YPBPR2', 'YPBPR3', 'YPBPR4'] },
+  { name: 'USB', sources: ['USB1', 'USB2', 'USB3', 'USB4'] },
+];
 
 // Status code to name mapping
 export const STATUS_NAMES = {
@@ -148,6 +225,78 @@ export const STATUS_NAMES = {
   2: 'Failed',
 };
 
+// Protocol type to name mapping
+export const PROTOCOL_TYPE_NAMES = {
+  [PROTOCOL.TYPE.RF_TEST]: 'RF Auto Test',
+  [PROTOCOL.TYPE.WHITE_BALANCE]: 'Auto White Balance',
+  [PROTOCOL.TYPE.FACTORY_TEST]: 'Factory Auto Test',
+  [PROTOCOL.TYPE.SIGNAL_GENERATOR]: 'Auto Test Signal Generator',
+};
+
+// Colour temperature ID to name mapping
+export const COLOR_TEMP_NAMES = {
+  [PROTOCOL.COLOR_TEMP.COOL]: 'Cool',
+  [PROTOCOL.COLOR_TEMP.STANDARD]: 'Standard',
+  [PROTOCOL.COLOR_TEMP.WARM]: 'Warm',
+};
+
+// Colour temperature name (CLI/UI argument) to ID mapping
+export const COLOR_TEMP_IDS = {
+  cool: PROTOCOL.COLOR_TEMP.COOL,
+  standard: PROTOCOL.COLOR_TEMP.STANDARD,
+  warm: PROTOCOL.COLOR_TEMP.WARM,
+};
+
+// Signal generator timing name (CLI/UI argument) to ID mapping
+export const GEN_TIMING_IDS = {
+  vga: 0,
+  '480p': 1,
+  '720p60': 2,
+  '1080i60': 3,
+  '1080p60': 4,
+  '2160p30': 5,
+  '2160p60': 6,
+};
+
+// Signal generator timing ID to name mapping
+export const GEN_TIMING_NAMES = {
+  0: '640x480@60',
+  1: '720x480p@60',
+  2: '1280x720p@60',
+  3: '1920x1080i@60',
+  4: '1920x1080p@60',
+  5: '3840x2160p@30',
+  6: '3840x2160p@60',
+};
+
+// Signal generator pattern name (CLI/UI argument) to ID mapping
+export const GEN_PATTERN_IDS = {
+  white: 0,
+  black: 1,
+  red: 2,
+  green: 3,
+  blue: 4,
+  colorbar: 5,
+  ramp: 6,
+  crosshatch: 7,
+};
+
+// Signal generator pattern ID to name mapping
+export const GEN_PATTERN_NAMES = {
+  0: 'White',
+  1: 'Black',
+  2: 'Red',
+  3: 'Green',
+  4: 'Blue',
+  5: 'Color Bar',
+  6: 'Gray Ramp',
+  7: 'Crosshatch',
+};
+
+// The length byte covers the whole packet, so a packet is at most 255 bytes
+export const MAX_PACKET_LENGTH = 0xFF;
+export const MAX_PAYLOAD_LENGTH = MAX_PACKET_LENGTH - 6;
+
 /**
  * Calculate checksum for CVTE protocol
  * Checksum = 0x100 - (sum of all bytes in data)
@@ -170,16 +319,20 @@ export const calculateChecksum = (data) => {
  *
  * @param {number} cmdId - Command ID
  * @param {number[]} payload - Optional payload bytes
+ * @param {number} protocolType - Protocol type byte (see PROTOCOL.TYPE)
  * @returns {number[]} Complete packet bytes
  */
-export const buildCommand = (cmdId, payload = []) => {
-  // Packet: [FF] [33] [LEN] [03] [CMD] [...payload] [CHECKSUM]
+export const buildCommand = (cmdId, payload = [], protocolType = PROTOCOL.PROTOCOL_TYPE) => {
+  // Packet: [FF] [33] [LEN] [TYPE] [CMD] [...payload] [CHECKSUM]
   const packetLength = 6 + payload.length;  // Header(2) + Len(1) + Type(1) + Cmd(1) + Payload + Checksum(1)
+  if (packetLength > MAX_PACKET_LENGTH) {
+    throw new InvalidArgumentError(`Payload too long: ${payload.length} bytes (max ${MAX_PAYLOAD_LENGTH})`);
+  }
   const packet = [
     PROTOCOL.SYNC_BYTE,
     PROTOCOL.START_BYTE,
     packetLength,
-    PROTOCOL.PROTOCOL_TYPE,
+    protocolType,
     cmdId,
     ...payload,
   ];
@@ -219,9 +372,10 @@ export const hexToPacket = (hexStr) => {
  *
  * @param {ArrayBuffer|Uint8Array|Buffer} data - Raw response data
  * @param {number} expectedCmdId - Expected response command ID
- * @returns {{valid: boolean, error?: string, packet?: object}}
+ * @param {number|null} expectedProtocol - Expected protocol type (null accepts any known type)
+ * @returns {{valid: boolean, error?: string, code?: string, packet?: object}} code is an ERROR_CODE on failure
  */
-export const validateResponse = (data, expectedCmdId = null) => {
+export const validateResponse = (data, expectedCmdId = null, expectedProtocol = PROTOCOL.PROTOCOL_TYPE) => {
   let bytes;
   if (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) {
     bytes = new Uint8Array(data);
@@ -233,35 +387,38 @@ export const validateResponse = (data, expectedCmdId = null) => {
 
   // Check minimum length
   if (bytes.length < 6) {
-    return { valid: false, error: 'Response too short' };
+    return { valid: false, error: 'Response too short', code: ERROR_CODE.FRAMING };
   }
 
   // Check sync byte
   if (bytes[0] !== PROTOCOL.SYNC_BYTE) {
-    return { valid: false, error: `Invalid sync byte: 0x${bytes[0].toString(16)}` };
+    return { valid: false, error: `Invalid sync byte: 0x${bytes[0].toString(16)}`, code: ERROR_CODE.FRAMING };
   }
 
   // Check start byte
   if (bytes[1] !== PROTOCOL.START_BYTE) {
-    return { valid: false, error: `Invalid start byte: 0x${bytes[1].toString(16)}` };
+    return { valid: false, error: `Invalid start byte: 0x${bytes[1].toString(16)}`, code: ERROR_CODE.FRAMING };
   }
 
   // Check packet length
   const packetLength = bytes[2];
   if (bytes.length !== packetLength) {
-    return { valid: false, error: `Length mismatch: expected ${packetLength}, got ${bytes.length}` };
+    return { valid: false, error: `Length mismatch: expected ${packetLength}, got ${bytes.length}`, code: ERROR_CODE.FRAMING };
   }
 
   // Verify checksum
   const receivedChecksum = bytes[bytes.length - 1];
   const calculatedChecksum = calculateChecksum(bytes.slice(2, -1));
   if (receivedChecksum !== calculatedChecksum) {
-    return { valid: false, error: `Checksum mismatch: expected 0x${calculatedChecksum.toString(16)}, got 0x${receivedChecksum.toString(16)}` };
+    return { valid: false, error: `Checksum mismatch: expected 0x${calculatedChecksum.toString(16)}, got 0x${receivedChecksum.toString(16)}`, code: ERROR_CODE.FRAMING };
   }
 
   // Check protocol type
-  if (bytes[3] !== PROTOCOL.PROTOCOL_TYPE) {
-    return { valid: false, error: `Invalid protocol type: 0x${bytes[3].toString(16)}` };
+  if (!PROTOCOL_TYPE_NAMES[bytes[3]]) {
+    return { valid: false, error: `Invalid protocol type: 0x${bytes[3].toString(16)}`, code: ERROR_CODE.UNEXPECTED_RESPONSE };
+  }
+  if (expectedProtocol !== null && bytes[3] !== expectedProtocol) {
+    return { valid: false, error: `Unexpected protocol type: expected 0x${expectedProtocol.toString(16)}, got 0x${bytes[3].toString(16)}`, code: ERROR_CODE.UNEXPECTED_RESPONSE };
   }
 
   // Extract response command ID
@@ -272,7 +429,7 @@ export const validateResponse = (data, expectedCmdId = null) => {
 
   // Validate expected command ID (if provided and not ACK)
   if (expectedCmdId !== null && !isAck && responseCmdId !== expectedCmdId) {
-    return { valid: false, error: `Unexpected response ID: expected 0x${expectedCmdId.toString(16)}, got 0x${responseCmdId.toString(16)}` };
+    return { valid: false, error: `Unexpected response ID: expected 0x${expectedCmdId.toString(16)}, got 0x${responseCmdId.toString(16)}`, code: ERROR_CODE.UNEXPECTED_RESPONSE };
   }
 
   // Extract payload (bytes after command ID, before checksum)
@@ -290,6 +447,133 @@ export const validateResponse = (data, expectedCmdId = null) => {
   };
 };
 
+// Framing error types reported by FrameDecoder
+export const FRAME_ERROR = {
+  GARBAGE: 'garbage',        // Bytes before a sync header (e.g. debug text on the UART)
+  BAD_LENGTH: 'bad-length',  // Header with a length byte below the 6-byte minimum
+  CHECKSUM: 'checksum',      // Complete frame whose checksum does not match
+};
+
+/**
+ * Streaming frame decoder
+ * Turns a raw serial byte stream into validated CVTE frames. Hunts for the
+ * FF 33 header, drops leading garbage, splits frames that arrive in one chunk,
+ * waits for frames split across chunks and rejects bad checksums.
+ *
+ * Usage:
+ *   const decoder = new FrameDecoder({ onError: (err) => console.warn(err.message) });
+ *   port.on('data', (chunk) => decoder.push(chunk).forEach(handleFrame));
+ */
+export class FrameDecoder {
+  /**
+   * @param {object} [options]
+   * @param {(error: {type: string, message: string, bytes: Uint8Array}) => void} [options.onError] - Framing error callback
+   */
+  constructor({ onError = null } = {}) {
+    this.onError = onError;
+    this.buffer = new Uint8Array(0);
+  }
+
+  /**
+   * Feed received bytes into the decoder
+   * @param {ArrayBuffer|Uint8Array|Buffer|number[]} chunk - Received bytes
+   * @returns {Uint8Array[]} Complete frames with a valid checksum, in arrival order
+   */
+  push(chunk) {
+    const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    const merged = new Uint8Array(this.buffer.length + bytes.length);
+    merged.set(this.buffer);
+    merged.set(bytes, this.buffer.length);
+    this.buffer = merged;
+
+    const frames = [];
+    for (;;) {
+      const start = this._findHeader();
+      if (start < 0) {
+        // Keep a trailing sync byte, its start byte may arrive in the next chunk
+        const keep = this.buffer[this.buffer.length - 1] === PROTOCOL.SYNC_BYTE ? 1 : 0;
+        this._discard(this.buffer.length - keep, FRAME_ERROR.GARBAGE);
+        break;
+      }
+      if (start > 0) {
+        this._discard(start, FRAME_ERROR.GARBAGE);
+      }
+      if (this.buffer.length < 3) break;
+
+      const packetLength = this.buffer[2];
+      if (packetLength < 6) {
+        this._discard(2, FRAME_ERROR.BAD_LENGTH, `Invalid packet length: ${packetLength}`);
+        continue;
+      }
+      if (this.buffer.length < packetLength) break;
+
+      const frame = this.buffer.slice(0, packetLength);
+      const receivedChecksum = frame[packetLength - 1];
+      const calculatedChecksum = calculateChecksum(frame.subarray(2, packetLength - 1));
+      if (receivedChecksum !== calculatedChecksum) {
+        // The header may have been garbage; resync from the next byte
+        this._report(FRAME_ERROR.CHECKSUM,
+          `Checksum mismatch: expected 0x${calculatedChecksum.toString(16)}, got 0x${receivedChecksum.toString(16)}`,
+          frame);
+        this.buffer = this.buffer.slice(1);
+        continue;
+      }
+
+      frames.push(frame);
+      this.buffer = this.buffer.slice(packetLength);
+    }
+    return frames;
+  }
+
+  /**
+   * Drop any partially received frame
+   */
+  reset() {
+    this.buffer = new Uint8Array(0);
+  }
+
+  _findHeader() {
+    for (let i = 0; i + 1 < this.buffer.length; i++) {
+      if (this.buffer[i] === PROTOCOL.SYNC_BYTE && this.buffer[i + 1] === PROTOCOL.START_BYTE) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  _discard(count, type, message = null) {
+    if (count <= 0) return;
+    const dropped = this.buffer.slice(0, count);
+    this.buffer = this.buffer.slice(count);
+    this._report(type, message || `Discarded ${count} byte(s) outside a frame`, dropped);
+  }
+
+  _report(type, message, bytes) {
+    if (this.onError) {
+      this.onError({ type, message, bytes });
+    }
+  }
+}
+
+const utf8Encoder = new TextEncoder();
+const utf8Decoder = new TextDecoder('utf-8');
+
+/**
+ * Encode a string as UTF-8 bytes (DSN, barcode, channel names)
+ *
+ * @param {string} str - String to encode
+ * @returns {number[]} UTF-8 bytes
+ */
+export const encodeUtf8 = (str) => Array.from(utf8Encoder.encode(str));
+
+/**
+ * Decode UTF-8 bytes to a string (invalid sequences become U+FFFD)
+ *
+ * @param {ArrayLike<number>} bytes - UTF-8 bytes
+ * @returns {string} Decoded string
+ */
+export const decodeUtf8 = (bytes) => utf8Decoder.decode(Uint8Array.from(bytes));
+
 /**
  * Extract ASCII string from payload
  *
@@ -329,10 +613,11 @@ export const formatHexPayload = (payload) => {
  *
  * @param {number} cmdId - Command ID
  * @param {number[]} payload - Optional payload bytes
+ * @param {number} protocolType - Protocol type byte (see PROTOCOL.TYPE)
  * @returns {string} HEX command string
  */
-export const buildCommandHex = (cmdId, payload = []) => {
-  const packet = buildCommand(cmdId, payload);
+export const buildCommandHex = (cmdId, payload = [], protocolType = PROTOCOL.PROTOCOL_TYPE) => {
+  const packet = buildCommand(cmdId, payload, protocolType);
   return packetToHex(packet);
 };
 
@@ -345,373 +630,3 @@ export const buildCommandHex = (cmdId, payload = []) => {
 export const buildSetSourceCommand = (sourceId) => {
   return buildCommandHex(PROTOCOL.CMD.SET_SOURCE, [sourceId]);
 };
-
-/**
- * Command generators - use these instead of hardcoded strings
- * Each function returns a HEX command string with dynamically calculated checksum
- */
-export const CommandBuilder = {
-  // Query commands (no payload)
-  getChecksum: () => buildCommandHex(PROTOCOL.CMD.GET_CHECKSUM),
-  getIp: () => buildCommandHex(PROTOCOL.CMD.GET_IP_INFO),
-  getWifiStatus: () => buildCommandHex(PROTOCOL.CMD.GET_WIFI_STATUS),
-  getBluetoothStatus: () => buildCommandHex(PROTOCOL.CMD.CHECK_BLUETOOTH),
-  getMacAddress: () => buildCommandHex(PROTOCOL.CMD.GET_MAC_ADDR),
-  getSource: () => buildCommandHex(PROTOCOL.CMD.GET_SOURCE),
-  getUsbNumber: () => buildCommandHex(PROTOCOL.CMD.GET_USB_NUMBER),
-  getCpuTemp: () => buildCommandHex(PROTOCOL.CMD.GET_CPU_TEMP),
-  getEthSpeed: () => buildCommandHex(PROTOCOL.CMD.GET_ETH_SPEED),
-
-  // Set commands (with payload)
-  setSource: (sourceId) => buildSetSourceCommand(sourceId),
-  setVolume: (level) => buildCommandHex(PROTOCOL.CMD.SET_VOLUME, [level]),
-  setChannelNumber: (number) => {
-    const hi = (number >> 8) & 0xFF;
-    const lo = number & 0xFF;
-    return buildCommandHex(PROTOCOL.CMD.SET_CHANNEL_NUMBER, [hi, lo]);
-  },
-  setMac: (macStr) => {
-    const bytes = macStr.split(/[:\-]/).map(s => parseInt(s, 16));
-    return buildCommandHex(PROTOCOL.CMD.SET_MAC_ADDR, bytes);
-  },
-  setDsn: (dsn) => {
-    const bytes = [0x00, ...Array.from(dsn).map(c => c.charCodeAt(0))];
-    return buildCommandHex(PROTOCOL.CMD.SET_CUS_CODE, bytes);
-  },
-  getDsn: () => buildCommandHex(PROTOCOL.CMD.GET_CUS_CODE),
-  setBarcode: (barcode) => {
-    const bytes = Array.from(barcode).map(c => c.charCodeAt(0));
-    return buildCommandHex(PROTOCOL.CMD.SET_BARCODE, bytes);
-  },
-  getBarcode: () => buildCommandHex(PROTOCOL.CMD.GET_BARCODE),
-  getKeyId: (keyType) => buildCommandHex(PROTOCOL.CMD.GET_FILE_ID, [keyType]),
-  getChannelList: () => buildCommandHex(PROTOCOL.CMD.GET_CHANNEL_LIST),
-  playChannel: (channelId) => {
-    const bytes = [];
-    for (let i = 7; i >= 0; i--) {
-      bytes.push(Number((BigInt(channelId) >> BigInt(i * 8)) & BigInt(0xFF)));
-    }
-    return buildCommandHex(PROTOCOL.CMD.PLAY_CHANNEL, bytes);
-  },
-  setAtv: () => buildSetSourceCommand(PROTOCOL.SOURCE.ATV),
-  setDtv: () => buildSetSourceCommand(PROTOCOL.SOURCE.DTV),
-  setDvbs: () => buildSetSourceCommand(PROTOCOL.SOURCE.DVBS),
-  setHdmi1: () => buildSetSourceCommand(PROTOCOL.SOURCE.HDMI1),
-  setHdmi2: () => buildSetSourceCommand(PROTOCOL.SOURCE.HDMI2),
-};
-
-/**
- * Pre-built command HEX strings (DEPRECATED - use CommandBuilder instead)
- * These are kept for backward compatibility but checksum is calculated dynamically.
- */
-export const COMMANDS = {
-  get GET_CHECKSUM() { return CommandBuilder.getChecksum(); },
-  get GET_IP() { return CommandBuilder.getIp(); },
-  get GET_WIFI_STATUS() { return CommandBuilder.getWifiStatus(); },
-  get GET_BLUETOOTH_STATUS() { return CommandBuilder.getBluetoothStatus(); },
-  get GET_MAC_ADDR() { return CommandBuilder.getMacAddress(); },
-  get GET_SOURCE() { return CommandBuilder.getSource(); },
-  get SET_ATV() { return CommandBuilder.setAtv(); },
-  get SET_DTV() { return CommandBuilder.setDtv(); },
-  get SET_DVBS() { return CommandBuilder.setDvbs(); },
-  get SET_HDMI1() { return CommandBuilder.setHdmi1(); },
-  get SET_HDMI2() { return CommandBuilder.setHdmi2(); },
-};
-
-// ============================================================
-// Response Parsers - Parse device responses
-// ============================================================
-
-/**
- * Parse checksum response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, checksum?: string, error?: string}}
- */
-export const parseChecksumResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_CHECKSUM);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const checksum = extractAsciiString(validation.payload);
-  return { success: true, checksum };
-};
-
-/**
- * Parse IP address response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, ip?: string, error?: string}}
- */
-export const parseIpResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_IP_INFO);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const ip = extractAsciiString(validation.payload);
-  return { success: true, ip };
-};
-
-/**
- * Parse MAC address response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, mac?: string, error?: string}}
- */
-export const parseMacResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_MAC_ADDR);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const mac = formatMacAddress(validation.payload);
-  return { success: true, mac };
-};
-
-/**
- * Parse source response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, source?: string, sourceId?: number, error?: string}}
- */
-export const parseSourceResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_SOURCE);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const sourceId = validation.payload[0];
-  const source = SOURCE_NAMES[sourceId] || `Unknown(0x${sourceId.toString(16)})`;
-  return { success: true, source, sourceId };
-};
-
-/**
- * Parse WiFi status response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, status?: string, statusCode?: number, error?: string}}
- */
-export const parseWifiResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_WIFI_STATUS);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const statusCode = validation.payload[0];
-  const status = STATUS_NAMES[statusCode] || `Unknown(${statusCode})`;
-  return { success: true, status, statusCode };
-};
-
-/**
- * Parse Bluetooth status response
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, status?: string, statusCode?: number, error?: string}}
- */
-export const parseBluetoothResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_BLUETOOTH_STATUS);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const statusCode = validation.payload[0];
-  const status = STATUS_NAMES[statusCode] || `Unknown(${statusCode})`;
-  return { success: true, status, statusCode };
-};
-
-/**
- * Parse USB number response (0x36)
- * Payload: [count (1)] — number of mounted USB devices
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, count?: number, error?: string}}
- */
-export const parseUsbNumberResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_USB_NUMBER);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const count = validation.payload[0];
-  return { success: true, count };
-};
-
-/**
- * Parse CPU temperature response (0x72)
- * Payload: [tempHi (1)][tempLo (1)] — 2-byte big-endian integer (degC)
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, temperature?: number, error?: string}}
- */
-export const parseCpuTempResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_CPU_TEMP);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  if (validation.payload.length < 2) {
-    return { success: false, error: `CPU temp payload too short (${validation.payload.length} bytes)` };
-  }
-  const temperature = (validation.payload[0] << 8) | validation.payload[1];
-  return { success: true, temperature };
-};
-
-/**
- * Parse Ethernet speed response (0xA1)
- * Payload: [speedHi (1)][speedLo (1)] — 2-byte big-endian integer (Mbps)
- * @param {Buffer|Uint8Array} data - Raw response data
- * @returns {{success: boolean, speed?: number, error?: string}}
- */
-export const parseEthSpeedResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_ETH_SPEED);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  if (validation.payload.length < 2) {
-    return { success: false, error: `ETH speed payload too short (${validation.payload.length} bytes)` };
-  }
-  const speed = (validation.payload[0] << 8) | validation.payload[1];
-  return { success: true, speed };
-};
-
-/**
- * Parse key ID (file ID) response (0x46)
- * Payload: [FILE_ID 4bytes big-endian] [key_type]
- * FILE_ID is the numeric key name (e.g., 579772666)
- */
-export const parseKeyIdResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_FILE_ID);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const p = validation.payload;
-  const fileId = ((p[0] << 24) | (p[1] << 16) | (p[2] << 8) | p[3]) >>> 0;
-  const keyName = fileId === 0 ? '' : fileId.toString();
-  return { success: true, keyName, fileId };
-};
-
-/**
- * Parse DSN/Customer code response (0x5E)
- * Payload: [type=0x00] [ASCII string...]
- */
-export const parseDsnResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_CUS_CODE);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const dsn = String.fromCharCode(...validation.payload.slice(1));
-  return { success: true, dsn };
-};
-
-/**
- * Parse barcode response (0x21)
- * Payload: [ASCII barcode bytes...] (no type byte, per CVTE spec)
- */
-export const parseBarcodeResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_BARCODE);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const barcode = String.fromCharCode(...validation.payload);
-  return { success: true, barcode };
-};
-
-/**
- * Parse ACK response (for set commands)
- * @param {Buffer|Uint8Array} data - Raw response data
- * @param {number} expectedCmdId - Expected acknowledged command ID
- * @returns {{success: boolean, error?: string}}
- */
-export const parseAckResponse = (data, expectedCmdId = null) => {
-  const validation = validateResponse(data, null);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (!validation.isAck) {
-    return { success: false, error: 'Expected ACK response' };
-  }
-  if (expectedCmdId !== null && validation.ackCmdId !== expectedCmdId) {
-    return { success: false, error: `Unexpected ACK command: expected 0x${expectedCmdId.toString(16)}, got 0x${validation.ackCmdId?.toString(16)}` };
-  }
-  if (validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  return { success: true };
-};
-
-/**
- * Parse channel list response (0x4A)
- * Payload: [totalCount (2 BE)][entryCount (1)]
- * per entry: [id (8 BE)][nameLen (1)][name (UTF-8)]
- */
-export const parseChannelListResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_CH_LIST);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const p = validation.payload;
-  if (p.length < 3) {
-    return { success: false, error: 'Channel list payload too short' };
-  }
-  const totalCount = (p[0] << 8) | p[1];
-  const entryCount = p[2];
-  const channels = [];
-  let offset = 3;
-  for (let i = 0; i < entryCount && offset + 9 <= p.length; i++) {
-    // Channel ID (8 bytes BE) — use BigInt for large IDs
-    let id = 0n;
-    for (let j = 0; j < 8; j++) {
-      id = (id << 8n) | BigInt(p[offset + j]);
-    }
-    offset += 8;
-    const nameLen = p[offset];
-    offset += 1;
-    const name = offset + nameLen <= p.length
-      ? String.fromCharCode(...p.slice(offset, offset + nameLen))
-      : '';
-    offset += nameLen;
-    channels.push({ id: Number(id), name });
-  }
-  return { success: true, totalCount, entryCount: channels.length, channels };
-};
-
-/**
- * Parse play channel response (0x4B)
- * Payload: [status (1)] — 0=OK, 2=FAILED
- */
-export const parsePlayChannelResponse = (data) => {
-  const validation = validateResponse(data, PROTOCOL.CMD.RET_PLAY_CH);
-  if (!validation.valid) {
-    return { success: false, error: validation.error };
-  }
-  if (validation.isAck && validation.ackError !== 0) {
-    return { success: false, error: `Device returned error code: ${validation.ackError}` };
-  }
-  const status = validation.payload[0];
-  return { success: status === 0, status, display: status === 0 ? 'OK' : 'Failed' };
-};
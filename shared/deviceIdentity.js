@@ -0,0 +1,52 @@
+/**
+ * Device Identity
+ * Reads MAC address, DSN and barcode of the connected device, e.g. to record
+ * which unit a key went to. Each value is read on its own; one the device does
+ * not answer (NAK, timeout, empty) is null, so a board without a barcode still
+ * yields its MAC.
+ */
+
+import { PROTOCOL, hexToPacket } from './cvteProtocol.js';
+import { getCommandSchema, buildRequest, parseResponse } from './commandSchema.js';
+import { ERROR_CODE, errorCodeOf } from './protocolErrors.js';
+
+// Identity field -> command schema entry
+const IDENTITY_COMMANDS = {
+  mac: 'getMacAddress',
+  dsn: 'getDsn',
+  barcode: 'getBarcode',
+};
+
+// Per value; the schema's own timeouts (barcode: 10 s) would hold up every burn
+const DEFAULT_TIMEOUT = 2000;
+
+/**
+ * Read the device identity
+ *
+ * @param {(packet: number[], options: object) => Promise<Uint8Array>} request - Sends a packet through the
+ *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Timeout per value in milliseconds
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @returns {Promise<{mac: string|null, dsn: string|null, barcode: string|null}>}
+ */
+export const readDeviceIdentity = async (request, { timeout = DEFAULT_TIMEOUT, signal = null } = {}) => {
+  const identity = {};
+  for (const [field, name] of Object.entries(IDENTITY_COMMANDS)) {
+    identity[field] = null;
+    try {
+      const frame = await request(hexToPacket(buildRequest(name)), {
+        expect: { cmd: getCommandSchema(name).response.cmd },
+        timeout,
+        retries: 0,
+        signal,
+      });
+      if (frame[4] === PROTOCOL.CMD.ACK) continue;
+      const parsed = parseResponse(name, frame);
+      if (parsed.success && parsed[field]) identity[field] = parsed[field];
+    } catch (err) {
+      if (errorCodeOf(err) === ERROR_CODE.ABORTED) throw err;
+    }
+  }
+  return identity;
+};
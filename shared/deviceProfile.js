@@ -0,0 +1,242 @@
+/**
+ * Device Capability Probe and Profiles
+ *
+ * Chassis differ in the commands, key types and sources they support. The
+ * probe sends every schema command once and records which ones the firmware
+ * rejects with ACK error 0x01 (unknown command). Commands are sent with an
+ * empty payload, so set commands are answered with a parameter error instead
+ * of changing device state. Key types are probed with GET_FILE_ID; sources
+ * only on request, because that means switching the TV through every input
+ * (the current source is restored afterwards).
+ *
+ * The result is saved as a named profile ({ name, model, probedAt, commands,
+ * keyTypes, sources }); the UI cards and CLI help only offer what it lists
+ * as supported. Commands that did not answer are still offered.
+ */
+
+import {
+  PROTOCOL,
+  SOURCE_NAMES,
+  buildCommand,
+  hexToPacket,
+} from './cvteProtocol.js';
+import { COMMAND_SCHEMA, ACK_RESPONSE, buildRequest, parseResponse } from './commandSchema.js';
+import { FILE_TYPE_NAMES } from './fileTransfer.js';
+import { ERROR_CODE, ACK_ERROR, InvalidArgumentError, errorCodeOf } from './protocolErrors.js';
+
+export const PROBE_STATUS = {
+  SUPPORTED: 'supported',
+  UNSUPPORTED: 'unsupported',      // ACK error 0x01 (or a rejected key type / source)
+  NO_RESPONSE: 'no-response',      // Timed out or corrupted; still offered
+};
+
+// Default timeout per probed command; firmware that ignores unknown commands costs this much each
+export const PROBE_TIMEOUT = 1000;
+
+// Profile names double as file names
+export const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+/**
+ * Check a profile name (letters, digits, '.', '_', '-'; at most 64 characters)
+ * @param {string} name - Profile name
+ * @returns {string} The name; throws InvalidArgumentError otherwise
+ */
+export const validateProfileName = (name) => {
+  if (typeof name !== 'string' || !PROFILE_NAME_PATTERN.test(name)) {
+    throw new InvalidArgumentError(`Invalid profile name: ${name}. Use letters, digits, '.', '_' and '-'`);
+  }
+  return name;
+};
+
+/**
+ * Commands to probe on the TV port, one per (protocol, command ID)
+ * The signal generator (protocol 0x04) is a separate device and is not probed.
+ *
+ * @returns {Array<{names: string[], protocol: number, cmd: number, expect: {cmd: number|null, ack: boolean}}>}
+ */
+export const getProbeTargets = () => {
+  const targets = new Map();
+  for (const [name, entry] of Object.entries(COMMAND_SCHEMA)) {
+    const protocol = entry.protocol ?? PROTOCOL.PROTOCOL_TYPE;
+    if (protocol === PROTOCOL.TYPE.SIGNAL_GENERATOR) continue;
+    const key = `${protocol}:${entry.cmd}`;
+    if (targets.has(key)) {
+      targets.get(key).names.push(name);
+      continue;
+    }
+    targets.set(key, {
+      names: [name],
+      protocol,
+      cmd: entry.cmd,
+      // Any ACK of the command shows the firmware knows it, even where a RET packet is expected
+      expect: { cmd: entry.response === ACK_RESPONSE ? null : entry.response.cmd, ack: true },
+    });
+  }
+  return [...targets.values()];
+};
+
+const isAck = (frame) => frame[4] === PROTOCOL.CMD.ACK;
+
+/**
+ * Probe status of a command from its response: only "unknown command" means unsupported
+ * @param {Uint8Array} frame - Response frame
+ * @returns {string} PROBE_STATUS value
+ */
+export const classifyCommandResponse = (frame) => (
+  isAck(frame) && frame[5] === ACK_ERROR.UNKNOWN_COMMAND ? PROBE_STATUS.UNSUPPORTED : PROBE_STATUS.SUPPORTED
+);
+
+// Key types and sources are rejected with any NAK (parameter error for an unknown ID)
+const classifyValueResponse = (frame) => (
+  isAck(frame) && frame[5] !== ACK_ERROR.OK ? PROBE_STATUS.UNSUPPORTED : PROBE_STATUS.SUPPORTED
+);
+
+/**
+ * Send one probe request; timeouts and corrupted replies count as no response
+ * @returns {Promise<Uint8Array|null>}
+ */
+const probeRequest = async (request, packet, options) => {
+  try {
+    return await request(packet, options);
+  } catch (err) {
+    const code = errorCodeOf(err);
+    if (code === ERROR_CODE.TIMEOUT || code === ERROR_CODE.FRAMING) return null;
+    throw err;
+  }
+};
+
+/**
+ * Probe the connected device
+ *
+ * @param {(packet: number[], options: object) => Promise<Uint8Array>} request - Sends a packet through the
+ *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Timeout per probed command in milliseconds
+ * @param {boolean} [options.sources] - Also probe every source (switches the TV input)
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {(progress: {done: number, total: number, step: string}) => void} [options.onProgress]
+ * @returns {Promise<{commands: object, keyTypes: object, sources: object|null}>} PROBE_STATUS per
+ *   schema command name, key type name (FILE_TYPE_NAMES) and source name; sources is null when not probed
+ */
+export const probeDevice = async (request, { timeout = PROBE_TIMEOUT, sources = false, signal = null, onProgress = null } = {}) => {
+  const targets = getProbeTargets();
+  const keyTypes = Object.entries(FILE_TYPE_NAMES);
+  const sourceIds = sources ? Object.keys(SOURCE_NAMES).map(Number) : [];
+  // Sources: read the current one, try each, restore
+  const total = targets.length + keyTypes.length + (sources ? sourceIds.length + 2 : 0);
+  let done = 0;
+  const step = (name) => {
+    done++;
+    if (onProgress) onProgress({ done, total, step: name });
+  };
+  const options = (expect, ms = timeout) => ({ expect, timeout: ms, retries: 0, signal });
+
+  const result = { commands: {}, keyTypes: {}, sources: null };
+
+  for (const target of targets) {
+    const frame = await probeRequest(request, buildCommand(target.cmd, [], target.protocol), options(target.expect));
+    const status = frame ? classifyCommandResponse(frame) : PROBE_STATUS.NO_RESPONSE;
+    target.names.forEach((name) => { result.commands[name] = status; });
+    step(target.names.join(', '));
+  }
+
+  const keyIdEntry = COMMAND_SCHEMA.getKeyId;
+  for (const [name, fileType] of keyTypes) {
+    let status = PROBE_STATUS.UNSUPPORTED;
+    if (result.commands.getKeyId !== PROBE_STATUS.UNSUPPORTED) {
+      const packet = hexToPacket(buildRequest('getKeyId', fileType));
+      const frame = await probeRequest(request, packet, options({ cmd: keyIdEntry.response.cmd }));
+      status = frame ? classifyValueResponse(frame) : PROBE_STATUS.NO_RESPONSE;
+    }
+    result.keyTypes[name] = status;
+    step(`key type ${name}`);
+  }
+
+  if (sources && result.commands.setSource !== PROBE_STATUS.UNSUPPORTED) {
+    const setTimeoutMs = COMMAND_SCHEMA.setSource.timeout;
+    const current = await probeRequest(
+      request,
+      hexToPacket(buildRequest('getSource')),
+      options({ cmd: COMMAND_SCHEMA.getSource.response.cmd }, COMMAND_SCHEMA.getSource.timeout),
+    );
+    const parsed = current && parseResponse('getSource', current);
+    step('current source');
+
+    // Without the current source the TV could not be put back; leave sources unprobed
+    if (parsed && parsed.success) {
+      result.sources = {};
+      try {
+        for (const id of sourceIds) {
+          const frame = await probeRequest(request, hexToPacket(buildRequest('setSource', id)), options({ cmd: null }, setTimeoutMs));
+          result.sources[SOURCE_NAMES[id]] = frame ? classifyValueResponse(frame) : PROBE_STATUS.NO_RESPONSE;
+          step(`source ${SOURCE_NAMES[id]}`);
+        }
+      } finally {
+        if (!signal || !signal.aborted) {
+          await probeRequest(request, hexToPacket(buildRequest('setSource', parsed.sourceId)), options({ cmd: null }, setTimeoutMs));
+        }
+      }
+      step('restore source');
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Create a named profile from a probe result
+ * @param {string} name - Profile name (see PROFILE_NAME_PATTERN)
+ * @param {object} probe - probeDevice() result
+ * @param {object} [info]
+ * @param {string} [info.model] - Free-text model / chassis description
+ * @returns {object} Profile
+ */
+export const createProfile = (name, probe, { model = '' } = {}) => ({
+  name: validateProfileName(name),
+  model,
+  probedAt: new Date().toISOString(),
+  commands: probe.commands,
+  keyTypes: probe.keyTypes,
+  sources: probe.sources,
+});
+
+const offered = (table, key) => !table || table[key] !== PROBE_STATUS.UNSUPPORTED;
+
+/**
+ * Whether a schema command is offered (always true without a profile)
+ * @param {object|null} profile - Device profile
+ * @param {string} name - Schema command name
+ * @returns {boolean}
+ */
+export const isCommandSupported = (profile, name) => !profile || offered(profile.commands, name);
+
+/**
+ * Whether a key type is offered (always true without a profile)
+ * @param {object|null} profile - Device profile
+ * @param {string} keyType - Key type name (FILE_TYPE_NAMES key, e.g. 'hdcp14')
+ * @returns {boolean}
+ */
+export const isKeyTypeSupported = (profile, keyType) => !profile || offered(profile.keyTypes, keyType);
+
+/**
+ * Whether a source is offered (always true without a profile or when sources were not probed)
+ * @param {object|null} profile - Device profile
+ * @param {string} source - Source name (SOURCE_NAMES value, e.g. 'HDMI1')
+ * @returns {boolean}
+ */
+export const isSourceSupported = (profile, source) => !profile || offered(profile.sources, source);
+
+/**
+ * Count profile entries per status
+ * @param {object} profile - Device profile
+ * @returns {{commands: object, keyTypes: object, sources: object|null}} { supported, unsupported, 'no-response' } counts
+ */
+export const summarizeProfile = (profile) => {
+  const count = (table) => {
+    if (!table) return null;
+    const counts = Object.fromEntries(Object.values(PROBE_STATUS).map((status) => [status, 0]));
+    Object.values(table).forEach((status) => { counts[status] = (counts[status] || 0) + 1; });
+    return counts;
+  };
+  return { commands: count(profile.commands), keyTypes: count(profile.keyTypes), sources: count(profile.sources) };
+};
@@ -0,0 +1,436 @@
+/**
+ * CVTE Packet Dissector
+ * Breaks any CVTE frame into an annotated field tree (offset, raw bytes and
+ * decoded value of every field) for the web terminal's hex view, the CLI
+ * `dissect` command and bug reports.
+ *
+ * Payload layouts come from the command schema; ACK, file transfer and
+ * legacy HDCP packets, which have no schema entry, are described here.
+ */
+
+import {
+  PROTOCOL,
+  PROTOCOL_TYPE_NAMES,
+  SOURCE_NAMES,
+  COLOR_TEMP_NAMES,
+  GEN_TIMING_NAMES,
+  GEN_PATTERN_NAMES,
+  FRAME_ERROR,
+  FrameDecoder,
+  calculateChecksum,
+  formatMacAddress,
+  decodeUtf8,
+} from './cvteProtocol.js';
+import {
+  FIELD,
+  ACK_RESPONSE,
+  COMMAND_SCHEMA,
+  findCommandByRequest,
+  findCommandByResponse,
+  parseResponse,
+  formatValue,
+} from './commandSchema.js';
+import { FILE_TYPE_LABELS, FILE_STATUS, BURN_STATUS } from './fileTransfer.js';
+import { ACK_ERROR_NAMES } from './protocolErrors.js';
+import { HEARTBEAT_POCKET_INDEX } from './transactionQueue.js';
+
+// Raw byte run, only used by the layouts below
+const BYTES = 'bytes';
+
+const FIXED_SIZES = {
+  [FIELD.U8]: 1,
+  [FIELD.U16BE]: 2,
+  [FIELD.U32BE]: 4,
+  [FIELD.U64BE]: 8,
+  [FIELD.MAC]: 6,
+};
+
+const hex = (value, width = 2) => `0x${value.toString(16).toUpperCase().padStart(width, '0')}`;
+const hexBytes = (bytes) => Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+
+// { name: id } table -> { id: name }
+const invert = (table) => Object.fromEntries(Object.entries(table).map(([name, id]) => [id, name]));
+
+const FILE_STATUS_LABELS = invert(FILE_STATUS);
+const BURN_STATUS_LABELS = invert(BURN_STATUS);
+
+// Value names for schema fields that carry an ID
+const FIELD_VALUE_NAMES = {
+  sourceId: SOURCE_NAMES,
+  keyType: FILE_TYPE_LABELS,
+  colorTemp: COLOR_TEMP_NAMES,
+  timing: GEN_TIMING_NAMES,
+  pattern: GEN_PATTERN_NAMES,
+};
+
+// Command ID -> constant name, per protocol type
+const COMMAND_NAMES = {
+  [PROTOCOL.TYPE.RF_TEST]: invert(PROTOCOL.RF_CMD),
+  [PROTOCOL.TYPE.WHITE_BALANCE]: invert(PROTOCOL.WB_CMD),
+  [PROTOCOL.TYPE.FACTORY_TEST]: { ...invert(PROTOCOL.CMD), ...invert(PROTOCOL.HDCP_CMD) },
+  [PROTOCOL.TYPE.SIGNAL_GENERATOR]: invert(PROTOCOL.SG_CMD),
+};
+
+const START_FIELDS = [
+  { name: 'fileId', type: FIELD.U32BE, label: 'File ID' },
+];
+const RET_START_FIELDS = [
+  { name: 'status', type: FIELD.U8, label: 'Status', names: FILE_STATUS_LABELS },
+  { name: 'maxPacketLength', type: FIELD.U16BE, label: 'Max packet length' },
+];
+const DATA_FIELDS = [
+  { name: 'pocketIndex', type: FIELD.U32BE, label: 'Pocket index' },
+  { name: 'totalCount', type: FIELD.U32BE, label: 'Total count' },
+  { name: 'data', type: BYTES, label: 'Data' },
+];
+const CRC_FIELDS = [
+  { name: 'crc', type: FIELD.U16BE, label: 'CRC16', hex: true },
+];
+const STATUS_FIELDS = [
+  { name: 'status', type: FIELD.U8, label: 'Status', names: BURN_STATUS_LABELS },
+];
+
+// Factory Auto Test packets without a schema entry: file transfer (4.27) and legacy HDCP
+const TRANSFER_LAYOUTS = {
+  [PROTOCOL.CMD.START_SEND_FILE]: {
+    kind: 'request',
+    fields: [
+      ...START_FIELDS,
+      { name: 'fileSize', type: FIELD.U32BE, label: 'File size' },
+      { name: 'fileType', type: FIELD.U8, label: 'File type', names: FILE_TYPE_LABELS },
+    ],
+  },
+  [PROTOCOL.CMD.RET_START_SEND_FILE]: { kind: 'response', fields: RET_START_FIELDS },
+  [PROTOCOL.CMD.SEND_FILE_DATA]: { kind: 'request', fields: DATA_FIELDS },
+  [PROTOCOL.CMD.SEND_FILE_CRC]: { kind: 'request', fields: CRC_FIELDS },
+  [PROTOCOL.CMD.ACK_FILE_STATUS]: { kind: 'response', fields: STATUS_FIELDS },
+  [PROTOCOL.HDCP_CMD.START_HDCP]: { kind: 'request', fields: START_FIELDS },
+  [PROTOCOL.HDCP_CMD.RET_START_HDCP]: { kind: 'response', fields: RET_START_FIELDS },
+  [PROTOCOL.HDCP_CMD.SEND_HDCP_DATA]: { kind: 'request', fields: DATA_FIELDS },
+  [PROTOCOL.HDCP_CMD.SEND_HDCP_CRC]: { kind: 'request', fields: CRC_FIELDS },
+  [PROTOCOL.HDCP_CMD.ACK_HDCP_STATUS]: { kind: 'response', fields: STATUS_FIELDS },
+};
+
+// ACK payload, same in every protocol: [error][acked cmd][pocket index x4 (data/heartbeat ACKs)]
+const ackLayout = (protocolType) => ({
+  kind: 'ack',
+  fields: [
+    { name: 'error', type: FIELD.U8, label: 'Error', names: { 0: 'OK', ...ACK_ERROR_NAMES } },
+    { name: 'ackedCmd', type: FIELD.U8, label: 'Acked command', names: COMMAND_NAMES[protocolType], hex: true },
+    {
+      name: 'pocketIndex',
+      type: FIELD.U32BE,
+      label: 'Pocket index',
+      optional: true,
+      names: { [HEARTBEAT_POCKET_INDEX]: 'heartbeat (busy)' },
+    },
+  ],
+});
+
+/**
+ * Find the payload layout and schema command for a frame
+ * @returns {{kind: string, fields: object[], schema?: string}|null}
+ */
+const findLayout = (protocolType, cmdId) => {
+  if (cmdId === PROTOCOL.CMD.ACK) return ackLayout(protocolType);
+  if (protocolType === PROTOCOL.TYPE.FACTORY_TEST && TRANSFER_LAYOUTS[cmdId]) {
+    return TRANSFER_LAYOUTS[cmdId];
+  }
+  const request = findCommandByRequest(cmdId, protocolType);
+  if (request) {
+    return { kind: 'request', fields: request.entry.request, schema: request.name };
+  }
+  const response = findCommandByResponse(cmdId, protocolType);
+  if (response) {
+    return { kind: 'response', fields: response.entry.response.fields, schema: response.name };
+  }
+  return null;
+};
+
+/**
+ * Display string for a decoded value
+ */
+const displayValue = (field, value) => {
+  const names = field.names || FIELD_VALUE_NAMES[field.name];
+  if (typeof value === 'number') {
+    const number = field.hex ? hex(value, FIXED_SIZES[field.type] * 2) : String(value);
+    return names && names[value] !== undefined ? `${number} (${names[value]})` : number;
+  }
+  if (field.type === FIELD.STRING) return JSON.stringify(value);
+  if (field.type === BYTES) return `${value.length} byte(s)`;
+  return String(value);
+};
+
+/**
+ * Dissect payload fields, tracking offsets (absolute, in frame bytes)
+ * Stops at the first field that does not fit; the caller reports leftovers.
+ *
+ * @returns {{nodes: object[], offset: number, error: string|null}}
+ */
+const dissectFields = (fields, bytes, offset, end) => {
+  const nodes = [];
+  const values = {};
+
+  for (const field of fields) {
+    const start = offset;
+    const fixed = FIXED_SIZES[field.type];
+    if (fixed !== undefined && offset + fixed > end) {
+      // Constant fields (type bytes) may be absent from short replies, as in the schema decoder
+      if (field.value !== undefined) continue;
+      if (field.optional && offset === end) break;
+      return { nodes, offset, error: `${field.label || field.name || 'field'} truncated at offset ${offset}` };
+    }
+
+    let value;
+    let children;
+    switch (field.type) {
+      case FIELD.U8:
+        value = bytes[offset];
+        break;
+      case FIELD.U16BE:
+        value = (bytes[offset] << 8) | bytes[offset + 1];
+        break;
+      case FIELD.U32BE:
+        value = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+        break;
+      case FIELD.U64BE: {
+        let v = 0n;
+        for (let j = 0; j < 8; j++) v = (v << 8n) | BigInt(bytes[offset + j]);
+        value = v.toString();
+        break;
+      }
+      case FIELD.MAC:
+        value = formatMacAddress(bytes.slice(offset, offset + 6));
+        break;
+      case FIELD.STRING: {
+        let length = end - offset;
+        if (field.lengthPrefix) {
+          if (offset >= end) return { nodes, offset, error: `${field.name} length truncated at offset ${offset}` };
+          length = bytes[offset];
+          offset += 1;
+          if (offset + length > end) {
+            return { nodes, offset: start, error: `${field.name} truncated at offset ${start}` };
+          }
+        }
+        value = decodeUtf8(bytes.slice(offset, offset + length));
+        offset += length;
+        break;
+      }
+      case BYTES:
+        value = Array.from(bytes.slice(offset, end));
+        offset = end;
+        break;
+      case FIELD.LIST: {
+        children = [];
+        for (let i = 0; i < values[field.count] && offset < end; i++) {
+          const item = dissectFields(field.fields, bytes, offset, end);
+          children.push({
+            name: `${field.name}[${i}]`,
+            offset,
+            length: item.offset - offset,
+            raw: hexBytes(bytes.slice(offset, item.offset)),
+            value: null,
+            display: item.nodes.map((n) => `${n.name}=${n.display}`).join(' '),
+            children: item.nodes,
+          });
+          offset = item.offset;
+          if (item.error) return { nodes: [...nodes, listNode(field, start, offset, bytes, children)], offset, error: item.error };
+        }
+        nodes.push(listNode(field, start, offset, bytes, children));
+        continue;
+      }
+      default:
+        throw new Error(`Unsupported field type: ${field.type}`);
+    }
+    if (fixed !== undefined) offset += fixed;
+
+    if (field.name) values[field.name] = value;
+    nodes.push({
+      name: field.name || (field.value !== undefined ? 'const' : 'field'),
+      label: field.label,
+      offset: start,
+      length: offset - start,
+      raw: hexBytes(bytes.slice(start, offset)),
+      value,
+      display: displayValue(field, value),
+    });
+  }
+  return { nodes, offset, error: null };
+};
+
+const listNode = (field, start, offset, bytes, children) => ({
+  name: field.name,
+  label: field.label,
+  offset: start,
+  length: offset - start,
+  raw: hexBytes(bytes.slice(start, offset)),
+  value: null,
+  display: `${children.length} entr${children.length === 1 ? 'y' : 'ies'}`,
+  children,
+});
+
+const headerNode = (name, label, offset, bytes, display) => ({
+  name,
+  label,
+  offset,
+  length: 1,
+  raw: hexBytes([bytes[offset]]),
+  value: bytes[offset],
+  display,
+});
+
+/**
+ * Dissect one CVTE frame into an annotated field tree
+ *
+ * Never throws on bad input: framing problems (wrong sync, length mismatch,
+ * bad checksum, truncated payload) are listed in `errors` and the fields that
+ * could be read are still returned.
+ *
+ * @param {ArrayBuffer|Uint8Array|Buffer|number[]|string} data - Frame bytes or HEX string
+ * @returns {{
+ *   valid: boolean,
+ *   errors: string[],
+ *   protocol: {id: number, name: string}|null,
+ *   command: {id: number, name: string, kind: string, schema: string|null}|null,
+ *   checksum: {value: number, expected: number, valid: boolean}|null,
+ *   summary: string|null,
+ *   fields: Array<{name: string, label?: string, offset: number, length: number, raw: string,
+ *                  value: *, display: string, children?: object[]}>
+ * }} kind is 'request', 'response', 'ack' or 'unknown'
+ */
+export const dissectFrame = (data) => {
+  const bytes = typeof data === 'string'
+    ? Uint8Array.from(data.replace(/[^0-9a-fA-F]/g, '').match(/../g) || [], (b) => parseInt(b, 16))
+    : new Uint8Array(data);
+  const result = { valid: false, errors: [], protocol: null, command: null, checksum: null, summary: null, fields: [] };
+  const { fields, errors } = result;
+
+  if (bytes.length < 6) {
+    errors.push(`Frame too short: ${bytes.length} byte(s), need at least 6`);
+  }
+  if (bytes.length > 0) {
+    const ok = bytes[0] === PROTOCOL.SYNC_BYTE;
+    if (!ok) errors.push(`Invalid sync byte: ${hex(bytes[0])}`);
+    fields.push(headerNode('sync', 'Sync', 0, bytes, ok ? 'OK' : `expected ${hex(PROTOCOL.SYNC_BYTE)}`));
+  }
+  if (bytes.length > 1) {
+    const ok = bytes[1] === PROTOCOL.START_BYTE;
+    if (!ok) errors.push(`Invalid start byte: ${hex(bytes[1])}`);
+    fields.push(headerNode('start', 'Start', 1, bytes, ok ? 'OK' : `expected ${hex(PROTOCOL.START_BYTE)}`));
+  }
+  if (bytes.length > 2) {
+    const ok = bytes[2] === bytes.length;
+    if (!ok) errors.push(`Length mismatch: header says ${bytes[2]}, got ${bytes.length} byte(s)`);
+    fields.push(headerNode('length', 'Length', 2, bytes, ok ? String(bytes[2]) : `${bytes[2]} (got ${bytes.length})`));
+  }
+  if (bytes.length > 3) {
+    const name = PROTOCOL_TYPE_NAMES[bytes[3]] || 'Unknown';
+    if (!PROTOCOL_TYPE_NAMES[bytes[3]]) errors.push(`Unknown protocol type: ${hex(bytes[3])}`);
+    result.protocol = { id: bytes[3], name };
+    fields.push(headerNode('protocol', 'Protocol', 3, bytes, `${hex(bytes[3])} (${name})`));
+  }
+  if (bytes.length < 6) return result;
+
+  const protocolType = bytes[3];
+  const cmdId = bytes[4];
+  const layout = findLayout(protocolType, cmdId);
+  const cmdName = (COMMAND_NAMES[protocolType] || {})[cmdId] || 'UNKNOWN';
+  result.command = { id: cmdId, name: cmdName, kind: layout ? layout.kind : 'unknown', schema: layout?.schema || null };
+  fields.push(headerNode('command', 'Command', 4, bytes, `${hex(cmdId)} (${cmdName})`));
+
+  // Payload ends before the checksum byte
+  const end = bytes.length - 1;
+  if (layout) {
+    const payload = dissectFields(layout.fields, bytes, 5, end);
+    fields.push(...payload.nodes);
+    if (payload.error) errors.push(payload.error);
+    if (payload.offset < end) {
+      if (!payload.error) errors.push(`${end - payload.offset} unexpected trailing byte(s)`);
+      fields.push({
+        name: 'extra',
+        label: 'Unparsed',
+        offset: payload.offset,
+        length: end - payload.offset,
+        raw: hexBytes(bytes.slice(payload.offset, end)),
+        value: Array.from(bytes.slice(payload.offset, end)),
+        display: `${end - payload.offset} byte(s)`,
+      });
+    }
+  } else if (end > 5) {
+    fields.push({
+      name: 'payload',
+      label: 'Payload',
+      offset: 5,
+      length: end - 5,
+      raw: hexBytes(bytes.slice(5, end)),
+      value: Array.from(bytes.slice(5, end)),
+      display: `${end - 5} byte(s)`,
+    });
+  }
+
+  const expected = calculateChecksum(bytes.slice(2, end));
+  const value = bytes[end];
+  result.checksum = { value, expected, valid: value === expected };
+  if (value !== expected) errors.push(`Checksum mismatch: expected ${hex(expected)}, got ${hex(value)}`);
+  fields.push(headerNode('checksum', 'Checksum', end, bytes, value === expected ? 'OK' : `expected ${hex(expected)}`));
+
+  result.valid = errors.length === 0;
+
+  // Decoded result of schema RET packets, as the CLI would print it
+  if (result.valid && layout?.schema && layout.kind === 'response') {
+    const entry = COMMAND_SCHEMA[layout.schema];
+    const parsed = parseResponse(layout.schema, bytes);
+    if (parsed.success) result.summary = `${entry.label}: ${formatValue(layout.schema, parsed)}`;
+  } else if (layout?.schema && layout.kind === 'request') {
+    const entry = COMMAND_SCHEMA[layout.schema];
+    result.summary = `${entry.response === ACK_RESPONSE ? 'Set' : 'Get'} ${entry.label}`;
+  }
+  return result;
+};
+
+/**
+ * Dissect every frame found in a byte stream (e.g. one terminal log entry)
+ * Bytes outside frames are skipped; frames with a bad checksum are still dissected.
+ *
+ * @param {ArrayBuffer|Uint8Array|Buffer|number[]} data - Raw bytes
+ * @returns {object[]} dissectFrame() results, in stream order
+ */
+export const dissectStream = (data) => {
+  const frames = [];
+  const decoder = new FrameDecoder({
+    onError: (err) => {
+      if (err.type === FRAME_ERROR.CHECKSUM) frames.push(dissectFrame(err.bytes));
+    },
+  });
+  for (const frame of decoder.push(Uint8Array.from(data))) {
+    frames.push(dissectFrame(frame));
+  }
+  return frames;
+};
+
+const formatNodes = (nodes, depth, lines) => {
+  for (const node of nodes) {
+    const indent = '  '.repeat(depth);
+    const offset = `[${String(node.offset).padStart(3, ' ')}]`;
+    const label = node.label || node.name;
+    const raw = node.raw.length > 35 ? `${node.raw.slice(0, 32)}...` : node.raw;
+    lines.push(`${offset} ${indent}${label.padEnd(20 - indent.length, ' ')} ${raw.padEnd(35, ' ')} ${node.display}`);
+    if (node.children) formatNodes(node.children, depth + 1, lines);
+  }
+};
+
+/**
+ * Plain-text rendering of a dissection (CLI output, bug reports)
+ * @param {object} dissection - dissectFrame() result
+ * @returns {string} One line per field: [offset] label raw value
+ */
+export const formatDissection = (dissection) => {
+  const { protocol, command } = dissection;
+  const title = command
+    ? `${protocol.name} / ${command.name} (${command.kind})`
+    : 'Incomplete frame';
+  const lines = [dissection.summary ? `${title} - ${dissection.summary}` : title];
+  formatNodes(dissection.fields, 0, lines);
+  dissection.errors.forEach((err) => lines.push(`! ${err}`));
+  return lines.join('\n');
+};
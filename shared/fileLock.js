@@ -0,0 +1,49 @@
+/**
+ * Directory lock (Node.js only)
+ * The CLI and the server may write the same files (key inventories, burn
+ * audit log); mkdir is atomic, so a lock directory serializes them. A lock
+ * older than LOCK_STALE is taken over (its holder died).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ERROR_CODE, ProtocolError } from './protocolErrors.js';
+
+const LOCK_NAME = '.lock';
+const LOCK_WAIT = 5000;
+const LOCK_STALE = 30000;
+
+/**
+ * Run fn while holding the lock of a directory (created if missing)
+ * @param {string} dir - Directory to lock
+ * @param {() => Promise<*>} fn - Work done under the lock
+ * @param {object} [options]
+ * @param {(lock: string) => Error} [options.onTimeout] - Error thrown when the lock is still held after LOCK_WAIT
+ * @returns {Promise<*>} Result of fn
+ */
+export const withLock = async (dir, fn, { onTimeout = (lock) => new ProtocolError(`${dir} is locked (${lock})`, ERROR_CODE.UNKNOWN) } = {}) => {
+  const lock = path.join(dir, LOCK_NAME);
+  await fs.mkdir(dir, { recursive: true });
+  const deadline = Date.now() + LOCK_WAIT;
+  for (;;) {
+    try {
+      await fs.mkdir(lock);
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const stat = await fs.stat(lock).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE) {
+        await fs.rmdir(lock).catch(() => {});
+      } else if (Date.now() > deadline) {
+        throw onTimeout(lock);
+      } else {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rmdir(lock).catch(() => {});
+  }
+};
@@ -1,9 +1,23 @@
 /**
  * CVTE File Transfer Protocol (Section 4.27)
  * Used for key burning (HDCP 1.4, HDCP 2.2, etc.)
+ *
+ * Packet builders and parsers, plus BurnSession, the transfer state machine
+ * shared by `comtest-cli burn` and the server's burn-key handler.
  */
 
-import { PROTOCOL, calculateChecksum } from './cvteProtocol.js';
+import { PROTOCOL, MAX_PACKET_LENGTH, calculateChecksum } from './cvteProtocol.js';
+import {
+  ERROR_CODE,
+  ProtocolError,
+  FramingError,
+  NakError,
+  UnexpectedResponseError,
+  DeviceStatusError,
+  InvalidArgumentError,
+  AbortedError,
+  errorCodeOf,
+} from './protocolErrors.js';
 
 export const FILE_TYPE = {
   HDCP_14: 1,
@@ -23,6 +37,15 @@ export const FILE_TYPE_NAMES = {
   esn: FILE_TYPE.ESN,
 };
 
+export const FILE_TYPE_LABELS = {
+  [FILE_TYPE.HDCP_14]: 'HDCP 1.4',
+  [FILE_TYPE.CI_PLUS]: 'CI+',
+  [FILE_TYPE.HDCP_20]: 'HDCP 2.0',
+  [FILE_TYPE.HDCP_22]: 'HDCP 2.2',
+  [FILE_TYPE.WIDEVINE]: 'Widevine',
+  [FILE_TYPE.ESN]: 'ESN',
+};
+
 export const FILE_STATUS = {
   OK: 0,
   ALREADY_EXIST: 1,
@@ -35,6 +58,35 @@ export const BURN_STATUS = {
   FLASH_ERROR: 2,
 };
 
+/**
+ * Error for a non-OK RET_START_SEND_FILE / RET_START_HDCP status
+ * @param {number} status - FILE_STATUS value
+ * @returns {DeviceStatusError}
+ */
+export function fileStatusError(status) {
+  if (status === FILE_STATUS.ALREADY_EXIST) {
+    return new DeviceStatusError('Key already exists on device', ERROR_CODE.FILE_ALREADY_EXISTS, status);
+  }
+  return new DeviceStatusError('Device rejected file type', ERROR_CODE.FILE_REJECTED, status);
+}
+
+/**
+ * Error for a non-OK ACK_FILE_STATUS / ACK_HDCP_STATUS status
+ * @param {number} status - BURN_STATUS value
+ * @returns {DeviceStatusError}
+ */
+export function burnStatusError(status) {
+  if (status === BURN_STATUS.CRC_ERROR) {
+    return new DeviceStatusError('CRC verification failed on device', ERROR_CODE.CRC_ERROR, status);
+  }
+  return new DeviceStatusError('Flash write error', ERROR_CODE.FLASH_WRITE_ERROR, status);
+}
+
+// Failed parse result: { ok: false, error, code, ...extra }
+function fail(err, extra = {}) {
+  return { ok: false, ...extra, error: err.message, code: err.code };
+}
+
 const CRC_TABLE = [
   0x0000, 0x1021, 0x2042, 0x3063, 0x4084, 0x50A5, 0x60C6, 0x70E7,
   0x8108, 0x9129, 0xA14A, 0xB16B, 0xC18C, 0xD1AD, 0xE1CE, 0xF1EF,
@@ -59,6 +111,38 @@ export function fileCrc16(buffer) {
   return crc & 0xFFFF;
 }
 
+/**
+ * Deterministic 32-bit file ID of a key file (FNV-1a), so GET_FILE_ID tells
+ * which key is on the device. Never 0, which GET_FILE_ID reports for "no key".
+ * @param {Uint8Array|Buffer|number[]} data - File content
+ * @returns {number}
+ */
+export function deriveFileId(data) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < data.length; i++) {
+    hash ^= data[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) || 1;
+}
+
+/**
+ * Build GET_FILE_ID command (0x45)
+ * Packet: FF 33 07 03 45 [FILE_TYPE] [CHECKSUM]
+ */
+export function buildGetFileId(fileType) {
+  const packet = [
+    PROTOCOL.SYNC_BYTE,
+    PROTOCOL.START_BYTE,
+    7,
+    PROTOCOL.PROTOCOL_TYPE,
+    PROTOCOL.CMD.GET_FILE_ID,
+    fileType,
+  ];
+  packet.push(calculateChecksum(packet.slice(2)));
+  return packet;
+}
+
 /**
  * Build START_SEND_FILE command (0x40) - generic file transfer
  * Packet: FF 33 0F 03 40 [FILE_ID x4] [FILE_SIZE x4] [FILE_TYPE] [CHECKSUM]
@@ -88,6 +172,42 @@ export function buildStartSendFile(fileId, fileSize, fileType) {
   return packet;
 }
 
+// SEND_FILE_DATA / SEND_HDCP_DATA overhead: FF 33 LEN TYPE CMD, pocket index (4), total count (4), checksum
+export const DATA_PACKET_OVERHEAD = 14;
+
+const writeU32 = (target, offset, value) => {
+  target[offset] = (value >>> 24) & 0xFF;
+  target[offset + 1] = (value >>> 16) & 0xFF;
+  target[offset + 2] = (value >>> 8) & 0xFF;
+  target[offset + 3] = value & 0xFF;
+};
+
+/**
+ * Write a SEND_FILE_DATA (0x42) or SEND_HDCP_DATA (0x03) packet into a preallocated buffer
+ * The burn session reuses one buffer for every packet of a transfer.
+ * @param {Uint8Array} target - Buffer of at least DATA_PACKET_OVERHEAD + (end - start) bytes
+ * @param {number} cmd - PROTOCOL.CMD.SEND_FILE_DATA or PROTOCOL.HDCP_CMD.SEND_HDCP_DATA
+ * @param {number} packetIndex - 1-based pocket index
+ * @param {number} totalPackets - Total packet count
+ * @param {Uint8Array} source - File content
+ * @param {number} start - Offset of the chunk in source
+ * @param {number} end - End of the chunk (exclusive)
+ * @returns {Uint8Array} The packet, a view of target
+ */
+export function encodeDataPacket(target, cmd, packetIndex, totalPackets, source, start, end) {
+  const length = DATA_PACKET_OVERHEAD + (end - start);
+  target[0] = PROTOCOL.SYNC_BYTE;
+  target[1] = PROTOCOL.START_BYTE;
+  target[2] = length;
+  target[3] = PROTOCOL.PROTOCOL_TYPE;
+  target[4] = cmd;
+  writeU32(target, 5, packetIndex);
+  writeU32(target, 9, totalPackets);
+  target.set(source.subarray(start, end), 13);
+  target[length - 1] = calculateChecksum(target.subarray(2, length - 1));
+  return target.subarray(0, length);
+}
+
 // ============================================================
 // HDCP-specific protocol (CMD 0x00-0x05) for legacy devices
 // ============================================================
@@ -109,7 +229,7 @@ export function buildStartHdcp(fileId) {
     PROTOCOL.START_BYTE,
     packetLength,
     PROTOCOL.PROTOCOL_TYPE,
-    0x00, // START_HDCP CMD
+    PROTOCOL.HDCP_CMD.START_HDCP,
     ...payload,
   ];
   packet.push(calculateChecksum(packet.slice(2)));
@@ -121,28 +241,9 @@ export function buildStartHdcp(fileId) {
  * Same format as SEND_FILE_DATA but CMD=0x03
  */
 export function buildSendHdcpData(packetIndex, totalPackets, data) {
-  const payload = [
-    (packetIndex >>> 24) & 0xFF,
-    (packetIndex >>> 16) & 0xFF,
-    (packetIndex >>> 8) & 0xFF,
-    packetIndex & 0xFF,
-    (totalPackets >>> 24) & 0xFF,
-    (totalPackets >>> 16) & 0xFF,
-    (totalPackets >>> 8) & 0xFF,
-    totalPackets & 0xFF,
-    ...data,
-  ];
-  const packetLength = 6 + payload.length;
-  const packet = [
-    PROTOCOL.SYNC_BYTE,
-    PROTOCOL.START_BYTE,
-    packetLength,
-    PROTOCOL.PROTOCOL_TYPE,
-    0x03, // SEND_HDCP_DATA CMD
-    ...payload,
-  ];
-  packet.push(calculateChecksum(packet.slice(2)));
-  return packet;
+  const chunk = Uint8Array.from(data);
+  const packet = new Uint8Array(DATA_PACKET_OVERHEAD + chunk.length);
+  return Array.from(encodeDataPacket(packet, PROTOCOL.HDCP_CMD.SEND_HDCP_DATA, packetIndex, totalPackets, chunk, 0, chunk.length));
 }
 
 /**
@@ -160,7 +261,7 @@ export function buildSendHdcpCrc(crcValue) {
     PROTOCOL.START_BYTE,
     packetLength,
     PROTOCOL.PROTOCOL_TYPE,
-    0x04, // SEND_HDCP_CRC CMD
+    PROTOCOL.HDCP_CMD.SEND_HDCP_CRC,
     ...payload,
   ];
   packet.push(calculateChecksum(packet.slice(2)));
@@ -175,24 +276,23 @@ export function parseRetStartHdcp(data) {
   const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
   if (bytes.length < 6) {
-    return { ok: false, error: 'Response too short' };
+    return fail(new FramingError('Response too short'));
   }
   if (bytes[0] !== 0xFF || bytes[1] !== 0x33) {
-    return { ok: false, error: 'Invalid header' };
+    return fail(new FramingError('Invalid header'));
   }
   if (bytes[4] === PROTOCOL.CMD.ACK) {
-    const errorCode = bytes[5];
-    return { ok: false, error: `Device NAK: error code ${errorCode}` };
+    return fail(new NakError(bytes[5], bytes[6]));
   }
-  if (bytes[4] !== 0x02) {
-    return { ok: false, error: `Unexpected response CMD: 0x${bytes[4].toString(16)}` };
+  if (bytes[4] !== PROTOCOL.HDCP_CMD.RET_START_HDCP) {
+    return fail(new UnexpectedResponseError(`Unexpected response CMD: 0x${bytes[4].toString(16)}`));
   }
 
   const status = bytes[5];
   const maxPacketLength = (bytes[6] << 8) | bytes[7];
 
   if (status !== 0) {
-    return { ok: false, status, error: status === 1 ? 'Key already exists on device' : 'Device rejected' };
+    return fail(fileStatusError(status), { status });
   }
 
   return { ok: true, status, maxPacketLength };
@@ -206,20 +306,18 @@ export function parseAckHdcpStatus(data) {
   const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
   if (bytes.length < 7) {
-    return { ok: false, error: 'Response too short' };
+    return fail(new FramingError('Response too short'));
   }
-  if (bytes[4] !== 0x05) {
+  if (bytes[4] !== PROTOCOL.HDCP_CMD.ACK_HDCP_STATUS) {
     if (bytes[4] === PROTOCOL.CMD.ACK) {
-      const errorCode = bytes[5];
-      return { ok: false, error: `Device NAK: error code ${errorCode}` };
+      return fail(new NakError(bytes[5], bytes[6]));
     }
-    return { ok: false, error: `Unexpected response CMD: 0x${bytes[4].toString(16)}` };
+    return fail(new UnexpectedResponseError(`Unexpected response CMD: 0x${bytes[4].toString(16)}`));
   }
 
   const status = bytes[5];
-  if (status === 0) return { ok: true, status };
-  if (status === 1) return { ok: false, status, error: 'CRC verification failed on device' };
-  return { ok: false, status, error: 'Flash write error' };
+  if (status === BURN_STATUS.OK) return { ok: true, status };
+  return fail(burnStatusError(status), { status });
 }
 
 /**
@@ -227,28 +325,9 @@ export function parseAckHdcpStatus(data) {
  * Packet: FF 33 NN 03 42 [POCKET_INDEX x4] [TOTAL_COUNT x4] [DATA...] [CHECKSUM]
  */
 export function buildSendFileData(packetIndex, totalPackets, data) {
-  const payload = [
-    (packetIndex >>> 24) & 0xFF,
-    (packetIndex >>> 16) & 0xFF,
-    (packetIndex >>> 8) & 0xFF,
-    packetIndex & 0xFF,
-    (totalPackets >>> 24) & 0xFF,
-    (totalPackets >>> 16) & 0xFF,
-    (totalPackets >>> 8) & 0xFF,
-    totalPackets & 0xFF,
-    ...data,
-  ];
-  const packetLength = 6 + payload.length;
-  const packet = [
-    PROTOCOL.SYNC_BYTE,
-    PROTOCOL.START_BYTE,
-    packetLength,
-    PROTOCOL.PROTOCOL_TYPE,
-    PROTOCOL.CMD.SEND_FILE_DATA,
-    ...payload,
-  ];
-  packet.push(calculateChecksum(packet.slice(2)));
-  return packet;
+  const chunk = Uint8Array.from(data);
+  const packet = new Uint8Array(DATA_PACKET_OVERHEAD + chunk.length);
+  return Array.from(encodeDataPacket(packet, PROTOCOL.CMD.SEND_FILE_DATA, packetIndex, totalPackets, chunk, 0, chunk.length));
 }
 
 /**
@@ -281,25 +360,23 @@ export function parseRetStartSendFile(data) {
   const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
   if (bytes.length < 9) {
-    return { ok: false, error: 'Response too short' };
+    return fail(new FramingError('Response too short'));
   }
   if (bytes[0] !== 0xFF || bytes[1] !== 0x33) {
-    return { ok: false, error: 'Invalid header' };
+    return fail(new FramingError('Invalid header'));
   }
   if (bytes[4] !== PROTOCOL.CMD.RET_START_SEND_FILE) {
     if (bytes[4] === PROTOCOL.CMD.ACK) {
-      const errorCode = bytes[5];
-      return { ok: false, error: `Device NAK: error code ${errorCode}` };
+      return fail(new NakError(bytes[5], bytes[6]));
     }
-    return { ok: false, error: `Unexpected response CMD: 0x${bytes[4].toString(16)}` };
+    return fail(new UnexpectedResponseError(`Unexpected response CMD: 0x${bytes[4].toString(16)}`));
   }
 
   const status = bytes[5];
   const maxPacketLength = (bytes[6] << 8) | bytes[7];
 
   if (status !== FILE_STATUS.OK) {
-    const msg = status === FILE_STATUS.ALREADY_EXIST ? 'Key already exists on device' : 'Device rejected file type';
-    return { ok: false, status, error: msg };
+    return fail(fileStatusError(status), { status });
   }
 
   return { ok: true, status, maxPacketLength };
@@ -313,20 +390,20 @@ export function parseDataAck(data) {
   const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
   if (bytes.length < 6) {
-    return { ok: false, error: 'Response too short' };
+    return fail(new FramingError('Response too short'));
   }
   if (bytes[4] !== PROTOCOL.CMD.ACK) {
-    return { ok: false, error: `Unexpected response: 0x${bytes[4].toString(16)}` };
+    return fail(new UnexpectedResponseError(`Unexpected response: 0x${bytes[4].toString(16)}`));
   }
 
   const errorCode = bytes[5];
   const ackedCmd = bytes[6];
   if (errorCode !== 0) {
-    return { ok: false, error: `ACK error code: ${errorCode}` };
+    return fail(new NakError(errorCode, ackedCmd));
   }
   // Accept ACK for either SEND_FILE_DATA (0x42) or SEND_HDCP_DATA (0x03)
-  if (ackedCmd !== PROTOCOL.CMD.SEND_FILE_DATA && ackedCmd !== 0x03) {
-    return { ok: false, error: `ACK for wrong CMD: 0x${ackedCmd.toString(16)}` };
+  if (ackedCmd !== PROTOCOL.CMD.SEND_FILE_DATA && ackedCmd !== PROTOCOL.HDCP_CMD.SEND_HDCP_DATA) {
+    return fail(new UnexpectedResponseError(`ACK for wrong CMD: 0x${ackedCmd.toString(16)}`));
   }
 
   const pocketIndex = ((bytes[7] << 24) | (bytes[8] << 16) | (bytes[9] << 8) | bytes[10]) >>> 0;
@@ -341,22 +418,747 @@ export function parseAckFileStatus(data) {
   const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
 
   if (bytes.length < 7) {
-    return { ok: false, error: 'Response too short' };
+    return fail(new FramingError('Response too short'));
   }
   if (bytes[4] !== PROTOCOL.CMD.ACK_FILE_STATUS) {
     if (bytes[4] === PROTOCOL.CMD.ACK) {
-      const errorCode = bytes[5];
-      return { ok: false, error: `Device NAK: error code ${errorCode}` };
+      return fail(new NakError(bytes[5], bytes[6]));
     }
-    return { ok: false, error: `Unexpected response CMD: 0x${bytes[4].toString(16)}` };
+    return fail(new UnexpectedResponseError(`Unexpected response CMD: 0x${bytes[4].toString(16)}`));
   }
 
   const status = bytes[5];
   if (status === BURN_STATUS.OK) {
     return { ok: true, status };
-  } else if (status === BURN_STATUS.CRC_ERROR) {
-    return { ok: false, status, error: 'CRC verification failed on device' };
-  } else {
-    return { ok: false, status, error: 'Flash write error' };
   }
+  return fail(burnStatusError(status), { status });
+}
+
+/**
+ * Parse RET_FILE_ID (0x46) response
+ * Format: FF 33 0A 03 46 [FILE_ID x4] [CHECKSUM]; FILE_ID 0: no key of that type
+ */
+export function parseRetFileId(data) {
+  const bytes = Buffer.isBuffer(data) ? data : Buffer.from(data);
+
+  if (bytes.length < 6) {
+    return fail(new FramingError('Response too short'));
+  }
+  if (bytes[4] !== PROTOCOL.CMD.RET_FILE_ID) {
+    if (bytes[4] === PROTOCOL.CMD.ACK) {
+      return fail(new NakError(bytes[5], bytes[6]));
+    }
+    return fail(new UnexpectedResponseError(`Unexpected response CMD: 0x${bytes[4].toString(16)}`));
+  }
+  if (bytes.length < 10) {
+    return fail(new FramingError('Response too short'));
+  }
+
+  const fileId = ((bytes[5] << 24) | (bytes[6] << 16) | (bytes[7] << 8) | bytes[8]) >>> 0;
+  return { ok: true, fileId };
+}
+
+// ============================================================
+// Burn session (CLI and server)
+// ============================================================
+
+export const BURN_STATE = {
+  IDLE: 'idle',
+  CHECKING: 'checking',          // GET_FILE_ID before START: is a key of this type already burned?
+  STARTING: 'starting',          // START_SEND_FILE sent, waiting for RET_START_SEND_FILE
+  SENDING: 'sending',            // Data packets
+  VERIFYING: 'verifying',        // SEND_FILE_CRC sent, waiting for ACK_FILE_STATUS; then GET_FILE_ID readback
+  INTERRUPTED: 'interrupted',    // Timed out or corrupted; resume() continues with the same file ID
+  DONE: 'done',
+  SKIPPED: 'skipped',            // A key was already burned and the policy is skip
+  FAILED: 'failed',              // Rejected by the device
+  CANCELLED: 'cancelled',
+};
+
+// Transfer protocol: generic file transfer (CMD 0x40-0x44), legacy HDCP (CMD 0x00-0x05),
+// or auto: generic, falling back to legacy when START_SEND_FILE is NAKed as an unknown command
+export const BURN_PROTOCOL = {
+  GENERIC: 'generic',
+  LEGACY: 'legacy',
+  AUTO: 'auto',
+};
+
+// What to do when GET_FILE_ID reports a key of the type before the burn
+export const EXISTING_KEY_POLICY = {
+  ABORT: 'abort',                // Fail with FILE_ALREADY_EXISTS
+  SKIP: 'skip',                  // Succeed without burning (result.skipped)
+  OVERWRITE: 'overwrite',        // Burn anyway
+};
+
+// Readback status: GET_FILE_ID after the burn against the burned file ID
+export const VERIFY_STATUS = {
+  VERIFIED: 'verified',
+  MISMATCH: 'mismatch',
+  UNAVAILABLE: 'unavailable',    // GET_FILE_ID unknown to the device or unanswered
+};
+
+// Pause between data packets
+export const BURN_PACING = {
+  ADAPTIVE: 'adaptive',   // Follows the measured ACK latency, starting from packetDelay
+  FIXED: 'fixed',         // packetDelay after every packet
+  NONE: 'none',           // Next packet as soon as the ACK is in
+};
+
+// START_HDCP carries no file type; the legacy protocol only burns HDCP keys
+export const LEGACY_FILE_TYPES = [FILE_TYPE.HDCP_14, FILE_TYPE.HDCP_22];
+
+export const BURN_DEFAULTS = {
+  timeout: 5000,          // Per request
+  verifyTimeout: 15000,   // CRC check and flash write (heartbeat ACKs restart it)
+  attempts: 3,            // Transmissions per data packet
+  packetDelay: 20,        // Between data packets (fixed pacing; start value of adaptive pacing)
+  maxPacketDelay: 200,    // Upper bound of adaptive pacing
+  retryDelay: 50,         // Before retransmitting a packet
+};
+
+// Commands and parsers per transfer protocol
+const TRANSFER_COMMANDS = {
+  [BURN_PROTOCOL.GENERIC]: {
+    start: 'START_SEND_FILE',
+    data: 'SEND_FILE_DATA',
+    crc: 'SEND_FILE_CRC',
+    buildStart: (session) => buildStartSendFile(session.fileId, session.data.length, session.fileType),
+    startResponse: PROTOCOL.CMD.RET_START_SEND_FILE,
+    parseStart: parseRetStartSendFile,
+    dataCmd: PROTOCOL.CMD.SEND_FILE_DATA,
+    buildCrc: buildSendFileCrc,
+    finalResponse: PROTOCOL.CMD.ACK_FILE_STATUS,
+    parseFinal: parseAckFileStatus,
+  },
+  [BURN_PROTOCOL.LEGACY]: {
+    start: 'START_HDCP',
+    data: 'SEND_HDCP_DATA',
+    crc: 'SEND_HDCP_CRC',
+    buildStart: (session) => buildStartHdcp(session.fileId),
+    startResponse: PROTOCOL.HDCP_CMD.RET_START_HDCP,
+    parseStart: parseRetStartHdcp,
+    dataCmd: PROTOCOL.HDCP_CMD.SEND_HDCP_DATA,
+    buildCrc: buildSendHdcpCrc,
+    finalResponse: PROTOCOL.HDCP_CMD.ACK_HDCP_STATUS,
+    parseFinal: parseAckHdcpStatus,
+  },
+};
+
+const hexBytes = (bytes) => Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join(' ');
+
+const DATA_COMMANDS = [PROTOCOL.CMD.SEND_FILE_DATA, PROTOCOL.HDCP_CMD.SEND_HDCP_DATA];
+// First file byte in SEND_FILE_DATA / SEND_HDCP_DATA (after the pocket index and total count)
+const DATA_OFFSET = 13;
+
+const isDataPacket = (bytes) => bytes.length > DATA_PACKET_OVERHEAD && bytes[3] === PROTOCOL.PROTOCOL_TYPE
+  && DATA_COMMANDS.includes(bytes[4]);
+
+// Hex trace with the file content of data packets left out
+const traceBytes = (bytes) => (isDataPacket(bytes)
+  ? `${hexBytes(bytes.subarray(0, DATA_OFFSET))} [${bytes.length - DATA_PACKET_OVERHEAD} key bytes] ${hexBytes(bytes.subarray(bytes.length - 1))}`
+  : hexBytes(bytes));
+
+/**
+ * Zeroes the file content of SEND_FILE_DATA / SEND_HDCP_DATA frames in a byte stream,
+ * for echoing port traffic (e.g. a UART loopback) without the key bytes
+ * Chunks may split frames anywhere; the position in the current frame is kept between calls.
+ */
+export class DataPacketRedactor {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    // Position in the current frame (0: looking for the sync byte) and its length byte
+    this.position = 0;
+    this.length = 0;
+    this.type = 0;
+  }
+
+  /**
+   * @param {Uint8Array|Buffer} chunk - Bytes as read from or written to the port
+   * @returns {Uint8Array|Buffer} The chunk itself, or a copy with the key bytes zeroed
+   */
+  redact(chunk) {
+    let out = chunk;
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+      switch (this.position) {
+        case 0:
+          if (byte === PROTOCOL.SYNC_BYTE) this.position = 1;
+          continue;
+        case 1:
+          if (byte === PROTOCOL.START_BYTE) this.position = 2;
+          else this.position = byte === PROTOCOL.SYNC_BYTE ? 1 : 0;
+          continue;
+        case 2:
+          this.length = byte;
+          this.position = 3;
+          continue;
+        case 3:
+          this.type = byte;
+          this.position = 4;
+          continue;
+        case 4:
+          if (this.length > DATA_PACKET_OVERHEAD && this.type === PROTOCOL.PROTOCOL_TYPE && DATA_COMMANDS.includes(byte)) {
+            this.position = 5;
+          } else {
+            this.position = byte === PROTOCOL.SYNC_BYTE ? 1 : 0;
+          }
+          continue;
+        default:
+          if (this.position >= DATA_OFFSET && this.position < this.length - 1) {
+            if (out === chunk) out = new Uint8Array(chunk);
+            out[i] = 0;
+          }
+          this.position = this.position + 1 >= this.length ? 0 : this.position + 1;
+      }
+    }
+    return out;
+  }
+}
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(new AbortedError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new AbortedError());
+  };
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Inter-packet delay for a pacing strategy
+ *
+ * Adaptive pacing keeps a smoothed ACK latency and its variation (TCP
+ * retransmission timer gains, RFC 6298). While ACKs come back within
+ * srtt + 4 * rttvar the delay halves down to none; a slower ACK (the device
+ * is busy writing) or a retransmission doubles it, at least to srtt, up to
+ * maxDelay.
+ */
+class Pacer {
+  constructor(pacing, packetDelay, maxDelay) {
+    this.pacing = pacing;
+    this.maxDelay = maxDelay;
+    this.delay = pacing === BURN_PACING.NONE ? 0 : packetDelay;
+    this.srtt = null;
+    this.rttvar = 0;
+  }
+
+  onAck(rtt) {
+    if (this.pacing !== BURN_PACING.ADAPTIVE) return;
+    if (this.srtt === null) {
+      this.srtt = rtt;
+      this.rttvar = rtt / 2;
+      return;
+    }
+    const slow = rtt > this.srtt + 4 * this.rttvar;
+    this.rttvar = 0.75 * this.rttvar + 0.25 * Math.abs(this.srtt - rtt);
+    this.srtt = 0.875 * this.srtt + 0.125 * rtt;
+    if (slow) {
+      this._backOff();
+    } else {
+      this.delay = this.delay < 2 ? 0 : this.delay / 2;
+    }
+  }
+
+  onRetransmit() {
+    if (this.pacing === BURN_PACING.ADAPTIVE) this._backOff();
+  }
+
+  _backOff() {
+    this.delay = Math.min(this.maxDelay, Math.max(this.delay * 2, this.srtt ?? 0, 1));
+  }
+}
+
+/**
+ * Format transfer rate and remaining time of a progress event
+ * @param {{bytesPerSecond?: number|null, eta?: number|null}} progress
+ * @returns {string} e.g. '12.4 kB/s, ETA 3s'; '' before the first packet
+ */
+export function formatThroughput({ bytesPerSecond, eta } = {}) {
+  if (!bytesPerSecond) return '';
+  const rate = bytesPerSecond >= 1000 ? `${(bytesPerSecond / 1000).toFixed(1)} kB/s` : `${Math.round(bytesPerSecond)} B/s`;
+  if (eta === null || eta === undefined) return rate;
+  const seconds = Math.ceil(eta);
+  return `${rate}, ETA ${seconds >= 60 ? `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`}`;
+}
+
+// Parser failure ({ ok: false, error, code, status? }) as an error
+const check = (result) => {
+  if (!result.ok) {
+    throw new ProtocolError(result.error, result.code, result.status === undefined ? {} : { status: result.status });
+  }
+  return result;
+};
+
+// Lost or corrupted replies, or a port that went away (cable pulled), leave the device
+// mid-transfer; anything else it answered itself
+const INTERRUPTIONS = new Set([ERROR_CODE.TIMEOUT, ERROR_CODE.FRAMING, ERROR_CODE.PORT_CLOSED, ERROR_CODE.PORT_ERROR]);
+
+const isInterruption = (err) => INTERRUPTIONS.has(errorCodeOf(err));
+
+/**
+ * Key burn over the generic file transfer protocol (CMD 0x40-0x44) or the
+ * legacy HDCP protocol (CMD 0x00-0x05) of older boards
+ *
+ * START_SEND_FILE, then SEND_FILE_DATA packets (1-based pocket index), then
+ * SEND_FILE_CRC (legacy: START_HDCP, SEND_HDCP_DATA, SEND_HDCP_CRC). In auto
+ * mode the protocol is settled by the first start request and kept for
+ * resume(). Each data packet is retransmitted up to `attempts` times
+ * until the device ACKs it with the same pocket index. Heartbeat ACKs
+ * (0xBBBBBBBB) are absorbed by the transaction queue. When a packet or the
+ * final status times out, or the port closes under it, the session stops in
+ * INTERRUPTED; resume() (on the reopened port) sends
+ * START_SEND_FILE again with the same file ID and continues after the last
+ * acknowledged packet (from the first one if the device now reports another
+ * packet size).
+ *
+ * Before the first START, GET_FILE_ID shows whether a key of the type is
+ * already burned (`existing` policy: abort, skip or overwrite). The file ID
+ * defaults to deriveFileId(data); after the final status GET_FILE_ID is read
+ * again and must return it (result.verification). Devices that do not answer
+ * GET_FILE_ID are burned without the check, with verification 'unavailable'.
+ *
+ * Data packets are encoded into one preallocated buffer per transfer and
+ * paced by BURN_PACING (adaptive by default). Progress events while SENDING
+ * carry the bytes acknowledged, the rate since the transfer (re)started and
+ * the estimated seconds left. With `transferOnly` the pre-check, the CRC and
+ * the readback are left out: the device never commits the file, which is
+ * what benchmarkPacing() relies on.
+ *
+ * Usage:
+ *   const session = new BurnSession({ request, fileType, data, onProgress });
+ *   try { result = await session.run(); } catch (err) { if (session.resumable) await session.resume(); }
+ */
+export class BurnSession {
+  /**
+   * @param {object} options
+   * @param {(packet: number[], options: object) => Promise<Uint8Array>} options.request - Sends a packet through the
+   *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+   * @param {number} options.fileType - FILE_TYPE value
+   * @param {Uint8Array|Buffer|number[]} options.data - File content
+   * @param {number} [options.fileId] - 32-bit file ID (default: deriveFileId(data))
+   * @param {string} [options.protocol] - BURN_PROTOCOL value (default: auto)
+   * @param {string} [options.existing] - EXISTING_KEY_POLICY value (default: abort)
+   * @param {number} [options.timeout] - Timeout per request in milliseconds
+   * @param {number} [options.verifyTimeout] - Timeout for the burn result after the CRC
+   * @param {number} [options.attempts] - Transmissions per data packet
+   * @param {string} [options.pacing] - BURN_PACING value (default: adaptive)
+   * @param {number} [options.packetDelay] - Pause between data packets in milliseconds (fixed pacing; adaptive start value)
+   * @param {number} [options.maxPacketDelay] - Upper bound of the adaptive pause
+   * @param {number} [options.retryDelay] - Pause before a retransmission in milliseconds
+   * @param {boolean} [options.transferOnly] - Send START and the data packets only (no GET_FILE_ID, CRC or readback)
+   * @param {(progress: {state: string, packet: number, totalPackets: number, bytes: number, totalBytes: number,
+   *   bytesPerSecond: number|null, eta: number|null}) => void} [options.onProgress] - bytesPerSecond and eta
+   *   (seconds) are null until a data packet has been acknowledged
+   * @param {(message: string) => void} [options.onDebug] - TX/RX trace (without the key bytes of data packets) and retransmissions
+   */
+  constructor({
+    request,
+    fileType,
+    data,
+    fileId,
+    protocol = BURN_PROTOCOL.AUTO,
+    existing = EXISTING_KEY_POLICY.ABORT,
+    timeout = BURN_DEFAULTS.timeout,
+    verifyTimeout = BURN_DEFAULTS.verifyTimeout,
+    attempts = BURN_DEFAULTS.attempts,
+    pacing = BURN_PACING.ADAPTIVE,
+    packetDelay = BURN_DEFAULTS.packetDelay,
+    maxPacketDelay = BURN_DEFAULTS.maxPacketDelay,
+    retryDelay = BURN_DEFAULTS.retryDelay,
+    transferOnly = false,
+    onProgress = null,
+    onDebug = null,
+  }) {
+    this.data = Uint8Array.from(data);
+    if (this.data.length === 0) {
+      throw new InvalidArgumentError('Key file is empty');
+    }
+    if (!Object.values(BURN_PROTOCOL).includes(protocol)) {
+      throw new InvalidArgumentError(`Unknown burn protocol: ${protocol}. Valid: ${Object.values(BURN_PROTOCOL).join(', ')}`);
+    }
+    if (!Object.values(EXISTING_KEY_POLICY).includes(existing)) {
+      throw new InvalidArgumentError(`Unknown existing key policy: ${existing}. Valid: ${Object.values(EXISTING_KEY_POLICY).join(', ')}`);
+    }
+    if (!Object.values(BURN_PACING).includes(pacing)) {
+      throw new InvalidArgumentError(`Unknown pacing: ${pacing}. Valid: ${Object.values(BURN_PACING).join(', ')}`);
+    }
+    if (protocol === BURN_PROTOCOL.LEGACY && !LEGACY_FILE_TYPES.includes(fileType)) {
+      throw new InvalidArgumentError('The legacy protocol only burns HDCP 1.4 and HDCP 2.2 keys');
+    }
+    this.request = request;
+    this.fileType = fileType;
+    // Protocol in use; null until auto mode has settled it
+    this.protocol = protocol === BURN_PROTOCOL.AUTO ? null : protocol;
+    this.fileId = (fileId ?? deriveFileId(this.data)) >>> 0;
+    this.existing = existing;
+    this.crc = fileCrc16(this.data);
+    this.timeout = timeout;
+    this.verifyTimeout = verifyTimeout;
+    this.attempts = attempts;
+    this.pacing = pacing;
+    this.pacer = new Pacer(pacing, packetDelay, maxPacketDelay);
+    this.retryDelay = retryDelay;
+    this.transferOnly = transferOnly;
+    this.onProgress = onProgress;
+    this.onDebug = onDebug;
+
+    this.state = BURN_STATE.IDLE;
+    this.error = null;
+    this.dataPerPacket = 0;
+    this.totalPackets = 0;
+    this.ackedPackets = 0;
+    this.retransmissions = 0;
+    this.controller = null;
+    // Data packet buffer, allocated once the device has reported its packet size
+    this.packetBuffer = null;
+    // Rate since SENDING was last entered: bytes/s and seconds left, null before the first ACK
+    this.bytesPerSecond = null;
+    this.eta = null;
+    // Milliseconds spent SENDING over all runs
+    this.sendTime = 0;
+    // GET_FILE_ID before the burn: undefined until checked, null when the device does not answer, 0: no key
+    this.existingFileId = undefined;
+    this.verification = null;
+  }
+
+  /**
+   * Whether resume() can continue the transfer
+   * @returns {boolean}
+   */
+  get resumable() {
+    return this.state === BURN_STATE.INTERRUPTED;
+  }
+
+  /**
+   * Run the transfer (from IDLE, or from INTERRUPTED to resume)
+   * @returns {Promise<{fileId: number, fileSize: number, packets: number, crc: string, protocol: string,
+   *   existingFileId: number|null, verification: {status: string, expected: number, actual: number|null},
+   *   pacing: string, bytesPerSecond: number|null, retransmissions: number, skipped?: true}>} Throws ProtocolError; the session is then INTERRUPTED, FAILED or CANCELLED
+   */
+  async run() {
+    if (this.state !== BURN_STATE.IDLE && this.state !== BURN_STATE.INTERRUPTED) {
+      throw new InvalidArgumentError(`Burn session cannot run while ${this.state}`);
+    }
+    this.controller = new AbortController();
+    this.error = null;
+    try {
+      if (!this.transferOnly && this.existingFileId === undefined && await this._checkExisting()) {
+        this._setState(BURN_STATE.SKIPPED);
+        return { ...this._result(), skipped: true };
+      }
+      await this._start();
+      await this._sendPackets();
+      if (!this.transferOnly) {
+        await this._verify();
+        await this._readback();
+      }
+      this._setState(BURN_STATE.DONE);
+      return this._result();
+    } catch (err) {
+      this.error = err;
+      if (this.controller.signal.aborted) {
+        this._setState(BURN_STATE.CANCELLED);
+      } else {
+        this._setState(isInterruption(err) ? BURN_STATE.INTERRUPTED : BURN_STATE.FAILED);
+      }
+      throw err;
+    } finally {
+      this.controller = null;
+    }
+  }
+
+  /**
+   * Continue an interrupted transfer after the last acknowledged packet
+   * @returns {Promise<object>} See run()
+   */
+  resume() {
+    if (!this.resumable) {
+      return Promise.reject(new InvalidArgumentError(`Burn session cannot resume while ${this.state}`));
+    }
+    return this.run();
+  }
+
+  /**
+   * Cancel: aborts the request in flight, or discards an interrupted session
+   */
+  cancel() {
+    if (this.controller) {
+      this.controller.abort();
+    } else if (this.state === BURN_STATE.IDLE || this.state === BURN_STATE.INTERRUPTED) {
+      this._setState(BURN_STATE.CANCELLED);
+    }
+  }
+
+  /**
+   * Zero the copy of the file content and the packet buffer once the session is over
+   * (the session cannot run or resume afterwards)
+   */
+  wipe() {
+    this.cancel();
+    this.data.fill(0);
+    if (this.packetBuffer) this.packetBuffer.fill(0);
+  }
+
+  _result() {
+    return {
+      fileId: this.fileId,
+      fileSize: this.data.length,
+      packets: this.totalPackets,
+      crc: `0x${this.crc.toString(16).padStart(4, '0')}`,
+      protocol: this.protocol,
+      existingFileId: this.existingFileId,
+      verification: this.verification,
+      pacing: this.pacing,
+      // Average over all data packets sent, resumes included
+      bytesPerSecond: this.sendTime > 0 ? Math.round(this._bytesAcked(this.ackedPackets) / (this.sendTime / 1000)) : null,
+      retransmissions: this.retransmissions,
+    };
+  }
+
+  _setState(state) {
+    this.state = state;
+    this._progress();
+  }
+
+  _progress() {
+    if (this.onProgress) {
+      this.onProgress({
+        state: this.state,
+        packet: this.ackedPackets,
+        totalPackets: this.totalPackets,
+        bytes: this._bytesAcked(this.ackedPackets),
+        totalBytes: this.data.length,
+        bytesPerSecond: this.bytesPerSecond,
+        eta: this.eta,
+      });
+    }
+  }
+
+  _bytesAcked(packets) {
+    return Math.min(packets * this.dataPerPacket, this.data.length);
+  }
+
+  _debug(message) {
+    if (this.onDebug) this.onDebug(message);
+  }
+
+  async _request(name, packet, expect, timeout, retries = 0) {
+    this._debug(`TX ${name}: ${traceBytes(packet)}`);
+    const frame = await this.request(packet, { expect, timeout, retries, signal: this.controller.signal });
+    this._debug(`RX: ${traceBytes(frame)}`);
+    return frame;
+  }
+
+  get _commands() {
+    return TRANSFER_COMMANDS[this.protocol];
+  }
+
+  async _sendStart(protocol) {
+    const commands = TRANSFER_COMMANDS[protocol];
+    const frame = await this._request(commands.start, commands.buildStart(this), { cmd: commands.startResponse }, this.timeout, this.attempts - 1);
+    return commands.parseStart(frame);
+  }
+
+  async _start() {
+    this._setState(BURN_STATE.STARTING);
+    let result;
+    if (this.protocol) {
+      result = await this._sendStart(this.protocol);
+    } else {
+      result = await this._sendStart(BURN_PROTOCOL.GENERIC);
+      this.protocol = BURN_PROTOCOL.GENERIC;
+      if (result.code === ERROR_CODE.NAK_UNKNOWN_COMMAND && LEGACY_FILE_TYPES.includes(this.fileType)) {
+        this._debug('START_SEND_FILE unknown to the device, falling back to the legacy HDCP protocol');
+        result = await this._sendStart(BURN_PROTOCOL.LEGACY);
+        this.protocol = BURN_PROTOCOL.LEGACY;
+      }
+    }
+    const { maxPacketLength } = check(result);
+
+    // The length byte caps a packet at 255 bytes whatever the device reports
+    const dataPerPacket = Math.min(maxPacketLength, MAX_PACKET_LENGTH) - DATA_PACKET_OVERHEAD;
+    if (dataPerPacket <= 0) {
+      throw new UnexpectedResponseError(`Invalid max packet length from device: ${maxPacketLength}`);
+    }
+    if (dataPerPacket !== this.dataPerPacket) {
+      this.dataPerPacket = dataPerPacket;
+      this.totalPackets = Math.ceil(this.data.length / dataPerPacket);
+      this.ackedPackets = 0;
+      this.packetBuffer = new Uint8Array(dataPerPacket + DATA_PACKET_OVERHEAD);
+    }
+    this._debug(`File ID 0x${this.fileId.toString(16).padStart(8, '0')}, max packet ${maxPacketLength}, `
+      + `${dataPerPacket} bytes/packet, packets ${this.ackedPackets + 1}-${this.totalPackets}`);
+  }
+
+  async _sendPackets() {
+    this.bytesPerSecond = null;
+    this.eta = null;
+    this._setState(BURN_STATE.SENDING);
+    const startedAt = now();
+    const startBytes = this._bytesAcked(this.ackedPackets);
+    try {
+      for (let index = this.ackedPackets + 1; index <= this.totalPackets; index++) {
+        const offset = (index - 1) * this.dataPerPacket;
+        const end = Math.min(offset + this.dataPerPacket, this.data.length);
+        const packet = encodeDataPacket(this.packetBuffer, this._commands.dataCmd, index, this.totalPackets, this.data, offset, end);
+        await this._sendPacket(index, packet);
+        this.ackedPackets = index;
+
+        const elapsed = (now() - startedAt) / 1000;
+        if (elapsed > 0) {
+          this.bytesPerSecond = Math.round((end - startBytes) / elapsed);
+          this.eta = Math.round(((this.data.length - end) / this.bytesPerSecond) * 10) / 10;
+        }
+        this._progress();
+        if (index < this.totalPackets && this.pacer.delay > 0) await wait(Math.round(this.pacer.delay), this.controller.signal);
+      }
+    } finally {
+      this.sendTime += now() - startedAt;
+    }
+  }
+
+  async _sendPacket(index, packet) {
+    let lastError = null;
+    for (let attempt = 1; attempt <= this.attempts; attempt++) {
+      if (attempt > 1) {
+        this.retransmissions++;
+        this.pacer.onRetransmit();
+        await wait(this.retryDelay, this.controller.signal);
+      }
+      try {
+        const sentAt = now();
+        const frame = await this._request(`${this._commands.data} ${index}/${this.totalPackets}`, packet, { cmd: null }, this.timeout);
+        const ack = check(parseDataAck(frame));
+        // Short ACKs carry no pocket index
+        if (frame.length < 11 || ack.pocketIndex === index) {
+          this.pacer.onAck(now() - sentAt);
+          return;
+        }
+        lastError = new UnexpectedResponseError(`ACK for packet ${ack.pocketIndex}, expected ${index}`);
+      } catch (err) {
+        // Retransmitting on a closed port is pointless
+        if (errorCodeOf(err) === ERROR_CODE.ABORTED || errorCodeOf(err) === ERROR_CODE.PORT_CLOSED) throw err;
+        lastError = err;
+      }
+      this._debug(`Packet ${index}: ${lastError.message}${attempt < this.attempts ? ', retransmitting' : ''}`);
+    }
+    throw lastError;
+  }
+
+  // GET_FILE_ID result, or null when the device does not answer it
+  async _readFileId() {
+    try {
+      const frame = await this._request('GET_FILE_ID', buildGetFileId(this.fileType), { cmd: PROTOCOL.CMD.RET_FILE_ID }, this.timeout);
+      const result = parseRetFileId(frame);
+      return result.ok ? result.fileId : null;
+    } catch (err) {
+      if (errorCodeOf(err) === ERROR_CODE.ABORTED) throw err;
+      this._debug(`GET_FILE_ID: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Pre-burn GET_FILE_ID; true when the burn is to be skipped
+  async _checkExisting() {
+    this._setState(BURN_STATE.CHECKING);
+    this.existingFileId = await this._readFileId();
+    if (!this.existingFileId) return false;
+
+    const same = this.existingFileId === this.fileId;
+    const found = `Key ${this.existingFileId}${same ? ' (this key file)' : ''} is already on the device`;
+    if (this.existing === EXISTING_KEY_POLICY.SKIP) {
+      this._debug(`${found}, skipping`);
+      this.verification = {
+        status: same ? VERIFY_STATUS.VERIFIED : VERIFY_STATUS.MISMATCH,
+        expected: this.fileId,
+        actual: this.existingFileId,
+      };
+      return true;
+    }
+    if (this.existing === EXISTING_KEY_POLICY.ABORT) {
+      throw new ProtocolError(found, ERROR_CODE.FILE_ALREADY_EXISTS, { existingFileId: this.existingFileId });
+    }
+    this._debug(`${found}, overwriting`);
+    return false;
+  }
+
+  // Post-burn GET_FILE_ID against the file ID sent in START
+  async _readback() {
+    const actual = await this._readFileId();
+    let status = VERIFY_STATUS.UNAVAILABLE;
+    if (actual !== null) status = actual === this.fileId ? VERIFY_STATUS.VERIFIED : VERIFY_STATUS.MISMATCH;
+    this.verification = { status, expected: this.fileId, actual };
+    if (status === VERIFY_STATUS.MISMATCH) {
+      throw new ProtocolError(`Readback file ID ${actual} does not match the burned file ID ${this.fileId}`,
+        ERROR_CODE.VERIFY_MISMATCH, { verification: this.verification });
+    }
+  }
+
+  async _verify() {
+    this._setState(BURN_STATE.VERIFYING);
+    // The queue keeps waiting through heartbeat ACKs until the final status or a NAK of the CRC
+    const { crc, buildCrc, finalResponse, parseFinal } = this._commands;
+    const frame = await this._request(crc, buildCrc(this.crc), { cmd: finalResponse }, this.verifyTimeout);
+    check(parseFinal(frame));
+  }
+}
+
+/**
+ * Compare pacing strategies on a device
+ *
+ * Sends the same data once per strategy as a transfer-only BurnSession
+ * (START and data packets, no CRC). Nothing is committed as long as the
+ * device discards a transfer that never gets its CRC; that is the firmware's
+ * behaviour, not something checked here. A strategy that fails is reported
+ * with its error and the next one runs. Each session is wiped after its run.
+ *
+ * @param {object} options - BurnSession options (request, fileType, data, protocol, timeout, ...)
+ * @param {object} [benchmark]
+ * @param {string[]} [benchmark.strategies] - BURN_PACING values (default: all)
+ * @param {AbortSignal} [benchmark.signal] - Cancels the running transfer and ends the benchmark
+ * @returns {Promise<Array<{pacing: string, success: boolean, elapsed: number, packets: number,
+ *   bytesPerSecond: number|null, retransmissions: number, error?: string, code?: string}>>} elapsed in milliseconds
+ */
+export async function benchmarkPacing(options, { strategies = Object.values(BURN_PACING), signal = null } = {}) {
+  const results = [];
+  for (const pacing of strategies) {
+    if (signal?.aborted) throw new AbortedError();
+    const session = new BurnSession({ ...options, pacing, transferOnly: true });
+    const onAbort = () => session.cancel();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const startedAt = now();
+    let error = null;
+    try {
+      await session.run();
+    } catch (err) {
+      if (errorCodeOf(err) === ERROR_CODE.ABORTED) throw err;
+      error = err;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+    const { packets, bytesPerSecond, retransmissions } = session._result();
+    session.wipe();
+    results.push({
+      pacing,
+      success: !error,
+      elapsed: Math.round(now() - startedAt),
+      packets,
+      bytesPerSecond,
+      retransmissions,
+      ...(error && { error: error.message, code: errorCodeOf(error) }),
+    });
+  }
+  return results;
 }
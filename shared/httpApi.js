@@ -0,0 +1,345 @@
+/**
+ * HTTP API
+ * Routes of the server's REST API for clients that do not speak Socket.IO
+ * (MES, scripts), and their OpenAPI document. Command routes mirror the CLI:
+ * `comtest-cli get checksum` is GET /api/commands/get/checksum, `set source
+ * hdmi1` is POST /api/commands/set/source { value: 'hdmi1' }. Both are built
+ * from the command map (buildCliCommandMap) and answer with the JSON of
+ * `comtest-cli --json` (toJsonResult).
+ *
+ * Commands go to a port opened with POST /api/ports/open; the client that
+ * opened it controls it (X-Client-Id header, else its address), like a
+ * browser that opened the port. The signal generator (gen) has no routes.
+ */
+
+import { buildCliCommandMap, getCommandSchema, FIELD } from './commandSchema.js';
+import { ERROR_CODE } from './protocolErrors.js';
+import { FILE_TYPE_NAMES, BURN_STATE, BURN_PROTOCOL, BURN_PACING, EXISTING_KEY_POLICY } from './fileTransfer.js';
+
+// Command map categories with a route (device port)
+export const API_CATEGORIES = ['get', 'test', 'set', 'rf', 'wb'];
+
+// HTTP status of a failed result by ERROR_CODE; other device failures: 502
+const ERROR_STATUS = {
+  [ERROR_CODE.INVALID_ARGUMENT]: 400,
+  [ERROR_CODE.INVALID_KEY_FILE]: 400,
+  [ERROR_CODE.UNSUPPORTED]: 400,
+  [ERROR_CODE.PORT_CLOSED]: 409,
+  [ERROR_CODE.PORT_OWNED]: 409,
+  [ERROR_CODE.BURN_IN_PROGRESS]: 409,
+  [ERROR_CODE.KEY_CONSUMED]: 409,
+  [ERROR_CODE.INVENTORY_EMPTY]: 409,
+  [ERROR_CODE.VAULT_LOCKED]: 409,
+  [ERROR_CODE.PORT_ERROR]: 500,
+  [ERROR_CODE.UNKNOWN]: 500,
+  [ERROR_CODE.TIMEOUT]: 504,
+};
+
+/**
+ * HTTP status for a result
+ * @param {{success: boolean, code?: string}} result - Result in the { success, error, code } shape
+ * @returns {number}
+ */
+export const httpStatusOf = (result) => (result.success ? 200 : ERROR_STATUS[result.code] || 502);
+
+/**
+ * Command routes, one per command map entry of API_CATEGORIES
+ * Commands answered by an ACK (set commands) are POST, queries GET.
+ * @returns {Array<{category: string, action: string, method: string, path: string, config: object}>}
+ */
+export const commandRoutes = () => {
+  const map = buildCliCommandMap();
+  return API_CATEGORIES.flatMap((category) => Object.entries(map[category] || {}).map(([action, config]) => ({
+    category,
+    action,
+    method: config.isSetCommand ? 'post' : 'get',
+    path: `/api/commands/${category}/${action}`,
+    config,
+  })));
+};
+
+/**
+ * Route of a command
+ * @param {string} category - Command category
+ * @param {string} action - Command action
+ * @returns {object|null} commandRoutes() entry
+ */
+export const findCommandRoute = (category, action) => (
+  commandRoutes().find((route) => route.category === category && route.action === action) || null
+);
+
+// ---- OpenAPI ----
+
+const U64_PATTERN = '^(0x[0-9a-fA-F]+|[0-9]+)$';
+
+// JSON Schema of a request or response field
+const fieldSchema = (field) => {
+  const description = field.label ? { description: field.label } : {};
+  switch (field.type) {
+    case FIELD.U64BE:
+      // Decimal or 0x hex string: 64-bit values do not fit a JSON number
+      return { type: 'string', pattern: U64_PATTERN, ...description };
+    case FIELD.STRING:
+      return { type: 'string', ...description, ...(field.minLength ? { minLength: field.minLength } : {}) };
+    case FIELD.MAC:
+      return { type: 'string', pattern: '^([0-9A-Fa-f]{2}[:-]){5}[0-9A-Fa-f]{2}$', ...description };
+    case FIELD.LIST:
+      return { type: 'array', items: objectSchema(field.fields), ...description };
+    default:
+      if (field.enum) return { type: 'string', enum: Object.keys(field.enum), ...description };
+      return {
+        type: 'integer',
+        ...description,
+        ...(field.min !== undefined ? { minimum: field.min } : {}),
+        ...(field.max !== undefined ? { maximum: field.max } : {}),
+      };
+  }
+};
+
+const objectSchema = (fields) => ({
+  type: 'object',
+  properties: Object.fromEntries(fields.filter((field) => field.name).map((field) => [field.name, fieldSchema(field)])),
+});
+
+// Value a command takes from the request (null: none); set source takes a source name
+const valueSchema = (route) => {
+  const { config } = route;
+  const entry = getCommandSchema(config.name);
+  if (config.args) return null;
+  // The channel list start index is for follow-up pages only
+  const fields = entry.request.filter((field) => field.name && !field.optional);
+  if (fields.length === 0) return null;
+  const hint = config.hint ? { description: config.hint } : {};
+  if (fields.length === 1) {
+    return { ...fieldSchema(fields[0]), ...(config.hint ? { type: 'string', ...hint } : {}) };
+  }
+  return {
+    type: 'array',
+    prefixItems: fields.map(fieldSchema),
+    minItems: fields.length,
+    maxItems: fields.length,
+    description: `${fields.map((field) => field.name).join(', ')}${config.hint ? `. ${config.hint}` : ''}`,
+  };
+};
+
+// Result of a command: { success: true } plus the parsed response fields
+const commandResultSchema = (route) => {
+  const entry = getCommandSchema(route.config.name);
+  const properties = { success: { type: 'boolean', const: true } };
+  if (entry.response.fields) {
+    Object.assign(properties, objectSchema(entry.response.fields).properties);
+    // Derived display value (status, source, keyName, ...)
+    if (entry.resultKey && !properties[entry.resultKey]) properties[entry.resultKey] = { type: 'string' };
+  }
+  if (route.config.name === 'getChannelList') {
+    properties.channels = { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } } };
+    properties.complete = { type: 'boolean', description: 'false when the device stopped sending before totalCount entries' };
+    properties.pages = { type: 'integer' };
+  }
+  return { type: 'object', properties, required: ['success'] };
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = { description: 'Failed: { success: false, error, code }', content: jsonContent({ $ref: '#/components/schemas/ErrorResult' }) };
+
+const ERROR_RESPONSES = {
+  400: errorResponse,
+  409: { ...errorResponse, description: 'Port not open (PORT_CLOSED) or controlled by another client (PORT_OWNED)' },
+  502: { ...errorResponse, description: 'The device rejected the command or answered with a failure' },
+  504: { ...errorResponse, description: 'The device did not answer in time (TIMEOUT)' },
+};
+
+const portParameter = { $ref: '#/components/parameters/Port' };
+const portProperty = { type: 'string', description: 'Port path (may be omitted while only one port is open)' };
+const timeoutProperty = { type: 'integer', minimum: 1, description: 'Response timeout in milliseconds (default: per command)' };
+
+const commandOperation = (route) => {
+  const { config, category, action, method } = route;
+  const value = valueSchema(route);
+  const operation = {
+    operationId: `${category}_${action}`.replace(/-/g, '_'),
+    // wb actions are two CLI words (wb get gain <temp>)
+    summary: `${config.label} (comtest-cli ${category} ${category === 'wb' ? action.replace('-', ' ') : action}${value ? ' <value>' : ''})`,
+    tags: [category],
+    responses: { 200: { description: 'Result as with comtest-cli --json', content: jsonContent(commandResultSchema(route)) }, ...ERROR_RESPONSES },
+  };
+  if (method === 'get') {
+    operation.parameters = [
+      portParameter,
+      { name: 'timeout', in: 'query', schema: timeoutProperty },
+      ...(value ? [{ name: 'value', in: 'query', required: true, schema: value }] : []),
+    ];
+  } else {
+    operation.requestBody = {
+      required: true,
+      content: jsonContent({
+        type: 'object',
+        properties: { port: portProperty, value, timeout: timeoutProperty },
+        required: ['value'],
+      }),
+    };
+  }
+  return operation;
+};
+
+const jsonBody = (properties, required = []) => ({ required: true, content: jsonContent({ type: 'object', properties, required }) });
+
+const okResponse = (description, properties) => ({
+  description,
+  content: jsonContent({ type: 'object', properties: { success: { type: 'boolean', const: true }, ...properties }, required: ['success'] }),
+});
+
+// Routes outside the command map
+const staticPaths = () => ({
+  '/api/ports': {
+    get: {
+      operationId: 'list_ports',
+      summary: 'Serial ports of the host (comtest-cli list-ports)',
+      tags: ['ports'],
+      responses: { 200: { description: 'Ports as listed by serialport', content: jsonContent({ type: 'array', items: { type: 'object' } }) } },
+    },
+  },
+  '/api/ports/open': {
+    post: {
+      operationId: 'open_port',
+      summary: 'Open a device port; the caller controls it',
+      tags: ['ports'],
+      requestBody: jsonBody({
+        port: { type: 'string', description: 'Port path' },
+        baudRate: { type: 'integer', default: 115200 },
+        dataBits: { type: 'integer', default: 8 },
+        stopBits: { type: 'number', default: 1 },
+        parity: { type: 'string', enum: ['none', 'even', 'odd'], default: 'none' },
+        flowControl: { type: 'string', enum: ['none', 'rtscts', 'xon', 'xoff'], default: 'none' },
+      }, ['port']),
+      responses: { 200: okResponse('Port opened', { port: { type: 'string' }, path: { type: 'string' }, baudRate: { type: 'integer' } }), ...ERROR_RESPONSES },
+    },
+  },
+  '/api/ports/close': {
+    post: {
+      operationId: 'close_port',
+      summary: 'Close a device port (a burn in progress on it is cancelled)',
+      tags: ['ports'],
+      requestBody: jsonBody({ port: portProperty }),
+      responses: { 200: okResponse('Port closed', { port: { type: 'string' } }), ...ERROR_RESPONSES },
+    },
+  },
+  '/api/ports/take': {
+    post: {
+      operationId: 'take_port',
+      summary: 'Take control of a port another client controls (nothing running on it is stopped; a closed port with an interrupted burn too)',
+      tags: ['ports'],
+      requestBody: jsonBody({ port: portProperty, confirm: { type: 'boolean', description: 'Must be true to take a port another client controls' } }),
+      responses: { 200: okResponse('Port taken over', { port: { type: 'string' } }), ...ERROR_RESPONSES },
+    },
+  },
+  '/api/play': {
+    post: {
+      operationId: 'play_channel',
+      summary: 'Play a channel by its channel ID (comtest-cli play <channelId>)',
+      tags: ['channel'],
+      requestBody: jsonBody({ port: portProperty, channelId: fieldSchema(getCommandSchema('playChannel').request[0]), timeout: timeoutProperty }, ['channelId']),
+      responses: { 200: okResponse('Playing', { channelId: { type: 'string' }, status: { type: 'integer' }, display: { type: 'string' } }), ...ERROR_RESPONSES },
+    },
+  },
+  '/api/keys': {
+    post: {
+      operationId: 'upload_key',
+      summary: 'Upload a key file; POST /api/burn takes its handle until a burn of it succeeds or it expires',
+      tags: ['burn'],
+      parameters: [{ name: 'X-File-Name', in: 'header', schema: { type: 'string' }, description: 'URI-encoded file name' }],
+      requestBody: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+      responses: {
+        201: okResponse('Stored', { handle: { type: 'string' }, name: { type: ['string', 'null'] }, size: { type: 'integer' }, sha256: { type: 'string' } }),
+        400: errorResponse,
+      },
+    },
+  },
+  '/api/burn': {
+    post: {
+      operationId: 'start_burn',
+      summary: 'Start a key burn (comtest-cli burn); poll GET /api/burn for its status',
+      tags: ['burn'],
+      requestBody: jsonBody({
+        port: portProperty,
+        keyType: { type: 'string', enum: Object.keys(FILE_TYPE_NAMES) },
+        upload: { type: 'string', description: 'Handle from POST /api/keys' },
+        vault: { type: 'string', description: 'Key of the unlocked key vault' },
+        inventory: { type: 'string', description: 'Key inventory to draw the next unused key from (with device)' },
+        device: { type: 'string', description: 'Receiving device (MAC, DSN or barcode), recorded in the inventory ledger' },
+        protocol: { type: 'string', enum: Object.values(BURN_PROTOCOL), default: BURN_PROTOCOL.AUTO },
+        existing: { type: 'string', enum: Object.values(EXISTING_KEY_POLICY), default: EXISTING_KEY_POLICY.ABORT },
+        pacing: { type: 'string', enum: Object.values(BURN_PACING), default: BURN_PACING.ADAPTIVE },
+        operator: { type: 'string', description: 'Operator recorded in the burn audit log' },
+      }, ['keyType']),
+      responses: {
+        202: okResponse('Burn started', { port: { type: 'string' }, state: { type: 'string', enum: Object.values(BURN_STATE) } }),
+        ...ERROR_RESPONSES,
+        409: { ...errorResponse, description: 'Port not open, controlled by another client, or its burn still running (BURN_IN_PROGRESS, with its state)' },
+      },
+    },
+    get: {
+      operationId: 'burn_status',
+      summary: 'Status of the burn on a port; once done, the result of comtest-cli burn --json',
+      tags: ['burn'],
+      parameters: [portParameter],
+      responses: {
+        200: {
+          description: 'Running: { success: true, done: false, port, state, percent, message, bytesPerSecond, eta }. '
+            + 'Done: { done: true, port, state } plus the burn result (success, fileId, verification, ... or error, code)',
+          content: jsonContent({
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              done: { type: 'boolean' },
+              port: { type: 'string' },
+              state: { type: 'string', enum: Object.values(BURN_STATE) },
+              percent: { type: 'integer' },
+              message: { type: 'string' },
+              resumable: { type: 'boolean' },
+            },
+            required: ['success', 'done', 'state'],
+          }),
+        },
+        404: { ...errorResponse, description: 'No burn on the port' },
+      },
+    },
+  },
+});
+
+/**
+ * OpenAPI 3.1 document of the API, command routes generated from the command map
+ * @param {object} [options]
+ * @param {string} [options.version] - API version
+ * @returns {object}
+ */
+export const buildOpenApiDocument = ({ version = '1.0.0' } = {}) => ({
+  openapi: '3.1.0',
+  info: {
+    title: 'comtest HTTP API',
+    version,
+    description: 'CVTE factory test commands over HTTP; results have the JSON shape of comtest-cli --json. '
+      + 'Commands go to a port opened with POST /api/ports/open by the same client (X-Client-Id header, else the client address).',
+  },
+  paths: {
+    ...staticPaths(),
+    ...Object.fromEntries(commandRoutes().map((route) => [route.path, { [route.method]: commandOperation(route) }])),
+  },
+  components: {
+    parameters: {
+      Port: { name: 'port', in: 'query', schema: portProperty },
+    },
+    schemas: {
+      ErrorResult: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', const: false },
+          error: { type: 'string' },
+          code: { type: 'string', enum: Object.values(ERROR_CODE) },
+        },
+        required: ['success', 'error'],
+      },
+    },
+  },
+});
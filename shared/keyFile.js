@@ -0,0 +1,263 @@
+/**
+ * Key File Validation
+ *
+ * Checks a key file against the layout of its FILE_TYPE before anything is
+ * sent, and extracts the key's identity for display:
+ *
+ *   HDCP 1.4   285 bytes: KSV (5) + 40 private keys (40 x 7); or 288 bytes with
+ *              3 reserved bytes after the KSV. The KSV has 20 ones and 20 zeros.
+ *   HDCP 2.x   cert_rx (522) + kprivrx (320, CRT form), optionally + lc128 (16).
+ *              cert_rx: Receiver ID (5) + kpubrx modulus (128) + exponent (3,
+ *              always 01 00 01) + reserved (2) + DCP LLC signature (384). The
+ *              Receiver ID follows the KSV rule.
+ *   Widevine   128-byte keybox: device ID (32) + device key (16) + key data (72)
+ *              + magic "kbox" (4) + CRC-32/MPEG-2 of the first 124 bytes (4 BE).
+ *   CI+        DER structures back to back (device / brand / root certificates,
+ *              private key); identity is the subject CN of the first certificate.
+ *   ESN        Printable ASCII string (trailing NUL / line breaks ignored).
+ *
+ * Works on Uint8Array so the Key Burn card can check a file before upload.
+ */
+
+import { FILE_TYPE } from './fileTransfer.js';
+import { decodeUtf8 } from './cvteProtocol.js';
+import { KeyFileError } from './protocolErrors.js';
+
+const HDCP14_KEYS_LENGTH = 40 * 7;
+const HDCP14_LAYOUTS = [
+  { size: 5 + HDCP14_KEYS_LENGTH, keysOffset: 5, name: 'KSV + private keys' },
+  { size: 8 + HDCP14_KEYS_LENGTH, keysOffset: 8, name: 'KSV + reserved + private keys' },
+];
+
+const CERT_RX_LENGTH = 522;
+const KPRIV_RX_LENGTH = 320;
+const LC128_LENGTH = 16;
+const KPUB_RX_EXPONENT_OFFSET = 5 + 128;
+const RSA_EXPONENT_65537 = [0x01, 0x00, 0x01];
+
+const KEYBOX_LENGTH = 128;
+const KEYBOX_MAGIC_OFFSET = 120;
+const KEYBOX_CRC_OFFSET = 124;
+
+/**
+ * Valid sizes of one key per FILE_TYPE with a fixed layout. Bundles of these
+ * types are split into records of one of these sizes; CI+ and ESN have none.
+ */
+export const KEY_RECORD_SIZES = {
+  [FILE_TYPE.HDCP_14]: HDCP14_LAYOUTS.map((l) => l.size),
+  [FILE_TYPE.HDCP_20]: [CERT_RX_LENGTH + KPRIV_RX_LENGTH, CERT_RX_LENGTH + KPRIV_RX_LENGTH + LC128_LENGTH],
+  [FILE_TYPE.HDCP_22]: [CERT_RX_LENGTH + KPRIV_RX_LENGTH, CERT_RX_LENGTH + KPRIV_RX_LENGTH + LC128_LENGTH],
+  [FILE_TYPE.WIDEVINE]: [KEYBOX_LENGTH],
+};
+
+const toHex = (bytes) => Array.from(bytes, (b) => b.toString(16).toUpperCase().padStart(2, '0')).join('');
+
+const countOnes = (bytes) => bytes.reduce((n, b) => {
+  let v = b;
+  while (v) {
+    n += v & 1;
+    v >>= 1;
+  }
+  return n;
+}, 0);
+
+const isFilled = (bytes, value) => bytes.every((b) => b === value);
+
+/**
+ * CRC-32/MPEG-2 (poly 0x04C11DB7, init 0xFFFFFFFF, not reflected), as used by Widevine keyboxes
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export const crc32Mpeg2 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (const b of bytes) {
+    crc ^= b << 24;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04C11DB7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+};
+
+// KSV / Receiver ID rule shared by HDCP 1.4 and 2.x
+const checkKsv = (ksv, label, problems) => {
+  const ones = countOnes(ksv);
+  if (ones !== 20) problems.push(`${label} has ${ones} one bits, expected 20`);
+};
+
+const validateHdcp14 = (data, problems) => {
+  const layout = HDCP14_LAYOUTS.find((l) => l.size === data.length);
+  if (!layout) {
+    problems.push(`HDCP 1.4 key must be ${HDCP14_LAYOUTS.map((l) => l.size).join(' or ')} bytes, got ${data.length}`);
+    return null;
+  }
+  const ksv = data.subarray(0, 5);
+  const keys = data.subarray(layout.keysOffset);
+  checkKsv(ksv, 'KSV', problems);
+  if (isFilled(keys, 0x00) || isFilled(keys, 0xFF)) problems.push('Private keys are blank');
+  return { format: `HDCP 1.4, ${layout.name} (${data.length} bytes)`, identity: { label: 'KSV', value: toHex(ksv) } };
+};
+
+const validateHdcp2 = (data, problems) => {
+  const sizes = KEY_RECORD_SIZES[FILE_TYPE.HDCP_22];
+  if (!sizes.includes(data.length)) {
+    problems.push(`HDCP 2.x receiver key must be ${sizes.join(' or ')} bytes (cert_rx + kprivrx [+ lc128]), got ${data.length}`);
+    return null;
+  }
+  const receiverId = data.subarray(0, 5);
+  checkKsv(receiverId, 'Receiver ID', problems);
+  const exponent = data.subarray(KPUB_RX_EXPONENT_OFFSET, KPUB_RX_EXPONENT_OFFSET + 3);
+  if (!RSA_EXPONENT_65537.every((b, i) => exponent[i] === b)) {
+    problems.push(`cert_rx public exponent is ${toHex(exponent)}, expected 010001`);
+  }
+  if (isFilled(data.subarray(CERT_RX_LENGTH, CERT_RX_LENGTH + KPRIV_RX_LENGTH), 0x00)) {
+    problems.push('Private key is blank');
+  }
+  const withLc = data.length > CERT_RX_LENGTH + KPRIV_RX_LENGTH ? ' + lc128' : '';
+  return { format: `HDCP 2.x receiver, cert_rx + kprivrx${withLc} (${data.length} bytes)`, identity: { label: 'Receiver ID', value: toHex(receiverId) } };
+};
+
+const validateWidevine = (data, problems) => {
+  if (data.length !== KEYBOX_LENGTH) {
+    problems.push(`Widevine keybox must be ${KEYBOX_LENGTH} bytes, got ${data.length}`);
+    return null;
+  }
+  const magic = String.fromCharCode(...data.subarray(KEYBOX_MAGIC_OFFSET, KEYBOX_MAGIC_OFFSET + 4));
+  if (magic !== 'kbox') problems.push(`Keybox magic is "${magic}", expected "kbox"`);
+  const stored = ((data[KEYBOX_CRC_OFFSET] << 24) | (data[KEYBOX_CRC_OFFSET + 1] << 16)
+    | (data[KEYBOX_CRC_OFFSET + 2] << 8) | data[KEYBOX_CRC_OFFSET + 3]) >>> 0;
+  const crc = crc32Mpeg2(data.subarray(0, KEYBOX_CRC_OFFSET));
+  if (stored !== crc) {
+    problems.push(`Keybox CRC is 0x${stored.toString(16).padStart(8, '0')}, computed 0x${crc.toString(16).padStart(8, '0')}`);
+  }
+  const idBytes = data.subarray(0, 32);
+  const end = idBytes.indexOf(0);
+  const deviceId = decodeUtf8(idBytes.subarray(0, end < 0 ? 32 : end));
+  if (!deviceId) problems.push('Keybox device ID is empty');
+  return { format: `Widevine keybox (${data.length} bytes)`, identity: { label: 'Device ID', value: deviceId } };
+};
+
+/**
+ * Read one DER element header
+ * @returns {{tag: number, start: number, end: number}|null} start/end of the content
+ */
+const readDer = (data, offset) => {
+  if (offset + 2 > data.length) return null;
+  const tag = data[offset];
+  let length = data[offset + 1];
+  let start = offset + 2;
+  if (length & 0x80) {
+    const count = length & 0x7F;
+    if (count === 0 || count > 3 || start + count > data.length) return null;
+    length = 0;
+    for (let i = 0; i < count; i++) length = (length << 8) | data[start + i];
+    start += count;
+  }
+  const end = start + length;
+  return end <= data.length ? { tag, start, end } : null;
+};
+
+const DER_SEQUENCE = 0x30;
+const OID_COMMON_NAME = [0x06, 0x03, 0x55, 0x04, 0x03];
+
+// Last commonName in a certificate: issuer comes before subject
+const findSubjectCn = (data, start, end) => {
+  let cn = null;
+  for (let i = start; i + OID_COMMON_NAME.length < end; i++) {
+    if (!OID_COMMON_NAME.every((b, j) => data[i + j] === b)) continue;
+    const value = readDer(data, i + OID_COMMON_NAME.length);
+    if (value && value.end <= end) cn = decodeUtf8(data.subarray(value.start, value.end));
+  }
+  return cn;
+};
+
+const validateCiPlus = (data, problems) => {
+  const elements = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const element = readDer(data, offset);
+    if (!element || element.tag !== DER_SEQUENCE) {
+      problems.push(`No valid DER structure at offset ${offset}`);
+      return null;
+    }
+    elements.push(element);
+    offset = element.end;
+  }
+  if (elements.length < 2) {
+    problems.push(`CI+ credentials need a certificate and a private key, found ${elements.length} DER structure(s)`);
+  }
+  const first = elements[0];
+  const cn = first ? findSubjectCn(data, first.start, first.end) : null;
+  if (!cn) problems.push('No subject common name in the device certificate');
+  return { format: `CI+ credentials, ${elements.length} DER structures (${data.length} bytes)`, identity: cn ? { label: 'Subject CN', value: cn } : null };
+};
+
+const validateEsn = (data, problems) => {
+  let end = data.length;
+  while (end > 0 && [0x00, 0x0A, 0x0D].includes(data[end - 1])) end--;
+  const esn = data.subarray(0, end);
+  if (esn.length === 0) {
+    problems.push('ESN is empty');
+    return null;
+  }
+  if (!esn.every((b) => b >= 0x20 && b < 0x7F)) problems.push('ESN contains non-printable characters');
+  return { format: `ESN (${esn.length} characters)`, identity: { label: 'ESN', value: String.fromCharCode(...esn) } };
+};
+
+const VALIDATORS = {
+  [FILE_TYPE.HDCP_14]: validateHdcp14,
+  [FILE_TYPE.HDCP_20]: validateHdcp2,
+  [FILE_TYPE.HDCP_22]: validateHdcp2,
+  [FILE_TYPE.WIDEVINE]: validateWidevine,
+  [FILE_TYPE.CI_PLUS]: validateCiPlus,
+  [FILE_TYPE.ESN]: validateEsn,
+};
+
+/**
+ * Validate a key file for its FILE_TYPE
+ * @param {number} fileType - FILE_TYPE value
+ * @param {Uint8Array|Buffer|number[]} data - File content
+ * @returns {{valid: boolean, problems: string[], format: string|null, identity: {label: string, value: string}|null}}
+ */
+export const validateKeyFile = (fileType, data) => {
+  const bytes = Uint8Array.from(data);
+  const problems = [];
+  const validator = VALIDATORS[fileType];
+  let info = null;
+  if (bytes.length === 0) {
+    problems.push('Key file is empty');
+  } else if (!validator) {
+    problems.push(`No key file format known for file type ${fileType}`);
+  } else {
+    info = validator(bytes, problems);
+  }
+  return {
+    valid: problems.length === 0,
+    problems,
+    format: info ? info.format : null,
+    identity: info ? info.identity : null,
+  };
+};
+
+/**
+ * Validate a key file and throw on any problem
+ * @param {number} fileType - FILE_TYPE value
+ * @param {Uint8Array|Buffer|number[]} data - File content
+ * @returns {object} validateKeyFile() result; throws KeyFileError when invalid
+ */
+export const checkKeyFile = (fileType, data) => {
+  const result = validateKeyFile(fileType, data);
+  if (!result.valid) {
+    throw new KeyFileError(`Invalid key file: ${result.problems.join('; ')}`, result.problems);
+  }
+  return result;
+};
+
+/**
+ * One-line description of the key identity, e.g. "KSV 8F1A2B3C4D"
+ * @param {object} result - validateKeyFile() result
+ * @returns {string}
+ */
+export const formatKeyIdentity = (result) => (
+  result.identity ? `${result.identity.label} ${result.identity.value}` : (result.format || 'unknown key')
+);
@@ -0,0 +1,364 @@
+/**
+ * Key Inventory (Node.js only)
+ * A named pool of keys of one type, imported from a directory of single key
+ * files or from a bundle, with a ledger of which device received which key.
+ * Shared by the CLI and the server, like the profile store.
+ *
+ *   <dir>/<name>/ledger.json    keys and their status
+ *   <dir>/<name>/keys/00001.bin one file per key
+ *
+ * Key status: unused -> reserved (drawn for a device, burn running or
+ * interrupted) -> consumed. A reservation is released only when no data packet
+ * reached the device; otherwise it stays with that device and the next draw for
+ * the same device returns it again. A key sent in full whose readback did not
+ * match is consumed with verification: 'mismatch' recorded.
+ *
+ * A key whose content or identity (KSV, Receiver ID, device ID, ...) is already
+ * in any inventory is refused on import, and a consumed one is refused on burn.
+ * Directory: $COMTEST_INVENTORY_DIR, or ~/.comtest/inventory.
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { FILE_TYPE_NAMES } from './fileTransfer.js';
+import { KEY_RECORD_SIZES, validateKeyFile, formatKeyIdentity } from './keyFile.js';
+import { ERROR_CODE, InvalidArgumentError, KeyFileError, KeyInventoryError } from './protocolErrors.js';
+import { withLock as withDirLock } from './fileLock.js';
+
+export const DEFAULT_INVENTORY_DIR = process.env.COMTEST_INVENTORY_DIR || path.join(os.homedir(), '.comtest', 'inventory');
+
+export const KEY_STATUS = {
+  UNUSED: 'unused',
+  RESERVED: 'reserved',
+  CONSUMED: 'consumed',
+};
+
+const INVENTORY_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const sameIdentity = (a, b) => Boolean(a && b && a.label === b.label && a.value === b.value);
+const keyFileName = (index) => `${String(index).padStart(5, '0')}.bin`;
+
+/**
+ * Check an inventory name (letters, digits, '.', '_' and '-')
+ * @param {string} name
+ * @returns {string} The name; throws InvalidArgumentError otherwise
+ */
+export const validateInventoryName = (name) => {
+  if (typeof name !== 'string' || !INVENTORY_NAME_PATTERN.test(name)) {
+    throw new InvalidArgumentError(`Invalid inventory name: ${name}. Use letters, digits, '.', '_' and '-'`);
+  }
+  return name;
+};
+
+const inventoryPath = (name, dir) => path.join(dir, validateInventoryName(name));
+const ledgerPath = (name, dir) => path.join(inventoryPath(name, dir), 'ledger.json');
+
+// The CLI and the server may draw from the same inventory
+const withLock = (dir, fn) => withDirLock(dir, fn, {
+  onTimeout: (lock) => new KeyInventoryError(`Key inventory is locked (${lock})`, ERROR_CODE.UNKNOWN),
+});
+
+const readLedger = async (name, dir) => {
+  try {
+    return JSON.parse(await fs.readFile(ledgerPath(name, dir), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new InvalidArgumentError(`Unknown key inventory: ${name}`);
+    throw err;
+  }
+};
+
+const writeLedger = async (ledger, dir) => {
+  const file = ledgerPath(ledger.name, dir);
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(ledger, null, 2)}\n`);
+  await fs.rename(tmp, file);
+};
+
+/**
+ * List inventory names
+ * @param {string} [dir] - Inventory directory
+ * @returns {Promise<string[]>} Sorted names (empty when the directory does not exist)
+ */
+export const listInventories = async (dir = DEFAULT_INVENTORY_DIR) => {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    return entries
+      .filter((e) => e.isDirectory() && INVENTORY_NAME_PATTERN.test(e.name))
+      .map((e) => e.name)
+      .sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+/**
+ * Load an inventory ledger
+ * @param {string} name - Inventory name
+ * @param {string} [dir] - Inventory directory
+ * @returns {Promise<object>} Ledger; throws InvalidArgumentError for unknown names
+ */
+export const loadInventory = (name, dir = DEFAULT_INVENTORY_DIR) => readLedger(name, dir);
+
+const loadAllLedgers = async (dir) => Promise.all((await listInventories(dir)).map((name) => readLedger(name, dir)));
+
+/**
+ * Key counts of a ledger
+ * @param {object} ledger - From loadInventory()
+ * @returns {{name: string, keyType: string, total: number, unused: number, reserved: number, consumed: number}}
+ */
+export const summarizeInventory = (ledger) => {
+  const count = (status) => ledger.keys.filter((k) => k.status === status).length;
+  return {
+    name: ledger.name,
+    keyType: ledger.keyType,
+    total: ledger.keys.length,
+    unused: count(KEY_STATUS.UNUSED),
+    reserved: count(KEY_STATUS.RESERVED),
+    consumed: count(KEY_STATUS.CONSUMED),
+  };
+};
+
+/**
+ * Split a bundle file into single keys
+ * Fixed-size types are cut into records (recordSize, or the one valid size that
+ * divides the file); ESN bundles hold one ESN per line.
+ * @param {number} fileType - FILE_TYPE value
+ * @param {Buffer} data - Bundle content
+ * @param {number} [recordSize] - Bytes per key
+ * @returns {Buffer[]}
+ */
+export const splitKeyBundle = (fileType, data, recordSize) => {
+  if (fileType === FILE_TYPE_NAMES.esn) {
+    return data.toString('latin1').split(/\r?\n/).map((line) => line.replace(/\0+$/, '').trim())
+      .filter((line) => line.length > 0)
+      .map((line) => Buffer.from(line, 'latin1'));
+  }
+  const sizes = KEY_RECORD_SIZES[fileType];
+  if (!sizes) {
+    throw new InvalidArgumentError('Keys of this type have no fixed size; import them from a directory with one file per key');
+  }
+  let size = recordSize;
+  if (!size) {
+    const fits = sizes.filter((s) => data.length % s === 0);
+    if (fits.length !== 1) {
+      throw new InvalidArgumentError(fits.length === 0
+        ? `Bundle of ${data.length} bytes is not a whole number of ${sizes.join(' or ')} byte keys`
+        : `Bundle of ${data.length} bytes fits ${fits.join(' and ')} byte keys; give the record size`);
+    }
+    [size] = fits;
+  } else if (data.length % size !== 0) {
+    throw new InvalidArgumentError(`Bundle of ${data.length} bytes is not a whole number of ${size} byte keys`);
+  }
+  const records = [];
+  for (let offset = 0; offset < data.length; offset += size) {
+    records.push(data.subarray(offset, offset + size));
+  }
+  return records;
+};
+
+// [{ source, data }] from a directory (one key per file, natural order) or a bundle file
+const readKeySource = async (fileType, source, recordSize) => {
+  const stat = await fs.stat(source).catch(() => null);
+  if (!stat) throw new InvalidArgumentError(`Not found: ${source}`);
+  if (stat.isDirectory()) {
+    const names = (await fs.readdir(source, { withFileTypes: true }))
+      .filter((e) => e.isFile() && !e.name.startsWith('.'))
+      .map((e) => e.name)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return Promise.all(names.map(async (name) => ({ source: name, data: await fs.readFile(path.join(source, name)) })));
+  }
+  const name = path.basename(source);
+  return splitKeyBundle(fileType, await fs.readFile(source), recordSize)
+    .map((data, i) => ({ source: `${name}#${i + 1}`, data }));
+};
+
+/**
+ * Import keys into an inventory (created on first import; later imports must be the same key type)
+ * Every key is validated for its type; nothing is imported when one is invalid
+ * or already known to any inventory.
+ * @param {string} name - Inventory name
+ * @param {string} keyType - FILE_TYPE_NAMES key ('hdcp14', 'widevine', ...)
+ * @param {string} source - Directory of key files or bundle file
+ * @param {object} [options] - { recordSize, dir }
+ * @returns {Promise<{summary: object, imported: number}>}
+ */
+export const importKeys = async (name, keyType, source, { recordSize, dir = DEFAULT_INVENTORY_DIR } = {}) => {
+  validateInventoryName(name);
+  const fileType = FILE_TYPE_NAMES[keyType];
+  if (fileType === undefined) {
+    throw new InvalidArgumentError(`Unknown key type: ${keyType}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`);
+  }
+  const records = await readKeySource(fileType, source, recordSize);
+  if (records.length === 0) throw new InvalidArgumentError(`No key files in ${source}`);
+
+  return withLock(dir, async () => {
+    const ledgers = await loadAllLedgers(dir);
+    let ledger = ledgers.find((l) => l.name === name);
+    if (ledger && ledger.keyType !== keyType) {
+      throw new InvalidArgumentError(`Inventory ${name} holds ${ledger.keyType} keys, not ${keyType}`);
+    }
+    if (!ledger) {
+      ledger = { name, keyType, fileType, createdAt: new Date().toISOString(), keys: [] };
+    }
+
+    const known = ledgers.filter((l) => l.name !== name).concat(ledger)
+      .flatMap((l) => l.keys.map((k) => ({ ...k, inventory: l.name })));
+    const problems = [];
+    const added = [];
+    for (const { source: from, data } of records) {
+      const check = validateKeyFile(fileType, data);
+      check.problems.forEach((problem) => problems.push(`${from}: ${problem}`));
+      const hash = sha256(data);
+      const duplicate = known.concat(added).find((k) => k.sha256 === hash || sameIdentity(k.identity, check.identity));
+      if (duplicate) {
+        problems.push(`${from}: ${check.identity ? formatKeyIdentity(check) : 'Key'} is already in ${duplicate.inventory ? `inventory ${duplicate.inventory} as key ${duplicate.index}` : duplicate.source}`);
+      }
+      added.push({ source: from, identity: check.identity, sha256: hash, data });
+    }
+    if (problems.length > 0) {
+      throw new KeyFileError(`Nothing imported: ${problems.length} problem(s) in ${source}`, problems);
+    }
+
+    const keysDir = path.join(inventoryPath(name, dir), 'keys');
+    await fs.mkdir(keysDir, { recursive: true });
+    let index = ledger.keys.reduce((max, k) => Math.max(max, k.index), 0);
+    for (const key of added) {
+      index++;
+      await fs.writeFile(path.join(keysDir, keyFileName(index)), key.data);
+      ledger.keys.push({
+        index,
+        file: keyFileName(index),
+        source: key.source,
+        identity: key.identity,
+        sha256: key.sha256,
+        status: KEY_STATUS.UNUSED,
+      });
+    }
+    await writeLedger(ledger, dir);
+    return { summary: summarizeInventory(ledger), imported: added.length };
+  });
+};
+
+const consumedMatch = (ledgers, hash, identity) => {
+  for (const ledger of ledgers) {
+    const key = ledger.keys.find((k) => k.status === KEY_STATUS.CONSUMED
+      && (k.sha256 === hash || sameIdentity(k.identity, identity)));
+    if (key) return { inventory: ledger.name, key };
+  }
+  return null;
+};
+
+const consumedError = ({ inventory, key }, identity) => new KeyInventoryError(
+  `${identity ? `${identity.label} ${identity.value}` : 'Key'} was already burned to device ${key.device} (inventory ${inventory}, key ${key.index}, ${key.consumedAt})`,
+  ERROR_CODE.KEY_CONSUMED,
+  { inventory, index: key.index, device: key.device },
+);
+
+/**
+ * Refuse a key file whose content or identity was already consumed from any inventory
+ * @param {number} fileType - FILE_TYPE value
+ * @param {Uint8Array|Buffer|number[]} data - Key file content
+ * @param {string} [dir] - Inventory directory
+ * @returns {Promise<void>} Throws KeyInventoryError (KEY_CONSUMED)
+ */
+export const assertKeyNotConsumed = async (fileType, data, dir = DEFAULT_INVENTORY_DIR) => {
+  const bytes = Uint8Array.from(data);
+  const { identity } = validateKeyFile(fileType, bytes);
+  const match = consumedMatch(await loadAllLedgers(dir), sha256(bytes), identity);
+  if (match) throw consumedError(match, identity);
+};
+
+/**
+ * Draw a key for a device: the key already reserved for this device, else the next unused one
+ * @param {string} name - Inventory name
+ * @param {string} device - Receiving device (MAC, DSN or barcode)
+ * @param {object} [options] - { keyType (must match the inventory), dir }
+ * @returns {Promise<{inventory: string, index: number, keyType: string, fileType: number,
+ *   identity: object|null, device: string, data: Buffer, remaining: number}>}
+ */
+export const allocateKey = async (name, device, { keyType, dir = DEFAULT_INVENTORY_DIR } = {}) => {
+  const deviceId = typeof device === 'string' ? device.trim() : '';
+  if (!deviceId) throw new InvalidArgumentError('A device ID (MAC, DSN or barcode) is required to draw a key');
+
+  return withLock(dir, async () => {
+    const ledgers = await loadAllLedgers(dir);
+    const ledger = ledgers.find((l) => l.name === validateInventoryName(name));
+    if (!ledger) throw new InvalidArgumentError(`Unknown key inventory: ${name}`);
+    if (keyType && ledger.keyType !== keyType) {
+      throw new InvalidArgumentError(`Inventory ${name} holds ${ledger.keyType} keys, not ${keyType}`);
+    }
+
+    const key = ledger.keys.find((k) => k.status === KEY_STATUS.RESERVED && k.device === deviceId)
+      || ledger.keys.find((k) => k.status === KEY_STATUS.UNUSED);
+    if (!key) {
+      throw new KeyInventoryError(`Key inventory ${name} has no unused ${ledger.keyType} key left`, ERROR_CODE.INVENTORY_EMPTY);
+    }
+    const data = await fs.readFile(path.join(inventoryPath(name, dir), 'keys', key.file));
+    if (sha256(data) !== key.sha256) {
+      throw new KeyInventoryError(`Key file ${key.file} of inventory ${name} has changed since import`, ERROR_CODE.INVALID_KEY_FILE);
+    }
+    const match = consumedMatch(ledgers, key.sha256, key.identity);
+    if (match) throw consumedError(match, key.identity);
+
+    if (key.status === KEY_STATUS.UNUSED) {
+      key.status = KEY_STATUS.RESERVED;
+      key.device = deviceId;
+      key.reservedAt = new Date().toISOString();
+      await writeLedger(ledger, dir);
+    }
+    return {
+      inventory: ledger.name,
+      index: key.index,
+      keyType: ledger.keyType,
+      fileType: ledger.fileType,
+      identity: key.identity,
+      device: deviceId,
+      data,
+      remaining: summarizeInventory(ledger).unused,
+    };
+  });
+};
+
+const updateKey = (name, index, dir, update) => withLock(dir, async () => {
+  const ledger = await readLedger(name, dir);
+  const key = ledger.keys.find((k) => k.index === Number(index));
+  if (!key) throw new InvalidArgumentError(`Inventory ${name} has no key ${index}`);
+  if (update(key)) await writeLedger(ledger, dir);
+  return key;
+});
+
+/**
+ * Record a reserved key as burned to its device
+ * @param {string} name - Inventory name
+ * @param {number} index - Key index from allocateKey()
+ * @param {object} [options] - { fileId, verification, dir }; verification: readback status (VERIFY_STATUS) when
+ *   the burn did not verify
+ * @returns {Promise<object>} Ledger entry
+ */
+export const consumeKey = (name, index, { fileId, verification, dir = DEFAULT_INVENTORY_DIR } = {}) => updateKey(name, index, dir, (key) => {
+  if (key.status !== KEY_STATUS.RESERVED) return false;
+  key.status = KEY_STATUS.CONSUMED;
+  key.consumedAt = new Date().toISOString();
+  if (fileId !== undefined) key.fileId = fileId;
+  if (verification !== undefined) key.verification = verification;
+  return true;
+});
+
+/**
+ * Return a reserved key to the unused pool (consumed keys stay consumed)
+ * @param {string} name - Inventory name
+ * @param {number} index - Key index
+ * @param {object} [options] - { dir }
+ * @returns {Promise<object>} Ledger entry
+ */
+export const releaseKey = (name, index, { dir = DEFAULT_INVENTORY_DIR } = {}) => updateKey(name, index, dir, (key) => {
+  if (key.status !== KEY_STATUS.RESERVED) return false;
+  key.status = KEY_STATUS.UNUSED;
+  delete key.device;
+  delete key.reservedAt;
+  return true;
+});
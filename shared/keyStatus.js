@@ -0,0 +1,87 @@
+/**
+ * Key Status
+ * Reads GET_FILE_ID for every key slot of a device, so all burned keys can be
+ * shown at once. A slot is burned when the device returns a non-zero file ID,
+ * empty for 0, unsupported when the type byte is NAKed; timeouts and corrupted
+ * replies count as no response.
+ */
+
+import { PROTOCOL, hexToPacket } from './cvteProtocol.js';
+import { getCommandSchema, buildRequest, parseResponse } from './commandSchema.js';
+import { FILE_TYPE_NAMES, FILE_TYPE_LABELS } from './fileTransfer.js';
+import { ERROR_CODE, InvalidArgumentError, errorCodeOf } from './protocolErrors.js';
+
+export const KEY_SLOT_STATUS = {
+  BURNED: 'burned',
+  EMPTY: 'empty',
+  UNSUPPORTED: 'unsupported',    // GET_FILE_ID or the type byte NAKed
+  NO_RESPONSE: 'no-response',
+};
+
+/**
+ * Resolve a key slot given as FILE_TYPE_NAMES key ('widevine') or type byte (0-255)
+ * @param {string|number} slot
+ * @returns {{keyType: string|null, fileType: number, label: string}}
+ */
+export const resolveKeySlot = (slot) => {
+  const text = String(slot).trim().toLowerCase();
+  let fileType = FILE_TYPE_NAMES[text];
+  if (fileType === undefined) {
+    fileType = /^(0x[0-9a-f]{1,2}|\d{1,3})$/.test(text) ? Number(text) : NaN;
+    if (!(fileType >= 0 && fileType <= 0xFF)) {
+      throw new InvalidArgumentError(`Unknown key type: ${slot}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')} or a type byte 0-255`);
+    }
+  }
+  const keyType = Object.keys(FILE_TYPE_NAMES).find((name) => FILE_TYPE_NAMES[name] === fileType) || null;
+  return { keyType, fileType, label: FILE_TYPE_LABELS[fileType] || `Type 0x${fileType.toString(16).toUpperCase().padStart(2, '0')}` };
+};
+
+/**
+ * Read the key ID of several key slots
+ *
+ * @param {(packet: number[], options: object) => Promise<Uint8Array>} request - Sends a packet through the
+ *   port's transaction queue (TransactionQueue.request / SerialClient.request)
+ * @param {object} [options]
+ * @param {Array<string|number>} [options.slots] - Key type names or type bytes (default: every FILE_TYPE)
+ * @param {number} [options.timeout] - Timeout per slot in milliseconds
+ * @param {AbortSignal} [options.signal] - Abort signal
+ * @param {(progress: {done: number, total: number, slot: object}) => void} [options.onProgress]
+ * @returns {Promise<Array<{keyType: string|null, fileType: number, label: string, status: string,
+ *   fileId: number|null, keyName: string}>>} One entry per slot, in request order
+ */
+export const readKeyStatus = async (request, { slots = Object.keys(FILE_TYPE_NAMES), timeout, signal = null, onProgress = null } = {}) => {
+  const entry = getCommandSchema('getKeyId');
+  const resolved = slots.map(resolveKeySlot);
+  const result = [];
+
+  for (const slot of resolved) {
+    let status;
+    let fileId = null;
+    try {
+      const frame = await request(hexToPacket(buildRequest('getKeyId', slot.fileType)), {
+        expect: { cmd: entry.response.cmd },
+        timeout: timeout ?? entry.timeout,
+        signal,
+      });
+      if (frame[4] === PROTOCOL.CMD.ACK) {
+        status = KEY_SLOT_STATUS.UNSUPPORTED;
+      } else {
+        const parsed = parseResponse('getKeyId', frame);
+        if (parsed.success) {
+          fileId = parsed.fileId;
+          status = fileId === 0 ? KEY_SLOT_STATUS.EMPTY : KEY_SLOT_STATUS.BURNED;
+        } else {
+          status = KEY_SLOT_STATUS.NO_RESPONSE;
+        }
+      }
+    } catch (err) {
+      const code = errorCodeOf(err);
+      if (code !== ERROR_CODE.TIMEOUT && code !== ERROR_CODE.FRAMING) throw err;
+      status = KEY_SLOT_STATUS.NO_RESPONSE;
+    }
+    const entryResult = { ...slot, status, fileId, keyName: fileId ? fileId.toString() : '' };
+    result.push(entryResult);
+    if (onProgress) onProgress({ done: result.length, total: resolved.length, slot: entryResult });
+  }
+  return result;
+};
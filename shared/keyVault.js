@@ -0,0 +1,259 @@
+/**
+ * Key Vault (Node.js only)
+ * Keys stored encrypted under an operator passphrase, so no plain key file has
+ * to stay on the station PC or pass through the browser. Shared by the CLI and
+ * the server, like the key inventory.
+ *
+ *   <dir>/vault.json       KDF parameters, passphrase check and key list (no key bytes)
+ *   <dir>/keys/<name>.key  IV (12) | GCM tag (16) | AES-256-GCM ciphertext
+ *
+ * The passphrase is stretched with scrypt; the derived key lives only in the
+ * unlocked vault object until lockVault() zeroes it. readVaultKey() decrypts
+ * one key into a Buffer that the caller zeroes (zeroize()) after the burn.
+ * Name and key type are bound to the ciphertext, so entries cannot be swapped.
+ * Directory: $COMTEST_VAULT_DIR, or ~/.comtest/vault.
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import { FILE_TYPE_NAMES } from './fileTransfer.js';
+import { checkKeyFile, formatKeyIdentity } from './keyFile.js';
+import { ERROR_CODE, InvalidArgumentError, KeyFileError, KeyVaultError } from './protocolErrors.js';
+
+export const DEFAULT_VAULT_DIR = process.env.COMTEST_VAULT_DIR || path.join(os.homedir(), '.comtest', 'vault');
+
+const VAULT_VERSION = 1;
+const KEY_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const MIN_PASSPHRASE_LENGTH = 8;
+// scrypt cost: N = 2^15 takes ~32 MB and well under a second per unlock
+const KDF = { name: 'scrypt', N: 32768, r: 8, p: 1, keyLength: 32 };
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const CHECK_TEXT = 'comtest-vault';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const sameIdentity = (a, b) => Boolean(a && b && a.label === b.label && a.value === b.value);
+const indexPath = (dir) => path.join(dir, 'vault.json');
+const keyPath = (dir, name) => path.join(dir, 'keys', `${validateVaultKeyName(name)}.key`);
+
+/**
+ * Overwrite buffers holding key material with zeros
+ * @param {...(Uint8Array|null|undefined)} buffers
+ */
+export const zeroize = (...buffers) => {
+  buffers.forEach((buffer) => { if (buffer) buffer.fill(0); });
+};
+
+/**
+ * Check a vault key name (letters, digits, '.', '_' and '-')
+ * @param {string} name
+ * @returns {string} The name; throws InvalidArgumentError otherwise
+ */
+export const validateVaultKeyName = (name) => {
+  if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) {
+    throw new InvalidArgumentError(`Invalid vault key name: ${name}. Use letters, digits, '.', '_' and '-'`);
+  }
+  return name;
+};
+
+const deriveKey = (passphrase, kdf) => new Promise((resolve, reject) => {
+  crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.keyLength,
+    { N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 128 * kdf.N * kdf.r * 2 },
+    (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const seal = (key, data, aad) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+// Decrypted content, or null when the key or the ciphertext is wrong
+const open = (key, sealed, aad) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  try {
+    return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  } catch {
+    return null;
+  }
+};
+
+const readIndex = async (dir) => {
+  try {
+    return JSON.parse(await fs.readFile(indexPath(dir), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new InvalidArgumentError(`No key vault in ${dir}; create one with 'vault init'`);
+    throw err;
+  }
+};
+
+const writeIndex = async (index, dir) => {
+  const file = indexPath(dir);
+  const tmp = `${file}.tmp`;
+  await fs.writeFile(tmp, `${JSON.stringify(index, null, 2)}\n`, { mode: 0o600 });
+  await fs.rename(tmp, file);
+};
+
+const assertUnlocked = (vault) => {
+  if (!vault || !vault.key) throw new KeyVaultError('Key vault is locked');
+};
+
+/**
+ * Whether a vault exists
+ * @param {string} [dir] - Vault directory
+ * @returns {Promise<boolean>}
+ */
+export const vaultExists = async (dir = DEFAULT_VAULT_DIR) => Boolean(await fs.stat(indexPath(dir)).catch(() => null));
+
+/**
+ * Create an empty vault
+ * @param {string} passphrase - Operator passphrase (at least 8 characters)
+ * @param {object} [options] - { dir }
+ * @returns {Promise<{dir: string, key: Buffer}>} The vault, unlocked
+ */
+export const createVault = async (passphrase, { dir = DEFAULT_VAULT_DIR } = {}) => {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new InvalidArgumentError(`The vault passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  if (await vaultExists(dir)) throw new InvalidArgumentError(`A key vault already exists in ${dir}`);
+
+  const kdf = { ...KDF, salt: crypto.randomBytes(16).toString('base64') };
+  const key = await deriveKey(passphrase, kdf);
+  await fs.mkdir(path.join(dir, 'keys'), { recursive: true, mode: 0o700 });
+  await writeIndex({
+    version: VAULT_VERSION,
+    kdf,
+    check: seal(key, Buffer.from(CHECK_TEXT), 'check').toString('base64'),
+    createdAt: new Date().toISOString(),
+    keys: [],
+  }, dir);
+  return { dir, key };
+};
+
+/**
+ * Unlock a vault with its passphrase
+ * @param {string} passphrase - Operator passphrase
+ * @param {object} [options] - { dir }
+ * @returns {Promise<{dir: string, key: Buffer}>} Throws KeyVaultError (VAULT_LOCKED) for a wrong passphrase
+ */
+export const unlockVault = async (passphrase, { dir = DEFAULT_VAULT_DIR } = {}) => {
+  const index = await readIndex(dir);
+  const key = await deriveKey(String(passphrase ?? ''), index.kdf);
+  const check = open(key, Buffer.from(index.check, 'base64'), 'check');
+  if (!check || check.toString() !== CHECK_TEXT) {
+    zeroize(key);
+    throw new KeyVaultError('Wrong vault passphrase');
+  }
+  return { dir, key };
+};
+
+/**
+ * Forget the derived key of an unlocked vault
+ * @param {{key: Buffer|null}|null} vault - From unlockVault() or createVault()
+ */
+export const lockVault = (vault) => {
+  if (!vault) return;
+  zeroize(vault.key);
+  vault.key = null;
+};
+
+/**
+ * Keys in a vault (metadata only; no passphrase needed)
+ * @param {string} [dir] - Vault directory
+ * @returns {Promise<Array<{name: string, keyType: string, fileType: number, identity: object|null,
+ *   size: number, sha256: string, importedAt: string}>>}
+ */
+export const listVaultKeys = async (dir = DEFAULT_VAULT_DIR) => (await readIndex(dir)).keys;
+
+/**
+ * Encrypt a key into the vault
+ * The key is validated for its type; a name, content or identity already in the vault is refused.
+ * @param {{dir: string, key: Buffer}} vault - Unlocked vault
+ * @param {string} name - Vault key name
+ * @param {string} keyType - FILE_TYPE_NAMES key ('hdcp14', 'widevine', ...)
+ * @param {Uint8Array|Buffer} data - Key file content (left untouched; zero it when done)
+ * @returns {Promise<object>} Vault entry (see listVaultKeys)
+ */
+export const importVaultKey = async (vault, name, keyType, data) => {
+  assertUnlocked(vault);
+  validateVaultKeyName(name);
+  const fileType = FILE_TYPE_NAMES[keyType];
+  if (fileType === undefined) {
+    throw new InvalidArgumentError(`Unknown key type: ${keyType}. Valid: ${Object.keys(FILE_TYPE_NAMES).join(', ')}`);
+  }
+
+  const bytes = Buffer.from(data);
+  try {
+    const check = checkKeyFile(fileType, bytes);
+
+    const index = await readIndex(vault.dir);
+    if (index.keys.some((k) => k.name === name)) throw new InvalidArgumentError(`Vault key ${name} already exists`);
+    const hash = sha256(bytes);
+    const duplicate = index.keys.find((k) => k.sha256 === hash || sameIdentity(k.identity, check.identity));
+    if (duplicate) {
+      const problem = `${check.identity ? formatKeyIdentity(check) : 'Key'} is already in the vault as ${duplicate.name}`;
+      throw new KeyFileError(problem, [problem]);
+    }
+
+    await fs.writeFile(keyPath(vault.dir, name), seal(vault.key, bytes, `${name}\0${keyType}`), { mode: 0o600 });
+    const entry = {
+      name,
+      keyType,
+      fileType,
+      identity: check.identity,
+      size: bytes.length,
+      sha256: hash,
+      importedAt: new Date().toISOString(),
+    };
+    index.keys.push(entry);
+    await writeIndex(index, vault.dir);
+    return entry;
+  } finally {
+    zeroize(bytes);
+  }
+};
+
+/**
+ * Decrypt one key into memory
+ * @param {{dir: string, key: Buffer}} vault - Unlocked vault
+ * @param {string} name - Vault key name
+ * @param {object} [options] - { keyType (must match the entry) }
+ * @returns {Promise<object>} Vault entry plus data (Buffer); zeroize(data) once it is no longer needed
+ */
+export const readVaultKey = async (vault, name, { keyType } = {}) => {
+  assertUnlocked(vault);
+  const entry = (await readIndex(vault.dir)).keys.find((k) => k.name === validateVaultKeyName(name));
+  if (!entry) throw new InvalidArgumentError(`Unknown vault key: ${name}`);
+  if (keyType && entry.keyType !== keyType) {
+    throw new InvalidArgumentError(`Vault key ${name} is a ${entry.keyType} key, not ${keyType}`);
+  }
+  const sealed = await fs.readFile(keyPath(vault.dir, name));
+  const data = open(vault.key, sealed, `${name}\0${entry.keyType}`);
+  if (!data || sha256(data) !== entry.sha256) {
+    zeroize(data);
+    throw new KeyVaultError(`Vault key ${name} does not decrypt to the imported key`, ERROR_CODE.INVALID_KEY_FILE);
+  }
+  return { ...entry, data };
+};
+
+/**
+ * Delete a key from the vault
+ * @param {string} name - Vault key name
+ * @param {object} [options] - { dir }
+ * @returns {Promise<object>} The removed entry
+ */
+export const removeVaultKey = async (name, { dir = DEFAULT_VAULT_DIR } = {}) => {
+  const index = await readIndex(dir);
+  const entry = index.keys.find((k) => k.name === validateVaultKeyName(name));
+  if (!entry) throw new InvalidArgumentError(`Unknown vault key: ${name}`);
+  index.keys = index.keys.filter((k) => k !== entry);
+  await writeIndex(index, dir);
+  await fs.rm(keyPath(dir, name), { force: true });
+  return entry;
+};
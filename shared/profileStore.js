@@ -0,0 +1,59 @@
+/**
+ * Device Profile Store (Node.js only)
+ * Profiles are JSON files named <profile>.json in one directory, shared by the
+ * CLI and the server so a model probed with one can be used from the other.
+ * Directory: $COMTEST_PROFILE_DIR, or ~/.comtest/profiles.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { validateProfileName } from './deviceProfile.js';
+import { InvalidArgumentError } from './protocolErrors.js';
+
+export const DEFAULT_PROFILE_DIR = process.env.COMTEST_PROFILE_DIR || path.join(os.homedir(), '.comtest', 'profiles');
+
+const profilePath = (name, dir) => path.join(dir, `${validateProfileName(name)}.json`);
+
+/**
+ * List saved profile names
+ * @param {string} [dir] - Profile directory
+ * @returns {Promise<string[]>} Sorted names (empty when the directory does not exist)
+ */
+export const listProfiles = async (dir = DEFAULT_PROFILE_DIR) => {
+  try {
+    const files = await fs.readdir(dir);
+    return files.filter((f) => f.endsWith('.json')).map((f) => f.slice(0, -5)).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+/**
+ * Load a profile by name
+ * @param {string} name - Profile name
+ * @param {string} [dir] - Profile directory
+ * @returns {Promise<object>} Profile; throws InvalidArgumentError for unknown names
+ */
+export const loadProfile = async (name, dir = DEFAULT_PROFILE_DIR) => {
+  try {
+    return JSON.parse(await fs.readFile(profilePath(name, dir), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new InvalidArgumentError(`Unknown device profile: ${name}`);
+    throw err;
+  }
+};
+
+/**
+ * Save a profile under its name (overwrites)
+ * @param {object} profile - Profile from createProfile()
+ * @param {string} [dir] - Profile directory
+ * @returns {Promise<string>} File path
+ */
+export const saveProfile = async (profile, dir = DEFAULT_PROFILE_DIR) => {
+  const file = profilePath(profile.name, dir);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(profile, null, 2)}\n`);
+  return file;
+};
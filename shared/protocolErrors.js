@@ -0,0 +1,192 @@
+/**
+ * CVTE Protocol Errors
+ * Every failure carries a stable machine-readable `code` (ERROR_CODE). The CLI
+ * --json output and the Socket.IO result events pass it through unchanged, so
+ * scripts can branch on the code instead of parsing messages.
+ */
+
+export const ERROR_CODE = {
+  TIMEOUT: 'TIMEOUT',                          // No response in time
+  FRAMING: 'FRAMING',                          // Bad header, length or checksum
+  NAK_UNKNOWN_COMMAND: 'NAK_UNKNOWN_COMMAND',  // ACK error 0x01
+  NAK_PARAMETER_ERROR: 'NAK_PARAMETER_ERROR',  // ACK error 0x02
+  NAK: 'NAK',                                  // ACK error code not in the spec
+  UNEXPECTED_RESPONSE: 'UNEXPECTED_RESPONSE',  // Valid frame, but not the answer to the request
+  FILE_ALREADY_EXISTS: 'FILE_ALREADY_EXISTS',  // FILE_STATUS.ALREADY_EXIST
+  FILE_REJECTED: 'FILE_REJECTED',              // FILE_STATUS.REJECTED
+  CRC_ERROR: 'CRC_ERROR',                      // BURN_STATUS.CRC_ERROR
+  VERIFY_MISMATCH: 'VERIFY_MISMATCH',          // GET_FILE_ID after the burn does not return the burned file ID
+  FLASH_WRITE_ERROR: 'FLASH_WRITE_ERROR',      // BURN_STATUS.FLASH_ERROR
+  DEVICE_STATUS: 'DEVICE_STATUS',              // Other non-OK status byte in a RET packet
+  INVALID_ARGUMENT: 'INVALID_ARGUMENT',        // Request could not be built from the given values
+  INVALID_KEY_FILE: 'INVALID_KEY_FILE',        // Key file does not match the format of its key type
+  KEY_CONSUMED: 'KEY_CONSUMED',                // Key (or its KSV / identity) was already burned to a device
+  INVENTORY_EMPTY: 'INVENTORY_EMPTY',          // Key inventory has no unused key left
+  VAULT_LOCKED: 'VAULT_LOCKED',                // Key vault not unlocked, or wrong passphrase
+  UNSUPPORTED: 'UNSUPPORTED',                  // Not supported according to the device profile
+  PORT_CLOSED: 'PORT_CLOSED',
+  PORT_ERROR: 'PORT_ERROR',                    // Open/write failure reported by the serial port
+  PORT_OWNED: 'PORT_OWNED',                    // Port is controlled by another client (observers are read-only)
+  BURN_IN_PROGRESS: 'BURN_IN_PROGRESS',        // The port's key burn is still running
+  ABORTED: 'ABORTED',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// ACK error byte ([5] of an ACK packet)
+export const ACK_ERROR = {
+  OK: 0x00,
+  UNKNOWN_COMMAND: 0x01,
+  PARAMETER_ERROR: 0x02,
+};
+
+export const ACK_ERROR_NAMES = {
+  [ACK_ERROR.UNKNOWN_COMMAND]: 'unknown command',
+  [ACK_ERROR.PARAMETER_ERROR]: 'parameter error',
+};
+
+const KNOWN_CODES = new Set(Object.values(ERROR_CODE));
+
+const hex = (value) => `0x${value.toString(16).toUpperCase().padStart(2, '0')}`;
+
+/**
+ * Base class: message plus stable code and structured details
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string} [code] - ERROR_CODE value
+   * @param {object} [details] - Extra fields for JSON output
+   */
+  constructor(message, code = ERROR_CODE.UNKNOWN, details = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, ...this.details };
+  }
+}
+
+export class TimeoutError extends ProtocolError {
+  /**
+   * @param {number} timeout - Timeout that expired, in milliseconds
+   */
+  constructor(timeout) {
+    super(`Response timeout (${timeout}ms)`, ERROR_CODE.TIMEOUT, { timeout });
+    this.name = 'TimeoutError';
+  }
+}
+
+export class FramingError extends ProtocolError {
+  constructor(message, details = {}) {
+    super(message, ERROR_CODE.FRAMING, details);
+    this.name = 'FramingError';
+  }
+}
+
+export class NakError extends ProtocolError {
+  /**
+   * @param {number} errorCode - ACK error byte
+   * @param {number} ackedCmd - Command ID the device rejected
+   */
+  constructor(errorCode, ackedCmd) {
+    const reason = ACK_ERROR_NAMES[errorCode] || `error code ${errorCode}`;
+    const code = errorCode === ACK_ERROR.UNKNOWN_COMMAND ? ERROR_CODE.NAK_UNKNOWN_COMMAND
+      : errorCode === ACK_ERROR.PARAMETER_ERROR ? ERROR_CODE.NAK_PARAMETER_ERROR
+      : ERROR_CODE.NAK;
+    super(`Device rejected command ${hex(ackedCmd)}: ${reason}`, code, { ackError: errorCode, ackedCmd });
+    this.name = 'NakError';
+    this.ackError = errorCode;
+    this.ackedCmd = ackedCmd;
+  }
+}
+
+export class UnexpectedResponseError extends ProtocolError {
+  constructor(message, details = {}) {
+    super(message, ERROR_CODE.UNEXPECTED_RESPONSE, details);
+    this.name = 'UnexpectedResponseError';
+  }
+}
+
+export class DeviceStatusError extends ProtocolError {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string} code - ERROR_CODE value for this status
+   * @param {number} status - Status byte reported by the device
+   */
+  constructor(message, code, status) {
+    super(message, code, { status });
+    this.name = 'DeviceStatusError';
+    this.status = status;
+  }
+}
+
+export class PortError extends ProtocolError {
+  constructor(message, code = ERROR_CODE.PORT_ERROR) {
+    super(message, code);
+    this.name = 'PortError';
+  }
+}
+
+export class AbortedError extends ProtocolError {
+  constructor() {
+    super('Aborted', ERROR_CODE.ABORTED);
+    this.name = 'AbortedError';
+  }
+}
+
+export class InvalidArgumentError extends ProtocolError {
+  constructor(message) {
+    super(message, ERROR_CODE.INVALID_ARGUMENT);
+    this.name = 'InvalidArgumentError';
+  }
+}
+
+export class KeyFileError extends ProtocolError {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {string[]} problems - Every check the file failed
+   */
+  constructor(message, problems = []) {
+    super(message, ERROR_CODE.INVALID_KEY_FILE, { problems });
+    this.name = 'KeyFileError';
+    this.problems = problems;
+  }
+}
+
+export class KeyInventoryError extends ProtocolError {
+  constructor(message, code, details = {}) {
+    super(message, code, details);
+    this.name = 'KeyInventoryError';
+  }
+}
+
+export class KeyVaultError extends ProtocolError {
+  constructor(message, code = ERROR_CODE.VAULT_LOCKED) {
+    super(message, code);
+    this.name = 'KeyVaultError';
+  }
+}
+
+/**
+ * Stable code of any error (UNKNOWN for errors outside this hierarchy)
+ * @param {Error} err - Any error
+ * @returns {string} ERROR_CODE value
+ */
+export const errorCodeOf = (err) => (err && KNOWN_CODES.has(err.code) ? err.code : ERROR_CODE.UNKNOWN);
+
+/**
+ * Failure fields for result objects and events: { error, code }
+ * @param {Error} err - Any error
+ * @returns {{error: string, code: string}}
+ */
+export const errorFields = (err) => ({ error: err.message, code: errorCodeOf(err) });
+
+/**
+ * Failed result in the { success, error, code } shape used by the CLI and Socket.IO events
+ * @param {Error} err - Any error
+ * @returns {{success: false, error: string, code: string}}
+ */
+export const toErrorResult = (err) => ({ success: false, ...errorFields(err) });
@@ -0,0 +1,237 @@
+/**
+ * CVTE Serial Transaction Queue
+ * Shared by the server (one queue per open port) and the CLI SerialClient.
+ *
+ * Requests are sent one at a time. Each request waits for its own response:
+ * a RET packet with the expected command ID, or an ACK whose acknowledged
+ * command ID is the request's command (a NAK always ends the wait; a plain
+ * ACK only when no RET packet is expected). Busy heartbeat ACKs (pocket index
+ * 0xBBBBBBBB) restart the timeout instead of ending the wait. Frames that do
+ * not belong to the request in flight are handed to onUnsolicited.
+ */
+
+import { PROTOCOL, FrameDecoder, FRAME_ERROR } from './cvteProtocol.js';
+import { ERROR_CODE, TimeoutError, FramingError, PortError, AbortedError } from './protocolErrors.js';
+
+// Pocket index carried by the ACK a busy device sends while it keeps working
+export const HEARTBEAT_POCKET_INDEX = 0xBBBBBBBB;
+
+/**
+ * Read the pocket index of an ACK frame ([7..10], big-endian)
+ * @param {Uint8Array} frame - Complete ACK frame
+ * @returns {number|null} Pocket index, or null if the frame is not an ACK
+ */
+export const getAckPocketIndex = (frame) => {
+  if (frame.length < 11 || frame[4] !== PROTOCOL.CMD.ACK) return null;
+  return ((frame[7] << 24) | (frame[8] << 16) | (frame[9] << 8) | frame[10]) >>> 0;
+};
+
+/**
+ * Check whether a frame is a busy heartbeat ACK
+ * @param {Uint8Array} frame - Complete frame
+ * @returns {boolean}
+ */
+export const isHeartbeatAck = (frame) => getAckPocketIndex(frame) === HEARTBEAT_POCKET_INDEX;
+
+export class TransactionQueue {
+  /**
+   * @param {object} options
+   * @param {(bytes: Uint8Array) => Promise<void>|void} options.write - Writes bytes to the port
+   * @param {(frame: Uint8Array) => void} [options.onUnsolicited] - Frames no request was waiting for
+   * @param {(error: {type: string, message: string, bytes: Uint8Array}) => void} [options.onFramingError] - Decoder errors
+   */
+  constructor({ write, onUnsolicited = null, onFramingError = null }) {
+    this.writeFn = write;
+    this.onUnsolicited = onUnsolicited;
+    this.onFramingError = onFramingError;
+    this.decoder = new FrameDecoder({ onError: (err) => this._onDecoderError(err) });
+    this.queue = [];
+    this.current = null;
+    this.closed = false;
+  }
+
+  /**
+   * Number of requests waiting or in flight
+   * @returns {number}
+   */
+  get pending() {
+    return this.queue.length + (this.current ? 1 : 0);
+  }
+
+  /**
+   * Queue a request and wait for its response
+   *
+   * @param {number[]|Uint8Array} packet - Complete packet to send (copied; the copy is zeroed once the
+   *   request settles, as data packets carry key bytes)
+   * @param {object} [options]
+   * @param {object|null} [options.expect] - Response match, or null to only write the packet:
+   *   cmd - RET command ID that completes the request (null: ACK only);
+   *   ack - whether a successful ACK of the request command completes it
+   *         (default: only when no RET command is expected);
+   *   protocol - protocol type of the response (default: the request's);
+   *   more - (frame) => true while further RET frames belong to this request (multi-frame
+   *          responses); the port stays reserved and each frame restarts the timeout
+   * @param {number} [options.timeout] - Timeout per attempt in milliseconds
+   * @param {number} [options.retries] - Resends after a timeout or corrupted response
+   * @param {AbortSignal} [options.signal] - Abort signal (rejects with AbortedError)
+   * @returns {Promise<Uint8Array|null>} Response frame (null for write-only requests); rejects with a
+   *   TimeoutError, FramingError, PortError or AbortedError
+   */
+  request(packet, { expect = {}, timeout = 3000, retries = 0, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) return reject(new PortError('Port closed', ERROR_CODE.PORT_CLOSED));
+      if (signal && signal.aborted) return reject(new AbortedError());
+
+      const bytes = Uint8Array.from(packet);
+      const tx = {
+        packet: bytes,
+        expect: expect && {
+          cmd: expect.cmd ?? null,
+          ack: expect.ack ?? (expect.cmd == null),
+          protocol: expect.protocol ?? bytes[3],
+          more: expect.more ?? null,
+          requestCmd: bytes[4],
+        },
+        timeout,
+        attemptsLeft: retries,
+        signal,
+        timer: null,
+        resolve,
+        reject,
+      };
+      if (signal) {
+        tx.onAbort = () => this._fail(tx, new AbortedError());
+        signal.addEventListener('abort', tx.onAbort);
+      }
+      this.queue.push(tx);
+      this._pump();
+    });
+  }
+
+  /**
+   * Queue raw bytes (e.g. terminal input) without waiting for a response
+   * @param {number[]|Uint8Array} bytes - Bytes to write
+   * @returns {Promise<null>}
+   */
+  write(bytes) {
+    return this.request(bytes, { expect: null });
+  }
+
+  /**
+   * Feed received bytes from the port
+   * @param {ArrayBuffer|Uint8Array|Buffer} chunk - Received bytes
+   */
+  push(chunk) {
+    for (const frame of this.decoder.push(chunk)) {
+      this._onFrame(frame);
+    }
+  }
+
+  /**
+   * Reject every queued and in-flight request; the queue accepts no new requests
+   * @param {string} [reason] - Error message for the rejected requests
+   */
+  close(reason = 'Port closed') {
+    this.closed = true;
+    const waiting = this.current ? [this.current, ...this.queue] : [...this.queue];
+    waiting.forEach((tx) => this._fail(tx, new PortError(reason, ERROR_CODE.PORT_CLOSED)));
+  }
+
+  _pump() {
+    if (this.current || this.queue.length === 0) return;
+    this.current = this.queue.shift();
+    this._send(this.current);
+  }
+
+  async _send(tx) {
+    try {
+      await this.writeFn(tx.packet);
+    } catch (err) {
+      this._fail(tx, err instanceof PortError ? err : new PortError(err.message));
+      return;
+    }
+    if (tx !== this.current) return;  // Aborted while writing
+    if (!tx.expect) {
+      this._finish(tx, null);
+      return;
+    }
+    this._armTimer(tx);
+  }
+
+  _armTimer(tx) {
+    clearTimeout(tx.timer);
+    tx.timer = setTimeout(() => this._retryOrFail(tx, new TimeoutError(tx.timeout)), tx.timeout);
+  }
+
+  _retryOrFail(tx, err) {
+    if (tx !== this.current) return;
+    if (tx.attemptsLeft > 0) {
+      tx.attemptsLeft--;
+      clearTimeout(tx.timer);
+      this._send(tx);
+      return;
+    }
+    this._fail(tx, err);
+  }
+
+  _onFrame(frame) {
+    const tx = this.current;
+    if (!tx || !tx.expect || frame[3] !== tx.expect.protocol) {
+      if (this.onUnsolicited) this.onUnsolicited(frame);
+      return;
+    }
+
+    const { cmd, ack, requestCmd } = tx.expect;
+    if (frame[4] === PROTOCOL.CMD.ACK) {
+      if (isHeartbeatAck(frame)) {
+        // Device is busy with our request: keep waiting
+        this._armTimer(tx);
+        return;
+      }
+      // A NAK always completes the request; a plain ACK only when it is the expected response
+      if (frame[6] === requestCmd && (frame[5] !== 0 || ack)) {
+        this._finish(tx, frame);
+        return;
+      }
+    } else if (cmd !== null && frame[4] === cmd) {
+      if (tx.expect.more && tx.expect.more(frame)) {
+        this._armTimer(tx);
+        return;
+      }
+      this._finish(tx, frame);
+      return;
+    }
+
+    if (this.onUnsolicited) this.onUnsolicited(frame);
+  }
+
+  _onDecoderError(err) {
+    if (this.onFramingError) this.onFramingError(err);
+    // Garbage (e.g. debug text) is expected on the UART; a corrupted frame costs the request an attempt
+    if (err.type === FRAME_ERROR.CHECKSUM && this.current && this.current.expect) {
+      this._retryOrFail(this.current, new FramingError(`Corrupted response: ${err.message}`));
+    }
+  }
+
+  _finish(tx, frame) {
+    this._settle(tx);
+    tx.resolve(frame);
+  }
+
+  _fail(tx, err) {
+    this._settle(tx);
+    tx.reject(err);
+  }
+
+  _settle(tx) {
+    clearTimeout(tx.timer);
+    tx.packet.fill(0);
+    if (tx.signal) tx.signal.removeEventListener('abort', tx.onAbort);
+    if (tx === this.current) {
+      this.current = null;
+      this._pump();
+    } else {
+      this.queue = this.queue.filter((t) => t !== tx);
+    }
+  }
+}